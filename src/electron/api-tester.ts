@@ -24,7 +24,7 @@ export interface TestResult {
  * 智能检测 Base URL 是否已包含完整路径
  * 所有支持的厂商都使用 Anthropic 格式
  */
-function buildApiEndpoint(config: ApiConfig): string {
+export function buildApiEndpoint(config: Pick<ApiConfig, 'baseURL'>): string {
   const baseUrl = config.baseURL.replace(/\/+$/, ''); // 移除尾部斜杠
 
   // 使用正则检查 URL 是否以特定路径结尾（完整端点）
@@ -28,6 +28,22 @@ export const RUNNER_TIMEOUT = 300000;
 /** 默认工作目录限制 */
 export const DEFAULT_CWD_LIMIT = 8;
 
+// ==================== Agent 编排 ====================
+
+/** alternating 模式未配置循环次数时的默认轮数 */
+export const DEFAULT_ALTERNATING_ROUNDS = 2;
+
+/** cyclic 模式无限循环（cycleCount = 0）时的最大轮数上限 */
+export const MAX_ORCHESTRATION_ROUNDS = 10;
+
+// ==================== 工具钩子 ====================
+
+/** 单个钩子命令的最长执行时间（60秒） */
+export const HOOK_COMMAND_TIMEOUT = 60000;
+
+/** 钩子输出写入会话记录时保留的最大字符数 */
+export const HOOK_OUTPUT_LIMIT = 4000;
+
 // ==================== API 验证 ====================
 
 /** API Key 最小长度 */
@@ -69,6 +85,7 @@ export const SESSION_STATUS = {
   RUNNING: "running",
   COMPLETED: "completed",
   ERROR: "error",
+  INTERRUPTED: "interrupted",
 } as const;
 
 /** 会话状态类型 */
@@ -4,13 +4,19 @@
  */
 
 import { log } from "../logger.js";
-import { runClaude, type RunnerHandle } from "../libs/runner.js";
+import { closeLiveSession, runClaude, runOrchestration, setLiveSessionPermissionMode, type RunnerHandle } from "../libs/runner.js";
+import { createPermissionGrant } from "../libs/runner/permission-grants.js";
+import type { PromptQueueStore } from "../libs/runner/prompt-queue.js";
+import { evictCachedMemoryMcpServer } from "../managers/sdk-config-cache.js";
+import { addPermissionGrant } from "../storage/permissions-store.js";
 import type { SessionStore } from '../storage/session-store.js';
-import type { ClientEvent, ServerEvent } from "../types.js";
+import { buildReplayContext } from "../storage/session-fork.js";
+import type { ClientEvent, PermissionScope, ServerEvent, SessionPermissionMode } from "../types.js";
 
 // 提取特定事件类型的辅助类型
 type SessionStartEvent = Extract<ClientEvent, { type: "session.start" }>;
 type PermissionResponseEvent = Extract<ClientEvent, { type: "permission.response" }>;
+type SessionOrchestrateEvent = Extract<ClientEvent, { type: "session.orchestrate" }>;
 
 /**
  * 处理会话列表请求
@@ -46,6 +52,168 @@ export function handleSessionHistory(
   });
 }
 
+/**
+ * 处理会话全文搜索
+ */
+export function handleSessionSearch(
+  sessions: SessionStore,
+  emit: (event: ServerEvent) => void,
+  query: string,
+  limit?: number
+): void {
+  try {
+    const hits = sessions.searchMessages(query, limit);
+    emit({ type: "session.searchResults", payload: { query, hits } });
+  } catch (error) {
+    log.error('[Session] Search failed:', error);
+    emit({
+      type: "session.searchResults",
+      payload: { query, hits: [], error: error instanceof Error ? error.message : String(error) }
+    });
+  }
+}
+
+/**
+ * 处理会话分支
+ * 从指定用户提示词处创建分支会话，并把该提示词回填到输入框供用户修改后发送
+ */
+export function handleSessionFork(
+  sessions: SessionStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  messageIndex: number
+): void {
+  const result = sessions.forkSession(sessionId, messageIndex);
+  if (!result) {
+    emit({
+      type: "runner.error",
+      payload: { sessionId, message: "Unable to fork session at this message." }
+    });
+    return;
+  }
+
+  const { session: fork, prompt } = result;
+  log.session(fork.id, "Session forked", {
+    parentSessionId: sessionId,
+    forkedAtMessageId: fork.forkedAtMessageId,
+    mode: fork.forkResumeAt ? "sdk-fork" : "replay"
+  });
+
+  handleSessionList(sessions, emit);
+  emit({ type: "session.forked", payload: { sessionId: fork.id, parentSessionId: sessionId, prompt } });
+}
+
+/**
+ * 解除导入会话的只读状态，之后即可继续对话
+ */
+export function handleSessionUnlock(
+  sessions: SessionStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string
+): void {
+  const session = sessions.getSession(sessionId);
+  if (!session) {
+    emit({ type: "session.deleted", payload: { sessionId } });
+    return;
+  }
+  if (!session.readOnly) return;
+
+  sessions.updateSession(sessionId, { readOnly: false });
+  log.session(sessionId, "Imported session unlocked");
+  handleSessionList(sessions, emit);
+}
+
+const PERMISSION_MODES: SessionPermissionMode[] = ["default", "acceptEdits", "plan", "bypassPermissions"];
+
+/**
+ * 切换会话的权限模式并保存到会话记录
+ * 存活的查询进程立即切换，否则下一轮以新模式启动
+ */
+export function handleSessionPermissionMode(
+  sessions: SessionStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  mode: SessionPermissionMode
+): void {
+  const session = sessions.getSession(sessionId);
+  if (!session) {
+    emit({ type: "session.deleted", payload: { sessionId } });
+    return;
+  }
+  if (!PERMISSION_MODES.includes(mode)) {
+    emit({ type: "runner.error", payload: { sessionId, message: `Unknown permission mode: ${mode}` } });
+    return;
+  }
+
+  sessions.updateSession(sessionId, { permissionMode: mode });
+  log.session(sessionId, "Permission mode changed", { mode });
+  emit({ type: "session.permissionMode", payload: { sessionId, mode } });
+  setLiveSessionPermissionMode(sessionId, mode).catch((error) => {
+    log.error(`Failed to switch permission mode for session ${sessionId}`, error);
+  });
+}
+
+/** 从中断处恢复时发送给 SDK 会话的提示词 */
+const RESUME_INTERRUPTED_PROMPT =
+  "The previous turn was interrupted because the app quit unexpectedly. Continue the task from where you left off.";
+
+/**
+ * 处理中断的会话：从上一轮恢复，或直接标记为已完成
+ * 已有 SDK 会话时恢复该会话并让模型继续上一轮，否则重新发送上一轮的提示词；
+ * 两种处理都会清除中断时被作废的权限请求
+ */
+export function handleSessionRecover(
+  sessions: SessionStore,
+  runnerHandles: Map<string, RunnerHandle>,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  action: "resume" | "complete"
+): void {
+  const session = sessions.getSession(sessionId);
+  if (!session) {
+    emit({ type: "session.deleted", payload: { sessionId } });
+    return;
+  }
+  if (session.status !== "interrupted") return;
+
+  if (action === "complete") {
+    log.session(sessionId, "Interrupted session marked completed");
+    sessions.clearAbandonedPermissions(sessionId);
+    emit({
+      type: "session.status",
+      payload: { sessionId, status: "completed", title: session.title, cwd: session.cwd }
+    });
+    return;
+  }
+
+  const prompt = session.claudeSessionId ? RESUME_INTERRUPTED_PROMPT : session.lastPrompt;
+  if (!prompt) {
+    emit({
+      type: "runner.error",
+      payload: { sessionId, message: "Nothing to resume: this session has no previous turn." }
+    });
+    return;
+  }
+  log.session(sessionId, "Resuming interrupted session", { claudeSessionId: session.claudeSessionId });
+  sessions.clearAbandonedPermissions(sessionId);
+  handleSessionContinue(sessions, runnerHandles, emit, sessionId, prompt);
+}
+
+/**
+ * 只读会话拒绝运行，返回 true 表示已拒绝
+ */
+function rejectReadOnlySession(
+  session: { id: string; readOnly?: boolean },
+  emit: (event: ServerEvent) => void
+): boolean {
+  if (!session.readOnly) return false;
+  emit({
+    type: "runner.error",
+    payload: { sessionId: session.id, message: "This imported session is read-only. Continue it before sending a prompt." }
+  });
+  return true;
+}
+
 /**
  * 处理会话启动
  */
@@ -55,10 +223,10 @@ export function handleSessionStart(
   emit: (event: ServerEvent) => void,
   payload: SessionStartEvent["payload"]
 ): void {
-  const { cwd, title, allowedTools, prompt } = payload;
+  const { cwd, title, allowedTools, prompt, permissionMode } = payload;
   const startTime = Date.now();
 
-  const session = sessions.createSession({ cwd, title, allowedTools, prompt });
+  const session = sessions.createSession({ cwd, title, allowedTools, prompt, permissionMode });
 
   // 使用会话日志记录到任务文件夹（如果有 cwd）
   if (cwd) {
@@ -73,6 +241,10 @@ export function handleSessionStart(
     type: "session.status",
     payload: { sessionId: session.id, status: "running", title: session.title, cwd: session.cwd }
   });
+  emit({
+    type: "session.permissionMode",
+    payload: { sessionId: session.id, mode: session.permissionMode ?? "default" }
+  });
 
   emit({
     type: "stream.user_prompt",
@@ -83,6 +255,7 @@ export function handleSessionStart(
     prompt,
     session,
     resumeSessionId: session.claudeSessionId,
+    keepAlive: true,
     onEvent: emit,
     onSessionUpdate: (updates) => {
       sessions.updateSession(session.id, updates);
@@ -129,12 +302,18 @@ export function handleSessionContinue(
     });
     return;
   }
+  if (rejectReadOnlySession(session, emit)) return;
 
   // If session has no claudeSessionId, treat this as the first prompt
   if (!session.claudeSessionId) {
     log.session(sessionId, "Starting session (no claudeSessionId)", { title: session.title });
     const startTime = Date.now();
 
+    // 无法通过 SDK 分支的会话分支或导入的会话：回放已有的会话记录作为上下文
+    const replayContext = session.parentSessionId || session.importedAt
+      ? buildReplayContext(sessions.getSessionHistory(sessionId)?.messages ?? [])
+      : "";
+
     sessions.updateSession(sessionId, { status: "running", lastPrompt: prompt });
     emit({
       type: "session.status",
@@ -150,10 +329,12 @@ export function handleSessionContinue(
       prompt,
       session,
       resumeSessionId: session.claudeSessionId,
+      keepAlive: true,
       onEvent: emit,
       onSessionUpdate: (updates) => {
         sessions.updateSession(sessionId, updates);
-      }
+      },
+      ...(replayContext ? { systemPrompt: replayContext } : {})
     })
       .then((handle) => {
         runnerHandles.set(sessionId, handle);
@@ -194,6 +375,8 @@ export function handleSessionContinue(
     prompt,
     session,
     resumeSessionId: session.claudeSessionId,
+    resumeAt: session.forkResumeAt,
+    keepAlive: true,
     onEvent: emit,
     onSessionUpdate: (updates) => {
       sessions.updateSession(sessionId, updates);
@@ -217,6 +400,73 @@ export function handleSessionContinue(
     });
 }
 
+/**
+ * 处理 Agent 编排运行
+ * 按已保存的编排配置执行多个 Agent；未指定 sessionId 时新建会话
+ */
+export function handleSessionOrchestrate(
+  sessions: SessionStore,
+  runnerHandles: Map<string, RunnerHandle>,
+  emit: (event: ServerEvent) => void,
+  payload: SessionOrchestrateEvent["payload"]
+): void {
+  const { sessionId, title, prompt, cwd } = payload;
+
+  const session = sessionId
+    ? sessions.getSession(sessionId)
+    : sessions.createSession({ cwd, title, prompt });
+  if (!session) {
+    emit({ type: "session.deleted", payload: { sessionId: sessionId! } });
+    emit({
+      type: "runner.error",
+      payload: { sessionId, message: "Session no longer exists." }
+    });
+    return;
+  }
+  if (rejectReadOnlySession(session, emit)) return;
+
+  log.session(session.id, "Starting agent orchestration", { title: session.title });
+
+  sessions.updateSession(session.id, { status: "running", lastPrompt: prompt });
+  emit({
+    type: "session.status",
+    payload: { sessionId: session.id, status: "running", title: session.title, cwd: session.cwd }
+  });
+
+  emit({
+    type: "stream.user_prompt",
+    payload: { sessionId: session.id, prompt }
+  });
+
+  runOrchestration({
+    prompt,
+    session,
+    onEvent: emit,
+    onSessionUpdate: (updates) => {
+      // 存活的查询进程仍是编排前的上下文，下一轮从编排的 SDK 会话启动
+      closeLiveSession(session.id);
+      sessions.updateSession(session.id, updates);
+    }
+  })
+    .then((handle) => {
+      runnerHandles.set(session.id, handle);
+    })
+    .catch((error) => {
+      log.error(`Session ${session.id} failed to start orchestration`, error);
+      sessions.updateSession(session.id, { status: "error" });
+      emit({
+        type: "session.status",
+        payload: {
+          sessionId: session.id,
+          status: "error",
+          title: session.title,
+          cwd: session.cwd,
+          error: String(error)
+        }
+      });
+    });
+}
+
 /**
  * 处理会话停止
  */
@@ -240,6 +490,8 @@ export function handleSessionStop(
     runnerHandles.delete(sessionId);
     log.session(sessionId, "Session aborted");
   }
+  // 停止后的下一轮重新启动查询进程
+  closeLiveSession(sessionId);
 
   sessions.updateSession(sessionId, { status: "idle" });
   emit({
@@ -265,6 +517,8 @@ export function handleSessionDelete(
       handle.abort();
       runnerHandles.delete(sessionId);
     }
+    closeLiveSession(sessionId);
+    evictCachedMemoryMcpServer(sessionId);
 
     sessions.deleteSession(sessionId);
     emit({
@@ -285,20 +539,199 @@ export function handleSessionDelete(
   }
 }
 
+// ========== 提示词队列 ==========
+
+/**
+ * 发送会话当前的提示词队列
+ */
+export function handlePromptQueueSync(
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string
+): void {
+  emit({ type: "session.queue", payload: { sessionId, queue: promptQueues.list(sessionId) } });
+}
+
+/**
+ * 处理提示词排队：会话运行中时加入队列，否则直接发送
+ */
+export function handlePromptQueueAdd(
+  sessions: SessionStore,
+  runnerHandles: Map<string, RunnerHandle>,
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  prompt: string
+): void {
+  const session = sessions.getSession(sessionId);
+  if (!session) {
+    emit({ type: "session.deleted", payload: { sessionId } });
+    return;
+  }
+  if (session.status !== "running") {
+    handleSessionContinue(sessions, runnerHandles, emit, sessionId, prompt);
+    return;
+  }
+  promptQueues.add(sessionId, prompt);
+  handlePromptQueueSync(promptQueues, emit, sessionId);
+}
+
+/**
+ * 处理排队提示词的修改
+ */
+export function handlePromptQueueUpdate(
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  id: string,
+  prompt: string
+): void {
+  if (!prompt.trim()) {
+    promptQueues.remove(sessionId, id);
+  } else {
+    promptQueues.update(sessionId, id, prompt);
+  }
+  handlePromptQueueSync(promptQueues, emit, sessionId);
+}
+
+/**
+ * 处理排队提示词的移除
+ */
+export function handlePromptQueueRemove(
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  id: string
+): void {
+  promptQueues.remove(sessionId, id);
+  handlePromptQueueSync(promptQueues, emit, sessionId);
+}
+
+/**
+ * 处理排队提示词的排序
+ */
+export function handlePromptQueueMove(
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  id: string,
+  toIndex: number
+): void {
+  promptQueues.move(sessionId, id, toIndex);
+  handlePromptQueueSync(promptQueues, emit, sessionId);
+}
+
+/**
+ * 处理“立即发送”：中断当前轮次并立即发送排队的提示词
+ * 查询进程不支持中断时（如 Agent 编排），停止当前运行后重新发送
+ */
+export function handlePromptQueueSendNow(
+  sessions: SessionStore,
+  runnerHandles: Map<string, RunnerHandle>,
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string,
+  id: string
+): void {
+  const item = promptQueues.remove(sessionId, id);
+  if (!item) return;
+  handlePromptQueueSync(promptQueues, emit, sessionId);
+
+  const session = sessions.getSession(sessionId);
+  if (!session) return;
+
+  const handle = runnerHandles.get(sessionId);
+  if (session.status !== "running" || !handle?.interrupt) {
+    if (session.status === "running") {
+      handleSessionStop(sessions, runnerHandles, emit, sessionId);
+    }
+    handleSessionContinue(sessions, runnerHandles, emit, sessionId, item.prompt);
+    return;
+  }
+
+  log.session(sessionId, "Interrupting current turn to send queued prompt");
+  handle.interrupt(item.prompt)
+    .then((sent) => {
+      if (!sent) {
+        handleSessionStop(sessions, runnerHandles, emit, sessionId);
+        handleSessionContinue(sessions, runnerHandles, emit, sessionId, item.prompt);
+        return;
+      }
+      sessions.updateSession(sessionId, { lastPrompt: item.prompt });
+      emit({ type: "stream.user_prompt", payload: { sessionId, prompt: item.prompt } });
+    })
+    .catch((error) => {
+      log.error(`Failed to interrupt session ${sessionId}`, error);
+      emit({
+        type: "runner.error",
+        payload: { sessionId, message: `Failed to send prompt: ${error instanceof Error ? error.message : String(error)}` }
+      });
+    });
+}
+
+/**
+ * 运行完成后发送队列中的下一条提示词
+ */
+export function dispatchQueuedPrompt(
+  sessions: SessionStore,
+  runnerHandles: Map<string, RunnerHandle>,
+  promptQueues: PromptQueueStore,
+  emit: (event: ServerEvent) => void,
+  sessionId: string
+): void {
+  const next = promptQueues.shift(sessionId);
+  if (!next) return;
+  handlePromptQueueSync(promptQueues, emit, sessionId);
+  log.session(sessionId, "Dispatching queued prompt", { remaining: promptQueues.list(sessionId).length });
+  handleSessionContinue(sessions, runnerHandles, emit, sessionId, next.prompt);
+}
+
 /**
  * 处理权限响应
+ * 允许且带有授权范围时，保存授权以便后续相同调用自动放行；
+ * 批准计划（ExitPlanMode）时按所选模式切换会话的权限模式
  */
 export function handlePermissionResponse(
   sessions: SessionStore,
+  emit: (event: ServerEvent) => void,
   sessionId: string,
   toolUseId: string,
-  result: PermissionResponseEvent["payload"]["result"]
+  result: PermissionResponseEvent["payload"]["result"],
+  scope: PermissionScope = "once"
 ): void {
   const session = sessions.getSession(sessionId);
   if (!session) return;
 
   const pending = session.pendingPermissions.get(toolUseId);
-  if (pending) {
-    pending.resolve(result);
+  if (!pending) return;
+  sessions.resolvePendingPermission(toolUseId);
+
+  if (result.behavior === "allow" && scope !== "once") {
+    // 没有工作目录的会话无法保存 cwd 授权，退化为会话授权
+    const effectiveScope = scope === "cwd" && !session.cwd ? "session" : scope;
+    const grant = createPermissionGrant(effectiveScope, pending.toolName, pending.input, {
+      sessionId,
+      cwd: session.cwd
+    }, pending.rule);
+
+    if (effectiveScope === "session") {
+      session.permissionGrants.push(grant);
+    } else if (effectiveScope === "cwd") {
+      sessions.addCwdGrant(grant);
+    } else {
+      addPermissionGrant(grant).catch((error) => {
+        log.error(`Failed to persist permission grant for ${pending.toolName}`, error);
+      });
+    }
+    log.session(sessionId, `Permission granted (${effectiveScope})`, { tool: grant.tool, pattern: grant.pattern });
+  }
+
+  // SDK 按 setMode 更新切换模式，这里同步保存到会话记录
+  const modeUpdate = result.behavior === "allow" && pending.toolName === "ExitPlanMode"
+    ? result.updatedPermissions?.find((update) => update.type === "setMode")
+    : undefined;
+  pending.resolve(result);
+  if (modeUpdate?.type === "setMode") {
+    handleSessionPermissionMode(sessions, emit, sessionId, modeUpdate.mode as SessionPermissionMode);
   }
 }
@@ -1,29 +1,61 @@
 import { BrowserWindow, app } from "electron";
 import type { ClientEvent, ServerEvent } from "./types.js";
-import type { RunnerHandle } from "./libs/runner.js";
+import { closeAllLiveSessions, restartLiveSessions, type RunnerHandle } from "./libs/runner.js";
+import { addConfigChangeListener } from "./managers/sdk-config-cache.js";
 import { SessionStore } from './storage/session-store.js';
+import { setCwdGrantProvider } from './libs/runner/permission-grants.js';
+import { setUsageRecorder } from './libs/runner/usage-ledger.js';
+import { setFileCheckpointRecorder } from './libs/runner/file-checkpoints.js';
+import { setBudgetUsageProvider } from './libs/runner/budget-guard.js';
+import { PromptQueueStore } from './libs/runner/prompt-queue.js';
 import { join } from "path";
 import { log } from "./logger.js";
 import {
   handleSessionList,
   handleSessionHistory,
+  handleSessionSearch,
+  handleSessionFork,
+  handleSessionUnlock,
+  handleSessionRecover,
+  handleSessionPermissionMode,
   handleSessionStart,
   handleSessionContinue,
   handleSessionStop,
   handleSessionDelete,
+  handleSessionOrchestrate,
   handlePermissionResponse,
+  handlePromptQueueSync,
+  handlePromptQueueAdd,
+  handlePromptQueueUpdate,
+  handlePromptQueueRemove,
+  handlePromptQueueMove,
+  handlePromptQueueSendNow,
+  dispatchQueuedPrompt,
 } from "./handlers/session-handlers.js";
 import { fetchModelList, fetchModelLimits } from './storage/config-store.js';
 import type { ApiConfig } from './storage/config-store.js';
 
 let sessions: SessionStore;
 const runnerHandles = new Map<string, RunnerHandle>();
+// 会话运行期间提交的后续提示词
+const promptQueues = new PromptQueueStore();
 
 function initializeSessions() {
   if (!sessions) {
     const DB_PATH = join(app.getPath("userData"), "sessions.db");
     log.info(`Initializing session store at: ${DB_PATH}`);
     sessions = new SessionStore(DB_PATH);
+    // 上次异常退出时仍在运行的会话没有查询进程，标记为已中断等待用户处理
+    const interrupted = sessions.recoverInterruptedSessions();
+    if (interrupted.length > 0) {
+      log.warn(`Marked ${interrupted.length} orphaned running session(s) as interrupted`, { sessionIds: interrupted });
+    }
+    setCwdGrantProvider((cwd) => sessions.listCwdGrants(cwd));
+    setUsageRecorder((entries) => sessions.recordUsage(entries));
+    setFileCheckpointRecorder((sessionId, filePath, content) => sessions.recordFileCheckpoint(sessionId, filePath, content));
+    setBudgetUsageProvider((sessionId, apiConfigId, date) => sessions.getBudgetUsage(sessionId, apiConfigId, date));
+    // 配置变更后，会话的下一轮使用新配置启动查询进程
+    addConfigChangeListener(() => restartLiveSessions());
   }
   return sessions;
 }
@@ -56,6 +88,13 @@ function emit(event: ServerEvent) {
 
   if (event.type === "session.status") {
     sessions.updateSession(event.payload.sessionId, { status: event.payload.status });
+    if (event.payload.status !== "running") {
+      sessions.clearPendingPermissions(event.payload.sessionId);
+    }
+  }
+  if (event.type === "permission.request") {
+    const { sessionId, toolUseId, toolName, input } = event.payload;
+    sessions.recordPendingPermission(sessionId, toolUseId, toolName, input);
   }
   if (event.type === "stream.message") {
     sessions.recordMessage(event.payload.sessionId, event.payload.message);
@@ -67,6 +106,11 @@ function emit(event: ServerEvent) {
     });
   }
   broadcast(event);
+
+  // 运行完成后自动发送队列中的下一条提示词
+  if (event.type === "session.status" && event.payload.status === "completed") {
+    dispatchQueuedPrompt(sessions, runnerHandles, promptQueues, emit, event.payload.sessionId);
+  }
 }
 
 /**
@@ -84,6 +128,27 @@ export function handleClientEvent(event: ClientEvent) {
     "session.history": () => {
       const payload = (event as Extract<ClientEvent, { type: "session.history" }>).payload;
       handleSessionHistory(sessions, emit, payload.sessionId);
+      handlePromptQueueSync(promptQueues, emit, payload.sessionId);
+    },
+    "session.search": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.search" }>).payload;
+      handleSessionSearch(sessions, emit, payload.query, payload.limit);
+    },
+    "session.fork": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.fork" }>).payload;
+      handleSessionFork(sessions, emit, payload.sessionId, payload.messageIndex);
+    },
+    "session.unlock": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.unlock" }>).payload;
+      handleSessionUnlock(sessions, emit, payload.sessionId);
+    },
+    "session.permissionMode": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.permissionMode" }>).payload;
+      handleSessionPermissionMode(sessions, emit, payload.sessionId, payload.mode);
+    },
+    "session.recover": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.recover" }>).payload;
+      handleSessionRecover(sessions, runnerHandles, emit, payload.sessionId, payload.action);
     },
     "session.start": () => {
       const payload = (event as Extract<ClientEvent, { type: "session.start" }>).payload;
@@ -93,6 +158,10 @@ export function handleClientEvent(event: ClientEvent) {
       const payload = (event as Extract<ClientEvent, { type: "session.continue" }>).payload;
       handleSessionContinue(sessions, runnerHandles, emit, payload.sessionId, payload.prompt);
     },
+    "session.orchestrate": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.orchestrate" }>).payload;
+      handleSessionOrchestrate(sessions, runnerHandles, emit, payload);
+    },
     "session.stop": () => {
       const payload = (event as Extract<ClientEvent, { type: "session.stop" }>).payload;
       handleSessionStop(sessions, runnerHandles, emit, payload.sessionId);
@@ -100,10 +169,31 @@ export function handleClientEvent(event: ClientEvent) {
     "session.delete": () => {
       const payload = (event as Extract<ClientEvent, { type: "session.delete" }>).payload;
       handleSessionDelete(sessions, runnerHandles, emit, payload.sessionId);
+      promptQueues.clear(payload.sessionId);
+    },
+    "session.queue.add": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.queue.add" }>).payload;
+      handlePromptQueueAdd(sessions, runnerHandles, promptQueues, emit, payload.sessionId, payload.prompt);
+    },
+    "session.queue.update": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.queue.update" }>).payload;
+      handlePromptQueueUpdate(promptQueues, emit, payload.sessionId, payload.id, payload.prompt);
+    },
+    "session.queue.remove": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.queue.remove" }>).payload;
+      handlePromptQueueRemove(promptQueues, emit, payload.sessionId, payload.id);
+    },
+    "session.queue.move": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.queue.move" }>).payload;
+      handlePromptQueueMove(promptQueues, emit, payload.sessionId, payload.id, payload.toIndex);
+    },
+    "session.queue.sendNow": () => {
+      const payload = (event as Extract<ClientEvent, { type: "session.queue.sendNow" }>).payload;
+      handlePromptQueueSendNow(sessions, runnerHandles, promptQueues, emit, payload.sessionId, payload.id);
     },
     "permission.response": () => {
       const payload = (event as Extract<ClientEvent, { type: "permission.response" }>).payload;
-      handlePermissionResponse(sessions, payload.sessionId, payload.toolUseId, payload.result);
+      handlePermissionResponse(sessions, emit, payload.sessionId, payload.toolUseId, payload.result, payload.scope);
     },
     "api.fetchModelList": async () => {
       const payload = (event as Extract<ClientEvent, { type: "api.fetchModelList" }>).payload;
@@ -162,6 +252,10 @@ export function cleanupAllSessions(): void {
     }
   }
   runnerHandles.clear();
+  const liveCount = closeAllLiveSessions();
+  if (liveCount > 0) {
+    log.info(`Closed ${liveCount} live session query(s)`);
+  }
   if (sessions) {
     sessions.close();
     log.info('Session store closed');
@@ -7,9 +7,15 @@
 export {
   runClaude,
   clearRunnerCache,
+  restartLiveSessions,
+  closeLiveSession,
+  closeAllLiveSessions,
+  setLiveSessionPermissionMode,
   PerformanceMonitor,
   triggerAutoMemoryAnalysis,
   type RunnerOptions,
   type RunnerHandle,
   type MemoryConfig,
 } from "./runner/index.js";
+
+export { runOrchestration, aggregateAgentOutputs, type AgentRunOutput, type OrchestrationOptions } from "./runner/orchestrator.js";
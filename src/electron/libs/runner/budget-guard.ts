@@ -0,0 +1,170 @@
+/**
+ * 预算限额
+ *
+ * Runner 启动前读取已用量并检查预算：
+ * - 已用尽的预算直接阻止本次运行
+ * - 费用限额的剩余额度通过 maxBudgetUsd 交给 SDK，超出时 SDK 返回 error_max_budget_usd 结果
+ * - token 限额在收到助手消息时累计检查，超出时由 Runner 中止本次运行
+ * 用量达到 warnAtPercent 时，每个预算项只警告一次。
+ * 已用量由持有 SessionStore 的模块通过 setBudgetUsageProvider 注册查询函数。
+ */
+
+import type { SDKAssistantMessage } from "@anthropic-ai/claude-agent-sdk";
+import type { BudgetConfig, BudgetLimit, BudgetScope, BudgetStatus } from "../../types.js";
+import { formatUsageDate } from "./usage-ledger.js";
+
+/** 某个范围内的已用量 */
+export type BudgetUsageTotals = {
+  costUsd: number;
+  /** 输入 + 输出 token */
+  tokens: number;
+};
+
+/** 各预算范围的已用量 */
+export type BudgetUsage = Record<BudgetScope, BudgetUsageTotals>;
+
+/** 查询已用量的函数，date 为本地日期 YYYY-MM-DD */
+type BudgetUsageProvider = (sessionId: string, apiConfigId: string, date: string) => BudgetUsage;
+
+let usageProvider: BudgetUsageProvider | null = null;
+
+/**
+ * 注册已用量查询函数
+ */
+export function setBudgetUsageProvider(provider: BudgetUsageProvider | null): void {
+  usageProvider = provider;
+}
+
+/** 错误信息中的预算范围名称 */
+const SCOPE_LABELS: Record<BudgetScope, string> = {
+  session: "Session",
+  daily: "Daily",
+  apiConfig: "API configuration daily",
+};
+
+function toStatus(scope: BudgetScope, metric: BudgetStatus["metric"], used: number, limit: number): BudgetStatus {
+  return { scope, metric, used, limit, percent: (used / limit) * 100 };
+}
+
+/**
+ * 计算各预算项的使用情况
+ * 只返回设置了限额（大于 0）的项
+ */
+export function evaluateBudgets(config: BudgetConfig, apiConfigId: string, usage: BudgetUsage): BudgetStatus[] {
+  if (!config.enabled) return [];
+
+  const limits: Array<[BudgetScope, BudgetLimit | undefined]> = [
+    ["session", config.session],
+    ["daily", config.daily],
+    ["apiConfig", config.apiConfigs?.[apiConfigId]],
+  ];
+  const statuses: BudgetStatus[] = [];
+  for (const [scope, limit] of limits) {
+    if (limit?.maxCostUsd && limit.maxCostUsd > 0) {
+      statuses.push(toStatus(scope, "cost", usage[scope].costUsd, limit.maxCostUsd));
+    }
+    if (limit?.maxTokens && limit.maxTokens > 0) {
+      statuses.push(toStatus(scope, "tokens", usage[scope].tokens, limit.maxTokens));
+    }
+  }
+  return statuses;
+}
+
+/**
+ * 返回第一个已用尽的预算项
+ */
+export function findExceededBudget(statuses: BudgetStatus[]): BudgetStatus | undefined {
+  return statuses.find((status) => status.used >= status.limit);
+}
+
+/**
+ * 生成预算用尽时的错误信息
+ */
+export function formatBudgetExceeded(status: BudgetStatus): string {
+  const format = (value: number) => status.metric === "cost"
+    ? `$${value.toFixed(2)}`
+    : `${Math.round(value).toLocaleString("en-US")} tokens`;
+  const metric = status.metric === "cost" ? "cost" : "token";
+  return `${SCOPE_LABELS[status.scope]} ${metric} budget reached: ${format(status.used)} of ${format(status.limit)}. Raise the limit in Settings > Budgets to continue.`;
+}
+
+/**
+ * 单次运行的预算检查器
+ */
+export type BudgetGuard = {
+  /** 运行前已用尽的预算项 */
+  exceeded: BudgetStatus | undefined;
+  /** 剩余额度最少的费用预算项，SDK 因 maxBudgetUsd 停止时用于说明原因 */
+  costLimit: BudgetStatus | undefined;
+  /** 交给 SDK 的费用上限（各费用预算的最少剩余额度） */
+  maxBudgetUsd: number | undefined;
+  /** 累计助手消息的 token 用量，返回已用尽的 token 预算项 */
+  trackAssistantMessage: (message: SDKAssistantMessage) => BudgetStatus | undefined;
+  /** result 写入台账后重新读取已用量，返回已用尽的预算项 */
+  refresh: () => BudgetStatus | undefined;
+};
+
+/**
+ * 创建运行的预算检查器
+ * 预算未启用、没有设置限额或未注册已用量查询函数时返回 null
+ *
+ * @param onWarning 用量达到警告百分比时调用
+ */
+export function createBudgetGuard(
+  config: BudgetConfig,
+  context: { sessionId: string; apiConfigId: string },
+  onWarning: (status: BudgetStatus) => void,
+  now = Date.now()
+): BudgetGuard | null {
+  if (!config.enabled || !usageProvider) return null;
+  const provider = usageProvider;
+  const date = formatUsageDate(now);
+
+  let base = provider(context.sessionId, context.apiConfigId, date);
+  let runTokens = 0;
+  const countedMessageIds = new Set<string>();
+  const warned = new Set<string>();
+
+  // 计算当前用量（已记录用量 + 本次运行尚未记录的 token），并发出尚未发出的警告
+  const evaluate = (): BudgetStatus[] => {
+    const usage = { ...base };
+    for (const scope of Object.keys(usage) as BudgetScope[]) {
+      usage[scope] = { ...usage[scope], tokens: usage[scope].tokens + runTokens };
+    }
+    const statuses = evaluateBudgets(config, context.apiConfigId, usage);
+    for (const status of statuses) {
+      const key = `${status.scope}:${status.metric}`;
+      if (status.used < status.limit && status.percent >= config.warnAtPercent && !warned.has(key)) {
+        warned.add(key);
+        onWarning(status);
+      }
+    }
+    return statuses;
+  };
+
+  const statuses = evaluate();
+  if (statuses.length === 0) return null;
+
+  const costLimit = statuses
+    .filter((status) => status.metric === "cost")
+    .sort((a, b) => (a.limit - a.used) - (b.limit - b.used))[0];
+
+  return {
+    exceeded: findExceededBudget(statuses),
+    costLimit,
+    maxBudgetUsd: costLimit ? Math.max(costLimit.limit - costLimit.used, 0) : undefined,
+    trackAssistantMessage: (message) => {
+      // 同一次 API 调用的多个内容块共享 message.id 和 usage，只计一次
+      const usage = message.message.usage;
+      if (!usage || countedMessageIds.has(message.message.id)) return undefined;
+      countedMessageIds.add(message.message.id);
+      runTokens += (usage.input_tokens ?? 0) + (usage.output_tokens ?? 0);
+      return findExceededBudget(evaluate().filter((status) => status.metric === "tokens"));
+    },
+    refresh: () => {
+      base = provider(context.sessionId, context.apiConfigId, date);
+      runTokens = 0;
+      return findExceededBudget(evaluate());
+    },
+  };
+}
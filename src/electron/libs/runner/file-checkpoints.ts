@@ -0,0 +1,155 @@
+/**
+ * 文件检查点模块
+ *
+ * Write / Edit / MultiEdit 修改文件前，通过 PreToolUse 钩子保存文件的原内容，
+ * 按轮次（触发本轮的用户提示词）记录，每轮每个文件只保留第一次修改前的内容。
+ * 回退到某一轮之前时，恢复该轮及之后所有轮次修改过的文件：
+ * - 修改前已存在的文件恢复为原内容
+ * - 这些轮次中新建的文件被删除
+ *
+ * 检查点由持有 SessionStore 的模块通过 setFileCheckpointRecorder 注册写入函数，
+ * Runner 无需直接依赖数据库。
+ */
+
+import { promises as fs } from "fs";
+import { dirname, isAbsolute, resolve } from "path";
+import type { HookCallbackMatcher, HookJSONOutput } from "@anthropic-ai/claude-agent-sdk";
+import type { Session } from "../../storage/session-store.js";
+import type { RewindFilePreview } from "../../types.js";
+import { formatUnifiedDiff } from "../../../shared/line-diff.js";
+import { log } from "../../logger.js";
+
+/** 修改文件前需要保存检查点的工具 */
+export const CHECKPOINT_TOOLS = ["Write", "Edit", "MultiEdit"];
+
+/**
+ * 文件检查点：文件在某一轮第一次被修改前的内容
+ */
+export type FileCheckpoint = {
+  filePath: string;
+  /** 修改前的内容；文件原本不存在时为 null */
+  content: Buffer | null;
+  createdAt: number;
+};
+
+/** 写入检查点的函数，由存储层归入会话当前的轮次 */
+type FileCheckpointRecorder = (sessionId: string, filePath: string, content: Buffer | null) => void;
+
+let checkpointRecorder: FileCheckpointRecorder | null = null;
+
+/**
+ * 注册检查点写入函数
+ */
+export function setFileCheckpointRecorder(recorder: FileCheckpointRecorder | null): void {
+  checkpointRecorder = recorder;
+}
+
+/**
+ * 获取工具调用将要修改的文件的绝对路径
+ * 相对路径按会话工作目录解析；不是文件修改工具或缺少路径时返回 null
+ */
+export function resolveCheckpointPath(toolName: string, input: unknown, cwd?: string): string | null {
+  if (!CHECKPOINT_TOOLS.includes(toolName)) return null;
+  const filePath = (input as { file_path?: unknown } | null)?.file_path;
+  if (typeof filePath !== "string" || !filePath.trim()) return null;
+  return isAbsolute(filePath) ? filePath : resolve(cwd ?? process.cwd(), filePath);
+}
+
+/**
+ * 读取文件当前内容，文件不存在时返回 null
+ */
+export async function readFileSnapshot(filePath: string): Promise<Buffer | null> {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * 创建保存文件检查点的 PreToolUse 钩子
+ * 保存失败只记录日志，不阻止工具调用
+ */
+export function createCheckpointHook(session: Session): HookCallbackMatcher {
+  return {
+    matcher: CHECKPOINT_TOOLS.join("|"),
+    hooks: [async (input): Promise<HookJSONOutput> => {
+      if (input.hook_event_name !== "PreToolUse" || !checkpointRecorder) return {};
+      const filePath = resolveCheckpointPath(input.tool_name, input.tool_input, session.cwd);
+      if (!filePath) return {};
+      try {
+        checkpointRecorder(session.id, filePath, await readFileSnapshot(filePath));
+      } catch (error) {
+        log.warn(`[Checkpoint] Failed to snapshot ${filePath} for session ${session.id}`, error);
+      }
+      return {};
+    }],
+  };
+}
+
+/**
+ * 计算回退需要恢复的内容：每个文件取最早的检查点
+ *
+ * @param checkpoints - 目标轮次及之后的检查点，按创建时间升序
+ */
+export function planRewind(checkpoints: FileCheckpoint[]): FileCheckpoint[] {
+  const earliest = new Map<string, FileCheckpoint>();
+  for (const checkpoint of checkpoints) {
+    if (!earliest.has(checkpoint.filePath)) {
+      earliest.set(checkpoint.filePath, checkpoint);
+    }
+  }
+  return Array.from(earliest.values());
+}
+
+/** 是否为文本内容（不含 NUL 字节） */
+function isText(content: Buffer): boolean {
+  return !content.includes(0);
+}
+
+/**
+ * 预览回退：列出内容会发生变化的文件及差异
+ * 当前内容与检查点一致的文件（如工具调用被拒绝）不列出
+ */
+export async function previewRewind(checkpoints: FileCheckpoint[]): Promise<RewindFilePreview[]> {
+  const previews: RewindFilePreview[] = [];
+  for (const { filePath, content } of planRewind(checkpoints)) {
+    const current = await readFileSnapshot(filePath);
+    if (current === null && content === null) continue;
+    if (current && content && current.equals(content)) continue;
+
+    const action = content === null ? "delete" : "restore";
+    const binary = (current !== null && !isText(current)) || (content !== null && !isText(content));
+    previews.push({
+      filePath,
+      action,
+      ...(binary
+        ? { binary: true }
+        : { diff: formatUnifiedDiff(current?.toString("utf-8") ?? "", content?.toString("utf-8") ?? "") })
+    });
+  }
+  return previews;
+}
+
+/**
+ * 执行回退：恢复文件原内容，删除新建的文件
+ *
+ * @returns 被恢复或删除的文件路径
+ */
+export async function restoreCheckpoints(checkpoints: FileCheckpoint[]): Promise<string[]> {
+  const restored: string[] = [];
+  for (const { filePath, content } of planRewind(checkpoints)) {
+    const current = await readFileSnapshot(filePath);
+    if (content === null) {
+      if (current === null) continue;
+      await fs.rm(filePath, { force: true });
+    } else {
+      if (current && current.equals(content)) continue;
+      await fs.mkdir(dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    }
+    restored.push(filePath);
+  }
+  return restored;
+}
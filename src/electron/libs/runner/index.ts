@@ -3,22 +3,30 @@
  * 负责协调 Claude SDK 会话的执行
  */
 
-import { query, type SDKMessage } from "@anthropic-ai/claude-agent-sdk";
+import { query } from "@anthropic-ai/claude-agent-sdk";
 import type { RunnerOptions, RunnerHandle, MemoryConfig } from "./types.js";
+import type { PermissionRuleMatch, SessionPermissionMode } from "../../types.js";
 
 import {
   buildEnvForConfig,
   getClaudeCodePath
 } from "../../services/claude-settings.js";
 import { getCachedApiConfig } from "../../managers/sdk-config-cache.js";
+import type { ApiConfig } from "../../storage/config-store.js";
+import { log } from "../../logger.js";
 import { getEnhancedEnv } from "../../utils/util.js";
 import { addLanguagePreference } from "../../utils/language-detector.js";
 import { getMemoryToolConfig } from "../../utils/memory-tools.js";
 import { getSDKExecutableOptions } from "../../utils/packaging.js";
 
 import { PerformanceMonitor } from "./performance-monitor.js";
-import { triggerAutoMemoryAnalysis } from "./memory-manager.js";
-import { createPermissionHandler, handleToolUseEvent } from "./permission-handler.js";
+import { createPermissionHandler, createPermissionRuleHook } from "./permission-handler.js";
+import { createToolHooks } from "./tool-hooks.js";
+import { createCheckpointHook } from "./file-checkpoints.js";
+import { createBudgetGuard, formatBudgetExceeded, type BudgetGuard } from "./budget-guard.js";
+import { SessionQuery, liveSessions } from "./session-query.js";
+import { getHooksConfig } from "../../storage/hooks-store.js";
+import { getBudgetConfig } from "../../storage/budget-store.js";
 import { clearMcpServerCache } from "../../managers/mcp-server-manager.js";
 
 const DEFAULT_CWD = process.cwd();
@@ -32,12 +40,53 @@ const DEFAULT_CWD = process.cwd();
 export function clearRunnerCache(): void {
   // 使用 MCP 服务器管理器清除缓存
   clearMcpServerCache();
+  restartLiveSessions();
 
   // 注意：记忆配置缓存不再需要清除
   // SDK 通过 Memory MCP 自动处理记忆功能
   // 清除配置缓存会导致记忆功能意外返回默认禁用状态
 }
 
+/**
+ * 配置变更后调用：关闭空闲的查询进程，运行中的进程在当前轮次结束后退出，
+ * 之后的轮次使用新配置启动新进程
+ */
+export function restartLiveSessions(): void {
+  if (liveSessions.size > 0) {
+    log.info(`[Runner] Restarting ${liveSessions.size} live query(s) after config change`);
+  }
+  liveSessions.drain();
+}
+
+/**
+ * 关闭会话的查询进程
+ */
+export function closeLiveSession(sessionId: string): void {
+  liveSessions.close(sessionId);
+}
+
+/**
+ * 切换存活查询进程的权限模式，运行中的轮次立即生效
+ * 跳过权限检查需要在启动进程时显式允许：未允许的进程空闲时关闭，下一轮以新模式启动
+ * deny / ask 规则和删除确认由 PreToolUse 权限规则钩子执行，acceptEdits / bypassPermissions 下同样生效
+ */
+export async function setLiveSessionPermissionMode(sessionId: string, mode: SessionPermissionMode): Promise<void> {
+  const live = liveSessions.get(sessionId);
+  if (!live) return;
+  if (mode === "bypassPermissions" && !live.allowsBypass) {
+    if (!live.busy) liveSessions.close(sessionId);
+    return;
+  }
+  await live.setPermissionMode(mode);
+}
+
+/**
+ * 关闭所有查询进程（应用退出时调用）
+ */
+export function closeAllLiveSessions(): number {
+  return liveSessions.closeAll();
+}
+
 // 重新导出类型
 export type { RunnerOptions, RunnerHandle, MemoryConfig } from "./types.js";
 export { PerformanceMonitor } from "./performance-monitor.js";
@@ -45,33 +94,37 @@ export { triggerAutoMemoryAnalysis } from "./memory-manager.js";
 
 /**
  * 执行 Claude SDK 会话
+ * 查询以流式输入模式运行；保活运行（keepAlive）时进程在轮次之间保持存活，
+ * 同一会话的后续轮次直接推送到存活的进程，跳过进程启动、MCP 加载和环境构建
  *
  * @param options - 运行选项
- * @returns 可中止的运行句柄
+ * @returns 可中止的运行句柄，中止会关闭查询进程
  */
 export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
-  const { prompt, session, resumeSessionId, onEvent, onSessionUpdate } = options;
+  const { prompt, session, resumeSessionId, resumeAt, onEvent, onSessionUpdate, systemPrompt, abortSignal, keepAlive = false } = options;
+  const requestedAt = performance.now();
+
+  // 复用存活的查询进程（分支首轮和带追加系统提示的运行需要新进程）
+  const live = keepAlive && !resumeAt && !systemPrompt ? liveSessions.get(session.id) : undefined;
+  if (live) {
+    const handle = await continueLiveSession(live, options, requestedAt);
+    if (handle) return handle;
+  }
+
   const abortController = new AbortController();
+  abortSignal?.addEventListener("abort", () => abortController.abort(), { once: true });
+  let sessionQuery: SessionQuery | undefined;
 
   // 开始性能监控
   const perfMonitor = new PerformanceMonitor();
   perfMonitor.start();
 
-  // 在函数开始就导入 logger，确保日志可用
-  const { log } = await import("../../logger.js");
   log.info(`[Runner] Starting Claude query for session ${session.id}`, { promptLength: prompt.length });
 
-  const sendMessage = (message: SDKMessage) => {
-    onEvent({
-      type: "stream.message",
-      payload: { sessionId: session.id, message }
-    });
-  };
-
-  const sendPermissionRequest = (toolUseId: string, toolName: string, input: unknown) => {
+  const sendPermissionRequest = (toolUseId: string, toolName: string, input: unknown, rule?: PermissionRuleMatch) => {
     onEvent({
       type: "permission.request",
-      payload: { sessionId: session.id, toolUseId, toolName, input }
+      payload: { sessionId: session.id, toolUseId, toolName, input, ...(rule ? { rule } : {}) }
     });
   };
 
@@ -79,7 +132,7 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
   let config: Awaited<ReturnType<typeof getCachedApiConfig>> = null;
   let claudeCodePath: string | undefined = undefined;
 
-  // 执行查询逻辑
+  // 启动查询进程
   (async () => {
     try {
       // 1. 获取并验证 API 配置（使用预加载的缓存）
@@ -96,6 +149,12 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
       }
       log.info(`[Runner] API config loaded`, { baseURL: config.baseURL, model: config.model });
 
+      // 1.1 检查预算，已用尽时不启动本次运行
+      const budget = await createTurnBudget(session, config, onEvent);
+      if (budget?.exceeded) {
+        return;
+      }
+
       // 2. 构建环境变量（直连模式）
       perfMonitor.mark('Environment Setup');
       const env = buildEnvForConfig(config);
@@ -127,23 +186,35 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
       const { getCachedMemoryMcpServer } = await import("../../managers/sdk-config-cache.js");
       let memoryMcpServer: any = null;
       if (memConfig.enabled) {
-        memoryMcpServer = await getCachedMemoryMcpServer();
+        memoryMcpServer = await getCachedMemoryMcpServer(session);
         if (memoryMcpServer) {
           log.debug(`[Runner] Memory MCP server loaded from cache`);
         }
       }
       perfMonitor.measure('Memory MCP Server Loading');
 
-      // 6. 获取语言提示（轻量级，只包含语言偏好）
-      const languagePrompt = languageHint;
+      // 6. 获取语言提示（轻量级，只包含语言偏好），并追加调用方提供的系统提示
+      const languagePrompt = [languageHint, systemPrompt].filter(Boolean).join('\n\n') || undefined;
 
-      // 7. 确定权限模式（使用最严格的默认值）
-      const permissionMode: 'default' | 'acceptEdits' | 'bypassPermissions' | 'plan' | 'delegate' | 'dontAsk' =
-        "default";  // 使用最严格的默认模式，防止权限绕过
+      // 7. 确定权限模式（会话未设置时使用最严格的默认模式，防止权限绕过）
+      const permissionMode: SessionPermissionMode = session.permissionMode ?? "default";
 
       log.debug(`[Runner] Permission mode: ${permissionMode}`);
 
-      // 8. 记录会话启动完成
+      // 8. 加载 hooks.json 中的 preToolUse / postToolUse 钩子
+      // settingSources 只覆盖 ~/.claude/settings.json，设置页保存的钩子需要显式传递
+      const toolHooks = createToolHooks(await getHooksConfig(), session, onEvent);
+      // 权限规则钩子对所有权限模式生效；文件检查点钩子在 Write / Edit 修改文件前保存原内容
+      const hooks = {
+        ...toolHooks,
+        PreToolUse: [
+          createPermissionRuleHook(session, sendPermissionRequest),
+          createCheckpointHook(session),
+          ...(toolHooks?.PreToolUse ?? [])
+        ]
+      };
+
+      // 记录会话启动完成
       perfMonitor.measureTotal();
 
       // 9. 创建并执行查询
@@ -167,11 +238,32 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
       // 获取 SDK 执行选项（包含 executable 和增强的 env）
       const sdkExecutableOptions = await getSDKExecutableOptions();
 
+      // 启动前已被中止
+      if (abortController.signal.aborted) {
+        return;
+      }
+
+      // 10. 以流式输入模式启动查询：首轮消息推送到输入流，进程在输入流关闭前保持存活
+      sessionQuery = new SessionQuery({
+        session,
+        config,
+        memConfig,
+        abortController,
+        perfMonitor,
+        keepAlive,
+        permissionMode,
+        resumeAt: resumeSessionId ? resumeAt : undefined,
+        onSessionUpdate
+      });
+      sessionQuery.enqueue({ prompt, onEvent, budget, requestedAt });
+
       const q = query({
-        prompt: prompt,  // SDK 直接处理斜杠命令
+        prompt: sessionQuery.input,  // SDK 直接处理斜杠命令
         options: {
           cwd: session.cwd ?? DEFAULT_CWD,
           resume: resumeSessionId,
+          // 分支会话：只恢复到指定消息，并生成新的 SDK 会话，不影响来源会话
+          ...(resumeSessionId && resumeAt ? { resumeSessionAt: resumeAt, forkSession: true } : {}),
           abortController,
           env: {
             ...mergedEnv,
@@ -182,6 +274,8 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
           // 传递 executable 参数
           ...(sdkExecutableOptions.executable ? { executable: sdkExecutableOptions.executable } : {}),
           permissionMode,
+          // 跳过权限检查需要显式允许，只在会话选择了该模式时设置
+          ...(permissionMode === "bypassPermissions" ? { allowDangerouslySkipPermissions: true } : {}),
           includePartialMessages: true,
           // ⭐ 设置 settingSources 让 SDK 自动加载 ~/.claude/settings.json
           // SDK 将自动处理：enabledPlugins, mcpServers, agents, permissions, hooks 等
@@ -191,68 +285,20 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
           ...(languagePrompt ? { extraArgs: { 'append-system-prompt': languagePrompt } } : {}),
           // Memory MCP 服务器（自定义的，需要显式传递，因为不在 settings.json 中）
           ...(memoryMcpServer ? { mcpServers: { 'memory-tools': memoryMcpServer } as any } : {}),
+          // 权限规则、文件检查点和设置页配置的工具钩子
+          hooks,
+          // 费用预算的剩余额度，超出时 SDK 返回 error_max_budget_usd
+          ...(budget?.maxBudgetUsd !== undefined ? { maxBudgetUsd: budget.maxBudgetUsd } : {}),
           // 权限处理
           canUseTool: createPermissionHandler(session, sendPermissionRequest)
         }
       });
 
-      // 12. 处理消息流
-      log.debug(`[Runner] Starting message loop for session ${session.id}`);
-      let messageCount = 0;
-      for await (const message of q) {
-        messageCount++;
-        if (messageCount === 1 || messageCount % 10 === 0) {
-          log.debug(`[Runner] Received message ${messageCount} of type: ${message.type}`);
-        }
-        // 提取 session_id
-        if (message.type === "system" && "subtype" in message && message.subtype === "init") {
-          const sdkSessionId = message.session_id;
-          if (sdkSessionId) {
-            session.claudeSessionId = sdkSessionId;
-            onSessionUpdate?.({ claudeSessionId: sdkSessionId });
-          }
-        }
-
-        // 处理工具使用事件
-        if (message.type === "assistant") {
-          const assistantMsg = message as any;
-          if (assistantMsg.message && assistantMsg.message.content) {
-            for (const content of assistantMsg.message.content) {
-              if (content.type === "tool_use") {
-                await handleToolUseEvent(content.name, content.input, memConfig, session, onEvent);
-              }
-            }
-          }
-        }
-
-        // 发送消息到前端
-        sendMessage(message);
-
-        // 检查结果以更新会话状态
-        if (message.type === "result") {
-          const status = message.subtype === "success" ? "completed" : "error";
-          onEvent({
-            type: "session.status",
-            payload: { sessionId: session.id, status, title: session.title }
-          });
-        }
-      }
-
-      // 13. 查询正常完成 - 触发自动记忆分析（异步执行，不阻塞会话完成）
-      log.info(`[Runner] Message loop completed for session ${session.id}, total messages: ${messageCount}`);
-      if (session.status === "running") {
-        if (memConfig.enabled && memConfig.autoStore) {
-          // 异步执行记忆分析，不等待完成
-          triggerAutoMemoryAnalysis(session, prompt, memConfig, onEvent).catch((error) => {
-            log.error('[Auto Memory] Background analysis failed:', error);
-          });
-        }
-
-        onEvent({
-          type: "session.status",
-          payload: { sessionId: session.id, status: "completed", title: session.title }
-        });
+      // 11. 保活运行登记到进程池，处理消息流直到进程退出
+      if (keepAlive) {
+        liveSessions.add(sessionQuery);
       }
+      await sessionQuery.consume(q);
     } catch (error) {
       const errorName = (error as Error).name;
       if (errorName === "AbortError") {
@@ -277,31 +323,105 @@ export async function runClaude(options: RunnerOptions): Promise<RunnerHandle> {
     }
   })();
 
-  // 等待查询完成或被中止
-  await new Promise<void>((resolve) => {
-    // 监听中止事件
-    const checkAbort = () => {
-      if (abortController.signal.aborted) {
-        resolve();
-      }
-    };
+  return {
+    abort: () => abortController.abort(),
+    interrupt: (nextPrompt) => interruptSessionQuery(sessionQuery, options, nextPrompt)
+  };
+}
 
-    // 立即检查一次
-    checkAbort();
+/**
+ * 向存活的查询进程推送新一轮消息
+ *
+ * @returns 运行句柄；进程已退出或 API 配置已切换时返回 null，由调用方启动新进程
+ */
+async function continueLiveSession(live: SessionQuery, options: RunnerOptions, requestedAt: number): Promise<RunnerHandle | null> {
+  const { prompt, session, onEvent, abortSignal } = options;
+
+  const config = await getCachedApiConfig();
+  if (!config || config.id !== live.apiConfigId) {
+    log.info(`[Runner] API config changed, restarting query for session ${session.id}`);
+    liveSessions.close(session.id);
+    return null;
+  }
+
+  // 会话切换了权限模式：跳过权限检查需要重新启动进程，其他模式直接切换
+  const permissionMode = session.permissionMode ?? "default";
+  if (permissionMode === "bypassPermissions" && !live.allowsBypass) {
+    log.info(`[Runner] Permission mode changed to bypassPermissions, restarting query for session ${session.id}`);
+    liveSessions.close(session.id);
+    return null;
+  }
+  if (permissionMode !== live.permissionMode) {
+    try {
+      await live.setPermissionMode(permissionMode);
+    } catch (error) {
+      log.warn(`[Runner] Failed to switch permission mode, restarting query for session ${session.id}:`, error);
+      liveSessions.close(session.id);
+      return null;
+    }
+  }
 
-    // 定期检查中止状态
-    const interval = setInterval(checkAbort, 100);
+  const handle: RunnerHandle = {
+    abort: () => live.close(),
+    interrupt: (nextPrompt) => interruptSessionQuery(live, options, nextPrompt)
+  };
+  const budget = await createTurnBudget(session, config, onEvent);
+  if (budget?.exceeded) {
+    return handle;
+  }
+
+  // 等待配置期间进程可能已退出
+  if (!live.accepting) {
+    return null;
+  }
+
+  log.info(`[Runner] Reusing live query for session ${session.id}`, { promptLength: prompt.length });
+  live.enqueue({ prompt, onEvent, budget, requestedAt });
+  abortSignal?.addEventListener("abort", () => live.close(), { once: true });
+  return handle;
+}
 
-    // 在 abort 方法中清理
-    const originalAbort = abortController.abort.bind(abortController);
-    abortController.abort = () => {
-      clearInterval(interval);
-      originalAbort();
-      resolve();
-    };
-  });
+/**
+ * 中断查询进程的当前轮次并立即发送新消息
+ *
+ * @returns 是否已发送；查询尚未启动或已退出时返回 false
+ */
+async function interruptSessionQuery(live: SessionQuery | undefined, options: RunnerOptions, prompt: string): Promise<boolean> {
+  if (!live?.accepting) {
+    return false;
+  }
+  const requestedAt = performance.now();
+  const budget = await createTurnBudget(options.session, live.config, options.onEvent);
+  if (budget?.exceeded) {
+    return true;
+  }
+  try {
+    await live.interrupt({ prompt, onEvent: options.onEvent, budget, requestedAt });
+    log.info(`[Runner] Interrupted current turn for session ${options.session.id}`, { promptLength: prompt.length });
+    return true;
+  } catch (error) {
+    log.warn(`[Runner] Failed to interrupt session ${options.session.id}:`, error);
+    return false;
+  }
+}
 
-  return {
-    abort: () => abortController.abort()
-  };
+/**
+ * 创建本轮的预算守卫，预算已用尽时发送错误状态
+ */
+async function createTurnBudget(
+  session: RunnerOptions["session"],
+  config: ApiConfig,
+  onEvent: RunnerOptions["onEvent"]
+): Promise<BudgetGuard | null> {
+  const budget = createBudgetGuard(await getBudgetConfig(), { sessionId: session.id, apiConfigId: config.id }, (status) => {
+    onEvent({ type: "budget.warning", payload: { sessionId: session.id, status } });
+  });
+  if (budget?.exceeded) {
+    log.warn(`[Runner] Budget exceeded for session ${session.id}`, budget.exceeded);
+    onEvent({
+      type: "session.status",
+      payload: { sessionId: session.id, status: "error", title: session.title, cwd: session.cwd, error: formatBudgetExceeded(budget.exceeded) }
+    });
+  }
+  return budget;
 }
@@ -0,0 +1,131 @@
+/**
+ * 存活会话进程池
+ * 每个会话最多保留一个存活的查询进程，空闲超过指定时间后关闭
+ */
+
+import { log } from "../../logger.js";
+
+/**
+ * 可放入进程池的会话查询
+ */
+export interface PooledSession {
+  readonly sessionId: string;
+  /** 是否有正在进行或排队的轮次 */
+  readonly busy: boolean;
+  /** 关闭查询进程 */
+  close(): void;
+}
+
+/**
+ * 存活会话进程池
+ */
+export class LiveSessionPool<T extends PooledSession> {
+  private sessions = new Map<string, T>();
+  private idleTimers = new Map<string, ReturnType<typeof setTimeout>>();
+
+  get size(): number {
+    return this.sessions.size;
+  }
+
+  get(sessionId: string): T | undefined {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * 加入进程池；同一会话已有进程时关闭旧进程
+   */
+  add(session: T): void {
+    const existing = this.sessions.get(session.sessionId);
+    if (existing && existing !== session) {
+      log.info(`[LiveSessions] Replacing live query for session ${session.sessionId}`);
+      this.close(session.sessionId);
+    }
+    this.sessions.set(session.sessionId, session);
+  }
+
+  /**
+   * 从进程池移除（进程自行退出时调用），不关闭进程
+   * 只移除同一个实例，避免误删替换后的新进程
+   */
+  remove(session: T): void {
+    if (this.sessions.get(session.sessionId) !== session) return;
+    this.clearIdleTimer(session.sessionId);
+    this.sessions.delete(session.sessionId);
+  }
+
+  /**
+   * 会话有新的轮次：取消空闲计时
+   */
+  touch(sessionId: string): void {
+    this.clearIdleTimer(sessionId);
+  }
+
+  /**
+   * 会话进入空闲：超过 timeoutMs 后关闭进程；timeoutMs 为 0 时立即关闭
+   */
+  markIdle(sessionId: string, timeoutMs: number): void {
+    this.clearIdleTimer(sessionId);
+    if (!this.sessions.has(sessionId)) return;
+    if (timeoutMs <= 0) {
+      this.close(sessionId);
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.idleTimers.delete(sessionId);
+      const session = this.sessions.get(sessionId);
+      if (!session || session.busy) return;
+      log.info(`[LiveSessions] Closing idle query for session ${sessionId} after ${timeoutMs}ms`);
+      this.close(sessionId);
+    }, timeoutMs);
+    // 空闲计时不阻止应用退出
+    timer.unref?.();
+    this.idleTimers.set(sessionId, timer);
+  }
+
+  /**
+   * 关闭并移除会话的进程
+   * @returns 是否存在该会话的进程
+   */
+  close(sessionId: string): boolean {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+    this.clearIdleTimer(sessionId);
+    this.sessions.delete(sessionId);
+    session.close();
+    return true;
+  }
+
+  /**
+   * 配置变更后调用：关闭空闲的进程；运行中的进程移出进程池，当前轮次结束后退出，
+   * 之后的轮次使用新配置重新启动
+   */
+  drain(): void {
+    for (const session of [...this.sessions.values()]) {
+      if (session.busy) {
+        this.remove(session);
+      } else {
+        this.close(session.sessionId);
+      }
+    }
+  }
+
+  /**
+   * 关闭所有进程（应用退出时调用）
+   * @returns 关闭的进程数
+   */
+  closeAll(): number {
+    const count = this.sessions.size;
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.close(sessionId);
+    }
+    return count;
+  }
+
+  private clearIdleTimer(sessionId: string): void {
+    const timer = this.idleTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.idleTimers.delete(sessionId);
+    }
+  }
+}
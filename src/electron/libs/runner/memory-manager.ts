@@ -6,8 +6,8 @@
  *
  * 模块职责：
  * ---------
- * 本模块只负责记忆功能的配置管理，不直接参与记忆的存储和检索。
- * 具体的记忆功能（如 memory_search、memory_store、memory_ask）由 SDK
+ * 本模块负责记忆功能的配置管理，以及会话结束时的自动记忆分析。
+ * 会话中的记忆检索和存储（如 memory_search、memory_store、memory_ask）由 SDK
  * 通过 Memory MCP 服务器自动处理。
  *
  * 设计理念：
@@ -23,7 +23,20 @@
  * - 通过 memory-config.js 模块异步加载
  */
 
+import type { SDKMessage } from "@anthropic-ai/claude-agent-sdk";
 import type { MemoryConfig } from "./types.js";
+import type { Session } from "../../storage/session-store.js";
+import type { ServerEvent } from "../../types.js";
+import {
+  calculateImportanceScore,
+  generateAutoMemoryContent,
+  getAutoMemoryConfig,
+  recordTaskStart,
+  recordToolCall,
+  resetMemoryContext,
+  updateConversationContext,
+  type ImportanceScore,
+} from "../../utils/auto-memory-manager.js";
 
 // ========== 配置缓存 ==========
 // 缓存配置以避免频繁读取文件，提升性能
@@ -124,35 +137,146 @@ export function clearMemoryGuidanceCache(): void {
   cachedConfig = null;
 }
 
+/**
+ * 会话分析使用的消息格式（与 analyzeSessionContent 的输入一致）
+ */
+type AnalysisMessage = {
+  type: string;
+  content?: string | Array<{ type: string; text?: string; name?: string; input?: unknown }>;
+};
+
+/**
+ * 将本次运行的 SDK 消息转换为会话分析的输入
+ *
+ * 用户提示词不在 SDK 消息流中，单独放在最前；只保留用户和助手消息
+ */
+export function toAnalysisMessages(prompt: string, messages: SDKMessage[]): AnalysisMessage[] {
+  const result: AnalysisMessage[] = [{ type: "user", content: prompt }];
+  for (const message of messages) {
+    if (message.type === "user" || message.type === "assistant") {
+      result.push({ type: message.type, content: message.message.content as AnalysisMessage["content"] });
+    }
+  }
+  return result;
+}
+
+/**
+ * 使用自动记忆管理器为会话评分并生成记忆内容
+ *
+ * 自动记忆管理器的上下文是模块级的，这里同步完成记录、评分和生成，
+ * 中间没有 await，多个会话同时结束时不会互相干扰
+ */
+function scoreSession(
+  prompt: string,
+  messages: AnalysisMessage[]
+): { importance: ImportanceScore; content: ReturnType<typeof generateAutoMemoryContent> } {
+  resetMemoryContext();
+  recordTaskStart(prompt);
+
+  const conversation: Array<{ role: "user" | "assistant"; content: string }> = [];
+  for (const message of messages.slice(1)) {
+    const role = message.type === "assistant" ? "assistant" : "user";
+    if (typeof message.content === "string") {
+      conversation.push({ role, content: message.content });
+      continue;
+    }
+    for (const block of message.content ?? []) {
+      if (block.type === "tool_use" && block.name) {
+        recordToolCall(block.name, block.input);
+      } else if (block.type === "text" && block.text) {
+        conversation.push({ role, content: block.text });
+      }
+    }
+  }
+  updateConversationContext(conversation);
+
+  const importance = calculateImportanceScore();
+  const content = generateAutoMemoryContent();
+  resetMemoryContext();
+  return { importance, content };
+}
+
 /**
  * 触发自动记忆分析
  *
- * 用途：会话结束时的钩子函数，用于触发记忆存储
+ * 用途：会话结束时的钩子函数，分析本次运行并自动存储有价值的知识
  *
- * 当前实现：
- * - 此函数现在只记录日志，不执行实际分析
- * - SDK 会通过 Memory MCP 工具自动处理记忆存储
- * - AI 可以在会话中主动调用 memory_store 工具
+ * 分析流程：
+ * 1. analyzeSessionContent 过滤问候、确认等没有价值的会话，并提取摘要和关键点
+ * 2. 自动记忆管理器根据工具调用、关键词、话题和问题-解决方案对计算重要性分数，
+ *    低于 importanceThreshold 的会话不存储
+ * 3. 记忆分类不在 autoStoreCategories 中时不存储
+ * 4. 存储摘要，metadata.sessionId 链接回来源会话，作用域为会话所在项目；
+ *    分类不在免审核列表中时先放入记忆收件箱，由用户批准
  *
- * 参数说明：
- * - _session: 会话对象（未使用，保留参数签名）
- * - _prompt: 用户提示词（未使用）
- * - _memConfig: 记忆配置（未使用）
- * - _onEvent: 事件回调函数（未使用）
+ * 每一步的结果都通过 memory.status 事件通知前端
  *
- * @returns Promise，总是立即 resolve
+ * @param session - 会话对象
+ * @param prompt - 本次运行的用户提示词
+ * @param memConfig - 记忆配置
+ * @param onEvent - 事件回调函数
+ * @param messages - 本次运行收到的 SDK 消息
  */
 export async function triggerAutoMemoryAnalysis(
-  _session: unknown,
-  _prompt: string,
-  _memConfig: MemoryConfig,
-  _onEvent: (event: unknown) => void
+  session: Session,
+  prompt: string,
+  memConfig: MemoryConfig,
+  onEvent: (event: ServerEvent) => void,
+  messages: SDKMessage[] = []
 ): Promise<void> {
   const { log } = await import("../../logger.js");
+  const { analyzeSessionContent, autoStoreMemory } = await import("../../utils/memory-tools.js");
+  const { resolveProjectScope } = await import("../../utils/memory-scope.js");
+
+  const sendStatus = (stored: boolean, message: string, title?: string) => {
+    onEvent({ type: "memory.status", payload: { sessionId: session.id, stored, title, message } });
+  };
+
+  // ========== 1. 过滤没有价值的会话 ==========
+  const analysisMessages = toAnalysisMessages(prompt, messages);
+  const analysis = await analyzeSessionContent(analysisMessages);
+  if (!analysis.shouldStore) {
+    log.debug(`[Memory] Session ${session.id} has nothing worth storing`);
+    sendStatus(false, "本次会话没有需要记住的内容");
+    return;
+  }
 
-  // 此功能已由 SDK 处理，只记录日志
-  log.debug('[Memory] Auto-analysis handled by SDK MCP tools');
+  // ========== 2. 计算重要性分数 ==========
+  const { importance, content } = scoreSession(prompt, analysisMessages);
+  const threshold = memConfig.importanceThreshold ?? getAutoMemoryConfig().importanceThreshold ?? 30;
+  if (!content || importance.score < threshold) {
+    log.debug(`[Memory] Session ${session.id} importance ${importance.score} below threshold ${threshold}`);
+    sendStatus(false, `重要性 ${importance.score} 低于阈值 ${threshold}，未存储`);
+    return;
+  }
+
+  // ========== 3. 检查记忆分类 ==========
+  if (!memConfig.autoStoreCategories.includes(content.label)) {
+    log.debug(`[Memory] Session ${session.id} category ${content.label} not in autoStoreCategories`);
+    sendStatus(false, `分类「${content.label}」不在自动存储范围内，未存储`);
+    return;
+  }
+
+  // ========== 4. 存储摘要并链接回会话 ==========
+  const title = session.title || content.title;
+  const result = await autoStoreMemory(title, analysis.summary, analysis.keyPoints, content.label, {
+    sessionId: session.id,
+    scope: resolveProjectScope(session.cwd),
+    details: content.text,
+    metadata: { importance: importance.score, importanceReasons: importance.reasons },
+  });
+  if (!result.success) {
+    log.warn(`[Memory] Auto-store failed for session ${session.id}: ${result.error}`);
+    sendStatus(false, `自动存储失败：${result.error || "未知错误"}`);
+    return;
+  }
+
+  if (result.pending) {
+    log.info(`[Memory] Session ${session.id} summary queued for review: ${title}`);
+    sendStatus(false, `已生成记忆「${title}」，等待在记忆收件箱中审核`, title);
+    return;
+  }
 
-  // 如果配置启用了自动存储，SDK 会自动处理
-  // 应用层不再需要额外调用 API 进行分析
+  log.info(`[Memory] Auto-stored session ${session.id}: ${title} (${content.label}, score ${importance.score})`);
+  sendStatus(true, `已自动存储记忆：${title}（${content.label}，重要性 ${importance.score}）`, title);
 }
@@ -0,0 +1,73 @@
+/**
+ * 用户消息输入流
+ * 作为 SDK 流式输入模式的 prompt：查询进程在流关闭前保持存活，
+ * 后续轮次的用户消息直接推送到同一个进程，无需重新启动
+ */
+
+import type { SDKUserMessage } from "@anthropic-ai/claude-agent-sdk";
+
+/**
+ * 可推送的用户消息异步队列
+ */
+export class UserMessageStream implements AsyncIterable<SDKUserMessage> {
+  private queue: SDKUserMessage[] = [];
+  private waiting: ((result: IteratorResult<SDKUserMessage>) => void) | null = null;
+  private closed = false;
+
+  /** 流是否已关闭 */
+  get isClosed(): boolean {
+    return this.closed;
+  }
+
+  /**
+   * 推送一条用户消息
+   * @throws 流已关闭时抛出错误
+   */
+  push(prompt: string): void {
+    if (this.closed) {
+      throw new Error("User message stream is closed");
+    }
+    const message: SDKUserMessage = {
+      type: "user",
+      message: { role: "user", content: prompt },
+      parent_tool_use_id: null,
+    };
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve({ value: message, done: false });
+    } else {
+      this.queue.push(message);
+    }
+  }
+
+  /**
+   * 关闭流：已推送的消息仍会被读取，之后迭代结束，查询进程随之退出
+   */
+  close(): void {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  [Symbol.asyncIterator](): AsyncIterator<SDKUserMessage> {
+    return {
+      next: () => {
+        const message = this.queue.shift();
+        if (message) return Promise.resolve({ value: message, done: false });
+        if (this.closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => {
+          this.waiting = resolve;
+        });
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+}
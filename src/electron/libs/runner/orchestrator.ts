@@ -0,0 +1,490 @@
+/**
+ * Agent 编排模块
+ *
+ * 模块职责：
+ * ---------
+ * 读取 agents-store 中保存的 AgentOrchestrationConfig，按照编排模式驱动多次
+ * runClaude 调用，并将结果按聚合策略合并为最终回答。
+ *
+ * 编排模式：
+ * ---------
+ * - parallel: 所有 Agent 以相同提示词并发执行（受 maxConcurrency 限制）
+ * - sequential: 按顺序执行，每个 Agent 接收上一个 Agent 的输出
+ * - alternating: 多轮交替发言，每个 Agent 可见此前全部讨论内容
+ * - cyclic: 重复执行串行链路 cycleCount 轮，0 表示直到输出收敛（有上限）
+ *
+ * 输出方式：
+ * ---------
+ * - 每个 Agent 的 SDK 消息照常流入会话，前后以 agent_section 消息标记分段
+ * - 并行模式下多个 Agent 同时输出，每个 Agent 的消息先缓冲，完成后整段发出，避免分段交错
+ * - 启用聚合时，最终以 orchestration_result 消息给出合并后的回答
+ *
+ * 后续对话：
+ * ---------
+ * 编排完成后，最后一个成功输出的 Agent 的 SDK 会话保存为会话的 claudeSessionId，
+ * 之后的 session.continue 从该 Agent 的上下文继续
+ */
+
+import type { SDKMessage } from "@anthropic-ai/claude-agent-sdk";
+import type { AgentConfig, AgentOrchestrationConfig } from "../../storage/agents-store.js";
+import type { Session } from "../../storage/session-store.js";
+import type { ServerEvent, StreamMessage } from "../../types.js";
+import type { RunnerHandle } from "./types.js";
+import { runClaude } from "./index.js";
+import { log } from "../../logger.js";
+import { DEFAULT_ALTERNATING_ROUNDS, MAX_ORCHESTRATION_ROUNDS } from "../../config/constants.js";
+
+type AggregationStrategy = NonNullable<AgentOrchestrationConfig["aggregationStrategy"]>;
+
+/**
+ * 单个 Agent 一次运行的输出
+ */
+export type AgentRunOutput = {
+  agentId: string;
+  agentName: string;
+  round: number;
+  status: "completed" | "failed";
+  text: string;
+  error?: string;
+  /** 完成时间戳，用于 first 策略判断先后 */
+  finishedAt: number;
+};
+
+/**
+ * 编排运行选项
+ */
+export type OrchestrationOptions = {
+  /** 用户输入的提示词 */
+  prompt: string;
+  /** 当前会话 */
+  session: Session;
+  /** 事件回调函数 */
+  onEvent: (event: ServerEvent) => void;
+  /** 可选：指定编排配置，缺省时读取已保存的配置 */
+  config?: AgentOrchestrationConfig;
+  /** 编排完成后更新会话（保存后续对话使用的 SDK 会话 ID） */
+  onSessionUpdate?: (updates: Partial<Session>) => void;
+};
+
+/**
+ * 执行 Agent 编排
+ *
+ * 与 runClaude 不同，此函数在编排启动后立即返回句柄，
+ * 调用 abort() 会中止所有正在运行的 Agent。
+ *
+ * @param options - 编排选项
+ * @returns 可中止的运行句柄
+ */
+export async function runOrchestration(options: OrchestrationOptions): Promise<RunnerHandle> {
+  const { prompt, session, onEvent, onSessionUpdate } = options;
+  const abortController = new AbortController();
+
+  const emitStatus = (status: "completed" | "error", error?: string) => {
+    onEvent({
+      type: "session.status",
+      payload: { sessionId: session.id, status, title: session.title, cwd: session.cwd, ...(error ? { error } : {}) }
+    });
+  };
+
+  (async () => {
+    try {
+      const { getOrchestrationConfig, getAgentDetail } = await import("../../storage/agents-store.js");
+      const config = options.config ?? await getOrchestrationConfig();
+
+      const agents: AgentConfig[] = [];
+      for (const agentId of config.agentSequence) {
+        const agent = await getAgentDetail(agentId);
+        if (agent) {
+          agents.push(agent);
+        } else {
+          log.warn(`[Orchestrator] Agent not found, skipped: ${agentId}`);
+        }
+      }
+
+      if (agents.length === 0) {
+        emitStatus("error", "No agents available for orchestration. Configure the agent sequence in Agents settings.");
+        return;
+      }
+
+      log.info(`[Orchestrator] Starting ${config.mode} orchestration for session ${session.id}`, {
+        agents: agents.map((a) => a.id),
+      });
+
+      const runner = new AgentRunner(session, onEvent, abortController.signal, config.agentTimeout);
+      const outputs = await runMode(config, agents, prompt, runner);
+
+      if (abortController.signal.aborted) {
+        log.info(`[Orchestrator] Session ${session.id} aborted by user`);
+        return;
+      }
+
+      const succeeded = outputs.filter((o) => o.status === "completed");
+      if (succeeded.length === 0) {
+        emitStatus("error", outputs.find((o) => o.error)?.error ?? "All agents failed.");
+        return;
+      }
+
+      // 串行、交替、循环模式中最后一个 Agent 的提示词已包含此前的输出
+      const continuation = runner.claudeSessionIdOf(succeeded[succeeded.length - 1].agentId);
+      if (continuation) {
+        onSessionUpdate?.({ claudeSessionId: continuation, forkResumeAt: undefined });
+      }
+
+      if (config.enableAggregation !== false) {
+        const strategy = config.aggregationStrategy ?? "all";
+        const result: StreamMessage = {
+          type: "orchestration_result",
+          uuid: crypto.randomUUID(),
+          mode: config.mode,
+          strategy,
+          agentCount: succeeded.length,
+          text: aggregateAgentOutputs(outputs, strategy),
+        };
+        onEvent({ type: "stream.message", payload: { sessionId: session.id, message: result } });
+      }
+
+      emitStatus("completed");
+    } catch (error) {
+      log.error(`[Orchestrator] Error in session ${session.id}:`, error);
+      emitStatus("error", String(error));
+    }
+  })();
+
+  return {
+    abort: () => abortController.abort()
+  };
+}
+
+/**
+ * 按编排模式调度 Agent
+ */
+async function runMode(
+  config: AgentOrchestrationConfig,
+  agents: AgentConfig[],
+  prompt: string,
+  runner: AgentRunner
+): Promise<AgentRunOutput[]> {
+  const stopOnFailure = config.stopOnFailure ?? true;
+  const outputs: AgentRunOutput[] = [];
+
+  switch (config.mode) {
+    case "parallel": {
+      // 同一批次共享中止信号，stopOnFailure 时一个失败即中止其余 Agent
+      const batch = new AbortController();
+      await runWithConcurrency(agents, config.maxConcurrency ?? agents.length, async (agent) => {
+        if (batch.signal.aborted) return;
+        const output = await runner.run(agent, prompt, 1, { batchSignal: batch.signal, buffered: true });
+        outputs.push(output);
+        if (output.status === "failed" && stopOnFailure) batch.abort();
+      });
+      return outputs;
+    }
+
+    case "sequential": {
+      let previous: AgentRunOutput | undefined;
+      for (const agent of agents) {
+        const output = await runner.run(agent, buildChainPrompt(prompt, previous), 1);
+        outputs.push(output);
+        if (runner.aborted || (output.status === "failed" && stopOnFailure)) break;
+        if (output.status === "completed") previous = output;
+      }
+      return outputs;
+    }
+
+    case "alternating": {
+      const rounds = config.cycleCount && config.cycleCount > 0 ? config.cycleCount : DEFAULT_ALTERNATING_ROUNDS;
+      for (let round = 1; round <= rounds; round++) {
+        for (const agent of agents) {
+          const output = await runner.run(agent, buildDiscussionPrompt(prompt, outputs), round);
+          outputs.push(output);
+          if (runner.aborted || (output.status === "failed" && stopOnFailure)) return outputs;
+        }
+      }
+      return outputs;
+    }
+
+    case "cyclic": {
+      // cycleCount 为 0 表示无限循环：直到相邻两轮的最终输出一致，且不超过上限
+      const untilConverged = !config.cycleCount;
+      const rounds = untilConverged ? MAX_ORCHESTRATION_ROUNDS : Math.min(config.cycleCount!, MAX_ORCHESTRATION_ROUNDS);
+      let previous: AgentRunOutput | undefined;
+      let lastRoundText: string | undefined;
+      for (let round = 1; round <= rounds; round++) {
+        for (const agent of agents) {
+          const output = await runner.run(agent, buildChainPrompt(prompt, previous), round);
+          outputs.push(output);
+          if (runner.aborted || (output.status === "failed" && stopOnFailure)) return outputs;
+          if (output.status === "completed") previous = output;
+        }
+        const roundText = previous ? normalizeText(previous.text) : undefined;
+        if (untilConverged && roundText !== undefined && roundText === lastRoundText) {
+          log.info(`[Orchestrator] Cyclic output converged after ${round} rounds`);
+          break;
+        }
+        lastRoundText = roundText;
+      }
+      return outputs;
+    }
+
+    default:
+      throw new Error(`Unknown orchestration mode: ${String(config.mode)}`);
+  }
+}
+
+/**
+ * Agent 运行器
+ * 封装单个 Agent 的 runClaude 调用：分段标记、输出收集、超时与中止
+ */
+export class AgentRunner {
+  /** 每个 Agent 独立的 SDK 会话，多轮执行时保持上下文 */
+  private claudeSessionIds = new Map<string, string>();
+
+  constructor(
+    private session: Session,
+    private onEvent: (event: ServerEvent) => void,
+    private signal: AbortSignal,
+    private timeoutSeconds?: number
+  ) {}
+
+  get aborted(): boolean {
+    return this.signal.aborted;
+  }
+
+  /** 获取 Agent 在本次编排中的 SDK 会话 ID */
+  claudeSessionIdOf(agentId: string): string | undefined {
+    return this.claudeSessionIds.get(agentId);
+  }
+
+  /**
+   * 运行一个 Agent
+   * @param options.batchSignal - 同一批次共享的中止信号
+   * @param options.buffered - 缓冲本 Agent 的消息，结束时连同分段标记一起发出（与其他 Agent 并发时使用）
+   */
+  run(
+    agent: AgentConfig,
+    prompt: string,
+    round: number,
+    options: { batchSignal?: AbortSignal; buffered?: boolean } = {}
+  ): Promise<AgentRunOutput> {
+    const { session, onEvent } = this;
+    const { batchSignal, buffered = false } = options;
+    const pending: ServerEvent[] = [];
+
+    // 缓冲模式下会话消息暂存，其他事件（如权限请求）立即转发；
+    // 流式增量只用于实时显示，缓冲后没有意义，直接丢弃
+    const forward = (event: ServerEvent) => {
+      if (!buffered || event.type !== "stream.message") {
+        onEvent(event);
+      } else if (event.payload.message.type !== "stream_event") {
+        pending.push(event);
+      }
+    };
+
+    const emitSection = (status: "started" | "completed" | "failed", error?: string) => {
+      const message: StreamMessage = {
+        type: "agent_section",
+        uuid: crypto.randomUUID(),
+        agentId: agent.id,
+        agentName: agent.name,
+        round,
+        status,
+        ...(error ? { error } : {}),
+      };
+      forward({ type: "stream.message", payload: { sessionId: session.id, message } });
+    };
+
+    return new Promise<AgentRunOutput>((resolve) => {
+      const agentAbort = new AbortController();
+      const signals = [this.signal, batchSignal].filter((s): s is AbortSignal => Boolean(s));
+      const onParentAbort = () => agentAbort.abort();
+      let timedOut = false;
+      let settled = false;
+      let collectedText = "";
+      let resultText: string | undefined;
+
+      const timer = this.timeoutSeconds
+        ? setTimeout(() => {
+          timedOut = true;
+          agentAbort.abort();
+        }, this.timeoutSeconds * 1000)
+        : undefined;
+
+      const finish = (status: "completed" | "failed", error?: string) => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        signals.forEach((s) => s.removeEventListener("abort", onParentAbort));
+        emitSection(status, error);
+        pending.splice(0).forEach(onEvent);
+        // 关闭本 Agent 的查询进程
+        agentAbort.abort();
+        resolve({
+          agentId: agent.id,
+          agentName: agent.name,
+          round,
+          status,
+          text: (resultText ?? collectedText).trim(),
+          error,
+          finishedAt: Date.now(),
+        });
+      };
+
+      if (signals.some((s) => s.aborted)) {
+        finish("failed", "Aborted.");
+        return;
+      }
+      signals.forEach((s) => s.addEventListener("abort", onParentAbort, { once: true }));
+      agentAbort.signal.addEventListener("abort", () => {
+        finish("failed", timedOut ? `Agent timed out after ${this.timeoutSeconds} seconds.` : "Aborted.");
+      }, { once: true });
+
+      emitSection("started");
+
+      // 共享 pendingPermissions，使权限响应仍能通过原会话 ID 找到请求
+      const agentSession: Session = {
+        ...session,
+        claudeSessionId: this.claudeSessionIds.get(agent.id),
+        pendingPermissions: session.pendingPermissions,
+      };
+
+      runClaude({
+        prompt,
+        session: agentSession,
+        resumeSessionId: agentSession.claudeSessionId,
+        systemPrompt: agent.systemPrompt,
+        abortSignal: agentAbort.signal,
+        onEvent: (event) => {
+          // 子运行的会话状态由编排器统一汇报，不直接转发
+          if (event.type === "session.status") {
+            if (event.payload.status === "completed") finish("completed");
+            else if (event.payload.status === "error") finish("failed", event.payload.error);
+            return;
+          }
+          if (event.type === "stream.message") {
+            const text = extractAssistantText(event.payload.message);
+            if (text) collectedText += text;
+            const message = event.payload.message as SDKMessage;
+            if (message.type === "result" && message.subtype === "success") {
+              resultText = message.result;
+            }
+          }
+          forward(event);
+        },
+        onSessionUpdate: (updates) => {
+          if (updates.claudeSessionId) {
+            this.claudeSessionIds.set(agent.id, updates.claudeSessionId);
+          }
+        },
+      }).catch((error) => finish("failed", String(error)));
+    });
+  }
+}
+
+/**
+ * 以有限并发执行任务
+ */
+async function runWithConcurrency<T>(items: T[], limit: number, worker: (item: T) => Promise<void>): Promise<void> {
+  const queue = [...items];
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(
+    Array.from({ length: workerCount }, async () => {
+      while (queue.length > 0) {
+        await worker(queue.shift()!);
+      }
+    })
+  );
+}
+
+/**
+ * 提取 assistant 消息中的文本内容
+ */
+function extractAssistantText(message: StreamMessage): string {
+  if (message.type !== "assistant") return "";
+  const content = message.message?.content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .flatMap((block) => (block.type === "text" ? [block.text] : []))
+    .join("\n");
+}
+
+/**
+ * 构建串行链路的提示词：原始任务 + 上一个 Agent 的输出
+ */
+function buildChainPrompt(prompt: string, previous?: AgentRunOutput): string {
+  if (!previous || !previous.text) return prompt;
+  return `${prompt}\n\n---\n上一个 Agent（${previous.agentName}）的输出：\n\n${previous.text}\n\n请在此基础上继续完成任务。`;
+}
+
+/**
+ * 构建交替模式的提示词：原始任务 + 目前为止的全部讨论
+ */
+function buildDiscussionPrompt(prompt: string, outputs: AgentRunOutput[]): string {
+  const discussion = outputs.filter((o) => o.status === "completed" && o.text);
+  if (discussion.length === 0) return prompt;
+  const transcript = discussion
+    .map((o) => `### ${o.agentName}（第 ${o.round} 轮）\n\n${o.text}`)
+    .join("\n\n");
+  return `${prompt}\n\n---\n目前的讨论：\n\n${transcript}\n\n请结合以上讨论给出你的观点。`;
+}
+
+function normalizeText(text: string): string {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function tokenSet(text: string): Set<string> {
+  return new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+function jaccard(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 && b.size === 0) return 1;
+  let intersection = 0;
+  for (const token of a) {
+    if (b.has(token)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * 按聚合策略合并 Agent 输出
+ *
+ * - first: 最先完成的成功输出
+ * - all: 每个 Agent 的输出分节列出
+ * - majority: 与其他输出整体最相似的一条（词集合 Jaccard 相似度之和最大）
+ * - concatenate: 直接拼接所有输出
+ *
+ * @param outputs - Agent 输出列表（失败或空输出会被忽略）
+ * @param strategy - 聚合策略
+ * @returns 合并后的文本
+ */
+export function aggregateAgentOutputs(outputs: AgentRunOutput[], strategy: AggregationStrategy): string {
+  const valid = outputs.filter((o) => o.status === "completed" && o.text);
+  if (valid.length === 0) return "";
+
+  switch (strategy) {
+    case "first":
+      return [...valid].sort((a, b) => a.finishedAt - b.finishedAt)[0].text;
+
+    case "majority": {
+      const sets = valid.map((o) => tokenSet(o.text));
+      let bestIndex = 0;
+      let bestScore = -1;
+      sets.forEach((set, i) => {
+        const score = sets.reduce((sum, other, j) => (i === j ? sum : sum + jaccard(set, other)), 0);
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = i;
+        }
+      });
+      return valid[bestIndex].text;
+    }
+
+    case "concatenate":
+      return valid.map((o) => o.text).join("\n\n");
+
+    case "all":
+    default:
+      return valid
+        .map((o) => `## ${o.agentName}${o.round > 1 ? `（第 ${o.round} 轮）` : ""}\n\n${o.text}`)
+        .join("\n\n");
+  }
+}
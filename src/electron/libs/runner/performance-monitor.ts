@@ -1,6 +1,6 @@
 /**
  * 性能监控模块
- * 用于跟踪会话初始化和运行阶段的性能指标
+ * 用于跟踪会话初始化和运行阶段的性能指标，以及每轮对话的首 token 延迟
  */
 
 import { log } from "../../logger.js";
@@ -12,6 +12,9 @@ import { log } from "../../logger.js";
 export class PerformanceMonitor {
   private markers: Map<string, number> = new Map();
   private startTime: number = 0;
+  private turnNumber: number = 0;
+  private turnStartTime: number = 0;
+  private firstTokenRecorded: boolean = false;
 
   /**
    * 开始性能监控
@@ -58,4 +61,41 @@ export class PerformanceMonitor {
     const totalDuration = performance.now() - this.startTime;
     log.info(`[Performance] 🎯 Session initialization completed in ${totalDuration.toFixed(2)}ms`);
   }
+
+  /**
+   * 开始一轮对话
+   * 第一轮包含进程启动开销（冷启动），之后的轮次复用存活的查询进程（热启动）
+   * @param startTime 本轮开始时间（performance.now()），默认为当前时间
+   */
+  startTurn(startTime: number = performance.now()): void {
+    this.turnNumber++;
+    this.turnStartTime = startTime;
+    this.firstTokenRecorded = false;
+  }
+
+  /**
+   * 记录本轮的首 token 延迟，每轮只记录一次
+   * @returns 首 token 延迟（毫秒），本轮已记录或未开始时返回 undefined
+   */
+  recordFirstToken(): number | undefined {
+    if (this.turnNumber === 0 || this.firstTokenRecorded) return undefined;
+    this.firstTokenRecorded = true;
+    const ttft = performance.now() - this.turnStartTime;
+    log.info(`[Performance] ⚡ Turn ${this.turnNumber} (${this.turnKind()}) time to first token: ${ttft.toFixed(2)}ms`);
+    return ttft;
+  }
+
+  /**
+   * 记录本轮的总耗时
+   * @returns 本轮耗时（毫秒）
+   */
+  endTurn(): number {
+    const duration = performance.now() - this.turnStartTime;
+    log.info(`[Performance] 🏁 Turn ${this.turnNumber} (${this.turnKind()}) completed in ${duration.toFixed(2)}ms`);
+    return duration;
+  }
+
+  private turnKind(): 'cold' | 'warm' {
+    return this.turnNumber === 1 ? 'cold' : 'warm';
+  }
 }
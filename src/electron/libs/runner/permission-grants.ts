@@ -0,0 +1,92 @@
+/**
+ * 权限授权模块
+ *
+ * 模块职责：
+ * ---------
+ * 管理用户在权限对话框中选择的"始终允许"授权：
+ * - session: 存放在 Session 对象上，随会话释放
+ * - cwd: 存放在 SessionStore 数据库中，按工作目录生效
+ * - forever: 存放在 permissions-store 中，全局生效
+ *
+ * 授权只匹配同名工具；Bash 授权要求命令完全一致，
+ * 避免 "git status" 的授权被 "git status && rm -rf ." 之类的复合命令复用。
+ * 其他工具的授权限定为触发确认的规则模式，规则没有模式时限定为本次调用的文件路径等参数，
+ * 避免一次授权放行其他 ask 规则拦截的调用。
+ */
+
+import type { PermissionGrant, PermissionRuleMatch, PermissionScope } from "../../types.js";
+import { getMatchSubject, ruleMatches } from "./permission-rules.js";
+
+/** 按工作目录查询授权的函数，由持有 SessionStore 的模块注册 */
+type CwdGrantProvider = (cwd: string) => PermissionGrant[];
+
+let cwdGrantProvider: CwdGrantProvider | null = null;
+
+/**
+ * 注册 cwd 授权查询函数
+ * SessionStore 初始化后调用，使权限处理器无需直接依赖数据库
+ */
+export function setCwdGrantProvider(provider: CwdGrantProvider | null): void {
+  cwdGrantProvider = provider;
+}
+
+/**
+ * 获取指定工作目录下的授权
+ */
+export function getCwdGrants(cwd?: string): PermissionGrant[] {
+  if (!cwd || !cwdGrantProvider) return [];
+  return cwdGrantProvider(cwd);
+}
+
+/**
+ * 根据一次工具调用生成授权
+ *
+ * Bash 授权限定为相同的命令；其他工具授权限定为触发确认的规则模式，
+ * 规则没有模式时限定为本次调用的匹配参数（文件路径、URL 等），
+ * 避免"允许 git status"被放大为"允许任意 Bash 命令"。
+ *
+ * @param scope - 授权范围（不含 once）
+ * @param toolName - 工具名称
+ * @param input - 工具输入
+ * @param context - 授权所属的会话和工作目录
+ * @param rule - 触发确认的权限规则
+ */
+export function createPermissionGrant(
+  scope: Exclude<PermissionScope, "once">,
+  toolName: string,
+  input: unknown,
+  context: { sessionId: string; cwd?: string },
+  rule?: PermissionRuleMatch
+): PermissionGrant {
+  const pattern = toolName === "Bash"
+    ? getMatchSubject(toolName, input)?.value
+    : rule?.pattern?.trim() || getMatchSubject(toolName, input)?.value;
+  return {
+    id: crypto.randomUUID(),
+    scope,
+    tool: toolName,
+    pattern: pattern || undefined,
+    cwd: scope === "cwd" ? context.cwd : undefined,
+    sessionId: scope === "session" ? context.sessionId : undefined,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * 查找命中本次工具调用的授权
+ * Bash 授权要求命令完全一致，其他工具按权限规则的模式语义匹配，没有模式的授权匹配整个工具
+ *
+ * @returns 第一条命中的授权；未命中返回 undefined
+ */
+export function findMatchingGrant(
+  grants: PermissionGrant[],
+  toolName: string,
+  input: unknown
+): PermissionGrant | undefined {
+  return grants.find((grant) => {
+    if (grant.tool !== toolName) return false;
+    if (!grant.pattern) return true;
+    if (toolName === "Bash") return getMatchSubject(toolName, input)?.value === grant.pattern;
+    return ruleMatches({ tool: grant.tool, pattern: grant.pattern, allowed: true }, toolName, input);
+  });
+}
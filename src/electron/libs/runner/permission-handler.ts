@@ -9,8 +9,11 @@
  * 本模块负责处理 SDK 工具使用的权限管理，包括：
  * 1. 删除操作的自动检测和用户确认
  * 2. AskUserQuestion 工具的权限请求处理
- * 3. 记忆工具调用的状态事件发送
- * 4. 权限请求的超时和会话中止处理
+ * 3. 自定义权限规则（PermissionsSection）的 allow / deny / ask 决策
+ *    以及用户"始终允许"授权（会话 / 工作目录 / 永久）的自动放行，
+ *    在 PreToolUse 钩子中执行，对所有工具和所有权限模式生效
+ * 4. 记忆工具调用的状态事件发送
+ * 5. 权限请求的超时和会话中止处理
  *
  * 权限模式：
  * ---------
@@ -23,28 +26,132 @@
  *
  * 安全设计：
  * ---------
- * - 所有删除操作（无论平台）都需要用户确认
+ * - 所有删除操作（无论平台）都需要用户确认，allow 规则不能跳过确认
  * - 权限请求有超时机制，防止内存泄漏
  * - 会话中止时自动清理所有待处理的权限请求
  */
 
-import type { PermissionResult } from "@anthropic-ai/claude-agent-sdk";
+import type { HookCallbackMatcher, HookJSONOutput, PermissionResult } from "@anthropic-ai/claude-agent-sdk";
 import { checkIfDeletionOperation } from "../../../shared/deletion-detection.js";
 import { RUNNER_TIMEOUT } from "../../config/constants.js";
 import type { Session } from "../../storage/session-store.js";
-import type { ServerEvent } from "../../types.js";
+import { getPermissionsConfig } from "../../storage/permissions-store.js";
+import type { PermissionRuleMatch, ServerEvent } from "../../types.js";
+import { describeRule, evaluatePermissionRules } from "./permission-rules.js";
+import { findMatchingGrant, getCwdGrants } from "./permission-grants.js";
+
+/** 发送权限请求到前端的回调函数 */
+type SendPermissionRequest = (toolUseId: string, toolName: string, input: unknown, rule?: PermissionRuleMatch) => void;
+
+/** 需要用户在对话中作答的工具，由 canUseTool 处理 */
+const USER_PROMPT_TOOLS = new Set(["AskUserQuestion", "ExitPlanMode"]);
 
 /**
- * 创建权限请求回调函数
+ * 创建执行自定义权限规则的 PreToolUse 钩子
  *
- * 用途：为 SDK 提供 canUseTool 回调，用于控制工具使用的权限
+ * SDK 只在需要确认时调用 canUseTool：只读工具、settings 已允许的调用，
+ * 以及 acceptEdits / bypassPermissions 模式自动批准的调用都不会经过 canUseTool。
+ * PreToolUse 钩子在所有权限模式下对每次工具调用执行，因此规则和删除确认在此处理。
  *
  * 工作流程：
- * 1. 检测工具是否需要用户确认（删除操作、AskUserQuestion）
- * 2. 如果需要确认，发送权限请求到前端
- * 3. 等待用户响应（通过 pendingPermissions Map）
- * 4. 超时或会话中止时自动拒绝
- * 5. 其他工具自动批准
+ * 1. 评估自定义权限规则，deny 规则直接拒绝
+ * 2. 删除操作或 ask 规则需要用户确认，已授权的 ask 规则调用直接放行
+ * 3. 发送权限请求到前端（附带命中的规则），等待用户响应，超时或会话中止时拒绝
+ * 4. 其他调用不做决定，交由 SDK 按权限模式处理
+ *
+ * @param session - 当前会话对象，用于存储待处理的权限请求
+ * @param sendPermissionRequest - 发送权限请求到前端的回调函数
+ */
+export function createPermissionRuleHook(
+  session: Session,
+  sendPermissionRequest: SendPermissionRequest
+): HookCallbackMatcher {
+  return {
+    // 等待用户响应的时间由 requestUserDecision 控制
+    timeout: Math.ceil(RUNNER_TIMEOUT / 1000) + 5,
+    hooks: [async (input, _toolUseId, { signal }): Promise<HookJSONOutput> => {
+      if (input.hook_event_name !== "PreToolUse") return {};
+      const result = await evaluateToolCall(session, input.tool_name, input.tool_input, signal, sendPermissionRequest);
+      if (!result) return {};
+      if (result.behavior === "deny") {
+        return {
+          decision: "block",
+          reason: result.message,
+          hookSpecificOutput: {
+            hookEventName: "PreToolUse",
+            permissionDecision: "deny",
+            permissionDecisionReason: result.message,
+          },
+        };
+      }
+      return {
+        hookSpecificOutput: {
+          hookEventName: "PreToolUse",
+          permissionDecision: "allow",
+          ...(result.updatedInput ? { updatedInput: result.updatedInput } : {}),
+        },
+      };
+    }],
+  };
+}
+
+/**
+ * 按自定义规则和删除检测评估一次工具调用
+ *
+ * @returns 拒绝或经用户确认 / 授权放行的结果；无需处理时返回 null
+ */
+async function evaluateToolCall(
+  session: Session,
+  toolName: string,
+  input: unknown,
+  signal: AbortSignal,
+  sendPermissionRequest: SendPermissionRequest
+): Promise<PermissionResult | null> {
+  const { log } = await import("../../logger.js");
+
+  // ========== 1. 评估自定义权限规则 ==========
+  // 每次调用都重新读取配置，设置页中的修改即时生效
+  const { customRules, grants: foreverGrants } = await getPermissionsConfig();
+  const matchedRule = evaluatePermissionRules(customRules ?? [], toolName, input);
+
+  if (matchedRule?.action === "deny") {
+    log.info(`[Permission] ${toolName} denied by rule ${describeRule(matchedRule)}`);
+    return { behavior: "deny", message: `Denied by permission rule: ${describeRule(matchedRule)}` };
+  }
+
+  // AskUserQuestion 和计划审阅在 canUseTool 中由用户作答
+  if (USER_PROMPT_TOOLS.has(toolName)) return null;
+
+  // ========== 2. 检测删除操作 ==========
+  // 使用跨平台删除检测模块，识别所有形式的删除命令
+  const isDeletionOperation = checkIfDeletionOperation(toolName, input);
+
+  // 记录所有工具调用（使用 debug 级别减少日志量）
+  log.debug(`[Tool] ${toolName}, isDeletion=${isDeletionOperation}, rule=${matchedRule?.action ?? "none"}`);
+
+  if (!isDeletionOperation && matchedRule?.action !== "ask") return null;
+
+  // ========== 3. 请求用户确认 ==========
+  // 删除操作始终需要用户确认，授权只对 ask 规则生效
+  if (!isDeletionOperation) {
+    const grant = findMatchingGrant(
+      [...session.permissionGrants, ...getCwdGrants(session.cwd), ...(foreverGrants ?? [])],
+      toolName,
+      input
+    );
+    if (grant) {
+      log.debug(`[Permission] ${toolName} allowed by ${grant.scope} grant ${grant.id}`);
+      return { behavior: "allow", updatedInput: input as Record<string, unknown> };
+    }
+  }
+  return requestUserDecision(session, toolName, input, signal, sendPermissionRequest, matchedRule ?? undefined);
+}
+
+/**
+ * 创建权限请求回调函数
+ *
+ * 用途：为 SDK 提供 canUseTool 回调。自定义规则和删除确认已在 PreToolUse 钩子中处理，
+ * 这里只负责需要用户作答的 AskUserQuestion 和计划审阅（ExitPlanMode），其他调用自动批准
  *
  * @param session - 当前会话对象，用于存储待处理的权限请求
  * @param sendPermissionRequest - 发送权限请求到前端的回调函数
@@ -52,69 +159,79 @@ import type { ServerEvent } from "../../types.js";
  */
 export function createPermissionHandler(
   session: Session,
-  sendPermissionRequest: (toolUseId: string, toolName: string, input: unknown) => void
+  sendPermissionRequest: SendPermissionRequest
 ) {
   return async function canUseTool(
     toolName: string,
     input: unknown,
     { signal }: { signal: AbortSignal }
   ): Promise<PermissionResult> {
-    const { log } = await import("../../logger.js");
-
-    // ========== 1. 检测删除操作 ==========
-    // 使用跨平台删除检测模块，识别所有形式的删除命令
-    const isDeletionOperation = checkIfDeletionOperation(toolName, input);
-
-    // 记录所有工具调用（使用 debug 级别减少日志量）
-    log.debug(`[Tool] ${toolName}, isDeletion=${isDeletionOperation}`);
-
-    // ========== 2. 处理需要用户确认的工具 ==========
-    // AskUserQuestion 或删除操作都需要用户响应
-    if (toolName === "AskUserQuestion" || isDeletionOperation) {
-      // 生成唯一的工具使用 ID，用于关联请求和响应
-      const toolUseId = crypto.randomUUID();
-
-      // 发送权限请求到前端，显示确认对话框
-      sendPermissionRequest(toolUseId, toolName, input);
-
-      // ========== 3. 创建等待用户响应的 Promise ==========
-      return new Promise<PermissionResult>((resolve) => {
-        // 添加超时机制，防止 Promise 永不 resolve 导致内存泄漏
-        const timeout = setTimeout(() => {
-          session.pendingPermissions.delete(toolUseId);
-          log.warn(`Permission request timeout for ${toolName}`, { toolUseId, toolName });
-          resolve({ behavior: "deny", message: "Permission request timeout" });
-        }, RUNNER_TIMEOUT);
-
-        // 将待处理的权限请求存储在会话中
-        // 当用户响应时，通过 IPC 调用 resolve 来完成这个 Promise
-        session.pendingPermissions.set(toolUseId, {
-          toolUseId,
-          toolName,
-          input,
-          resolve: (result) => {
-            clearTimeout(timeout);
-            session.pendingPermissions.delete(toolUseId);
-            resolve(result as PermissionResult);
-          }
-        });
-
-        // ========== 4. 处理会话中止 ==========
-        // 当会话被中止时，自动拒绝所有待处理的权限请求
-        signal.addEventListener("abort", () => {
-          clearTimeout(timeout);
-          session.pendingPermissions.delete(toolUseId);
-          resolve({ behavior: "deny", message: "Session aborted" });
-        });
-      });
+    if (USER_PROMPT_TOOLS.has(toolName)) {
+      return requestUserDecision(session, toolName, input, signal, sendPermissionRequest);
     }
-
-    // ========== 5. 自动批准其他工具 ==========
-    // 非危险操作（如读取文件、搜索代码等）自动批准
+    // 非危险操作（如读取文件、搜索代码等）及 allow 规则命中的调用自动批准
     return { behavior: "allow", updatedInput: input as Record<string, unknown> };
   };
 }
 
+/**
+ * 发送权限请求并等待用户响应
+ *
+ * @param session - 当前会话对象，用于存储待处理的权限请求
+ * @param toolName - 工具名称
+ * @param input - 工具输入
+ * @param signal - SDK 提供的中止信号
+ * @param sendPermissionRequest - 发送权限请求到前端的回调函数
+ * @param rule - 可选：触发确认的权限规则
+ */
+async function requestUserDecision(
+  session: Session,
+  toolName: string,
+  input: unknown,
+  signal: AbortSignal,
+  sendPermissionRequest: SendPermissionRequest,
+  rule?: PermissionRuleMatch
+): Promise<PermissionResult> {
+  const { log } = await import("../../logger.js");
+
+  // 生成唯一的工具使用 ID，用于关联请求和响应
+  const toolUseId = crypto.randomUUID();
+
+  // 发送权限请求到前端，显示确认对话框
+  sendPermissionRequest(toolUseId, toolName, input, rule);
+
+  // 创建等待用户响应的 Promise
+  return new Promise<PermissionResult>((resolve) => {
+    // 添加超时机制，防止 Promise 永不 resolve 导致内存泄漏
+    const timeout = setTimeout(() => {
+      session.pendingPermissions.delete(toolUseId);
+      log.warn(`Permission request timeout for ${toolName}`, { toolUseId, toolName });
+      resolve({ behavior: "deny", message: "Permission request timeout" });
+    }, RUNNER_TIMEOUT);
+
+    // 将待处理的权限请求存储在会话中
+    // 当用户响应时，通过 IPC 调用 resolve 来完成这个 Promise
+    session.pendingPermissions.set(toolUseId, {
+      toolUseId,
+      toolName,
+      input,
+      rule,
+      resolve: (result) => {
+        clearTimeout(timeout);
+        session.pendingPermissions.delete(toolUseId);
+        resolve(result as PermissionResult);
+      }
+    });
+
+    // 当会话被中止时，自动拒绝所有待处理的权限请求
+    signal.addEventListener("abort", () => {
+      clearTimeout(timeout);
+      session.pendingPermissions.delete(toolUseId);
+      resolve({ behavior: "deny", message: "Session aborted" });
+    });
+  });
+}
+
 /**
  * 处理工具使用事件
  *
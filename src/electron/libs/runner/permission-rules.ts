@@ -0,0 +1,165 @@
+/**
+ * 权限规则匹配模块
+ *
+ * 模块职责：
+ * ---------
+ * 根据 permissions-store 中保存的 customRules 评估一次工具调用，
+ * 得出 allow / deny / ask 决策以及命中的规则。
+ *
+ * 匹配规则：
+ * ---------
+ * - tool: 工具名称 glob（如 "Bash"、"mcp__*"、"*"）
+ * - pattern: 可选的输入模式
+ *   - Bash: 命令前缀（如 "git push"），可包含 * 通配符；前缀后须为空白或命令结尾，"rm" 不匹配 "rmdir"
+ *   - 文件类工具: 文件路径 glob（如 "src/**\/*.ts"、"/etc/**"），相对模式匹配任意层级
+ *   - 其他工具: 对 url / query / pattern 等主要参数做 glob 匹配
+ *
+ * 优先级：
+ * ---------
+ * 多条规则同时命中时 deny > ask > allow，保证拒绝规则不会被宽泛的允许规则覆盖
+ */
+
+import type { PermissionRule, PermissionRuleAction } from "../../storage/permissions-store.js";
+import type { PermissionRuleMatch } from "../../types.js";
+
+/** 按文件路径匹配的工具 */
+const PATH_TOOLS = new Set(["Read", "Write", "Edit", "MultiEdit", "NotebookEdit", "Glob", "Grep", "LS"]);
+
+/** 其他工具按顺序取第一个字符串参数作为匹配对象 */
+const TEXT_INPUT_KEYS = ["url", "query", "pattern", "prompt", "description"];
+
+const ACTION_PRIORITY: Record<PermissionRuleAction, number> = { deny: 3, ask: 2, allow: 1 };
+
+/**
+ * 获取规则的动作（兼容只有 allowed 字段的旧规则）
+ */
+export function getRuleAction(rule: PermissionRule): PermissionRuleAction {
+  return rule.action ?? (rule.allowed ? "allow" : "deny");
+}
+
+/**
+ * 将 glob 转换为正则表达式
+ *
+ * - `**` 匹配任意字符（含路径分隔符）
+ * - `*` 匹配除 `/` 外的任意字符（pathMode 为 false 时同 `**`）
+ * - `?` 匹配单个字符
+ *
+ * @param glob - glob 模式
+ * @param options.pathMode - 是否按路径语义处理 `*`
+ * @param options.prefix - 是否只要求前缀匹配
+ */
+export function globToRegExp(glob: string, options: { pathMode?: boolean; prefix?: boolean } = {}): RegExp {
+  const { pathMode = false, prefix = false } = options;
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" 可匹配零层目录
+        if (pathMode && glob[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += pathMode ? "[^/]*" : ".*";
+      }
+    } else if (char === "?") {
+      source += pathMode ? "[^/]" : ".";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}${prefix ? "" : "$"}`);
+}
+
+/**
+ * 提取工具调用中用于模式匹配的参数
+ */
+export function getMatchSubject(toolName: string, input: unknown): { kind: "command" | "path" | "text"; value: string } | null {
+  if (typeof input !== "object" || input === null) return null;
+  const record = input as Record<string, unknown>;
+
+  if (toolName === "Bash") {
+    return typeof record.command === "string" ? { kind: "command", value: record.command.trim() } : null;
+  }
+
+  if (PATH_TOOLS.has(toolName)) {
+    const path = record.file_path ?? record.notebook_path ?? record.path;
+    return typeof path === "string" ? { kind: "path", value: path.replace(/\\/g, "/") } : null;
+  }
+
+  for (const key of TEXT_INPUT_KEYS) {
+    if (typeof record[key] === "string") {
+      return { kind: "text", value: record[key] as string };
+    }
+  }
+  return null;
+}
+
+/**
+ * 判断单条规则是否命中本次工具调用
+ */
+export function ruleMatches(rule: PermissionRule, toolName: string, input: unknown): boolean {
+  if (!globToRegExp(rule.tool.trim()).test(toolName)) return false;
+
+  const pattern = rule.pattern?.trim();
+  if (!pattern) return true;
+
+  const subject = getMatchSubject(toolName, input);
+  if (!subject) return false;
+
+  switch (subject.kind) {
+    case "command":
+      return new RegExp(`${globToRegExp(pattern, { prefix: true }).source}(?:\\s|$)`).test(subject.value);
+    case "path": {
+      const normalized = pattern.replace(/\\/g, "/");
+      // 相对模式（非 /、~、盘符开头）匹配任意层级
+      const isAbsolute = /^(\/|~|[a-zA-Z]:\/)/.test(normalized);
+      return globToRegExp(isAbsolute ? normalized : `**/${normalized}`, { pathMode: true }).test(subject.value);
+    }
+    case "text":
+      return globToRegExp(pattern).test(subject.value);
+  }
+}
+
+/**
+ * 评估工具调用命中的权限规则
+ *
+ * @param rules - 自定义规则列表
+ * @param toolName - 工具名称
+ * @param input - 工具输入
+ * @returns 优先级最高的命中规则；未命中返回 null
+ */
+export function evaluatePermissionRules(
+  rules: PermissionRule[],
+  toolName: string,
+  input: unknown
+): PermissionRuleMatch | null {
+  let best: PermissionRuleMatch | null = null;
+
+  for (const rule of rules) {
+    if (!rule?.tool || !ruleMatches(rule, toolName, input)) continue;
+    const action = getRuleAction(rule);
+    if (!best || ACTION_PRIORITY[action] > ACTION_PRIORITY[best.action]) {
+      best = {
+        tool: rule.tool,
+        pattern: rule.pattern,
+        action,
+        description: rule.description,
+      };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * 生成规则的可读描述，用于拒绝消息和日志
+ */
+export function describeRule(rule: PermissionRuleMatch): string {
+  const target = rule.pattern ? `${rule.tool}(${rule.pattern})` : rule.tool;
+  return rule.description ? `${target} - ${rule.description}` : target;
+}
@@ -0,0 +1,94 @@
+/**
+ * 会话提示词队列
+ * 会话运行期间提交的后续提示词按会话排队，当前运行完成后依次发送
+ */
+
+import type { QueuedPrompt } from "../../types.js";
+
+/**
+ * 按会话保存的提示词队列（仅保存在内存中）
+ */
+export class PromptQueueStore {
+  private queues = new Map<string, QueuedPrompt[]>();
+
+  /**
+   * 获取会话的队列（副本）
+   */
+  list(sessionId: string): QueuedPrompt[] {
+    return [...(this.queues.get(sessionId) ?? [])];
+  }
+
+  /**
+   * 追加到队尾
+   */
+  add(sessionId: string, prompt: string): QueuedPrompt {
+    const item: QueuedPrompt = { id: crypto.randomUUID(), prompt, createdAt: Date.now() };
+    this.queues.set(sessionId, [...this.list(sessionId), item]);
+    return item;
+  }
+
+  /**
+   * 修改排队的提示词
+   * @returns 是否找到该项
+   */
+  update(sessionId: string, id: string, prompt: string): boolean {
+    const queue = this.list(sessionId);
+    const index = queue.findIndex((item) => item.id === id);
+    if (index === -1) return false;
+    queue[index] = { ...queue[index], prompt };
+    this.queues.set(sessionId, queue);
+    return true;
+  }
+
+  /**
+   * 从队列移除
+   * @returns 被移除的项
+   */
+  remove(sessionId: string, id: string): QueuedPrompt | undefined {
+    const queue = this.list(sessionId);
+    const index = queue.findIndex((item) => item.id === id);
+    if (index === -1) return undefined;
+    const [removed] = queue.splice(index, 1);
+    this.save(sessionId, queue);
+    return removed;
+  }
+
+  /**
+   * 移动到指定位置（超出范围时移到队首或队尾）
+   * @returns 是否找到该项
+   */
+  move(sessionId: string, id: string, toIndex: number): boolean {
+    const queue = this.list(sessionId);
+    const index = queue.findIndex((item) => item.id === id);
+    if (index === -1) return false;
+    const [item] = queue.splice(index, 1);
+    queue.splice(Math.max(0, Math.min(toIndex, queue.length)), 0, item);
+    this.queues.set(sessionId, queue);
+    return true;
+  }
+
+  /**
+   * 取出队首
+   */
+  shift(sessionId: string): QueuedPrompt | undefined {
+    const queue = this.list(sessionId);
+    const next = queue.shift();
+    this.save(sessionId, queue);
+    return next;
+  }
+
+  /**
+   * 清空会话的队列
+   */
+  clear(sessionId: string): void {
+    this.queues.delete(sessionId);
+  }
+
+  private save(sessionId: string, queue: QueuedPrompt[]): void {
+    if (queue.length === 0) {
+      this.queues.delete(sessionId);
+    } else {
+      this.queues.set(sessionId, queue);
+    }
+  }
+}
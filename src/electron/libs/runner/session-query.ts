@@ -0,0 +1,321 @@
+/**
+ * 会话查询进程
+ * 以 SDK 流式输入模式运行一个查询进程：用户消息按轮次推送到输入流，
+ * 收到 result 消息即为一轮结束。保活的进程在轮次之间保持存活并登记到进程池，
+ * 后续轮次直接复用，空闲超时后关闭
+ */
+
+import type { Query, SDKMessage, SDKResultMessage } from "@anthropic-ai/claude-agent-sdk";
+import type { Session } from "../../storage/session-store.js";
+import type { ApiConfig } from "../../storage/config-store.js";
+import type { ServerEvent, SessionPermissionMode, UsageEntry } from "../../types.js";
+import type { MemoryConfig } from "./types.js";
+import { log } from "../../logger.js";
+import { getRunnerConfig } from "../../storage/runner-store.js";
+import { evictCachedMemoryMcpServer } from "../../managers/sdk-config-cache.js";
+import { UserMessageStream } from "./message-stream.js";
+import { LiveSessionPool, type PooledSession } from "./live-sessions.js";
+import { PerformanceMonitor } from "./performance-monitor.js";
+import { handleToolUseEvent } from "./permission-handler.js";
+import { triggerAutoMemoryAnalysis } from "./memory-manager.js";
+import { recordResultUsage } from "./usage-ledger.js";
+import { formatBudgetExceeded, type BudgetGuard } from "./budget-guard.js";
+
+/**
+ * 一轮对话
+ */
+export type SessionTurn = {
+  /** 用户输入的提示词 */
+  prompt: string;
+  /** 本轮的事件回调 */
+  onEvent: (event: ServerEvent) => void;
+  /** 本轮的预算守卫 */
+  budget: BudgetGuard | null;
+  /** 本轮的请求时间（performance.now()），用于计算首 token 延迟 */
+  requestedAt: number;
+};
+
+/**
+ * 会话查询进程的运行选项
+ */
+export type SessionQueryOptions = {
+  session: Session;
+  config: ApiConfig;
+  memConfig: MemoryConfig & { autoStore: boolean };
+  abortController: AbortController;
+  perfMonitor: PerformanceMonitor;
+  /** 是否在轮次之间保持进程存活 */
+  keepAlive: boolean;
+  /** 启动查询时的权限模式 */
+  permissionMode: SessionPermissionMode;
+  /** 分支会话首次运行的分支点，收到 SDK 会话 ID 后清除 */
+  resumeAt?: string;
+  onSessionUpdate?: (updates: Partial<Session>) => void;
+};
+
+/** 存活的会话查询进程池 */
+export const liveSessions = new LiveSessionPool<SessionQuery>();
+
+/**
+ * 会话查询进程
+ */
+export class SessionQuery implements PooledSession {
+  /** 作为 query() 的 prompt 传入的输入流 */
+  readonly input = new UserMessageStream();
+  /** 进行中和排队的轮次，队首为当前轮次 */
+  private turns: Array<SessionTurn & { messages: SDKMessage[]; interrupted?: boolean }> = [];
+  private query: Query | null = null;
+  private onEvent: (event: ServerEvent) => void = () => {};
+  private resumeAt: string | undefined;
+  private mode: SessionPermissionMode;
+  /** 上一轮 result 消息的累计用量，result 中的用量从进程启动开始累计 */
+  private recordedUsage: UsageEntry[] = [];
+
+  constructor(private options: SessionQueryOptions) {
+    this.resumeAt = options.resumeAt;
+    this.mode = options.permissionMode;
+    options.abortController.signal.addEventListener("abort", () => this.input.close(), { once: true });
+  }
+
+  get sessionId(): string {
+    return this.options.session.id;
+  }
+
+  get config(): ApiConfig {
+    return this.options.config;
+  }
+
+  get apiConfigId(): string {
+    return this.options.config.id;
+  }
+
+  get busy(): boolean {
+    return this.turns.length > 0;
+  }
+
+  /** 当前的权限模式 */
+  get permissionMode(): SessionPermissionMode {
+    return this.mode;
+  }
+
+  /** 启动时是否允许跳过权限检查 */
+  get allowsBypass(): boolean {
+    return this.options.permissionMode === "bypassPermissions";
+  }
+
+  /** 是否还能接收新的轮次 */
+  get accepting(): boolean {
+    return !this.input.isClosed;
+  }
+
+  /**
+   * 推送新一轮的用户消息
+   * @throws 输入流已关闭时抛出错误
+   */
+  enqueue(turn: SessionTurn): void {
+    this.input.push(turn.prompt);
+    this.turns.push({ ...turn, messages: [] });
+    this.onEvent = turn.onEvent;
+    if (this.turns.length === 1) {
+      this.options.perfMonitor.startTurn(turn.requestedAt);
+    }
+    liveSessions.touch(this.sessionId);
+  }
+
+  /**
+   * 中断当前轮次并立即发送新消息
+   * 被中断的轮次结束时不更新会话状态，会话保持运行直到新消息处理完成
+   * @throws 查询尚未启动或输入流已关闭时抛出错误
+   */
+  async interrupt(turn: SessionTurn): Promise<void> {
+    if (!this.query || !this.accepting) {
+      throw new Error("Session query is not running");
+    }
+    const current = this.turns[0];
+    if (current) {
+      current.interrupted = true;
+      await this.query.interrupt();
+    }
+    this.enqueue(turn);
+  }
+
+  /**
+   * 切换权限模式，查询尚未启动或已退出时忽略
+   */
+  async setPermissionMode(mode: SessionPermissionMode): Promise<void> {
+    if (!this.query || !this.accepting || mode === this.mode) return;
+    await this.query.setPermissionMode(mode);
+    this.mode = mode;
+  }
+
+  /**
+   * 关闭查询进程，并释放会话缓存的 Memory MCP 服务器
+   */
+  close(): void {
+    this.options.abortController.abort();
+    evictCachedMemoryMcpServer(this.sessionId);
+  }
+
+  /**
+   * 处理查询的消息流，直到进程退出
+   */
+  async consume(q: Query): Promise<void> {
+    const { session, memConfig, perfMonitor } = this.options;
+    this.query = q;
+    log.debug(`[Runner] Starting message loop for session ${session.id}`);
+    let messageCount = 0;
+
+    try {
+      for await (const message of q) {
+        messageCount++;
+        const turn = this.turns[0];
+        if (messageCount === 1 || messageCount % 10 === 0) {
+          log.debug(`[Runner] Received message ${messageCount} of type: ${message.type}`);
+        }
+
+        // 提取 session_id
+        if (message.type === "system" && message.subtype === "init" && message.session_id) {
+          session.claudeSessionId = message.session_id;
+          // 分支完成后清除分支点，后续运行直接恢复新的 SDK 会话
+          this.options.onSessionUpdate?.(this.resumeAt
+            ? { claudeSessionId: message.session_id, forkResumeAt: undefined }
+            : { claudeSessionId: message.session_id });
+          this.resumeAt = undefined;
+        }
+
+        if (message.type === "stream_event" || message.type === "assistant") {
+          perfMonitor.recordFirstToken();
+        }
+        // 本轮的用户和助手消息，供轮次结束时的自动记忆分析使用
+        if (message.type === "user" || message.type === "assistant") {
+          turn?.messages.push(message);
+        }
+
+        // 处理工具使用事件
+        if (message.type === "assistant") {
+          for (const content of message.message.content) {
+            if (content.type === "tool_use") {
+              await handleToolUseEvent(content.name, content.input, memConfig, session, this.onEvent);
+            }
+          }
+        }
+
+        // 发送消息到前端
+        this.onEvent({ type: "stream.message", payload: { sessionId: session.id, message } });
+
+        // 累计 token 用量，token 预算用尽时关闭进程
+        const tokenBudgetExceeded = message.type === "assistant" ? turn?.budget?.trackAssistantMessage(message) : undefined;
+        if (tokenBudgetExceeded) {
+          log.warn(`[Runner] Token budget exceeded for session ${session.id}, aborting`, tokenBudgetExceeded);
+          this.onEvent({
+            type: "session.status",
+            payload: { sessionId: session.id, status: "error", title: session.title, error: formatBudgetExceeded(tokenBudgetExceeded) }
+          });
+          this.close();
+          return;
+        }
+
+        if (message.type === "result") {
+          this.finishTurn(message);
+        }
+      }
+
+      log.info(`[Runner] Message loop completed for session ${session.id}, total messages: ${messageCount}`);
+      // 进程退出时仍有未结束的轮次：报告错误并丢弃剩余轮次，排队的提示词不会被自动发送
+      if (this.busy && session.status === "running") {
+        log.warn(`[Runner] Query for session ${session.id} exited with ${this.turns.length} unfinished turn(s)`);
+        this.turns = [];
+        this.onEvent({
+          type: "session.status",
+          payload: { sessionId: session.id, status: "error", title: session.title, error: "Query process exited before the turn completed." }
+        });
+      }
+    } catch (error) {
+      const errorName = (error as Error).name;
+      if (errorName === "AbortError") {
+        // 进程被中止或空闲关闭，不视为错误
+        log.info(`[Runner] Query for session ${session.id} closed`);
+        return;
+      }
+      log.error(`[Runner] Error in session ${session.id}:`, {
+        name: errorName,
+        message: (error as Error).message,
+        stack: (error as Error).stack,
+        sessionId: session.id,
+        apiType: this.options.config.apiType,
+      });
+      // 空闲时进程退出只记录日志，不改变会话状态
+      if (this.busy) {
+        this.onEvent({
+          type: "session.status",
+          payload: { sessionId: session.id, status: "error", title: session.title, error: String(error) }
+        });
+      }
+    } finally {
+      this.turns = [];
+      this.input.close();
+      liveSessions.remove(this);
+    }
+  }
+
+  /**
+   * 结束当前轮次：记录用量、更新会话状态，然后开始下一轮或进入空闲
+   */
+  private finishTurn(message: SDKResultMessage): void {
+    const { session, config, memConfig, perfMonitor } = this.options;
+    const turn = this.turns.shift();
+    if (!turn) return;
+
+    this.recordedUsage = recordResultUsage(message, {
+      sessionId: session.id,
+      apiConfigId: config.id,
+      apiConfigName: config.name,
+      model: config.model
+    }, this.recordedUsage);
+
+    // 被“立即发送”中断的轮次只记录用量，会话继续处理新消息
+    if (!turn.interrupted) {
+      const budgetExceeded = turn.budget?.refresh() ?? turn.budget?.costLimit;
+      turn.onEvent({
+        type: "session.status",
+        payload: {
+          sessionId: session.id,
+          status: message.subtype === "success" ? "completed" : "error",
+          title: session.title,
+          ...(message.subtype === "error_max_budget_usd" && budgetExceeded ? { error: formatBudgetExceeded(budgetExceeded) } : {})
+        }
+      });
+
+      // 触发自动记忆分析（异步执行，不阻塞会话完成）
+      if (message.subtype === "success" && memConfig.enabled && memConfig.autoStore) {
+        triggerAutoMemoryAnalysis(session, turn.prompt, memConfig, turn.onEvent, turn.messages).catch((error) => {
+          log.error('[Auto Memory] Background analysis failed:', error);
+        });
+      }
+    }
+
+    perfMonitor.endTurn();
+    if (this.turns.length > 0) {
+      perfMonitor.startTurn();
+    } else {
+      this.onIdle();
+    }
+  }
+
+  /**
+   * 没有待处理的轮次：保活的进程开始空闲计时，否则关闭输入流让进程退出
+   */
+  private onIdle(): void {
+    if (!this.options.keepAlive || liveSessions.get(this.sessionId) !== this) {
+      this.input.close();
+      return;
+    }
+    getRunnerConfig()
+      .then(({ idleTimeoutMinutes }) => {
+        if (!this.busy) liveSessions.markIdle(this.sessionId, idleTimeoutMinutes * 60_000);
+      })
+      .catch((error) => {
+        log.error('[Runner] Failed to schedule idle close:', error);
+      });
+  }
+}
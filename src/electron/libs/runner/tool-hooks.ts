@@ -0,0 +1,209 @@
+/**
+ * 工具钩子模块
+ *
+ * 模块职责：
+ * ---------
+ * 将 hooks.json（HooksSection 设置页）中的 preToolUse / postToolUse 命令
+ * 转换为 SDK 的 PreToolUse / PostToolUse 钩子回调：
+ * - 按 matcher 匹配工具名称，依次执行命中的命令
+ * - 钩子输入（含 tool_input / tool_response）以 JSON 形式写入命令的 stdin
+ * - preToolUse 命令以非零退出码结束时阻止本次工具调用，stderr 作为拒绝原因
+ * - 每次执行都以 hook_execution 消息写入会话记录
+ */
+
+import { spawn } from "child_process";
+import type { HookCallbackMatcher, HookEvent, HookInput, HookJSONOutput } from "@anthropic-ai/claude-agent-sdk";
+import { HOOK_COMMAND_TIMEOUT, HOOK_OUTPUT_LIMIT } from "../../config/constants.js";
+import type { HookEntry, HooksStore } from "../../storage/hooks-store.js";
+import type { Session } from "../../storage/session-store.js";
+import type { HookExecutionMessage, ServerEvent } from "../../types.js";
+import { globToRegExp } from "./permission-rules.js";
+
+/** 钩子命令执行结果 */
+export interface HookCommandResult {
+  /** 退出码；超时、被中止或启动失败时为 null */
+  exitCode: number | null;
+  stdout: string;
+  stderr: string;
+  durationMs: number;
+}
+
+/**
+ * 判断钩子的 matcher 是否命中工具名称
+ * matcher 为空或 "*" 时匹配所有工具，多个 glob 以 "|" 分隔
+ */
+export function hookMatches(matcher: string | undefined, toolName: string): boolean {
+  const patterns = (matcher ?? "").split("|").map((p) => p.trim()).filter(Boolean);
+  if (patterns.length === 0) return true;
+  return patterns.some((pattern) => globToRegExp(pattern).test(toolName));
+}
+
+/**
+ * 执行单个钩子命令
+ *
+ * 命令通过 shell 执行（与终端中配置的脚本行为一致），
+ * input 序列化为 JSON 写入 stdin。超时或 signal 中止时结束子进程。
+ */
+export function runHookCommand(
+  command: string,
+  input: unknown,
+  options: { cwd?: string; signal?: AbortSignal; timeoutMs?: number } = {}
+): Promise<HookCommandResult> {
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    let stdout = "";
+    let stderr = "";
+    let settled = false;
+
+    const finish = (exitCode: number | null, extraError?: string) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      options.signal?.removeEventListener("abort", onAbort);
+      if (extraError) {
+        stderr = stderr ? `${stderr}\n${extraError}` : extraError;
+      }
+      resolve({ exitCode, stdout, stderr, durationMs: Date.now() - startedAt });
+    };
+
+    const child = spawn(command, {
+      cwd: options.cwd,
+      shell: true,
+      env: process.env,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    const timeoutMs = options.timeoutMs ?? HOOK_COMMAND_TIMEOUT;
+    const timeout = setTimeout(() => {
+      child.kill();
+      finish(null, `Hook timed out after ${timeoutMs}ms`);
+    }, timeoutMs);
+
+    const onAbort = () => {
+      child.kill();
+      finish(null, "Hook aborted");
+    };
+    options.signal?.addEventListener("abort", onAbort, { once: true });
+
+    child.stdout?.on("data", (data) => {
+      stdout += data.toString();
+    });
+    child.stderr?.on("data", (data) => {
+      stderr += data.toString();
+    });
+    child.on("error", (error) => finish(null, error.message));
+    child.on("close", (code) => finish(code));
+
+    // 命令可能不读取 stdin，忽略 EPIPE 之类的写入错误
+    child.stdin?.on("error", () => {});
+    child.stdin?.end(JSON.stringify(input));
+  });
+}
+
+/** 截断写入会话记录的钩子输出 */
+function truncateOutput(text: string): string | undefined {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  return trimmed.length > HOOK_OUTPUT_LIMIT ? `${trimmed.slice(0, HOOK_OUTPUT_LIMIT)}…` : trimmed;
+}
+
+/** SDK 钩子超时（秒），需覆盖同一事件下所有命令依次执行的时间 */
+function matcherTimeout(entryCount: number): number {
+  return Math.ceil((HOOK_COMMAND_TIMEOUT * entryCount) / 1000) + 5;
+}
+
+/**
+ * 根据 hooks.json 配置创建 SDK 钩子
+ *
+ * @param config - hooks.json 配置
+ * @param session - 当前会话，用于确定工作目录和事件归属
+ * @param onEvent - 事件回调，钩子执行记录以 stream.message 发送
+ * @returns 可直接传给 SDK query() 的 hooks；没有配置任何钩子时返回 undefined
+ */
+export function createToolHooks(
+  config: HooksStore,
+  session: Session,
+  onEvent: (event: ServerEvent) => void
+): Partial<Record<HookEvent, HookCallbackMatcher[]>> | undefined {
+  const preToolUse = config.preToolUse ?? [];
+  const postToolUse = config.postToolUse ?? [];
+  if (preToolUse.length === 0 && postToolUse.length === 0) return undefined;
+
+  const emit = (message: HookExecutionMessage) => {
+    onEvent({ type: "stream.message", payload: { sessionId: session.id, message } });
+  };
+
+  const execute = async (
+    event: HookExecutionMessage["event"],
+    entry: HookEntry,
+    input: HookInput & { tool_name: string },
+    toolUseId: string | undefined,
+    signal: AbortSignal
+  ): Promise<HookCommandResult> => {
+    const result = await runHookCommand(entry.command, input, { cwd: session.cwd, signal });
+    const blocked = event === "preToolUse" && result.exitCode !== 0;
+    emit({
+      type: "hook_execution",
+      uuid: crypto.randomUUID(),
+      event,
+      hook: entry.hook,
+      command: entry.command,
+      toolName: input.tool_name,
+      toolUseId,
+      exitCode: result.exitCode,
+      durationMs: result.durationMs,
+      blocked,
+      stdout: truncateOutput(result.stdout),
+      stderr: truncateOutput(result.stderr),
+    });
+    return result;
+  };
+
+  const hooks: Partial<Record<HookEvent, HookCallbackMatcher[]>> = {};
+
+  if (preToolUse.length > 0) {
+    hooks.PreToolUse = [{
+      timeout: matcherTimeout(preToolUse.length),
+      hooks: [async (input, toolUseId, { signal }): Promise<HookJSONOutput> => {
+        if (input.hook_event_name !== "PreToolUse") return {};
+
+        for (const entry of preToolUse) {
+          if (!hookMatches(entry.matcher, input.tool_name)) continue;
+
+          const result = await execute("preToolUse", entry, input, toolUseId, signal);
+          if (result.exitCode !== 0) {
+            const reason = result.stderr.trim() || `Blocked by preToolUse hook "${entry.hook}"`;
+            return {
+              decision: "block",
+              reason,
+              hookSpecificOutput: {
+                hookEventName: "PreToolUse",
+                permissionDecision: "deny",
+                permissionDecisionReason: reason,
+              },
+            };
+          }
+        }
+        return {};
+      }],
+    }];
+  }
+
+  if (postToolUse.length > 0) {
+    hooks.PostToolUse = [{
+      timeout: matcherTimeout(postToolUse.length),
+      hooks: [async (input, toolUseId, { signal }): Promise<HookJSONOutput> => {
+        if (input.hook_event_name !== "PostToolUse") return {};
+
+        for (const entry of postToolUse) {
+          if (!hookMatches(entry.matcher, input.tool_name)) continue;
+          await execute("postToolUse", entry, input, toolUseId, signal);
+        }
+        return {};
+      }],
+    }];
+  }
+
+  return hooks;
+}
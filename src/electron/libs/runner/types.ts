@@ -16,18 +16,31 @@ export type RunnerOptions = {
   session: Session;
   /** 可选：恢复的会话 ID */
   resumeSessionId?: string;
+  /** 可选：分支会话首次运行时，从 resumeSessionId 中的此助手消息处分支出新的 SDK 会话 */
+  resumeAt?: string;
   /** 事件回调函数 */
   onEvent: (event: ServerEvent) => void;
   /** 可选：会话更新回调 */
   onSessionUpdate?: (updates: Partial<Session>) => void;
+  /** 可选：追加的系统提示（如 Agent 的系统提示词） */
+  systemPrompt?: string;
+  /** 可选：外部中止信号，触发时中止本次运行 */
+  abortSignal?: AbortSignal;
+  /** 可选：轮次结束后保持查询进程存活，同一会话的后续运行直接复用（默认每次运行结束后退出） */
+  keepAlive?: boolean;
 };
 
 /**
  * Runner 返回的句柄
  */
 export type RunnerHandle = {
-  /** 中止当前运行 */
+  /** 中止当前运行并关闭查询进程 */
   abort: () => void;
+  /**
+   * 可选：中断当前轮次并立即发送新消息（需要查询进程仍在运行）
+   * @returns 是否已发送；返回 false 时调用方应改为重新运行
+   */
+  interrupt?: (prompt: string) => Promise<boolean>;
 };
 
 /**
@@ -42,6 +55,8 @@ export type MemoryConfig = {
   autoStoreCategories: string[];
   /** 默认 K 值（检索数量） */
   defaultK: number;
+  /** 自动存储的重要性阈值（0-100） */
+  importanceThreshold?: number;
 };
 
 /**
@@ -0,0 +1,157 @@
+/**
+ * 用量台账
+ *
+ * Runner 收到 result 消息时，将其中的 token 用量和费用写入台账，
+ * 按会话、ApiConfig.id、模型和日期记录，供设置页统计和导出。
+ * 同一查询进程的 result 消息携带进程启动以来的累计用量，保活进程的每轮只记录与上一轮的差额。
+ * 台账由持有 SessionStore 的模块通过 setUsageRecorder 注册写入函数，
+ * Runner 无需直接依赖数据库。
+ */
+
+import type { SDKResultMessage } from "@anthropic-ai/claude-agent-sdk";
+import type { UsageEntry } from "../../types.js";
+import { log } from "../../logger.js";
+
+/** 写入台账的函数 */
+type UsageRecorder = (entries: UsageEntry[]) => void;
+
+let usageRecorder: UsageRecorder | null = null;
+
+/**
+ * 运行上下文：本次运行所属会话和使用的 API 配置
+ */
+export type UsageContext = {
+  sessionId: string;
+  apiConfigId: string;
+  apiConfigName?: string;
+  /** result 消息没有按模型拆分的用量时使用的模型名称 */
+  model: string;
+};
+
+/**
+ * 注册台账写入函数
+ */
+export function setUsageRecorder(recorder: UsageRecorder | null): void {
+  usageRecorder = recorder;
+}
+
+/**
+ * 格式化为本地日期 YYYY-MM-DD
+ */
+export function formatUsageDate(timestamp: number): string {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 从 result 消息提取台账记录
+ * 优先使用按模型拆分的 modelUsage；没有时以整体用量记为一条
+ */
+export function extractUsageEntries(message: SDKResultMessage, context: UsageContext, now = Date.now()): UsageEntry[] {
+  const base = {
+    sessionId: context.sessionId,
+    apiConfigId: context.apiConfigId,
+    apiConfigName: context.apiConfigName,
+    date: formatUsageDate(now),
+    createdAt: now,
+  };
+
+  const perModel = Object.entries(message.modelUsage ?? {});
+  if (perModel.length > 0) {
+    return perModel.map(([model, usage]) => ({
+      ...base,
+      model,
+      inputTokens: usage.inputTokens ?? 0,
+      outputTokens: usage.outputTokens ?? 0,
+      cacheReadTokens: usage.cacheReadInputTokens ?? 0,
+      cacheCreationTokens: usage.cacheCreationInputTokens ?? 0,
+      costUsd: usage.costUSD ?? 0,
+    }));
+  }
+
+  return [{
+    ...base,
+    model: context.model,
+    inputTokens: message.usage?.input_tokens ?? 0,
+    outputTokens: message.usage?.output_tokens ?? 0,
+    cacheReadTokens: message.usage?.cache_read_input_tokens ?? 0,
+    cacheCreationTokens: message.usage?.cache_creation_input_tokens ?? 0,
+    costUsd: message.total_cost_usd ?? 0,
+  }];
+}
+
+/** 累计的用量字段 */
+const USAGE_FIELDS = ["inputTokens", "outputTokens", "cacheReadTokens", "cacheCreationTokens", "costUsd"] as const;
+
+/**
+ * 计算累计用量与上次累计值的差额（按模型对应）
+ * 上次已有记录、本次没有新增用量的模型不再记录
+ */
+export function diffUsageEntries(totals: UsageEntry[], previous: UsageEntry[]): UsageEntry[] {
+  const before = new Map(previous.map((entry) => [entry.model, entry]));
+  return totals.flatMap((entry) => {
+    const last = before.get(entry.model);
+    if (!last) return [entry];
+
+    const delta = { ...entry };
+    for (const field of USAGE_FIELDS) {
+      delta[field] = Math.max(0, entry[field] - last[field]);
+    }
+    return USAGE_FIELDS.some((field) => delta[field] > 0) ? [delta] : [];
+  });
+}
+
+/**
+ * 记录 result 消息的用量
+ * 写入失败只记录日志，不影响会话运行
+ *
+ * @param previous - 同一查询进程上一轮 result 消息的累计用量，只记录差额
+ * @returns 本条 result 消息的累计用量，供下一轮计算差额
+ */
+export function recordResultUsage(message: SDKResultMessage, context: UsageContext, previous: UsageEntry[] = []): UsageEntry[] {
+  const totals = extractUsageEntries(message, context);
+  if (!usageRecorder) return totals;
+  try {
+    const entries = diffUsageEntries(totals, previous);
+    if (entries.length > 0) usageRecorder(entries);
+  } catch (error) {
+    log.error(`[Usage] Failed to record usage for session ${context.sessionId}`, error);
+  }
+  return totals;
+}
+
+/** CSV 列（与 UsageEntry 字段对应） */
+const CSV_COLUMNS: Array<keyof UsageEntry> = [
+  "date",
+  "sessionId",
+  "apiConfigId",
+  "apiConfigName",
+  "model",
+  "inputTokens",
+  "outputTokens",
+  "cacheReadTokens",
+  "cacheCreationTokens",
+  "costUsd",
+  "createdAt",
+];
+
+/**
+ * 转义 CSV 字段：包含逗号、引号或换行时加引号
+ */
+function escapeCsvField(value: unknown): string {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 将台账记录转换为 CSV
+ */
+export function buildUsageCsv(entries: UsageEntry[]): string {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map((column) => escapeCsvField(entry[column])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -17,11 +17,13 @@ export async function initializeAppServices(): Promise<void> {
   const results = await Promise.allSettled([
     initializeSdkConfigCache(),
     prewarmMcpServers(),
+    startKnowledgeFolders(),
+    startMemorySweepService(),
   ]);
 
   // 记录初始化结果
   results.forEach((result, index) => {
-    const serviceName = ['SDK Config Cache', 'MCP Servers'][index];
+    const serviceName = ['SDK Config Cache', 'MCP Servers', 'Knowledge Folders', 'Memory Sweep'][index];
     if (result.status === 'fulfilled') {
       log.info(`[AppInit] ✓ ${serviceName} initialized`);
     } else {
@@ -61,3 +63,28 @@ async function prewarmMcpServers(): Promise<void> {
     log.warn('[AppInit] MCP config loading failed (non-critical):', error);
   }
 }
+
+/**
+ * 启动知识文件夹监听
+ * 各文件夹首次同步在后台排队执行
+ */
+async function startKnowledgeFolders(): Promise<void> {
+  try {
+    const { startKnowledgeFolderSync } = await import('../utils/knowledge-sync.js');
+    await startKnowledgeFolderSync();
+  } catch (error) {
+    log.warn('[AppInit] Knowledge folder sync failed to start (non-critical):', error);
+  }
+}
+
+/**
+ * 启动记忆定期清理（归档过期记忆）
+ */
+async function startMemorySweepService(): Promise<void> {
+  try {
+    const { startMemorySweep } = await import('../utils/memory-sweep.js');
+    startMemorySweep();
+  } catch (error) {
+    log.warn('[AppInit] Memory sweep failed to start (non-critical):', error);
+  }
+}
@@ -3,8 +3,9 @@
  * 组织和注册所有 IPC 通信处理器
  */
 
-import { ipcMain, dialog, shell } from "electron";
+import { BrowserWindow, ipcMain, dialog, shell, type IpcMainInvokeEvent } from "electron";
 import path from "path";
+import { promises as fs } from "fs";
 import { homedir } from "os";
 import { log } from "../logger.js";
 import { getMainWindow } from "./window-manager.js";
@@ -14,7 +15,11 @@ import { handleClientEvent, sessions } from "../ipc-handlers.js";
 import { generateSessionTitle } from '../utils/util.js';
 import { getCachedApiConfig } from '../managers/sdk-config-cache.js';
 import { testApiConnection } from "../api-tester.js";
-import type { ClientEvent } from "../types.js";
+import { parseSessionBundle } from "../storage/session-import.js";
+import { buildUsageCsv, formatUsageDate } from "../libs/runner/usage-ledger.js";
+import { previewRewind, restoreCheckpoints } from "../libs/runner/file-checkpoints.js";
+import { ipcWebContentsSend } from "../util.js";
+import type { BudgetConfig, ClientEvent, KnowledgeFolder, MemoryBackend, RunnerConfig } from "../types.js";
 
 /**
  * 验证 URL 是否安全
@@ -50,11 +55,17 @@ import {
   saveOutputConfig,
 } from "../storage/output-store.js";
 
+// 导入预算存储函数
+import { getBudgetConfig, saveBudgetConfig } from "../storage/budget-store.js";
+import { getRunnerConfig, saveRunnerConfig } from "../storage/runner-store.js";
+import { restartLiveSessions } from "../libs/runner.js";
+
 // 导入权限存储函数
 import {
   getPermissionsConfig,
   savePermissionRule,
   deletePermissionRule,
+  deletePermissionGrant,
 } from "../storage/permissions-store.js";
 
 // 导入 Hooks 存储函数
@@ -81,16 +92,54 @@ import {
 import {
   getMemoryStats,
   getMemoryTimeline,
-  memorySearch,
   memoryStore,
-  memoryAsk,
+  answerFromMemory,
   getDocument,
   deleteDocument,
+  importMemoryFile,
+  findDocuments,
+  listMemoryDocuments,
+  getMemoryScopes,
+  moveMemoryDocument,
+  approvePendingMemory,
+  mergePendingMemory,
+  findSimilarMemories,
+  putDocument,
+  findDuplicateMemories,
+  mergeMemoryDocuments,
+  setMemoryPinned,
+  archiveMemoryDocument,
+  restoreArchivedMemory,
+  getMemoryBackend,
+  exportMemoryDocuments,
+  importMemoryDocuments,
+  migrateMemoryBackend,
 } from "../utils/memory-tools.js";
+import { getArchivedMemories, removeArchivedMemory } from "../storage/memory-archive-store.js";
+import { runMemorySweep } from "../utils/memory-sweep.js";
+import {
+  getPendingMemories,
+  removePendingMemory,
+  updatePendingMemory,
+} from "../storage/memory-inbox-store.js";
+import { IMPORT_EXTENSIONS } from "../utils/memory-import.js";
 import {
   getMemoryConfig,
   saveMemoryConfig,
 } from "../utils/memory-config.js";
+import {
+  addKnowledgeFolder,
+  getKnowledgeFolders,
+  removeKnowledgeFolder,
+  updateKnowledgeFolder,
+} from "../storage/knowledge-folders-store.js";
+import {
+  getKnowledgeFolderStatuses,
+  purgeKnowledgeFolder,
+  setKnowledgeStatusListener,
+  syncKnowledgeFolder,
+  watchKnowledgeFolder,
+} from "../utils/knowledge-sync.js";
 
 // 导入 Skills 存储函数
 import {
@@ -203,6 +252,12 @@ function registerSessionHandlers(): void {
         return { success };
     }));
 
+    // 会话查询进程的保活配置
+    ipcMain.handle("get-runner-config", () => getRunnerConfig());
+    ipcMain.handle("save-runner-config", wrapIpcHandler("save-runner-config", async (_: unknown, config: Partial<RunnerConfig>) => {
+        return await saveRunnerConfig(config);
+    }));
+
     ipcMain.handle("get-session-history", wrapIpcHandler("get-session-history", async (_: unknown, sessionId: string) => {
         const history = sessions.getSessionHistory(sessionId);
         if (!history) {
@@ -210,6 +265,111 @@ function registerSessionHandlers(): void {
         }
         return { success: true, history };
     }));
+
+    // 会话导出：由渲染进程生成文件内容，主进程负责选择保存位置并写入
+    ipcMain.handle("save-session-export", wrapIpcHandler("save-session-export", async (_: unknown, fileName: string, content: string) => {
+        const mainWindow = getMainWindow();
+        if (!mainWindow) {
+            throw new Error("Main window not available");
+        }
+
+        const extension = path.extname(fileName).slice(1);
+        const result = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: path.join(homedir(), path.basename(fileName)),
+            filters: extension ? [{ name: extension.toUpperCase(), extensions: [extension] }] : []
+        });
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+
+        await fs.writeFile(result.filePath, content, "utf-8");
+        log.info(`[IPC] Session exported to ${result.filePath}`);
+        return { success: true, filePath: result.filePath };
+    }));
+
+    // 会话导入：选择 JSON 导出包，校验后作为只读会话导入
+    ipcMain.handle("import-session-bundle", wrapIpcHandler("import-session-bundle", async () => {
+        const mainWindow = getMainWindow();
+        if (!mainWindow) {
+            throw new Error("Main window not available");
+        }
+
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [{ name: "JSON", extensions: ["json"] }]
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+
+        const bundle = parseSessionBundle(JSON.parse(await fs.readFile(result.filePaths[0], "utf-8")));
+        const session = sessions.importSession(bundle);
+        log.info(`[IPC] Session imported from ${result.filePaths[0]}`, { sessionId: session.id, skipped: bundle.skipped });
+
+        handleClientEvent({ type: "session.list" });
+        return { success: true, sessionId: session.id, skipped: bundle.skipped };
+    }));
+
+    // 文件回退：预览从指定用户提示词开始（含）各轮次修改过的文件
+    ipcMain.handle("get-rewind-preview", wrapIpcHandler("get-rewind-preview", async (_: unknown, sessionId: string, messageIndex: number) => {
+        const checkpoints = sessions.listFileCheckpoints(sessionId, messageIndex);
+        if (!checkpoints) {
+            return { success: false, files: [], error: "Message is not a user prompt" };
+        }
+        return { success: true, files: await previewRewind(checkpoints) };
+    }));
+
+    // 文件回退：恢复这些文件到该轮修改前的状态，运行中的会话不允许回退
+    ipcMain.handle("rewind-session-files", wrapIpcHandler("rewind-session-files", async (_: unknown, sessionId: string, messageIndex: number) => {
+        const session = sessions.getSession(sessionId);
+        if (!session) {
+            return { success: false, restored: [], error: "Session not found" };
+        }
+        if (session.status === "running") {
+            return { success: false, restored: [], error: "Session is running" };
+        }
+        const checkpoints = sessions.listFileCheckpoints(sessionId, messageIndex);
+        if (!checkpoints) {
+            return { success: false, restored: [], error: "Message is not a user prompt" };
+        }
+        const restored = await restoreCheckpoints(checkpoints);
+        sessions.deleteFileCheckpoints(sessionId, messageIndex);
+        log.info(`[IPC] Rewound ${restored.length} file(s) for session ${sessionId}`, { messageIndex });
+        return { success: true, restored };
+    }));
+
+    // 用量统计：最近 days 天（含今天）
+    ipcMain.handle("get-usage-summary", wrapIpcHandler("get-usage-summary", async (_: unknown, days: number) => {
+        return sessions.getUsageSummary(getUsageSinceDate(days));
+    }));
+
+    // 用量导出：将最近 days 天的台账记录保存为 CSV
+    ipcMain.handle("export-usage-csv", wrapIpcHandler("export-usage-csv", async (_: unknown, days: number) => {
+        const mainWindow = getMainWindow();
+        if (!mainWindow) {
+            throw new Error("Main window not available");
+        }
+
+        const result = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: path.join(homedir(), "usage.csv"),
+            filters: [{ name: "CSV", extensions: ["csv"] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+
+        await fs.writeFile(result.filePath, buildUsageCsv(sessions.listUsageEntries(getUsageSinceDate(days))), "utf-8");
+        log.info(`[IPC] Usage exported to ${result.filePath}`);
+        return { success: true, filePath: result.filePath };
+    }));
+}
+
+/**
+ * 计算最近 days 天（含今天）的起始日期
+ */
+function getUsageSinceDate(days: number): string {
+    const span = Number.isFinite(days) && days > 0 ? Math.floor(days) : 30;
+    return formatUsageDate(Date.now() - (span - 1) * 24 * 60 * 60 * 1000);
 }
 
 // ==================== 配置处理器 ====================
@@ -361,6 +521,21 @@ function registerOutputHandlers(): void {
     }));
 }
 
+// ==================== 预算处理器 ====================
+
+/**
+ * 注册预算相关 IPC 处理器
+ */
+function registerBudgetHandlers(): void {
+    ipcMain.handle("get-budget-config", () => getBudgetConfig());
+    ipcMain.handle("save-budget-config", wrapIpcHandler("save-budget-config", async (_: unknown, config: Partial<BudgetConfig>) => {
+        const result = await saveBudgetConfig(config);
+        // 存活的查询进程在启动时确定了费用上限，需要按新预算重新启动
+        if (result.success) restartLiveSessions();
+        return result;
+    }));
+}
+
 // ==================== 权限处理器 ====================
 
 /**
@@ -371,8 +546,21 @@ function registerPermissionsHandlers(): void {
     ipcMain.handle("save-permission-rule", wrapIpcHandler("save-permission-rule", async (_: unknown, rule: any) => {
         return await savePermissionRule(rule);
     }));
-    ipcMain.handle("delete-permission-rule", wrapIpcHandler("delete-permission-rule", async (_: unknown, toolName: string) => {
-        return await deletePermissionRule(toolName);
+    ipcMain.handle("delete-permission-rule", wrapIpcHandler("delete-permission-rule", async (_: unknown, toolName: string, pattern?: string) => {
+        return await deletePermissionRule(toolName, pattern);
+    }));
+    // 权限对话框中产生的授权：会话（内存）、工作目录（数据库）、永久（permissions.json）
+    ipcMain.handle("get-permission-grants", async () => {
+        const { grants = [] } = await getPermissionsConfig();
+        return [...sessions.listSessionGrants(), ...sessions.listCwdGrants(), ...grants]
+            .sort((a, b) => b.createdAt - a.createdAt);
+    });
+    ipcMain.handle("revoke-permission-grant", wrapIpcHandler("revoke-permission-grant", async (_: unknown, grantId: string, scope: string) => {
+        if (scope === "forever") {
+            return await deletePermissionGrant(grantId);
+        }
+        const success = sessions.revokeGrant(grantId);
+        return success ? { success } : { success, error: "授权不存在" };
     }));
 }
 
@@ -383,11 +571,16 @@ function registerPermissionsHandlers(): void {
  */
 function registerHooksHandlers(): void {
     ipcMain.handle("get-hooks-config", () => getHooksConfig());
+    // 钩子在查询进程启动时加载，修改后重新启动存活的进程
     ipcMain.handle("save-hook", wrapIpcHandler("save-hook", async (_: unknown, config: any) => {
-        return await saveHook(config);
+        const result = await saveHook(config);
+        restartLiveSessions();
+        return result;
     }));
     ipcMain.handle("delete-hook", wrapIpcHandler("delete-hook", async (_: unknown, hookType: string, hookName: string) => {
-        return await deleteHook(hookType, hookName);
+        const result = await deleteHook(hookType, hookName);
+        restartLiveSessions();
+        return result;
     }));
 }
 
@@ -463,21 +656,18 @@ function registerMemoryHandlers(): void {
     ipcMain.handle("memory-get-stats", () => getMemoryStats());
     ipcMain.handle("memory-get-timeline", (_: unknown, options: any) => getMemoryTimeline(options));
 
+    // 存储记忆文档，返回结果中带有近似重复的已有记忆
     ipcMain.handle("memory-put-document", wrapIpcHandler("memory-put-document", async (_: unknown, doc: any) => {
-        await memoryStore(doc.content, doc.metadata || {});
-        return { success: true };
+        return await putDocument(doc);
     }));
 
-    ipcMain.handle("memory-find-documents", wrapIpcHandler("memory-find-documents", async (_: unknown, query: string, options: any = {}) => {
-        const k = options.k || 6;
-        const results = await memorySearch(query, k);
-        return { success: true, documents: results };
+    ipcMain.handle("memory-find-documents", wrapIpcHandler("memory-find-documents", async (_: unknown, query: string, options: { mode?: 'lex' | 'sem' | 'auto'; k?: number; scopes?: string[] } = {}) => {
+        return await findDocuments(query, options);
     }));
 
-    ipcMain.handle("memory-ask-question", wrapIpcHandler("memory-ask-question", async (_: unknown, question: string, options: any = {}) => {
-        const k = options.k || 6;
-        const answer = await memoryAsk(question, k);
-        return { success: true, answer };
+    // 记忆问答：由模型根据检索到的记忆生成回答，附带引用的记忆
+    ipcMain.handle("memory-ask-question", wrapIpcHandler("memory-ask-question", async (_: unknown, question: string, options: { k?: number; strict?: boolean } = {}) => {
+        return await answerFromMemory(question, { k: options.k, strict: options.strict });
     }));
 
     ipcMain.handle("memory-clear", wrapIpcHandler("memory-clear", async () => {
@@ -506,9 +696,224 @@ function registerMemoryHandlers(): void {
         return getDocument(docId);
     });
 
-    // 导入文件到记忆 (占位实现)
-    ipcMain.handle("memory-import-file", wrapIpcHandler("memory-import-file", async (_: unknown, _filePath: string) => {
-        return { success: false, error: "File import not implemented yet" };
+    // 导入文件到记忆：未传入路径时弹出文件选择框，导入进度通过 memory-import-progress 推送
+    ipcMain.handle("memory-import-file", wrapIpcHandler("memory-import-file", async (event: IpcMainInvokeEvent, filePath?: string) => {
+        if (!filePath) {
+            const mainWindow = getMainWindow();
+            if (!mainWindow) {
+                throw new Error("Main window not available");
+            }
+
+            const result = await dialog.showOpenDialog(mainWindow, {
+                properties: ['openFile'],
+                filters: [{ name: "Documents", extensions: Object.keys(IMPORT_EXTENSIONS).map(ext => ext.slice(1)) }]
+            });
+            if (result.canceled || result.filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+            filePath = result.filePaths[0];
+        }
+
+        return await importMemoryFile(filePath, (progress) => {
+            if (!event.sender.isDestroyed()) {
+                ipcWebContentsSend("memory-import-progress", event.sender, progress);
+            }
+        });
+    }));
+
+    // 按作用域列出记忆文档
+    ipcMain.handle("memory-list-documents", wrapIpcHandler("memory-list-documents", async (_: unknown, options?: { scopes?: string[]; limit?: number }) => {
+        return await listMemoryDocuments(options);
+    }));
+
+    // 获取各作用域的文档数
+    ipcMain.handle("memory-get-scopes", wrapIpcHandler("memory-get-scopes", async () => {
+        return await getMemoryScopes();
+    }));
+
+    // 将记忆文档移动到另一个作用域
+    ipcMain.handle("memory-move-document", wrapIpcHandler("memory-move-document", async (_: unknown, docId: string, scope: string) => {
+        return await moveMemoryDocument(docId, scope);
+    }));
+
+    // 查找近似重复的记忆簇
+    ipcMain.handle("memory-find-duplicates", wrapIpcHandler("memory-find-duplicates", async () => {
+        return await findDuplicateMemories();
+    }));
+
+    // 合并重复记忆
+    ipcMain.handle("memory-merge-documents", wrapIpcHandler("memory-merge-documents", async (_: unknown, ids: string[]) => {
+        return await mergeMemoryDocuments(ids);
+    }));
+
+    // ========== 记忆生命周期：置顶、归档和恢复 ==========
+    ipcMain.handle("memory-set-pinned", wrapIpcHandler("memory-set-pinned", async (_: unknown, id: string, pinned: boolean) => {
+        return await setMemoryPinned(id, pinned);
+    }));
+
+    ipcMain.handle("memory-archive-document", wrapIpcHandler("memory-archive-document", async (_: unknown, id: string) => {
+        return await archiveMemoryDocument(id, 'manual');
+    }));
+
+    ipcMain.handle("memory-archive-list", wrapIpcHandler("memory-archive-list", async () => {
+        return await getArchivedMemories();
+    }));
+
+    ipcMain.handle("memory-archive-restore", wrapIpcHandler("memory-archive-restore", async (_: unknown, id: string) => {
+        return await restoreArchivedMemory(id);
+    }));
+
+    ipcMain.handle("memory-archive-delete", wrapIpcHandler("memory-archive-delete", async (_: unknown, id: string) => {
+        return await removeArchivedMemory(id);
+    }));
+
+    // 立即归档过期记忆（平时由主进程定期执行）
+    ipcMain.handle("memory-sweep-expired", wrapIpcHandler("memory-sweep-expired", async () => {
+        return await runMemorySweep();
+    }));
+
+    // ========== 记忆导出、导入和存储后端迁移 ==========
+    ipcMain.handle("memory-get-backend", wrapIpcHandler("memory-get-backend", async () => {
+        return await getMemoryBackend();
+    }));
+
+    // 导出所有记忆为 JSONL，主进程选择保存位置并写入
+    ipcMain.handle("memory-export-jsonl", wrapIpcHandler("memory-export-jsonl", async () => {
+        const mainWindow = getMainWindow();
+        if (!mainWindow) {
+            throw new Error("Main window not available");
+        }
+
+        const exported = await exportMemoryDocuments();
+        if (!exported.success || exported.content === undefined) {
+            return { success: false, error: exported.error };
+        }
+
+        const result = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: path.join(homedir(), `memory-${new Date().toISOString().slice(0, 10)}.jsonl`),
+            filters: [{ name: "JSONL", extensions: ["jsonl"] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+
+        await fs.writeFile(result.filePath, exported.content, "utf-8");
+        log.info(`[IPC] Memory exported to ${result.filePath}`, { count: exported.count });
+        return { success: true, filePath: result.filePath, count: exported.count };
+    }));
+
+    // 从 JSONL 导入记忆：校验每一行，按内容哈希跳过已有的记忆
+    ipcMain.handle("memory-import-jsonl", wrapIpcHandler("memory-import-jsonl", async () => {
+        const mainWindow = getMainWindow();
+        if (!mainWindow) {
+            throw new Error("Main window not available");
+        }
+
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [{ name: "JSONL", extensions: ["jsonl"] }]
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+
+        return await importMemoryDocuments(await fs.readFile(result.filePaths[0], "utf-8"));
+    }));
+
+    ipcMain.handle("memory-migrate-backend", wrapIpcHandler("memory-migrate-backend", async (_: unknown, target: MemoryBackend) => {
+        return await migrateMemoryBackend(target);
+    }));
+
+    // ========== 记忆收件箱：自动生成的记忆批准后才写入长期记忆 ==========
+    ipcMain.handle("memory-inbox-list", wrapIpcHandler("memory-inbox-list", async () => {
+        return await getPendingMemories();
+    }));
+
+    ipcMain.handle("memory-inbox-update", wrapIpcHandler("memory-inbox-update", async (_: unknown, id: string, updates: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) => {
+        return await updatePendingMemory(id, updates);
+    }));
+
+    ipcMain.handle("memory-inbox-approve", wrapIpcHandler("memory-inbox-approve", async (_: unknown, id: string, edits?: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) => {
+        return await approvePendingMemory(id, edits);
+    }));
+
+    ipcMain.handle("memory-inbox-merge", wrapIpcHandler("memory-inbox-merge", async (_: unknown, id: string, targetId: string) => {
+        return await mergePendingMemory(id, targetId);
+    }));
+
+    ipcMain.handle("memory-inbox-discard", wrapIpcHandler("memory-inbox-discard", async (_: unknown, id: string) => {
+        return await removePendingMemory(id);
+    }));
+
+    ipcMain.handle("memory-inbox-similar", wrapIpcHandler("memory-inbox-similar", async (_: unknown, id: string) => {
+        return await findSimilarMemories(id);
+    }));
+}
+
+// ==================== 知识文件夹处理器 ====================
+
+/**
+ * 注册知识文件夹相关 IPC 处理器
+ * 同步状态变化通过 knowledge-folder-status 推送给所有窗口
+ */
+function registerKnowledgeFolderHandlers(): void {
+    setKnowledgeStatusListener((status) => {
+        for (const win of BrowserWindow.getAllWindows()) {
+            ipcWebContentsSend("knowledge-folder-status", win.webContents, status);
+        }
+    });
+
+    ipcMain.handle("knowledge-folders-list", wrapIpcHandler("knowledge-folders-list", async () => {
+        return { folders: await getKnowledgeFolders(), statuses: getKnowledgeFolderStatuses() };
+    }));
+
+    // 添加文件夹：未传入路径时弹出目录选择框
+    ipcMain.handle("knowledge-folder-add", wrapIpcHandler("knowledge-folder-add", async (_: unknown, input: { path?: string; include?: string[]; exclude?: string[] } = {}) => {
+        let folderPath = input.path;
+        if (!folderPath) {
+            const mainWindow = getMainWindow();
+            if (!mainWindow) {
+                throw new Error("Main window not available");
+            }
+
+            const result = await dialog.showOpenDialog(mainWindow, {
+                properties: ['openDirectory']
+            });
+            if (result.canceled || result.filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+            folderPath = result.filePaths[0];
+        }
+
+        const result = await addKnowledgeFolder({ ...input, path: folderPath });
+        if (result.success && result.folder) {
+            watchKnowledgeFolder(result.folder);
+        }
+        return result;
+    }));
+
+    // 更新过滤规则或启用状态后重新监听并同步
+    ipcMain.handle("knowledge-folder-update", wrapIpcHandler("knowledge-folder-update", async (_: unknown, id: string, updates: Partial<Pick<KnowledgeFolder, "include" | "exclude" | "enabled">>) => {
+        const result = await updateKnowledgeFolder(id, updates);
+        if (result.success && result.folder) {
+            watchKnowledgeFolder(result.folder);
+        }
+        return result;
+    }));
+
+    // 移除文件夹，同时从记忆中删除该文件夹同步过的文件
+    ipcMain.handle("knowledge-folder-remove", wrapIpcHandler("knowledge-folder-remove", async (_: unknown, id: string) => {
+        const folder = (await getKnowledgeFolders()).find(item => item.id === id);
+        if (!folder) {
+            return { success: false, error: "文件夹不存在" };
+        }
+        await purgeKnowledgeFolder(folder);
+        return await removeKnowledgeFolder(id);
+    }));
+
+    ipcMain.handle("knowledge-folder-sync", wrapIpcHandler("knowledge-folder-sync", async (_: unknown, id: string) => {
+        await syncKnowledgeFolder(id);
+        return { success: true };
     }));
 }
 
@@ -645,10 +1050,12 @@ export function registerIpcHandlers(): void {
     registerLoggingHandlers();
     registerRulesAndConfigHandlers();
     registerOutputHandlers();
+    registerBudgetHandlers();
     registerPermissionsHandlers();
     registerHooksHandlers();
     registerAgentsHandlers();
     registerMemoryHandlers();
+    registerKnowledgeFolderHandlers();
     registerSkillsHandlers();
     registerMcpHandlers();
 
@@ -39,6 +39,22 @@ export async function cleanup(): Promise<void> {
         log.warn('[cleanup] Error destroying SDK config cache:', err);
     }
 
+    // 停止知识文件夹监听
+    try {
+        const { stopKnowledgeFolderSync } = await import("../utils/knowledge-sync.js");
+        stopKnowledgeFolderSync();
+    } catch (err) {
+        log.warn('[cleanup] Error stopping knowledge folder sync:', err);
+    }
+
+    // 停止记忆定期清理
+    try {
+        const { stopMemorySweep } = await import("../utils/memory-sweep.js");
+        stopMemorySweep();
+    } catch (err) {
+        log.warn('[cleanup] Error stopping memory sweep:', err);
+    }
+
     globalShortcut.unregisterAll();
     stopPolling();
     cleanupAllSessions();
@@ -23,8 +23,8 @@ export interface CachedConfig {
   sdkNative: SdkNativeConfig;
   /** MCP 服务器配置 */
   mcpServers: Record<string, McpServerConfig>;
-  /** Memory MCP 服务器（缓存，避免每次重新创建）*/
-  memoryMcpServer?: any;
+  /** Memory MCP 服务器（按会话缓存，避免每次运行重新创建）*/
+  memoryMcpServers?: Record<string, any>;
   /** API 配置 */
   apiConfig: ApiConfig | null;
   /** 缓存时间戳 */
@@ -387,13 +387,14 @@ class SdkConfigCacheManager {
 
   /**
    * 获取或创建 Memory MCP 服务器（带缓存）
+   * 服务器绑定会话的项目作用域和会话 ID（待审核记忆需要记录来源会话）
    */
-  async getMemoryMcpServer(): Promise<any> {
+  async getMemoryMcpServer(session: { id: string; cwd?: string }): Promise<any> {
     const config = await this.getConfig();
 
     // 如果已经缓存，直接返回
-    if (config.memoryMcpServer) {
-      return config.memoryMcpServer;
+    if (config.memoryMcpServers?.[session.id]) {
+      return config.memoryMcpServers[session.id];
     }
 
     // 检查记忆功能是否启用
@@ -407,13 +408,13 @@ class SdkConfigCacheManager {
     // 创建 Memory MCP 服务器并缓存
     try {
       const { createMemoryMcpServer } = await import('../utils/memory-mcp-server.js');
-      const memoryServer = await createMemoryMcpServer();
+      const memoryServer = await createMemoryMcpServer({ cwd: session.cwd, sessionId: session.id });
 
       // 更新缓存
-      this.cache!.memoryMcpServer = memoryServer;
+      this.cache!.memoryMcpServers = { ...this.cache!.memoryMcpServers, [session.id]: memoryServer };
       this.cache!.timestamp = Date.now();
 
-      log.info('[Config Cache] Memory MCP server created and cached');
+      log.info(`[Config Cache] Memory MCP server created and cached for session: ${session.id}`);
       return memoryServer;
     } catch (error) {
       log.error('[Config Cache] Failed to create Memory MCP server:', error);
@@ -421,6 +422,16 @@ class SdkConfigCacheManager {
     }
   }
 
+  /**
+   * 移除会话的 Memory MCP 服务器缓存
+   * 会话的查询进程关闭或会话被删除时调用，下次运行时重新创建
+   */
+  evictMemoryMcpServer(sessionId: string): void {
+    if (!this.cache?.memoryMcpServers?.[sessionId]) return;
+    delete this.cache.memoryMcpServers[sessionId];
+    log.info(`[Config Cache] Memory MCP server evicted for session: ${sessionId}`);
+  }
+
   /**
    * 添加配置变更监听器
    */
@@ -551,11 +562,18 @@ export async function getCachedApiConfig(): Promise<ApiConfig | null> {
 
 /**
  * 获取缓存的 Memory MCP 服务器
- * 只创建一次并缓存，避免每次会话重新创建
+ * 每个会话只创建一次并缓存，避免每次运行重新创建
  */
-export async function getCachedMemoryMcpServer(): Promise<any> {
+export async function getCachedMemoryMcpServer(session: { id: string; cwd?: string }): Promise<any> {
   const manager = getConfigCacheManager();
-  return await manager.getMemoryMcpServer();
+  return await manager.getMemoryMcpServer(session);
+}
+
+/**
+ * 移除会话缓存的 Memory MCP 服务器
+ */
+export function evictCachedMemoryMcpServer(sessionId: string): void {
+  configCacheInstance?.evictMemoryMcpServer(sessionId);
 }
 
 /**
@@ -144,35 +144,62 @@ electron.contextBridge.exposeInMainWorld("electron", {
     // Hooks 操作
     getHooksConfig: () =>
         ipcInvoke("get-hooks-config"),
-    saveHook: (config: { type: string; hook: string; command: string; description?: string }) =>
+    saveHook: (config: { type: string; hook: string; matcher?: string; command: string; description?: string }) =>
         ipcInvoke("save-hook", config),
     deleteHook: (hookType: string, hookName: string) =>
         ipcInvoke("delete-hook", hookType, hookName),
     // Permissions 操作
     getPermissionsConfig: () =>
         ipcInvoke("get-permissions-config"),
-    savePermissionRule: (rule: { tool: string; allowed: boolean; description?: string }) =>
+    savePermissionRule: (rule: { tool: string; allowed: boolean; action?: "allow" | "deny" | "ask"; pattern?: string; description?: string }) =>
         ipcInvoke("save-permission-rule", rule),
-    deletePermissionRule: (toolName: string) =>
-        ipcInvoke("delete-permission-rule", toolName),
+    deletePermissionRule: (toolName: string, pattern?: string) =>
+        ipcInvoke("delete-permission-rule", toolName, pattern),
+    getPermissionGrants: () =>
+        ipcInvoke("get-permission-grants"),
+    revokePermissionGrant: (grantId: string, scope: "session" | "cwd" | "forever") =>
+        ipcInvoke("revoke-permission-grant", grantId, scope),
     // Output 操作
     getOutputConfig: () =>
         ipcInvoke("get-output-config"),
     saveOutputConfig: (config: any) =>
         ipcInvoke("save-output-config", config),
+    // 预算配置
+    getBudgetConfig: () =>
+        ipcInvoke("get-budget-config"),
+    saveBudgetConfig: (config: any) =>
+        ipcInvoke("save-budget-config", config),
     // Session Recovery 操作
     getSessionsList: () =>
         ipcInvoke("get-sessions-list"),
+    getRunnerConfig: () =>
+        ipcInvoke("get-runner-config"),
+    saveRunnerConfig: (config: any) =>
+        ipcInvoke("save-runner-config", config),
     getSessionHistory: (sessionId: string) =>
         ipcInvoke("get-session-history", sessionId),
     recoverSession: (sessionId: string) =>
         ipcInvoke("recover-session", sessionId),
     deleteSession: (sessionId: string) =>
         ipcInvoke("delete-session", sessionId),
+    saveSessionExport: (fileName: string, content: string) =>
+        ipcInvoke("save-session-export", fileName, content),
+    importSessionBundle: () =>
+        ipcInvoke("import-session-bundle"),
+    // 文件回退
+    getRewindPreview: (sessionId: string, messageIndex: number) =>
+        ipcInvoke("get-rewind-preview", sessionId, messageIndex),
+    rewindSessionFiles: (sessionId: string, messageIndex: number) =>
+        ipcInvoke("rewind-session-files", sessionId, messageIndex),
+    // 用量统计
+    getUsageSummary: (days: number) =>
+        ipcInvoke("get-usage-summary", days),
+    exportUsageCsv: (days: number) =>
+        ipcInvoke("export-usage-csv", days),
     // Memory 配置操作
     memoryGetConfig: () =>
         ipcInvoke("memory-get-config"),
-    memorySetConfig: (config: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number }) =>
+    memorySetConfig: (config: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number; importanceThreshold?: number; reviewBypassLabels?: string[]; labelTtlDays?: Record<string, number>; strictAnswers?: boolean }) =>
         ipcInvoke("memory-set-config", config),
     // Memory 数据操作
     memoryGetStats: () =>
@@ -183,7 +210,7 @@ electron.contextBridge.exposeInMainWorld("electron", {
         ipcInvoke("memory-put-document", input),
     memoryFindDocuments: (query: string, options?: any) =>
         ipcInvoke("memory-find-documents", query, options),
-    memoryAskQuestion: (question: string, options?: any) =>
+    memoryAskQuestion: (question: string, options?: { k?: number; strict?: boolean }) =>
         ipcInvoke("memory-ask-question", question, options),
     memoryGetDocument: (id: string) =>
         ipcInvoke("memory-get-document", id),
@@ -193,8 +220,64 @@ electron.contextBridge.exposeInMainWorld("electron", {
         ipcInvoke("memory-delete-document", id),
     memoryClear: () =>
         ipcInvoke("memory-clear"),
-    memoryImportFile: (filePath: string) =>
+    memoryImportFile: (filePath?: string) =>
         ipcInvoke("memory-import-file", filePath),
+    onMemoryImportProgress: (callback: (progress: EventPayloadMapping["memory-import-progress"]) => void) =>
+        ipcOn("memory-import-progress", callback),
+    memoryListDocuments: (options?: { scopes?: string[]; limit?: number }) =>
+        ipcInvoke("memory-list-documents", options),
+    memoryGetScopes: () =>
+        ipcInvoke("memory-get-scopes"),
+    memoryMoveDocument: (id: string, scope: string) =>
+        ipcInvoke("memory-move-document", id, scope),
+    memoryFindDuplicates: () =>
+        ipcInvoke("memory-find-duplicates"),
+    memoryMergeDocuments: (ids: string[]) =>
+        ipcInvoke("memory-merge-documents", ids),
+    memorySetPinned: (id: string, pinned: boolean) =>
+        ipcInvoke("memory-set-pinned", id, pinned),
+    memoryArchiveDocument: (id: string) =>
+        ipcInvoke("memory-archive-document", id),
+    memoryArchiveList: () =>
+        ipcInvoke("memory-archive-list"),
+    memoryArchiveRestore: (id: string) =>
+        ipcInvoke("memory-archive-restore", id),
+    memoryArchiveDelete: (id: string) =>
+        ipcInvoke("memory-archive-delete", id),
+    memorySweepExpired: () =>
+        ipcInvoke("memory-sweep-expired"),
+    memoryGetBackend: () =>
+        ipcInvoke("memory-get-backend"),
+    memoryExportJsonl: () =>
+        ipcInvoke("memory-export-jsonl"),
+    memoryImportJsonl: () =>
+        ipcInvoke("memory-import-jsonl"),
+    memoryMigrateBackend: (target: "memvid" | "filesystem") =>
+        ipcInvoke("memory-migrate-backend", target),
+    memoryInboxList: () =>
+        ipcInvoke("memory-inbox-list"),
+    memoryInboxUpdate: (id: string, updates: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) =>
+        ipcInvoke("memory-inbox-update", id, updates),
+    memoryInboxApprove: (id: string, edits?: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) =>
+        ipcInvoke("memory-inbox-approve", id, edits),
+    memoryInboxMerge: (id: string, targetId: string) =>
+        ipcInvoke("memory-inbox-merge", id, targetId),
+    memoryInboxDiscard: (id: string) =>
+        ipcInvoke("memory-inbox-discard", id),
+    memoryInboxSimilar: (id: string) =>
+        ipcInvoke("memory-inbox-similar", id),
+    getKnowledgeFolders: () =>
+        ipcInvoke("knowledge-folders-list"),
+    addKnowledgeFolder: (input?: { path?: string; include?: string[]; exclude?: string[] }) =>
+        ipcInvoke("knowledge-folder-add", input),
+    updateKnowledgeFolder: (id: string, updates: { include?: string[]; exclude?: string[]; enabled?: boolean }) =>
+        ipcInvoke("knowledge-folder-update", id, updates),
+    removeKnowledgeFolder: (id: string) =>
+        ipcInvoke("knowledge-folder-remove", id),
+    syncKnowledgeFolder: (id: string) =>
+        ipcInvoke("knowledge-folder-sync", id),
+    onKnowledgeFolderStatus: (callback: (status: EventPayloadMapping["knowledge-folder-status"]) => void) =>
+        ipcOn("knowledge-folder-status", callback),
     // Rules 操作
     getRulesList: () =>
         ipcInvoke("get-rules-list"),
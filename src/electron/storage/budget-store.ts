@@ -0,0 +1,60 @@
+/**
+ * 预算配置存储
+ * 管理按会话、按天和按 API 配置的费用 / token 限额
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { app } from 'electron';
+import { log } from '../logger.js';
+import type { BudgetConfig } from '../types.js';
+
+// 默认配置：不限制
+const DEFAULT_CONFIG: BudgetConfig = {
+  enabled: false,
+  warnAtPercent: 80,
+  session: {},
+  daily: {},
+  apiConfigs: {},
+};
+
+// 获取配置文件路径
+function getConfigPath(): string {
+  const userDataPath = app.getPath('userData');
+  return join(userDataPath, 'budget.json');
+}
+
+/**
+ * 加载预算配置
+ */
+export async function getBudgetConfig(): Promise<BudgetConfig> {
+  try {
+    const content = await fs.readFile(getConfigPath(), 'utf-8');
+    // 合并默认配置，确保所有字段都存在
+    return { ...DEFAULT_CONFIG, ...JSON.parse(content) };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      log.error('[budget-store] Failed to load budget config:', error);
+    }
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
+/**
+ * 保存预算配置
+ */
+export async function saveBudgetConfig(config: Partial<BudgetConfig>): Promise<{ success: boolean; error?: string }> {
+  try {
+    const newConfig = { ...(await getBudgetConfig()), ...config };
+    await fs.writeFile(getConfigPath(), JSON.stringify(newConfig, null, 2), 'utf-8');
+
+    log.info('[budget-store] Budget config saved:', newConfig);
+    return { success: true };
+  } catch (error) {
+    log.error('[budget-store] Failed to save budget config:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : '保存预算配置失败'
+    };
+  }
+}
@@ -8,6 +8,20 @@ import { promises as fs } from 'fs';
 import { join } from 'path';
 import { app } from 'electron';
 import { log } from '../logger.js';
+import { MemorySearchIndex } from './memory-search-index.js';
+import { GLOBAL_MEMORY_SCOPE, matchesScopes, scopeOf } from '../utils/memory-scope.js';
+import { documentTimestamp, originalCreatedAt } from '../utils/memory-lifecycle.js';
+import {
+  DEFAULT_SHINGLE_THRESHOLD,
+  buildMergedMemory,
+  clusterPairs,
+  findShingleDuplicatePairs,
+  isDedupCandidate,
+  jaccard,
+  shingleSet,
+} from '../utils/memory-dedup.js';
+import type { MemoryExportRecord } from '../utils/memory-transfer.js';
+import type { MemoryDuplicateCluster, MemoryDuplicateHit, MemoryListItem, MemoryScope, MemoryScopeInfo } from '../types.js';
 
 /**
  * 记忆文档接口
@@ -18,6 +32,8 @@ export interface MemoryDocument {
   label: string;
   text: string;
   metadata?: Record<string, any>;
+  /** 来源 uri，导入文件的块为 `file://...#chunk-N` */
+  uri?: string;
   tags?: string[];
   created_at: string;
   updated_at: string;
@@ -70,12 +86,33 @@ function generateId(): string {
   return `mem_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 }
 
+/**
+ * 转换为记忆列表项
+ */
+function toListItem(doc: MemoryDocument): MemoryListItem {
+  return {
+    id: doc.id,
+    title: doc.title,
+    text: doc.text,
+    label: doc.label,
+    tags: doc.tags || [],
+    scope: scopeOf(doc.metadata),
+    createdAt: originalCreatedAt(doc.metadata) ?? new Date(doc.created_at).getTime(),
+    updatedAt: documentTimestamp(doc),
+    uri: doc.uri,
+    source: doc.metadata?.source,
+    pinned: doc.metadata?.pinned === true,
+  };
+}
+
 /**
  * 文件系统记忆存储类
  */
 class FsMemoryStore {
   private data: MemoryStoreData;
   private filePath: string;
+  /** 全文索引（仅在内存中，加载时根据文档重建） */
+  private searchIndex = new MemorySearchIndex();
 
   constructor() {
     this.filePath = getStoreFilePath();
@@ -103,6 +140,7 @@ class FsMemoryStore {
       if (fileExists) {
         const content = await fs.readFile(this.filePath, 'utf-8');
         this.data = JSON.parse(content);
+        this.rebuildSearchIndex();
         log.info(`[fs-memory-store] Loaded ${this.data.documents.length} documents`);
       } else {
         // 创建新存储
@@ -130,6 +168,16 @@ class FsMemoryStore {
     }
   }
 
+  /**
+   * 根据全部文档重建全文索引
+   */
+  private rebuildSearchIndex(): void {
+    this.searchIndex.clear();
+    for (const doc of this.data.documents) {
+      this.searchIndex.add(doc.id, doc);
+    }
+  }
+
   /**
    * 更新索引
    */
@@ -163,29 +211,46 @@ class FsMemoryStore {
     }
   }
 
+  /**
+   * 添加文档到内存数据和索引（不保存）
+   */
+  private addDocument(input: Omit<MemoryDocument, 'id' | 'created_at' | 'updated_at'>): MemoryDocument {
+    const now = new Date().toISOString();
+    const doc: MemoryDocument = {
+      id: generateId(),
+      title: input.title,
+      label: input.label || 'general',
+      text: input.text,
+      metadata: input.metadata || {},
+      uri: input.uri,
+      tags: input.tags || [],
+      created_at: now,
+      updated_at: now
+    };
+
+    this.data.documents.push(doc);
+    this.updateIndexes(doc);
+    this.searchIndex.add(doc.id, doc);
+    return doc;
+  }
+
   /**
    * 存储文档
+   * 同时返回同一作用域和全局中近似重复的已有文档，供用户合并
    */
-  async putDocument(input: Omit<MemoryDocument, 'id' | 'created_at' | 'updated_at'>): Promise<{ success: boolean; error?: string; id?: string }> {
+  async putDocument(
+    input: Omit<MemoryDocument, 'id' | 'created_at' | 'updated_at'>
+  ): Promise<{ success: boolean; error?: string; id?: string; duplicates?: MemoryDuplicateHit[] }> {
     try {
-      const now = new Date().toISOString();
-      const doc: MemoryDocument = {
-        id: generateId(),
-        title: input.title,
-        label: input.label || 'general',
-        text: input.text,
-        metadata: input.metadata || {},
-        tags: input.tags || [],
-        created_at: now,
-        updated_at: now
-      };
+      const duplicates = isDedupCandidate(input.metadata)
+        ? (await this.findSimilarDocuments(input.text, { scopes: [scopeOf(input.metadata), GLOBAL_MEMORY_SCOPE] })).similar
+        : undefined;
 
-      this.data.documents.push(doc);
-      this.updateIndexes(doc);
+      const doc = this.addDocument(input);
       await this.save();
 
       log.info(`[fs-memory-store] Document stored: ${doc.title}`);
-      return { success: true, id: doc.id };
+      return { success: true, id: doc.id, duplicates };
     } catch (error) {
       log.error('[fs-memory-store] Failed to store document:', error);
       return { success: false, error: error instanceof Error ? error.message : '存储文档失败' };
@@ -193,50 +258,39 @@ class FsMemoryStore {
   }
 
   /**
-   * 搜索文档 (简单的关键词匹配)
+   * 批量存储文档，只保存一次文件
    */
-  async findDocuments(query: string, options: { k?: number; label?: string } = {}): Promise<{ success: boolean; error?: string; results?: any }> {
+  async putDocuments(inputs: Array<Omit<MemoryDocument, 'id' | 'created_at' | 'updated_at'>>): Promise<{ success: boolean; error?: string; count?: number }> {
     try {
-      const k = options.k || 10;
-      const queryLower = query.toLowerCase();
-
-      // 计算相关性分数
-      const scored = this.data.documents.map(doc => {
-        let score = 0;
-        const textLower = doc.text.toLowerCase();
-        const titleLower = doc.title.toLowerCase();
-
-        // 标题匹配权重更高
-        if (titleLower.includes(queryLower)) {
-          score += 10;
-        }
+      for (const input of inputs) {
+        this.addDocument(input);
+      }
+      await this.save();
 
-        // 内容匹配
-        const occurrences = (textLower.match(new RegExp(queryLower, 'g')) || []).length;
-        score += occurrences;
+      log.info(`[fs-memory-store] Batch stored ${inputs.length} documents`);
+      return { success: true, count: inputs.length };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to store documents:', error);
+      return { success: false, error: error instanceof Error ? error.message : '批量存储文档失败' };
+    }
+  }
 
-        // 标签匹配
-        if (doc.tags) {
-          for (const tag of doc.tags) {
-            if (tag.toLowerCase().includes(queryLower)) {
-              score += 5;
-            }
-          }
-        }
+  /**
+   * 搜索文档 (BM25 全文检索)
+   */
+  async findDocuments(query: string, options: { k?: number; label?: string; scopes?: MemoryScope[] } = {}): Promise<{ success: boolean; error?: string; results?: any }> {
+    try {
+      const k = options.k || 10;
+      const docsById = new Map(this.data.documents.map(doc => [doc.id, doc]));
 
-        return { doc, score };
-      });
-
-      // 过滤掉无分数的结果并排序
-      const results = scored
-        .filter(item => item.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, k)
-        .map(item => ({
-          id: item.doc.id,
-          score: item.score,
-          doc: item.doc
-        }));
+      // 指定作用域时先取全部命中再筛选，保证返回 k 条
+      const limit = options.scopes ? this.searchIndex.size : k;
+      const results = this.searchIndex.search(query, limit).flatMap(hit => {
+        const doc = docsById.get(hit.id);
+        return doc && matchesScopes(scopeOf(doc.metadata), options.scopes)
+          ? [{ id: hit.id, score: hit.score, doc: { ...doc, scope: scopeOf(doc.metadata) } }]
+          : [];
+      }).slice(0, k);
 
       log.info(`[fs-memory-store] Found ${results.length} results for: ${query}`);
       return {
@@ -244,7 +298,7 @@ class FsMemoryStore {
         results: {
           hits: results,
           query,
-          mode: 'keyword'
+          mode: 'bm25'
         }
       };
     } catch (error) {
@@ -253,38 +307,6 @@ class FsMemoryStore {
     }
   }
 
-  /**
-   * 问答查询 (简单的上下文检索)
-   */
-  async askQuestion(question: string, options: { k?: number } = {}): Promise<{ success: boolean; error?: string; answer?: string; context?: string }> {
-    try {
-      const k = options.k || 6;
-      const searchResult = await this.findDocuments(question, { k });
-
-      if (!searchResult.success || !searchResult.results || searchResult.results.hits.length === 0) {
-        return {
-          success: true,
-          answer: '没有找到相关的记忆。',
-          context: ''
-        };
-      }
-
-      // 构建上下文
-      const context = searchResult.results.hits
-        .map(hit => `# ${hit.doc.title}\n${hit.doc.text}`)
-        .join('\n\n');
-
-      return {
-        success: true,
-        answer: `基于找到的 ${searchResult.results.hits.length} 条记忆：\n${context}`,
-        context
-      };
-    } catch (error) {
-      log.error('[fs-memory-store] Failed to ask question:', error);
-      return { success: false, error: error instanceof Error ? error.message : '问答查询失败' };
-    }
-  }
-
   /**
    * 获取统计信息
    */
@@ -330,6 +352,182 @@ class FsMemoryStore {
     }
   }
 
+  /**
+   * 按作用域列出文档（最新的在前）
+   */
+  async listDocuments(options: { scopes?: MemoryScope[]; limit?: number } = {}): Promise<{ success: boolean; error?: string; documents?: MemoryListItem[] }> {
+    try {
+      const documents = this.data.documents
+        .filter(doc => matchesScopes(scopeOf(doc.metadata), options.scopes))
+        .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime())
+        .slice(0, options.limit || 50)
+        .map(toListItem);
+      return { success: true, documents };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to list documents:', error);
+      return { success: false, error: error instanceof Error ? error.message : '获取文档列表失败' };
+    }
+  }
+
+  /**
+   * 导出所有文档（最早的在前），包含完整 metadata
+   */
+  async exportDocuments(): Promise<{ success: boolean; error?: string; records?: MemoryExportRecord[] }> {
+    try {
+      const records = [...this.data.documents]
+        .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+        .map(doc => ({
+          title: doc.title,
+          text: doc.text,
+          label: doc.label,
+          tags: doc.tags || [],
+          uri: doc.uri,
+          metadata: doc.metadata || {},
+          createdAt: new Date(doc.created_at).getTime(),
+          updatedAt: new Date(doc.updated_at).getTime(),
+        }));
+      return { success: true, records };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to export documents:', error);
+      return { success: false, error: error instanceof Error ? error.message : '导出文档失败' };
+    }
+  }
+
+  /**
+   * 统计各作用域的文档数
+   */
+  async getScopes(): Promise<{ success: boolean; error?: string; scopes?: MemoryScopeInfo[] }> {
+    const counts = new Map<MemoryScope, number>();
+    for (const doc of this.data.documents) {
+      const scope = scopeOf(doc.metadata);
+      counts.set(scope, (counts.get(scope) ?? 0) + 1);
+    }
+    return { success: true, scopes: Array.from(counts, ([scope, count]) => ({ scope, count })) };
+  }
+
+  /**
+   * 将文档移动到另一个作用域
+   */
+  async setDocumentScope(id: string, scope: MemoryScope): Promise<{ success: boolean; error?: string; id?: string }> {
+    try {
+      const doc = this.data.documents.find(d => d.id === id);
+      if (!doc) {
+        return { success: false, error: '文档不存在' };
+      }
+
+      doc.metadata = { ...doc.metadata, scope };
+      doc.updated_at = new Date().toISOString();
+      await this.save();
+
+      log.info(`[fs-memory-store] Document ${id} moved to scope: ${scope}`);
+      return { success: true, id };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to move document:', error);
+      return { success: false, error: error instanceof Error ? error.message : '移动文档失败' };
+    }
+  }
+
+  /**
+   * 置顶或取消置顶文档
+   * 不修改 updated_at，置顶状态不影响过期计算的时间
+   */
+  async setDocumentPinned(id: string, pinned: boolean): Promise<{ success: boolean; error?: string; id?: string }> {
+    try {
+      const doc = this.data.documents.find(d => d.id === id);
+      if (!doc) {
+        return { success: false, error: '文档不存在' };
+      }
+
+      doc.metadata = { ...doc.metadata, pinned };
+      await this.save();
+
+      log.info(`[fs-memory-store] Document ${id} ${pinned ? 'pinned' : 'unpinned'}`);
+      return { success: true, id };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to pin document:', error);
+      return { success: false, error: error instanceof Error ? error.message : '置顶文档失败' };
+    }
+  }
+
+  /**
+   * 查找与文本近似重复的文档（shingle 文本相似度）
+   */
+  async findSimilarDocuments(
+    text: string,
+    options: { scopes?: MemoryScope[]; limit?: number } = {}
+  ): Promise<{ success: boolean; error?: string; similar?: MemoryDuplicateHit[] }> {
+    const shingles = shingleSet(text);
+    const similar = this.data.documents
+      .filter(doc => isDedupCandidate(doc.metadata) && matchesScopes(scopeOf(doc.metadata), options.scopes))
+      .map(doc => ({ id: doc.id, title: doc.title, score: jaccard(shingles, shingleSet(doc.text)) }))
+      .filter(hit => hit.score >= DEFAULT_SHINGLE_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || 5);
+    return { success: true, similar };
+  }
+
+  /**
+   * 查找近似重复的文档簇（同一作用域内两两比较 shingle 文本相似度）
+   */
+  async findDuplicateClusters(): Promise<{ success: boolean; error?: string; clusters?: MemoryDuplicateCluster[] }> {
+    try {
+      const candidates = this.data.documents.filter(doc => isDedupCandidate(doc.metadata));
+      const docsById = new Map(candidates.map(doc => [doc.id, doc]));
+      const pairs = findShingleDuplicatePairs(candidates);
+
+      const clusters = clusterPairs(pairs).map(cluster => ({
+        similarity: cluster.similarity,
+        method: 'shingle' as const,
+        documents: cluster.ids.map(id => toListItem(docsById.get(id)!)),
+      }));
+
+      log.info(`[fs-memory-store] Found ${clusters.length} duplicate clusters`);
+      return { success: true, clusters };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to find duplicates:', error);
+      return { success: false, error: error instanceof Error ? error.message : '查找重复记忆失败' };
+    }
+  }
+
+  /**
+   * 合并多个文档：写入保留来源和时间的合并文档，删除原文档
+   */
+  async mergeDocuments(ids: string[]): Promise<{ success: boolean; error?: string; id?: string }> {
+    try {
+      const docs = ids.map(id => this.data.documents.find(d => d.id === id));
+      if (docs.some(doc => !doc)) {
+        return { success: false, error: '文档不存在' };
+      }
+      if (docs.length < 2) {
+        return { success: false, error: '至少需要两条记忆才能合并' };
+      }
+
+      const merged = buildMergedMemory(docs.map(doc => ({
+        id: doc!.id,
+        title: doc!.title,
+        text: doc!.text,
+        label: doc!.label,
+        tags: doc!.tags || [],
+        createdAt: new Date(doc!.created_at).getTime(),
+        metadata: doc!.metadata || {},
+      })));
+
+      for (const doc of docs) {
+        this.updateIndexes(doc!, true);
+        this.searchIndex.remove(doc!.id);
+      }
+      this.data.documents = this.data.documents.filter(d => !ids.includes(d.id));
+      const doc = this.addDocument(merged);
+      await this.save();
+
+      log.info(`[fs-memory-store] Merged ${ids.length} documents into: ${doc.id}`);
+      return { success: true, id: doc.id };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to merge documents:', error);
+      return { success: false, error: error instanceof Error ? error.message : '合并文档失败' };
+    }
+  }
+
   /**
    * 清空所有记忆
    */
@@ -342,6 +540,7 @@ class FsMemoryStore {
           byTag: {}
         }
       };
+      this.searchIndex.clear();
       await this.save();
       log.info('[fs-memory-store] Memory cleared');
       return { success: true };
@@ -377,8 +576,11 @@ class FsMemoryStore {
         return { success: false, error: '文档不存在' };
       }
 
-      // 更新文档
+      // 先移除旧的 label / tag 索引，避免修改后残留
       const doc = this.data.documents[index];
+      this.updateIndexes(doc, true);
+
+      // 更新文档
       if (updates.title) doc.title = updates.title;
       if (updates.text) doc.text = updates.text;
       if (updates.label) doc.label = updates.label;
@@ -386,8 +588,8 @@ class FsMemoryStore {
       doc.updated_at = new Date().toISOString();
 
       // 更新索引
-      this.updateIndexes(doc, false);
-      this.updateIndexes(doc, true);
+      this.updateIndexes(doc);
+      this.searchIndex.add(doc.id, doc);
 
       await this.save();
       log.info(`[fs-memory-store] Document updated: ${id}`);
@@ -412,6 +614,7 @@ class FsMemoryStore {
 
       // 更新索引
       this.updateIndexes(doc, true);
+      this.searchIndex.remove(id);
 
       // 删除文档
       this.data.documents.splice(index, 1);
@@ -425,6 +628,55 @@ class FsMemoryStore {
     }
   }
 
+  /**
+   * 列出来自同一来源的文档 ID
+   * uri 等于 sourceUri 或以 `sourceUri#` 开头的文档
+   */
+  async listDocumentIdsBySource(sourceUri: string): Promise<{ success: boolean; error?: string; ids?: string[] }> {
+    const ids = this.data.documents
+      .filter(d => d.uri === sourceUri || !!d.uri?.startsWith(`${sourceUri}#`))
+      .map(d => d.id);
+    return { success: true, ids };
+  }
+
+  /**
+   * 批量删除文档，不存在的 ID 忽略
+   */
+  async deleteDocuments(ids: string[]): Promise<{ success: boolean; error?: string; count?: number }> {
+    try {
+      const idSet = new Set(ids);
+      const removed = this.data.documents.filter(d => idSet.has(d.id));
+      if (removed.length === 0) {
+        return { success: true, count: 0 };
+      }
+
+      for (const doc of removed) {
+        this.updateIndexes(doc, true);
+        this.searchIndex.remove(doc.id);
+      }
+      this.data.documents = this.data.documents.filter(d => !idSet.has(d.id));
+
+      await this.save();
+      log.info(`[fs-memory-store] Deleted ${removed.length} documents`);
+      return { success: true, count: removed.length };
+    } catch (error) {
+      log.error('[fs-memory-store] Failed to delete documents:', error);
+      return { success: false, error: error instanceof Error ? error.message : '删除文档失败' };
+    }
+  }
+
+  /**
+   * 删除来自同一来源的所有文档
+   * uri 等于 sourceUri 或以 `sourceUri#` 开头的文档都会被删除
+   */
+  async deleteDocumentsBySource(sourceUri: string): Promise<{ success: boolean; error?: string; count?: number }> {
+    const listed = await this.listDocumentIdsBySource(sourceUri);
+    if (!listed.success) {
+      return { success: false, error: listed.error };
+    }
+    return this.deleteDocuments(listed.ids ?? []);
+  }
+
   /**
    * 关闭存储
    */
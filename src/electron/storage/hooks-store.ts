@@ -12,14 +12,24 @@ import { log } from '../logger.js';
 export interface HookConfig {
   type: 'preToolUse' | 'postToolUse';
   hook: string;
+  /** 工具名称匹配，支持 glob 及 "|" 分隔的多个模式；为空时匹配所有工具 */
+  matcher?: string;
+  command: string;
+  description?: string;
+}
+
+// 单个钩子条目
+export interface HookEntry {
+  hook: string;
+  matcher?: string;
   command: string;
   description?: string;
 }
 
 // Hooks 配置存储接口
 export interface HooksStore {
-  preToolUse: Array<{ hook: string; command: string; description?: string }>;
-  postToolUse: Array<{ hook: string; command: string; description?: string }>;
+  preToolUse: HookEntry[];
+  postToolUse: HookEntry[];
 }
 
 // 获取配置文件路径
@@ -105,6 +115,7 @@ export async function saveHook(config: HookConfig): Promise<{ success: boolean;
       // 更新现有钩子
       hookArray[existingIndex] = {
         hook: config.hook,
+        matcher: config.matcher?.trim() || undefined,
         command: config.command,
         description: config.description,
       };
@@ -112,6 +123,7 @@ export async function saveHook(config: HookConfig): Promise<{ success: boolean;
       // 添加新钩子
       hookArray.push({
         hook: config.hook,
+        matcher: config.matcher?.trim() || undefined,
         command: config.command,
         description: config.description,
       });
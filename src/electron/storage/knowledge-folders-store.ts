@@ -0,0 +1,172 @@
+/**
+ * 知识文件夹存储
+ * 管理监听的文件夹列表，以及每个文件夹已同步文件的清单（路径 -> 内容哈希）
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+import { app } from 'electron';
+import { log } from '../logger.js';
+import type { KnowledgeFolder } from '../types.js';
+
+/** 默认跳过的目录 */
+export const DEFAULT_KNOWLEDGE_EXCLUDE = ['**/node_modules/**', '**/.git/**'];
+
+/**
+ * 已同步文件的记录
+ */
+export type KnowledgeFileEntry = {
+  /** 文件内容的 sha256 */
+  hash: string;
+  size: number;
+  mtimeMs: number;
+  /** 写入记忆的块数 */
+  chunks: number;
+  syncedAt: number;
+};
+
+/**
+ * 文件夹的同步清单：相对路径（/ 分隔） -> 文件记录
+ */
+export type KnowledgeManifest = Record<string, KnowledgeFileEntry>;
+
+type KnowledgeFoldersData = {
+  folders: KnowledgeFolder[];
+  /** 文件夹 ID -> 同步清单 */
+  manifests: Record<string, KnowledgeManifest>;
+};
+
+// 获取配置文件路径
+function getConfigPath(): string {
+  const userDataPath = app.getPath('userData');
+  return join(userDataPath, 'knowledge-folders.json');
+}
+
+async function loadData(): Promise<KnowledgeFoldersData> {
+  try {
+    const content = await fs.readFile(getConfigPath(), 'utf-8');
+    const data = JSON.parse(content);
+    return { folders: data.folders ?? [], manifests: data.manifests ?? {} };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      log.error('[knowledge-folders-store] Failed to load knowledge folders:', error);
+    }
+    return { folders: [], manifests: {} };
+  }
+}
+
+async function saveData(data: KnowledgeFoldersData): Promise<void> {
+  await fs.writeFile(getConfigPath(), JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * 获取所有知识文件夹
+ */
+export async function getKnowledgeFolders(): Promise<KnowledgeFolder[]> {
+  return (await loadData()).folders;
+}
+
+/**
+ * 添加知识文件夹
+ */
+export async function addKnowledgeFolder(input: {
+  path: string;
+  include?: string[];
+  exclude?: string[];
+}): Promise<{ success: boolean; error?: string; folder?: KnowledgeFolder }> {
+  try {
+    const folderPath = resolve(input.path);
+    const stat = await fs.stat(folderPath).catch(() => null);
+    if (!stat?.isDirectory()) {
+      return { success: false, error: '文件夹不存在' };
+    }
+
+    const data = await loadData();
+    if (data.folders.some(folder => folder.path === folderPath)) {
+      return { success: false, error: '该文件夹已添加' };
+    }
+
+    const folder: KnowledgeFolder = {
+      id: crypto.randomUUID(),
+      path: folderPath,
+      include: input.include ?? [],
+      exclude: input.exclude ?? DEFAULT_KNOWLEDGE_EXCLUDE,
+      enabled: true,
+      createdAt: Date.now(),
+    };
+    data.folders.push(folder);
+    await saveData(data);
+
+    log.info(`[knowledge-folders-store] Folder added: ${folderPath}`);
+    return { success: true, folder };
+  } catch (error) {
+    log.error('[knowledge-folders-store] Failed to add folder:', error);
+    return { success: false, error: error instanceof Error ? error.message : '添加文件夹失败' };
+  }
+}
+
+/**
+ * 更新知识文件夹的过滤规则或启用状态
+ */
+export async function updateKnowledgeFolder(
+  id: string,
+  updates: Partial<Pick<KnowledgeFolder, 'include' | 'exclude' | 'enabled'>>
+): Promise<{ success: boolean; error?: string; folder?: KnowledgeFolder }> {
+  try {
+    const data = await loadData();
+    const index = data.folders.findIndex(folder => folder.id === id);
+    if (index === -1) {
+      return { success: false, error: '文件夹不存在' };
+    }
+
+    const folder = { ...data.folders[index], ...updates };
+    data.folders[index] = folder;
+    await saveData(data);
+
+    log.info(`[knowledge-folders-store] Folder updated: ${folder.path}`);
+    return { success: true, folder };
+  } catch (error) {
+    log.error('[knowledge-folders-store] Failed to update folder:', error);
+    return { success: false, error: error instanceof Error ? error.message : '更新文件夹失败' };
+  }
+}
+
+/**
+ * 移除知识文件夹及其同步清单
+ */
+export async function removeKnowledgeFolder(id: string): Promise<{ success: boolean; error?: string }> {
+  try {
+    const data = await loadData();
+    const folder = data.folders.find(item => item.id === id);
+    if (!folder) {
+      return { success: false, error: '文件夹不存在' };
+    }
+
+    data.folders = data.folders.filter(item => item.id !== id);
+    delete data.manifests[id];
+    await saveData(data);
+
+    log.info(`[knowledge-folders-store] Folder removed: ${folder.path}`);
+    return { success: true };
+  } catch (error) {
+    log.error('[knowledge-folders-store] Failed to remove folder:', error);
+    return { success: false, error: error instanceof Error ? error.message : '移除文件夹失败' };
+  }
+}
+
+/**
+ * 获取文件夹的同步清单
+ */
+export async function getKnowledgeManifest(folderId: string): Promise<KnowledgeManifest> {
+  return (await loadData()).manifests[folderId] ?? {};
+}
+
+/**
+ * 保存文件夹的同步清单，文件夹已被移除时忽略
+ */
+export async function saveKnowledgeManifest(folderId: string, manifest: KnowledgeManifest): Promise<void> {
+  const data = await loadData();
+  if (!data.folders.some(folder => folder.id === folderId)) return;
+  data.manifests[folderId] = manifest;
+  await saveData(data);
+}
@@ -0,0 +1,89 @@
+/**
+ * 记忆归档存储
+ * 保存过期或手动归档的记忆，恢复时重新写入记忆存储
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { app } from 'electron';
+import { log } from '../logger.js';
+import type { ArchivedMemory } from '../types.js';
+
+type MemoryArchiveData = {
+  items: ArchivedMemory[];
+};
+
+// 获取归档文件路径
+function getArchivePath(): string {
+  const userDataPath = app.getPath('userData');
+  return join(userDataPath, 'memory-archive.json');
+}
+
+async function loadData(): Promise<MemoryArchiveData> {
+  try {
+    const content = await fs.readFile(getArchivePath(), 'utf-8');
+    const data = JSON.parse(content);
+    return { items: data.items ?? [] };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      log.error('[memory-archive-store] Failed to load memory archive:', error);
+    }
+    return { items: [] };
+  }
+}
+
+async function saveData(data: MemoryArchiveData): Promise<void> {
+  await fs.writeFile(getArchivePath(), JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * 获取所有归档记忆（最近归档的在前）
+ */
+export async function getArchivedMemories(): Promise<ArchivedMemory[]> {
+  const { items } = await loadData();
+  return [...items].sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+/**
+ * 获取单条归档记忆
+ */
+export async function getArchivedMemory(id: string): Promise<ArchivedMemory | null> {
+  const { items } = await loadData();
+  return items.find(item => item.id === id) ?? null;
+}
+
+/**
+ * 添加归档记忆
+ */
+export async function addArchivedMemory(input: Omit<ArchivedMemory, 'id' | 'archivedAt'>): Promise<ArchivedMemory> {
+  const data = await loadData();
+  const item: ArchivedMemory = {
+    ...input,
+    id: crypto.randomUUID(),
+    archivedAt: Date.now(),
+  };
+  data.items.push(item);
+  await saveData(data);
+
+  log.info(`[memory-archive-store] Memory archived: ${item.title} (${item.reason})`);
+  return item;
+}
+
+/**
+ * 移除归档记忆（恢复或永久删除后调用）
+ */
+export async function removeArchivedMemory(id: string): Promise<{ success: boolean; error?: string }> {
+  try {
+    const data = await loadData();
+    if (!data.items.some(item => item.id === id)) {
+      return { success: false, error: '归档记忆不存在' };
+    }
+
+    data.items = data.items.filter(item => item.id !== id);
+    await saveData(data);
+    return { success: true };
+  } catch (error) {
+    log.error('[memory-archive-store] Failed to remove archived memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '移除归档记忆失败' };
+  }
+}
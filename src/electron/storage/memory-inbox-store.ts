@@ -0,0 +1,114 @@
+/**
+ * 记忆收件箱存储
+ * 保存等待用户审核的自动生成记忆，批准后才写入长期记忆
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { app } from 'electron';
+import { log } from '../logger.js';
+import type { PendingMemory } from '../types.js';
+
+type MemoryInboxData = {
+  items: PendingMemory[];
+};
+
+// 获取收件箱文件路径
+function getInboxPath(): string {
+  const userDataPath = app.getPath('userData');
+  return join(userDataPath, 'memory-inbox.json');
+}
+
+async function loadData(): Promise<MemoryInboxData> {
+  try {
+    const content = await fs.readFile(getInboxPath(), 'utf-8');
+    const data = JSON.parse(content);
+    return { items: data.items ?? [] };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      log.error('[memory-inbox-store] Failed to load memory inbox:', error);
+    }
+    return { items: [] };
+  }
+}
+
+async function saveData(data: MemoryInboxData): Promise<void> {
+  await fs.writeFile(getInboxPath(), JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * 获取所有待审核记忆（最新的在前）
+ */
+export async function getPendingMemories(): Promise<PendingMemory[]> {
+  const { items } = await loadData();
+  return [...items].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * 获取单条待审核记忆
+ */
+export async function getPendingMemory(id: string): Promise<PendingMemory | null> {
+  const { items } = await loadData();
+  return items.find(item => item.id === id) ?? null;
+}
+
+/**
+ * 添加待审核记忆
+ */
+export async function addPendingMemory(input: Omit<PendingMemory, 'id' | 'createdAt'>): Promise<PendingMemory> {
+  const data = await loadData();
+  const item: PendingMemory = {
+    ...input,
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+  };
+  data.items.push(item);
+  await saveData(data);
+
+  log.info(`[memory-inbox-store] Pending memory added: ${item.title} (${item.source})`);
+  return item;
+}
+
+/**
+ * 编辑待审核记忆
+ */
+export async function updatePendingMemory(
+  id: string,
+  updates: Partial<Pick<PendingMemory, 'title' | 'text' | 'label' | 'tags' | 'scope'>>
+): Promise<{ success: boolean; error?: string; item?: PendingMemory }> {
+  try {
+    const data = await loadData();
+    const index = data.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return { success: false, error: '待审核记忆不存在' };
+    }
+
+    const item = { ...data.items[index], ...updates };
+    data.items[index] = item;
+    await saveData(data);
+
+    return { success: true, item };
+  } catch (error) {
+    log.error('[memory-inbox-store] Failed to update pending memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '更新待审核记忆失败' };
+  }
+}
+
+/**
+ * 移除待审核记忆（批准、合并或丢弃后调用）
+ */
+export async function removePendingMemory(id: string): Promise<{ success: boolean; error?: string }> {
+  try {
+    const data = await loadData();
+    if (!data.items.some(item => item.id === id)) {
+      return { success: false, error: '待审核记忆不存在' };
+    }
+
+    data.items = data.items.filter(item => item.id !== id);
+    await saveData(data);
+    return { success: true };
+  } catch (error) {
+    log.error('[memory-inbox-store] Failed to remove pending memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '移除待审核记忆失败' };
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * 记忆全文索引
+ *
+ * 文件系统记忆存储使用的内存倒排索引，按 BM25 计算相关性：
+ * - 英文等按单词切分（转小写）
+ * - 中日韩文字没有空格分词，按相邻两个字符（bi-gram）切分，单字时保留单字；
+ *   索引时另外以较低权重收录单字，单字查询也能匹配多字词
+ * - 标题和标签按权重计入词频，匹配时排名更靠前
+ * 文档增删改时增量更新，无需重建整个索引。
+ */
+
+/** 中日韩文字 */
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+
+/** 连续的字母 / 数字 */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/** 将单词拆分为中日韩文字段和其他文字段 */
+const SEGMENT_PATTERN = new RegExp(`([${CJK_CHARS}]+)|([^${CJK_CHARS}]+)`, 'gu');
+
+/** 两个及以上连续的中日韩文字 */
+const CJK_RUN_PATTERN = new RegExp(`[${CJK_CHARS}]{2,}`, 'gu');
+
+/**
+ * 切分文本为索引词
+ * 英文按单词切分，中日韩文字按 bi-gram 切分
+ */
+export function tokenize(text: string): string[] {
+  const tokens: string[] = [];
+  for (const [word] of text.toLowerCase().matchAll(WORD_PATTERN)) {
+    for (const [, cjk, other] of word.matchAll(SEGMENT_PATTERN)) {
+      if (other) {
+        tokens.push(other);
+        continue;
+      }
+      const chars = Array.from(cjk);
+      if (chars.length === 1) {
+        tokens.push(chars[0]);
+        continue;
+      }
+      for (let i = 0; i < chars.length - 1; i++) {
+        tokens.push(chars[i] + chars[i + 1]);
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 多字中日韩文字段中的单字
+ * tokenize 对多字段只产生 bi-gram，单字段已经作为单字返回
+ */
+export function cjkUnigrams(text: string): string[] {
+  const chars: string[] = [];
+  for (const [run] of text.matchAll(CJK_RUN_PATTERN)) {
+    chars.push(...Array.from(run));
+  }
+  return chars;
+}
+
+/**
+ * 参与索引的文档字段
+ */
+export type IndexedFields = {
+  title: string;
+  text: string;
+  tags?: string[];
+};
+
+/**
+ * 索引参数
+ */
+export type SearchIndexOptions = {
+  /** BM25 词频饱和参数 */
+  k1: number;
+  /** BM25 文档长度归一化参数 */
+  b: number;
+  /** 标题中的词计入词频的权重 */
+  titleBoost: number;
+  /** 标签中的词计入词频的权重 */
+  tagBoost: number;
+  /** 多字中日韩文字段中的单字计入词频的权重 */
+  unigramBoost: number;
+};
+
+const DEFAULT_OPTIONS: SearchIndexOptions = {
+  k1: 1.2,
+  b: 0.75,
+  titleBoost: 3,
+  tagBoost: 2,
+  unigramBoost: 0.5,
+};
+
+/**
+ * 搜索命中
+ */
+export type SearchIndexHit = {
+  id: string;
+  score: number;
+};
+
+/**
+ * BM25 倒排索引
+ */
+export class MemorySearchIndex {
+  private readonly options: SearchIndexOptions;
+  /** 索引词 -> 文档 ID -> 加权词频 */
+  private postings = new Map<string, Map<string, number>>();
+  /** 文档 ID -> 加权长度 */
+  private docLengths = new Map<string, number>();
+  /** 文档 ID -> 文档包含的索引词，用于移除文档 */
+  private docTerms = new Map<string, string[]>();
+  private totalLength = 0;
+
+  constructor(options: Partial<SearchIndexOptions> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /** 已索引的文档数 */
+  get size(): number {
+    return this.docLengths.size;
+  }
+
+  /**
+   * 添加文档，已存在时替换
+   */
+  add(id: string, fields: IndexedFields): void {
+    this.remove(id);
+
+    const frequencies = new Map<string, number>();
+    const addTokens = (text: string, weight: number) => {
+      for (const token of tokenize(text)) {
+        frequencies.set(token, (frequencies.get(token) ?? 0) + weight);
+      }
+      for (const char of cjkUnigrams(text)) {
+        frequencies.set(char, (frequencies.get(char) ?? 0) + weight * this.options.unigramBoost);
+      }
+    };
+    addTokens(fields.title, this.options.titleBoost);
+    addTokens(fields.text, 1);
+    for (const tag of fields.tags ?? []) {
+      addTokens(tag, this.options.tagBoost);
+    }
+
+    let length = 0;
+    for (const [token, frequency] of frequencies) {
+      let posting = this.postings.get(token);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(token, posting);
+      }
+      posting.set(id, frequency);
+      length += frequency;
+    }
+    this.docLengths.set(id, length);
+    this.docTerms.set(id, Array.from(frequencies.keys()));
+    this.totalLength += length;
+  }
+
+  /**
+   * 移除文档
+   */
+  remove(id: string): void {
+    const length = this.docLengths.get(id);
+    if (length === undefined) return;
+
+    for (const token of this.docTerms.get(id) ?? []) {
+      const posting = this.postings.get(token);
+      if (posting?.delete(id) && posting.size === 0) {
+        this.postings.delete(token);
+      }
+    }
+    this.docLengths.delete(id);
+    this.docTerms.delete(id);
+    this.totalLength -= length;
+  }
+
+  /**
+   * 清空索引
+   */
+  clear(): void {
+    this.postings.clear();
+    this.docLengths.clear();
+    this.docTerms.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * 按 BM25 搜索，返回分数降序的命中
+   */
+  search(query: string, limit = 10): SearchIndexHit[] {
+    const terms = new Set(tokenize(query));
+    const docCount = this.docLengths.size;
+    if (terms.size === 0 || docCount === 0) return [];
+
+    const { k1, b } = this.options;
+    const avgLength = this.totalLength / docCount || 1;
+    const scores = new Map<string, number>();
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, frequency] of posting) {
+        const length = this.docLengths.get(id) ?? 0;
+        const score = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / avgLength));
+        scores.set(id, (scores.get(id) ?? 0) + score);
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
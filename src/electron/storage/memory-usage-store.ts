@@ -0,0 +1,82 @@
+/**
+ * 记忆检索统计存储
+ * 记录每条记忆被搜索命中的次数，用于搜索排序
+ * 单独保存而不写入文档 metadata：Memvid 帧不可修改，每次检索都重写帧代价过高
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { app } from 'electron';
+import { log } from '../logger.js';
+import type { MemoryUsage } from '../utils/memory-lifecycle.js';
+
+type MemoryUsageData = {
+  usage: Record<string, MemoryUsage>;
+};
+
+// 获取统计文件路径
+function getUsagePath(): string {
+  const userDataPath = app.getPath('userData');
+  return join(userDataPath, 'memory-usage.json');
+}
+
+async function loadData(): Promise<MemoryUsageData> {
+  try {
+    const content = await fs.readFile(getUsagePath(), 'utf-8');
+    const data = JSON.parse(content);
+    return { usage: data.usage ?? {} };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      log.error('[memory-usage-store] Failed to load memory usage:', error);
+    }
+    return { usage: {} };
+  }
+}
+
+async function saveData(data: MemoryUsageData): Promise<void> {
+  await fs.writeFile(getUsagePath(), JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * 获取所有记忆的检索统计（按文档 ID）
+ */
+export async function getMemoryUsage(): Promise<Record<string, MemoryUsage>> {
+  const { usage } = await loadData();
+  return usage;
+}
+
+/**
+ * 记录一次检索命中的记忆
+ */
+export async function recordMemoryRetrievals(ids: string[]): Promise<void> {
+  if (ids.length === 0) return;
+
+  try {
+    const data = await loadData();
+    const now = Date.now();
+    for (const id of new Set(ids)) {
+      const usage = data.usage[id];
+      data.usage[id] = { count: (usage?.count ?? 0) + 1, lastRetrievedAt: now };
+    }
+    await saveData(data);
+  } catch (error) {
+    log.error('[memory-usage-store] Failed to record memory retrievals:', error);
+  }
+}
+
+/**
+ * 移除记忆的检索统计（记忆删除或归档后调用）
+ */
+export async function removeMemoryUsage(ids: string[]): Promise<void> {
+  try {
+    const data = await loadData();
+    if (!ids.some(id => id in data.usage)) return;
+
+    for (const id of ids) {
+      delete data.usage[id];
+    }
+    await saveData(data);
+  } catch (error) {
+    log.error('[memory-usage-store] Failed to remove memory usage:', error);
+  }
+}
@@ -9,6 +9,22 @@ import { app } from 'electron';
 import { use, create, MemvidError } from '@memvid/sdk';
 import { log } from '../logger.js';
 import { tmpdir } from 'os';
+import { GLOBAL_MEMORY_SCOPE, matchesScopes, scopeOf } from '../utils/memory-scope.js';
+import { documentTimestamp, originalCreatedAt } from '../utils/memory-lifecycle.js';
+import {
+    DEFAULT_SHINGLE_THRESHOLD,
+    DEFAULT_VECTOR_THRESHOLD,
+    buildMergedMemory,
+    clusterPairs,
+    findShingleDuplicatePairs,
+    isDedupCandidate,
+    jaccard,
+    sameScope,
+    shingleSet,
+    type SimilarityPair,
+} from '../utils/memory-dedup.js';
+import type { MemoryExportRecord } from '../utils/memory-transfer.js';
+import type { MemoryDuplicateCluster, MemoryDuplicateHit, MemoryListItem, MemoryScope, MemoryScopeInfo } from '../types.js';
 
 /**
  * 记忆文档接口
@@ -93,6 +109,37 @@ export interface MemoryStats {
     has_vec_index: boolean;
 }
 
+/**
+ * 帧的完整内容
+ */
+type LoadedFrame = MemoryDocument & { id: string; createdAt?: number };
+
+/**
+ * 转换为记忆列表项
+ */
+function toListItem(doc: LoadedFrame): MemoryListItem {
+    return {
+        id: doc.id,
+        title: doc.title,
+        text: doc.text,
+        label: doc.label || 'general',
+        tags: doc.tags || [],
+        scope: scopeOf(doc.metadata),
+        createdAt: originalCreatedAt(doc.metadata) ?? doc.createdAt,
+        updatedAt: documentTimestamp(doc),
+        uri: doc.uri,
+        source: doc.metadata?.source,
+        pinned: doc.metadata?.pinned === true,
+    };
+}
+
+/**
+ * 把文本转换为词法查询：去掉标点和符号，避免查询语法错误
+ */
+function toLexQuery(text: string): string {
+    return text.replace(/[\p{P}\p{S}\s]+/gu, ' ').trim().slice(0, 200);
+}
+
 /**
  * 延迟函数
  */
@@ -261,8 +308,9 @@ class MemvidStore {
 
     /**
      * 存储文档
+     * 同时返回同一作用域和全局中近似重复的已有文档，供用户合并
      */
-    async putDocument(input: MemoryDocumentInput): Promise<{ success: boolean; error?: string; id?: string }> {
+    async putDocument(input: MemoryDocumentInput): Promise<{ success: boolean; error?: string; id?: string; duplicates?: MemoryDuplicateHit[] }> {
         try {
             // 在操作前尝试清理锁文件
             await cleanupLockFiles();
@@ -271,6 +319,10 @@ class MemvidStore {
                 await this.initialize();
             }
 
+            const duplicates = isDedupCandidate(input.metadata)
+                ? (await this.findSimilarDocuments(input.text, { scopes: [scopeOf(input.metadata), GLOBAL_MEMORY_SCOPE] })).similar
+                : undefined;
+
             const doc = await this.memory.put({
                 title: input.title,
                 label: input.label || 'general',
@@ -283,7 +335,7 @@ class MemvidStore {
             await this.memory.seal();
 
             log.info(`[memvid-store] Document stored: ${input.title}`);
-            return { success: true, id: doc?.id };
+            return { success: true, id: doc?.id, duplicates };
         } catch (error) {
             if (error instanceof MemvidError) {
                 log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
@@ -333,16 +385,42 @@ class MemvidStore {
     /**
      * 搜索文档
      */
-    async findDocuments(query: string, options: { mode?: 'lex' | 'sem' | 'auto'; k?: number } = {}): Promise<{ success: boolean; error?: string; results?: SearchResult }> {
+    async findDocuments(query: string, options: { mode?: 'lex' | 'sem' | 'auto'; k?: number; scopes?: MemoryScope[] } = {}): Promise<{ success: boolean; error?: string; results?: SearchResult }> {
         try {
             if (!this.memory) {
                 await this.initialize();
             }
 
-            const results = await this.memory.find(query, {
-                mode: options.mode || 'lex',
-                k: options.k || 10,
-            });
+            const k = options.k || 10;
+            // 命中结果不带 metadata，按作用域筛选时多取一些再过滤，
+            // 筛选后不足 k 条且还有更多结果时加倍重新搜索
+            let fetchK = options.scopes ? k * 4 : k;
+            const examined = new Set<string>();
+            const hits = [];
+            let results;
+            for (;;) {
+                results = await this.memory.find(query, { mode: options.mode || 'lex', k: fetchK });
+
+                // 补充完整文档（metadata、正文和创建时间），与文件系统后端的命中格式一致
+                for (const hit of results.hits) {
+                    if (hits.length >= k) break;
+                    const frameId = String(hit.frame_id);
+                    if (examined.has(frameId)) continue;
+                    examined.add(frameId);
+
+                    const doc = await this.loadFrame(hit.frame_id);
+                    if (!doc) continue;
+
+                    const scope = scopeOf(doc.metadata);
+                    if (matchesScopes(scope, options.scopes)) {
+                        hits.push({ ...hit, id: doc.id, scope, doc: { ...doc, scope } });
+                    }
+                }
+
+                if (hits.length >= k || results.hits.length < fetchK) break;
+                fetchK *= 2;
+            }
+            results.hits = hits;
 
             log.info(`[memvid-store] Found ${results.hits.length} results for: ${query}`);
             return { success: true, results };
@@ -359,33 +437,6 @@ class MemvidStore {
         }
     }
 
-    /**
-     * 问答查询（RAG）
-     */
-    async askQuestion(question: string, options: { k?: number; mode?: 'lex' | 'sem' | 'auto'; contextOnly?: boolean } = {}): Promise<{ success: boolean; error?: string; answer?: string; context?: string }> {
-        try {
-            if (!this.memory) {
-                await this.initialize();
-            }
-
-            const response = await this.memory.ask(question, {
-                k: options.k || 6,
-                mode: options.mode || 'lex',
-                contextOnly: options.contextOnly || true,
-            });
-
-            log.info(`[memvid-store] Answer generated for: ${question}`);
-            return { success: true, answer: response.answer, context: response.context };
-        } catch (error) {
-            if (error instanceof MemvidError) {
-                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
-                return { success: false, error: `[${error.code}] ${error.message}` };
-            }
-            log.error('[memvid-store] Failed to ask question:', error);
-            return { success: false, error: error instanceof Error ? error.message : '问答查询失败' };
-        }
-    }
-
     /**
      * 获取统计信息
      */
@@ -441,15 +492,12 @@ class MemvidStore {
                 await this.initialize();
             }
 
-            // 从时间线获取文档
-            const timeline = await this.memory.timeline({ limit: 10000, reverse: true });
-            const entry = timeline.entries?.find((e: any) => e.frame_id === frameId);
-
-            if (!entry) {
+            const document = await this.loadFrame(frameId);
+            if (!document) {
                 return { success: false, error: '文档不存在' };
             }
 
-            return { success: true, document: entry.doc };
+            return { success: true, document };
         } catch (error) {
             log.error('[memvid-store] Failed to get document:', error);
             return { success: false, error: error instanceof Error ? error.message : '获取文档失败' };
@@ -479,15 +527,423 @@ class MemvidStore {
                 await this.initialize();
             }
 
-            // Memvid SDK 暂不支持删除单个文档
-            log.warn(`[memvid-store] Delete not implemented for frame: ${frameId}`);
-            return { success: false, error: 'Memvid 暂不支持删除单个文档' };
+            // 软删除（墓碑），数据在压缩前仍保留在文件中
+            await this.memory.remove(String(frameId));
+            await this.memory.seal();
+
+            log.info(`[memvid-store] Document deleted: ${frameId}`);
+            return { success: true };
         } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
             log.error('[memvid-store] Failed to delete document:', error);
             return { success: false, error: error instanceof Error ? error.message : '删除文档失败' };
         }
     }
 
+    /**
+     * 列出来自同一来源的帧 ID
+     * uri 等于 sourceUri 或以 `sourceUri#` 开头的帧
+     */
+    async listDocumentIdsBySource(sourceUri: string): Promise<{ success: boolean; error?: string; ids?: string[] }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const entries: Array<{ frame_id: number | string; uri?: string }> = await this.memory.timeline({ limit: 100000 });
+            const ids = entries
+                .filter(entry => entry.uri === sourceUri || entry.uri?.startsWith(`${sourceUri}#`))
+                .map(entry => String(entry.frame_id));
+            return { success: true, ids };
+        } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
+            log.error('[memvid-store] Failed to list documents by source:', error);
+            return { success: false, error: error instanceof Error ? error.message : '获取文档列表失败' };
+        }
+    }
+
+    /**
+     * 批量删除帧（软删除），最后统一封存
+     */
+    async deleteDocuments(frameIds: string[]): Promise<{ success: boolean; error?: string; count?: number }> {
+        try {
+            if (frameIds.length === 0) {
+                return { success: true, count: 0 };
+            }
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            for (const frameId of frameIds) {
+                await this.memory.remove(String(frameId));
+            }
+            await this.memory.seal();
+
+            log.info(`[memvid-store] Deleted ${frameIds.length} documents`);
+            return { success: true, count: frameIds.length };
+        } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
+            log.error('[memvid-store] Failed to delete documents:', error);
+            return { success: false, error: error instanceof Error ? error.message : '删除文档失败' };
+        }
+    }
+
+    /**
+     * 删除来自同一来源的所有文档
+     * uri 等于 sourceUri 或以 `sourceUri#` 开头的帧都会被删除
+     */
+    async deleteDocumentsBySource(sourceUri: string): Promise<{ success: boolean; error?: string; count?: number }> {
+        const listed = await this.listDocumentIdsBySource(sourceUri);
+        if (!listed.success) {
+            return { success: false, error: listed.error };
+        }
+        return this.deleteDocuments(listed.ids ?? []);
+    }
+
+    /**
+     * 读取帧的元信息和正文，帧不存在时返回 null
+     */
+    private async loadFrame(frameId: string | number): Promise<LoadedFrame | null> {
+        const frame = await this.memory.getFrameInfo(Number(frameId)).catch(() => null);
+        if (!frame) return null;
+
+        const text = await this.memory.view(Number(frameId));
+        return {
+            id: String(frameId),
+            title: frame.title || 'Untitled',
+            label: frame.labels?.[0],
+            text: typeof text === 'string' ? text : '',
+            metadata: frame.metadata || {},
+            uri: frame.uri,
+            tags: frame.tags || [],
+            createdAt: frame.timestamp ? frame.timestamp * 1000 : undefined,
+        };
+    }
+
+    /**
+     * 按作用域列出文档（最新的在前）
+     */
+    async listDocuments(options: { scopes?: MemoryScope[]; limit?: number } = {}): Promise<{ success: boolean; error?: string; documents?: MemoryListItem[] }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const limit = options.limit || 50;
+            const entries: Array<{ frame_id: number }> = await this.memory.timeline({ limit: 100000, reverse: true });
+            const documents: MemoryListItem[] = [];
+            for (const entry of entries) {
+                const doc = await this.loadFrame(entry.frame_id);
+                if (!doc || !matchesScopes(scopeOf(doc.metadata), options.scopes)) continue;
+
+                documents.push(toListItem(doc));
+                if (documents.length >= limit) break;
+            }
+
+            return { success: true, documents };
+        } catch (error) {
+            log.error('[memvid-store] Failed to list documents:', error);
+            return { success: false, error: error instanceof Error ? error.message : '获取文档列表失败' };
+        }
+    }
+
+    /**
+     * 导出所有文档（最早的在前），包含完整 metadata
+     */
+    async exportDocuments(): Promise<{ success: boolean; error?: string; records?: MemoryExportRecord[] }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const entries: Array<{ frame_id: number }> = await this.memory.timeline({ limit: 100000, reverse: false });
+            const records: MemoryExportRecord[] = [];
+            for (const entry of entries) {
+                const doc = await this.loadFrame(entry.frame_id);
+                if (!doc) continue;
+
+                records.push({
+                    title: doc.title,
+                    text: doc.text,
+                    label: doc.label || 'general',
+                    tags: doc.tags || [],
+                    uri: doc.uri,
+                    metadata: doc.metadata || {},
+                    createdAt: doc.createdAt,
+                    updatedAt: doc.createdAt,
+                });
+            }
+
+            return { success: true, records };
+        } catch (error) {
+            log.error('[memvid-store] Failed to export documents:', error);
+            return { success: false, error: error instanceof Error ? error.message : '导出文档失败' };
+        }
+    }
+
+    /**
+     * 统计各作用域的文档数
+     */
+    async getScopes(): Promise<{ success: boolean; error?: string; scopes?: MemoryScopeInfo[] }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const entries: Array<{ frame_id: number }> = await this.memory.timeline({ limit: 100000 });
+            const counts = new Map<MemoryScope, number>();
+            for (const entry of entries) {
+                const frame = await this.memory.getFrameInfo(Number(entry.frame_id)).catch(() => null);
+                if (!frame) continue;
+                const scope = scopeOf(frame.metadata);
+                counts.set(scope, (counts.get(scope) ?? 0) + 1);
+            }
+
+            return { success: true, scopes: Array.from(counts, ([scope, count]) => ({ scope, count })) };
+        } catch (error) {
+            log.error('[memvid-store] Failed to get scopes:', error);
+            return { success: false, error: error instanceof Error ? error.message : '获取作用域失败' };
+        }
+    }
+
+    /**
+     * 将文档移动到另一个作用域
+     * 帧不可修改，写入带新作用域的副本后删除原帧，文档 ID 会改变
+     */
+    async setDocumentScope(frameId: string, scope: MemoryScope): Promise<{ success: boolean; error?: string; id?: string }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const result = await this.rewriteMetadata(frameId, { scope });
+            if (result.success) {
+                log.info(`[memvid-store] Document ${frameId} moved to scope: ${scope}`);
+            }
+            return result;
+        } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
+            log.error('[memvid-store] Failed to move document:', error);
+            return { success: false, error: error instanceof Error ? error.message : '移动文档失败' };
+        }
+    }
+
+    /**
+     * 置顶或取消置顶文档
+     * 帧不可修改，写入副本后删除原帧，文档 ID 会改变
+     */
+    async setDocumentPinned(frameId: string, pinned: boolean): Promise<{ success: boolean; error?: string; id?: string }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const result = await this.rewriteMetadata(frameId, { pinned });
+            if (result.success) {
+                log.info(`[memvid-store] Document ${frameId} ${pinned ? 'pinned' : 'unpinned'}`);
+            }
+            return result;
+        } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
+            log.error('[memvid-store] Failed to pin document:', error);
+            return { success: false, error: error instanceof Error ? error.message : '置顶文档失败' };
+        }
+    }
+
+    /**
+     * 写入修改了 metadata 的帧副本并删除原帧，返回新的文档 ID
+     * 副本的创建时间是写入时间，原帧的创建时间记录在 metadata.originalCreatedAt，不影响过期和时间权重
+     */
+    private async rewriteMetadata(frameId: string, patch: Record<string, unknown>): Promise<{ success: boolean; error?: string; id?: string }> {
+        const doc = await this.loadFrame(frameId);
+        if (!doc) {
+            return { success: false, error: '文档不存在' };
+        }
+
+        const metadata: Record<string, unknown> = { ...doc.metadata, ...patch };
+        if (!metadata.originalCreatedAt && doc.createdAt !== undefined) {
+            metadata.originalCreatedAt = new Date(doc.createdAt).toISOString();
+        }
+
+        const newId = await this.memory.put({
+            title: doc.title,
+            label: doc.label || 'general',
+            text: doc.text,
+            metadata,
+            uri: doc.uri,
+            tags: doc.tags || [],
+        });
+        await this.memory.remove(String(frameId));
+        await this.memory.seal();
+
+        return { success: true, id: newId != null ? String(newId) : undefined };
+    }
+
+    /**
+     * 是否可以使用向量相似度（记忆文件启用了向量索引）
+     */
+    private async hasVecIndex(): Promise<boolean> {
+        const stats = await this.memory.stats().catch(() => null);
+        return !!stats?.has_vec_index;
+    }
+
+    /**
+     * 查找与文本近似重复的文档
+     * 启用向量索引时使用语义搜索得分，否则对词法搜索的候选计算 shingle 文本相似度
+     */
+    async findSimilarDocuments(
+        text: string,
+        options: { scopes?: MemoryScope[]; limit?: number } = {}
+    ): Promise<{ success: boolean; error?: string; similar?: MemoryDuplicateHit[] }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const limit = options.limit || 5;
+            const useVector = await this.hasVecIndex();
+            const results = useVector
+                ? await this.memory.find(text, { mode: 'sem', k: limit * 4 })
+                : await this.memory.find(toLexQuery(text), { mode: 'lex', k: limit * 4 });
+
+            const shingles = shingleSet(text);
+            const similar: MemoryDuplicateHit[] = [];
+            for (const hit of results.hits) {
+                if (useVector && hit.score < DEFAULT_VECTOR_THRESHOLD) continue;
+
+                const doc = await this.loadFrame(hit.frame_id);
+                if (!doc || !isDedupCandidate(doc.metadata) || !matchesScopes(scopeOf(doc.metadata), options.scopes)) continue;
+
+                const score = useVector ? hit.score : jaccard(shingles, shingleSet(doc.text));
+                if (score >= (useVector ? DEFAULT_VECTOR_THRESHOLD : DEFAULT_SHINGLE_THRESHOLD)) {
+                    similar.push({ id: doc.id, title: doc.title, score });
+                }
+            }
+
+            return { success: true, similar: similar.sort((a, b) => b.score - a.score).slice(0, limit) };
+        } catch (error) {
+            log.error('[memvid-store] Failed to find similar documents:', error);
+            return { success: false, error: error instanceof Error ? error.message : '查找相似记忆失败' };
+        }
+    }
+
+    /**
+     * 查找近似重复的文档簇，只比较同一作用域内的文档
+     * 启用向量索引时用每个文档做语义搜索，否则两两比较 shingle 文本相似度
+     */
+    async findDuplicateClusters(): Promise<{ success: boolean; error?: string; clusters?: MemoryDuplicateCluster[] }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+
+            const entries: Array<{ frame_id: number }> = await this.memory.timeline({ limit: 100000 });
+            const docsById = new Map<string, LoadedFrame>();
+            for (const entry of entries) {
+                const doc = await this.loadFrame(entry.frame_id);
+                if (doc && isDedupCandidate(doc.metadata)) docsById.set(doc.id, doc);
+            }
+
+            const useVector = await this.hasVecIndex();
+            let pairs: SimilarityPair[];
+            if (useVector) {
+                pairs = [];
+                for (const doc of docsById.values()) {
+                    const results = await this.memory.find(doc.text, { mode: 'sem', k: 6 });
+                    for (const hit of results.hits) {
+                        const otherId = String(hit.frame_id);
+                        const other = docsById.get(otherId);
+                        if (other && otherId !== doc.id && sameScope(doc, other) && hit.score >= DEFAULT_VECTOR_THRESHOLD) {
+                            pairs.push([doc.id, otherId, hit.score]);
+                        }
+                    }
+                }
+            } else {
+                pairs = findShingleDuplicatePairs(Array.from(docsById.values()));
+            }
+
+            const clusters = clusterPairs(pairs).map(cluster => ({
+                similarity: cluster.similarity,
+                method: useVector ? 'vector' as const : 'shingle' as const,
+                documents: cluster.ids.map(id => toListItem(docsById.get(id)!)),
+            }));
+
+            log.info(`[memvid-store] Found ${clusters.length} duplicate clusters`);
+            return { success: true, clusters };
+        } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
+            log.error('[memvid-store] Failed to find duplicates:', error);
+            return { success: false, error: error instanceof Error ? error.message : '查找重复记忆失败' };
+        }
+    }
+
+    /**
+     * 合并多个文档：写入保留来源和时间的合并文档，删除原帧
+     */
+    async mergeDocuments(frameIds: string[]): Promise<{ success: boolean; error?: string; id?: string }> {
+        try {
+            if (!this.memory) {
+                await this.initialize();
+            }
+            if (frameIds.length < 2) {
+                return { success: false, error: '至少需要两条记忆才能合并' };
+            }
+
+            const docs: LoadedFrame[] = [];
+            for (const frameId of frameIds) {
+                const doc = await this.loadFrame(frameId);
+                if (!doc) {
+                    return { success: false, error: '文档不存在' };
+                }
+                docs.push(doc);
+            }
+
+            const merged = buildMergedMemory(docs.map(doc => ({
+                id: doc.id,
+                title: doc.title,
+                text: doc.text,
+                label: doc.label || 'general',
+                tags: doc.tags || [],
+                createdAt: doc.createdAt ?? Date.now(),
+                metadata: doc.metadata || {},
+            })));
+
+            const newId = await this.memory.put(merged);
+            for (const frameId of frameIds) {
+                await this.memory.remove(String(frameId));
+            }
+            await this.memory.seal();
+
+            log.info(`[memvid-store] Merged ${frameIds.length} documents into: ${newId}`);
+            return { success: true, id: newId != null ? String(newId) : undefined };
+        } catch (error) {
+            if (error instanceof MemvidError) {
+                log.error(`[memvid-store] Memvid error ${error.code}: ${error.message}`);
+                return { success: false, error: `[${error.code}] ${error.message}` };
+            }
+            log.error('[memvid-store] Failed to merge documents:', error);
+            return { success: false, error: error instanceof Error ? error.message : '合并文档失败' };
+        }
+    }
+
     /**
      * 清空所有记忆
      */
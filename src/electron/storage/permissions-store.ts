@@ -7,18 +7,35 @@ import { promises as fs } from 'fs';
 import { join } from 'path';
 import { app } from 'electron';
 import { log } from '../logger.js';
+import type { PermissionGrant } from '../types.js';
+
+// 权限规则动作
+export type PermissionRuleAction = 'allow' | 'deny' | 'ask';
 
 // 权限规则接口
 export interface PermissionRule {
+  /** 工具名称，支持 glob（如 "mcp__*"） */
   tool: string;
+  /** 旧字段：是否允许，未设置 action 时生效 */
   allowed: boolean;
+  /** 规则动作，优先于 allowed */
+  action?: PermissionRuleAction;
+  /** 输入模式：Bash 命令前缀、文件路径 glob 等 */
+  pattern?: string;
   description?: string;
 }
 
+/** 判断两条规则是否为同一规则（工具 + 输入模式） */
+function isSameRule(a: { tool: string; pattern?: string }, b: { tool: string; pattern?: string }): boolean {
+  return a.tool === b.tool && (a.pattern || '') === (b.pattern || '');
+}
+
 // Permissions 配置存储接口
 export interface PermissionsStore {
   allowedTools: string[];
   customRules: PermissionRule[];
+  /** 权限对话框中选择"永久允许"产生的授权 */
+  grants?: PermissionGrant[];
 }
 
 // 获取配置文件路径
@@ -87,8 +104,18 @@ export async function savePermissionRule(rule: PermissionRule): Promise<{ succes
       return { success: false, error: '工具名称不能为空' };
     }
 
+    if (rule.action && !['allow', 'deny', 'ask'].includes(rule.action)) {
+      return { success: false, error: `无效的规则动作: ${rule.action}` };
+    }
+
+    // 保持 allowed 与 action 一致，兼容旧版本读取
+    rule = { ...rule, pattern: rule.pattern?.trim() || undefined };
+    if (rule.action) {
+      rule.allowed = rule.action === 'allow';
+    }
+
     // 检查规则是否已存在
-    const existingIndex = permissionsConfig.customRules.findIndex(r => r.tool === rule.tool);
+    const existingIndex = permissionsConfig.customRules.findIndex(r => isSameRule(r, rule));
     if (existingIndex >= 0) {
       // 更新现有规则
       permissionsConfig.customRules[existingIndex] = rule;
@@ -97,18 +124,18 @@ export async function savePermissionRule(rule: PermissionRule): Promise<{ succes
       permissionsConfig.customRules.push(rule);
     }
 
-    // 如果是允许的工具，添加到 allowedTools 列表
-    if (rule.allowed) {
+    // 如果是无输入模式限制的允许规则，添加到 allowedTools 列表
+    if (rule.allowed && !rule.pattern) {
       if (!permissionsConfig.allowedTools.includes(rule.tool)) {
         permissionsConfig.allowedTools.push(rule.tool);
       }
-    } else {
+    } else if (!rule.pattern) {
       // 如果是拒绝的工具，从 allowedTools 列表移除
       permissionsConfig.allowedTools = permissionsConfig.allowedTools.filter(t => t !== rule.tool);
     }
 
     await savePermissionsConfig(permissionsConfig);
-    log.info(`[permissions-store] Permission rule saved: ${rule.tool} -> ${rule.allowed}`);
+    log.info(`[permissions-store] Permission rule saved: ${rule.tool}${rule.pattern ? `(${rule.pattern})` : ''} -> ${rule.action ?? rule.allowed}`);
 
     return { success: true };
   } catch (error) {
@@ -122,25 +149,29 @@ export async function savePermissionRule(rule: PermissionRule): Promise<{ succes
 
 /**
  * 删除权限规则
+ * @param toolName - 工具名称
+ * @param pattern - 可选：输入模式，用于区分同一工具的多条规则
  */
-export async function deletePermissionRule(toolName: string): Promise<{ success: boolean; error?: string }> {
+export async function deletePermissionRule(toolName: string, pattern?: string): Promise<{ success: boolean; error?: string }> {
   try {
     const permissionsConfig = await getPermissionsConfig();
 
     const initialLength = permissionsConfig.customRules.length;
 
     // 过滤掉要删除的规则
-    permissionsConfig.customRules = permissionsConfig.customRules.filter(r => r.tool !== toolName);
+    permissionsConfig.customRules = permissionsConfig.customRules.filter(r => !isSameRule(r, { tool: toolName, pattern }));
 
-    // 同时从 allowedTools 中移除
-    permissionsConfig.allowedTools = permissionsConfig.allowedTools.filter(t => t !== toolName);
+    // 同时从 allowedTools 中移除（仅当删除的是无输入模式的规则）
+    if (!pattern) {
+      permissionsConfig.allowedTools = permissionsConfig.allowedTools.filter(t => t !== toolName);
+    }
 
     if (permissionsConfig.customRules.length === initialLength) {
       return { success: false, error: '规则不存在' };
     }
 
     await savePermissionsConfig(permissionsConfig);
-    log.info(`[permissions-store] Permission rule deleted: ${toolName}`);
+    log.info(`[permissions-store] Permission rule deleted: ${toolName}${pattern ? `(${pattern})` : ''}`);
 
     return { success: true };
   } catch (error) {
@@ -152,6 +183,60 @@ export async function deletePermissionRule(toolName: string): Promise<{ success:
   }
 }
 
+/**
+ * 添加永久权限授权
+ */
+export async function addPermissionGrant(grant: PermissionGrant): Promise<{ success: boolean; error?: string }> {
+  try {
+    const permissionsConfig = await getPermissionsConfig();
+    const grants = permissionsConfig.grants ?? [];
+
+    // 相同工具 + 输入模式的授权只保留一条
+    permissionsConfig.grants = [
+      ...grants.filter(g => !isSameRule(g, grant)),
+      { ...grant, scope: 'forever' },
+    ];
+
+    await savePermissionsConfig(permissionsConfig);
+    log.info(`[permissions-store] Permission grant added: ${grant.tool}${grant.pattern ? `(${grant.pattern})` : ''}`);
+
+    return { success: true };
+  } catch (error) {
+    log.error('[permissions-store] Failed to add permission grant:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : '保存权限授权失败'
+    };
+  }
+}
+
+/**
+ * 删除永久权限授权
+ */
+export async function deletePermissionGrant(grantId: string): Promise<{ success: boolean; error?: string }> {
+  try {
+    const permissionsConfig = await getPermissionsConfig();
+    const grants = permissionsConfig.grants ?? [];
+    const remaining = grants.filter(g => g.id !== grantId);
+
+    if (remaining.length === grants.length) {
+      return { success: false, error: '授权不存在' };
+    }
+
+    permissionsConfig.grants = remaining;
+    await savePermissionsConfig(permissionsConfig);
+    log.info(`[permissions-store] Permission grant deleted: ${grantId}`);
+
+    return { success: true };
+  } catch (error) {
+    log.error('[permissions-store] Failed to delete permission grant:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : '删除权限授权失败'
+    };
+  }
+}
+
 /**
  * 获取可用的工具列表
  */
@@ -0,0 +1,59 @@
+/**
+ * 会话运行配置存储
+ * 管理会话查询进程的保活时间
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { app } from 'electron';
+import { log } from '../logger.js';
+import type { RunnerConfig } from '../types.js';
+
+// 默认配置：空闲 10 分钟后关闭查询进程
+const DEFAULT_CONFIG: RunnerConfig = {
+  idleTimeoutMinutes: 10,
+};
+
+// 获取配置文件路径
+function getConfigPath(): string {
+  const userDataPath = app.getPath('userData');
+  return join(userDataPath, 'runner.json');
+}
+
+/**
+ * 加载会话运行配置
+ */
+export async function getRunnerConfig(): Promise<RunnerConfig> {
+  try {
+    const content = await fs.readFile(getConfigPath(), 'utf-8');
+    // 合并默认配置，确保所有字段都存在
+    return { ...DEFAULT_CONFIG, ...JSON.parse(content) };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      log.error('[runner-store] Failed to load runner config:', error);
+    }
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
+/**
+ * 保存会话运行配置
+ */
+export async function saveRunnerConfig(config: Partial<RunnerConfig>): Promise<{ success: boolean; error?: string }> {
+  try {
+    const newConfig = { ...(await getRunnerConfig()), ...config };
+    if (!Number.isFinite(newConfig.idleTimeoutMinutes) || newConfig.idleTimeoutMinutes < 0) {
+      return { success: false, error: '空闲超时必须是不小于 0 的数字' };
+    }
+    await fs.writeFile(getConfigPath(), JSON.stringify(newConfig, null, 2), 'utf-8');
+
+    log.info('[runner-store] Runner config saved:', newConfig);
+    return { success: true };
+  } catch (error) {
+    log.error('[runner-store] Failed to save runner config:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : '保存会话运行配置失败'
+    };
+  }
+}
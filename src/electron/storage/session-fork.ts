@@ -0,0 +1,61 @@
+/**
+ * 会话分支辅助函数
+ *
+ * 从任意一条用户提示词处分支会话时：
+ * - 复制该提示词之前的会话记录到新会话
+ * - 优先通过 SDK 的 resumeSessionAt + forkSession 从对应的助手消息处分支
+ * - 无法分支（找不到可恢复的助手消息或原会话没有 SDK 会话）时，
+ *   将复制的记录整理为上下文，在新会话首次运行时通过系统提示回放
+ */
+
+import type { StreamMessage } from "../types.js";
+import { extractSearchableText } from "./session-search.js";
+
+/** 回放上下文的最大字符数，超出时保留最近的部分 */
+const MAX_REPLAY_CONTEXT_LENGTH = 20000;
+
+/**
+ * 查找 SDK 可恢复的分支点
+ * 即复制范围内最后一条带 uuid 的助手消息
+ *
+ * @returns 助手消息 uuid；不存在时返回 undefined
+ */
+export function findForkResumePoint(messages: StreamMessage[]): string | undefined {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.type === "assistant" && message.uuid) {
+      return message.uuid;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 将复制的会话记录整理为回放上下文
+ * 只保留用户提示词和助手文本，返回空字符串表示没有可回放的内容
+ */
+export function buildReplayContext(messages: StreamMessage[]): string {
+  const turns: string[] = [];
+  for (const message of messages) {
+    if (message.type !== "user_prompt" && message.type !== "assistant" && message.type !== "orchestration_result") {
+      continue;
+    }
+    const text = message.type === "assistant"
+      ? message.message.content.flatMap((block) => block.type === "text" ? [block.text] : []).join("\n").trim()
+      : extractSearchableText(message);
+    if (!text) continue;
+    turns.push(`${message.type === "user_prompt" ? "User" : "Assistant"}: ${text}`);
+  }
+  if (turns.length === 0) return "";
+
+  let transcript = turns.join("\n\n");
+  if (transcript.length > MAX_REPLAY_CONTEXT_LENGTH) {
+    transcript = `…${transcript.slice(-MAX_REPLAY_CONTEXT_LENGTH)}`;
+  }
+  return [
+    "This conversation was branched from an earlier session. The prior conversation is below; continue from it.",
+    "<previous_conversation>",
+    transcript,
+    "</previous_conversation>",
+  ].join("\n");
+}
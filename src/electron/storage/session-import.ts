@@ -0,0 +1,67 @@
+/**
+ * 会话导入辅助函数
+ *
+ * 解析会话导出的 JSON 导出包（见 shared/session-export.ts）：
+ * - 校验导出包格式和版本
+ * - 使用 isValidStreamMessage 逐条校验消息，无效消息跳过并计数
+ * - 为带 uuid 的消息重新分配 uuid，避免与本地已有消息冲突
+ */
+
+import type { SessionExportBundle, StreamMessage } from "../types.js";
+import { isNumber, isObject, isString, isValidStreamMessage } from "../utils/type-guards.js";
+
+/**
+ * 解析后的导出包
+ */
+export type ParsedSessionBundle = {
+  session: SessionExportBundle["session"];
+  messages: StreamMessage[];
+  /** 未通过校验而被跳过的消息数 */
+  skipped: number;
+};
+
+/**
+ * 解析并校验会话导出包
+ *
+ * @param raw JSON.parse 后的导出包
+ * @throws 导出包格式不正确时抛出错误
+ */
+export function parseSessionBundle(raw: unknown): ParsedSessionBundle {
+  if (!isObject(raw) || raw.format !== "aicowork-session") {
+    throw new Error("Not a session export bundle");
+  }
+  if (raw.version !== 1) {
+    throw new Error(`Unsupported bundle version: ${String(raw.version)}`);
+  }
+  const session = raw.session;
+  if (!isObject(session) || !isString(session.title)) {
+    throw new Error("Bundle is missing session metadata");
+  }
+  if (!Array.isArray(raw.messages)) {
+    throw new Error("Bundle is missing messages");
+  }
+
+  const messages = raw.messages.filter(isValidStreamMessage);
+  const now = Date.now();
+  return {
+    session: {
+      id: isString(session.id) ? session.id : "",
+      title: session.title,
+      cwd: isString(session.cwd) ? session.cwd : undefined,
+      createdAt: isNumber(session.createdAt) ? session.createdAt : now,
+      updatedAt: isNumber(session.updatedAt) ? session.updatedAt : now
+    },
+    messages,
+    skipped: raw.messages.length - messages.length
+  };
+}
+
+/**
+ * 为带 uuid 的消息分配新 uuid
+ * 返回新数组，不修改原消息
+ */
+export function remapMessageIds(messages: StreamMessage[], createId: () => string = () => crypto.randomUUID()): StreamMessage[] {
+  return messages.map((message) =>
+    "uuid" in message && message.uuid ? { ...message, uuid: createId() } as StreamMessage : message
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * 会话全文搜索辅助函数
+ *
+ * SessionStore 使用 SQLite FTS5（trigram 分词器）索引会话记录，
+ * trigram 以字符为单位切分，中文等无空格文本也能按子串命中。
+ * 本模块负责：
+ * - 从 StreamMessage 提取可索引文本（用户提示词、助手文本、工具名称）
+ * - 将用户输入转换为安全的 FTS5 查询表达式
+ * - 生成搜索结果摘要
+ */
+
+import type { StreamMessage } from "../types.js";
+
+/** trigram 分词器可索引的最短词长，更短的词改用 LIKE 过滤 */
+export const MIN_MATCH_TERM_LENGTH = 3;
+
+/** 摘要中命中位置前后保留的字符数 */
+const SNIPPET_RADIUS = 40;
+
+/**
+ * 提取消息中可搜索的文本
+ * 只索引用户提示词、助手文本和工具名称，其余消息（流式增量、系统消息等）返回空字符串
+ */
+export function extractSearchableText(message: StreamMessage): string {
+  switch (message.type) {
+    case "user_prompt":
+      return message.prompt;
+    case "orchestration_result":
+      return message.text;
+    case "assistant": {
+      const parts: string[] = [];
+      for (const block of message.message.content) {
+        if (block.type === "text") {
+          parts.push(block.text);
+        } else if (block.type === "tool_use") {
+          parts.push(block.name);
+        }
+      }
+      return parts.join("\n").trim();
+    }
+    default:
+      return "";
+  }
+}
+
+/**
+ * 拆分搜索词
+ * 按空白拆分并去重，忽略空词
+ */
+export function splitSearchTerms(query: string): string[] {
+  return Array.from(new Set(query.trim().split(/\s+/).filter(Boolean)));
+}
+
+/**
+ * 构建 FTS5 MATCH 表达式
+ * 每个词作为带引号的短语（转义内部引号），避免用户输入被解析为 FTS5 语法；
+ * 多个词之间为 AND 关系。短于 MIN_MATCH_TERM_LENGTH 的词无法用 trigram 索引，不参与 MATCH。
+ *
+ * @returns MATCH 表达式；没有可索引的词时返回 null
+ */
+export function buildMatchExpression(terms: string[]): string | null {
+  const indexable = terms.filter((term) => Array.from(term).length >= MIN_MATCH_TERM_LENGTH);
+  if (indexable.length === 0) return null;
+  return indexable.map((term) => `"${term.replace(/"/g, '""')}"`).join(" AND ");
+}
+
+/**
+ * 转义 LIKE 模式中的通配符（配合 escape '\\' 使用）
+ */
+export function escapeLikePattern(term: string): string {
+  return term.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+/**
+ * 生成搜索结果摘要
+ * 截取第一个命中词前后的文本，并把换行压缩为空格
+ */
+export function buildSnippet(text: string, terms: string[]): string {
+  const flat = text.replace(/\s+/g, " ").trim();
+  const lower = flat.toLowerCase();
+  const hitIndex = terms
+    .map((term) => lower.indexOf(term.toLowerCase()))
+    .filter((index) => index >= 0)
+    .sort((a, b) => a - b)[0] ?? 0;
+
+  const start = Math.max(0, hitIndex - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, hitIndex + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? "…" : ""}${flat.slice(start, end)}${end < flat.length ? "…" : ""}`;
+}
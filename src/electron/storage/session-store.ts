@@ -1,10 +1,35 @@
 import Database from "better-sqlite3";
-import type { SessionStatus, StreamMessage } from "../types.js";
+import type {
+  AbandonedPermission,
+  PermissionGrant,
+  PermissionRuleMatch,
+  SessionPermissionMode,
+  SessionSearchHit,
+  SessionStatus,
+  StreamMessage,
+  UsageDailyRow,
+  UsageEntry,
+  UsageSessionRow,
+  UsageSummary
+} from "../types.js";
+import {
+  buildMatchExpression,
+  buildSnippet,
+  escapeLikePattern,
+  extractSearchableText,
+  MIN_MATCH_TERM_LENGTH,
+  splitSearchTerms
+} from "./session-search.js";
+import { findForkResumePoint } from "./session-fork.js";
+import { remapMessageIds, type ParsedSessionBundle } from "./session-import.js";
+import type { FileCheckpoint } from "../libs/runner/file-checkpoints.js";
 
 export type PendingPermission = {
   toolUseId: string;
   toolName: string;
   input: unknown;
+  /** 触发确认的权限规则，用于限定"始终允许"授权的范围 */
+  rule?: PermissionRuleMatch;
   resolve: (result: { behavior: "allow" | "deny"; updatedInput?: unknown; message?: string }) => void;
 };
 
@@ -16,7 +41,21 @@ export type Session = {
   cwd?: string;
   allowedTools?: string;
   lastPrompt?: string;
+  /** 权限模式，未设置时为 default */
+  permissionMode?: SessionPermissionMode;
   pendingPermissions: Map<string, PendingPermission>;
+  /** 会话范围的权限授权（仅保存在内存中，随会话释放） */
+  permissionGrants: PermissionGrant[];
+  /** 分支来源会话 ID */
+  parentSessionId?: string;
+  /** 分支点：来源会话中被分支的用户提示词消息 ID */
+  forkedAtMessageId?: string;
+  /** 首次运行时 SDK 需要从此助手消息处分支（resumeSessionAt），分支完成后清除 */
+  forkResumeAt?: string;
+  /** 从导出包导入的时间 */
+  importedAt?: number;
+  /** 导入的会话在用户选择继续之前为只读 */
+  readOnly?: boolean;
   abortController?: AbortController;
 };
 
@@ -27,7 +66,13 @@ export type StoredSession = {
   cwd?: string;
   allowedTools?: string;
   lastPrompt?: string;
+  permissionMode?: SessionPermissionMode;
   claudeSessionId?: string;
+  parentSessionId?: string;
+  forkedAtMessageId?: string;
+  importedAt?: number;
+  readOnly?: boolean;
+  abandonedPermissions?: AbandonedPermission[];
   createdAt: number;
   updatedAt: number;
 };
@@ -47,7 +92,13 @@ export class SessionStore {
     this.loadSessions();
   }
 
-  createSession(options: { cwd?: string; allowedTools?: string; prompt?: string; title: string }): Session {
+  createSession(options: {
+    cwd?: string;
+    allowedTools?: string;
+    prompt?: string;
+    title: string;
+    permissionMode?: SessionPermissionMode;
+  }): Session {
     const id = crypto.randomUUID();
     const now = Date.now();
     const session: Session = {
@@ -57,14 +108,16 @@ export class SessionStore {
       cwd: options.cwd,
       allowedTools: options.allowedTools,
       lastPrompt: options.prompt,
-      pendingPermissions: new Map()
+      permissionMode: options.permissionMode,
+      pendingPermissions: new Map(),
+      permissionGrants: []
     };
     this.sessions.set(id, session);
     this.db
       .prepare(
         `insert into sessions
-          (id, title, claude_session_id, status, cwd, allowed_tools, last_prompt, created_at, updated_at)
-         values (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          (id, title, claude_session_id, status, cwd, allowed_tools, last_prompt, permission_mode, created_at, updated_at)
+         values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       )
       .run(
         id,
@@ -74,6 +127,7 @@ export class SessionStore {
         session.cwd ?? null,
         session.allowedTools ?? null,
         session.lastPrompt ?? null,
+        session.permissionMode ?? null,
         now,
         now
       );
@@ -87,11 +141,13 @@ export class SessionStore {
   listSessions(): StoredSession[] {
     const rows = this.db
       .prepare(
-        `select id, title, claude_session_id, status, cwd, allowed_tools, last_prompt, created_at, updated_at
+        `select id, title, claude_session_id, status, cwd, allowed_tools, last_prompt,
+                parent_session_id, forked_at_message_id, imported_at, read_only, permission_mode, created_at, updated_at
          from sessions
          order by updated_at desc`
       )
       .all() as Array<Record<string, unknown>>;
+    const abandoned = this.listAbandonedPermissions();
     return rows.map((row) => ({
       id: String(row.id),
       title: String(row.title),
@@ -99,7 +155,15 @@ export class SessionStore {
       cwd: row.cwd ? String(row.cwd) : undefined,
       allowedTools: row.allowed_tools ? String(row.allowed_tools) : undefined,
       lastPrompt: row.last_prompt ? String(row.last_prompt) : undefined,
+      permissionMode: row.permission_mode ? (String(row.permission_mode) as SessionPermissionMode) : undefined,
       claudeSessionId: row.claude_session_id ? String(row.claude_session_id) : undefined,
+      parentSessionId: row.parent_session_id ? String(row.parent_session_id) : undefined,
+      forkedAtMessageId: row.forked_at_message_id ? String(row.forked_at_message_id) : undefined,
+      importedAt: row.imported_at ? Number(row.imported_at) : undefined,
+      readOnly: Boolean(row.read_only),
+      ...(row.status === "interrupted"
+        ? { abandonedPermissions: abandoned.filter((item) => item.sessionId === row.id) }
+        : {}),
       createdAt: Number(row.created_at),
       updatedAt: Number(row.updated_at)
     }));
@@ -122,7 +186,8 @@ export class SessionStore {
   getSessionHistory(id: string): SessionHistory | null {
     const sessionRow = this.db
       .prepare(
-        `select id, title, claude_session_id, status, cwd, allowed_tools, last_prompt, created_at, updated_at
+        `select id, title, claude_session_id, status, cwd, allowed_tools, last_prompt,
+                parent_session_id, forked_at_message_id, imported_at, read_only, permission_mode, created_at, updated_at
          from sessions
          where id = ?`
       )
@@ -131,7 +196,7 @@ export class SessionStore {
 
     const messages = (this.db
       .prepare(
-        `select data from messages where session_id = ? order by created_at asc`
+        `select data from messages where session_id = ? order by created_at asc, rowid asc`
       )
       .all(id) as Array<Record<string, unknown>>)
       .map((row) => JSON.parse(String(row.data)) as StreamMessage);
@@ -144,7 +209,12 @@ export class SessionStore {
         cwd: sessionRow.cwd ? String(sessionRow.cwd) : undefined,
         allowedTools: sessionRow.allowed_tools ? String(sessionRow.allowed_tools) : undefined,
         lastPrompt: sessionRow.last_prompt ? String(sessionRow.last_prompt) : undefined,
+        permissionMode: sessionRow.permission_mode ? (String(sessionRow.permission_mode) as SessionPermissionMode) : undefined,
         claudeSessionId: sessionRow.claude_session_id ? String(sessionRow.claude_session_id) : undefined,
+        parentSessionId: sessionRow.parent_session_id ? String(sessionRow.parent_session_id) : undefined,
+        forkedAtMessageId: sessionRow.forked_at_message_id ? String(sessionRow.forked_at_message_id) : undefined,
+        importedAt: sessionRow.imported_at ? Number(sessionRow.imported_at) : undefined,
+        readOnly: Boolean(sessionRow.read_only),
         createdAt: Number(sessionRow.created_at),
         updatedAt: Number(sessionRow.updated_at)
       },
@@ -168,11 +238,159 @@ export class SessionStore {
 
   recordMessage(sessionId: string, message: StreamMessage): void {
     const id = ('uuid' in message && message.uuid) ? String(message.uuid) : crypto.randomUUID();
-    this.db
+    const result = this.db
       .prepare(
         `insert or ignore into messages (id, session_id, data, created_at) values (?, ?, ?, ?)`
       )
       .run(id, sessionId, JSON.stringify(message), Date.now());
+    if (result.changes > 0) {
+      this.indexMessage(id, sessionId, message);
+    }
+  }
+
+  /**
+   * 从指定用户提示词处分支会话
+   * 新会话复制该提示词之前的全部记录；若能找到可恢复的助手消息，
+   * 则沿用来源会话的 SDK 会话 ID，并在首次运行时从该消息处分支
+   *
+   * @param sourceId 来源会话 ID
+   * @param messageIndex 用户提示词在会话历史中的位置
+   * @returns 新会话及被分支的提示词；来源会话不存在或该位置不是用户提示词时返回 null
+   */
+  forkSession(sourceId: string, messageIndex: number): { session: Session; prompt: string } | null {
+    const source = this.sessions.get(sourceId);
+    if (!source) return null;
+
+    const rows = this.db
+      .prepare(`select id, data from messages where session_id = ? order by created_at asc, rowid asc`)
+      .all(sourceId) as Array<Record<string, unknown>>;
+    const target = rows[messageIndex];
+    if (!target) return null;
+    const targetMessage = JSON.parse(String(target.data)) as StreamMessage;
+    if (targetMessage.type !== "user_prompt") return null;
+
+    const copied = rows.slice(0, messageIndex).map((row) => JSON.parse(String(row.data)) as StreamMessage);
+    const resumeAt = source.claudeSessionId ? findForkResumePoint(copied) : undefined;
+
+    const fork = this.createSession({
+      cwd: source.cwd,
+      allowedTools: source.allowedTools,
+      permissionMode: source.permissionMode,
+      title: `${source.title} (fork)`
+    });
+    const updates: Partial<Session> = {
+      parentSessionId: sourceId,
+      forkedAtMessageId: String(target.id),
+      ...(resumeAt ? { claudeSessionId: source.claudeSessionId, forkResumeAt: resumeAt } : {})
+    };
+    Object.assign(fork, updates);
+
+    const copy = this.db.transaction(() => {
+      this.db
+        .prepare(
+          `update sessions set parent_session_id = ?, forked_at_message_id = ?, claude_session_id = ?, fork_resume_at = ? where id = ?`
+        )
+        .run(sourceId, String(target.id), fork.claudeSessionId ?? null, fork.forkResumeAt ?? null, fork.id);
+
+      // 保持原有顺序，created_at 递增避免同一毫秒内的消息乱序
+      const insert = this.db.prepare(
+        `insert into messages (id, session_id, data, created_at) values (?, ?, ?, ?)`
+      );
+      const baseTime = Date.now() - copied.length;
+      copied.forEach((message, index) => {
+        const id = crypto.randomUUID();
+        insert.run(id, fork.id, JSON.stringify(message), baseTime + index);
+        this.indexMessage(id, fork.id, message);
+      });
+    });
+    copy();
+
+    return { session: fork, prompt: targetMessage.prompt };
+  }
+
+  /**
+   * 将导出包导入为新会话
+   * 会话和消息使用新的 ID，导入的会话在用户选择继续之前为只读
+   *
+   * @param bundle 已通过 parseSessionBundle 校验的导出包
+   * @returns 新会话
+   */
+  importSession(bundle: ParsedSessionBundle): Session {
+    const session = this.createSession({ cwd: bundle.session.cwd, title: bundle.session.title });
+    const importedAt = Date.now();
+    Object.assign(session, { status: "completed", importedAt, readOnly: true } satisfies Partial<Session>);
+
+    const messages = remapMessageIds(bundle.messages);
+    const insertAll = this.db.transaction(() => {
+      this.db
+        .prepare(`update sessions set status = ?, imported_at = ?, read_only = 1, created_at = ? where id = ?`)
+        .run(session.status, importedAt, bundle.session.createdAt, session.id);
+
+      // 与分支相同，created_at 递增以保持原有顺序
+      const insert = this.db.prepare(
+        `insert into messages (id, session_id, data, created_at) values (?, ?, ?, ?)`
+      );
+      const baseTime = importedAt - messages.length;
+      messages.forEach((message, index) => {
+        const id = ("uuid" in message && message.uuid) ? String(message.uuid) : crypto.randomUUID();
+        insert.run(id, session.id, JSON.stringify(message), baseTime + index);
+        this.indexMessage(id, session.id, message);
+      });
+    });
+    insertAll();
+
+    return session;
+  }
+
+  /**
+   * 全文搜索所有会话记录
+   * 可索引的词（≥3 个字符）走 FTS5 MATCH 并按 bm25 排序，更短的词以 LIKE 过滤
+   * @param query 搜索词，多个词以空白分隔，全部命中才返回
+   * @param limit 最多返回的结果数
+   */
+  searchMessages(query: string, limit = 20): SessionSearchHit[] {
+    const terms = splitSearchTerms(query);
+    if (terms.length === 0) return [];
+
+    const matchExpression = buildMatchExpression(terms);
+    const conditions: string[] = [];
+    const params: Array<string | number> = [];
+    if (matchExpression) {
+      conditions.push(`messages_fts match ?`);
+      params.push(matchExpression);
+    }
+    for (const term of terms.filter((t) => Array.from(t).length < MIN_MATCH_TERM_LENGTH)) {
+      conditions.push(`messages_fts.content like ? escape '\\'`);
+      params.push(`%${escapeLikePattern(term)}%`);
+    }
+    params.push(limit);
+
+    const rows = this.db
+      .prepare(
+        `select messages_fts.message_id, messages_fts.session_id, messages_fts.content,
+                m.created_at, m.data, s.title,
+                (select count(*) from messages m2
+                  where m2.session_id = m.session_id
+                    and (m2.created_at < m.created_at or (m2.created_at = m.created_at and m2.rowid < m.rowid))
+                ) as position
+         from messages_fts
+         join messages m on m.id = messages_fts.message_id
+         join sessions s on s.id = messages_fts.session_id
+         where ${conditions.join(" and ")}
+         order by ${matchExpression ? "bm25(messages_fts)" : "m.created_at desc"}
+         limit ?`
+      )
+      .all(...params) as Array<Record<string, unknown>>;
+
+    return rows.map((row) => ({
+      sessionId: String(row.session_id),
+      sessionTitle: String(row.title ?? ""),
+      messageId: String(row.message_id),
+      messageIndex: Number(row.position),
+      messageType: (JSON.parse(String(row.data)) as StreamMessage).type,
+      snippet: buildSnippet(String(row.content), terms),
+      createdAt: Number(row.created_at)
+    }));
   }
 
   deleteSession(id: string): boolean {
@@ -189,7 +407,10 @@ export class SessionStore {
       existing.pendingPermissions.clear();
       this.sessions.delete(id);
     }
+    this.db.prepare(`delete from messages_fts where session_id = ?`).run(id);
     this.db.prepare(`delete from messages where session_id = ?`).run(id);
+    this.db.prepare(`delete from pending_permissions where session_id = ?`).run(id);
+    this.db.prepare(`delete from file_checkpoints where session_id = ?`).run(id);
     const result = this.db.prepare(`delete from sessions where id = ?`).run(id);
     const removedFromDb = result.changes > 0;
     return removedFromDb || Boolean(existing);
@@ -204,7 +425,10 @@ export class SessionStore {
       status: "status",
       cwd: "cwd",
       allowedTools: "allowed_tools",
-      lastPrompt: "last_prompt"
+      lastPrompt: "last_prompt",
+      forkResumeAt: "fork_resume_at",
+      readOnly: "read_only",
+      permissionMode: "permission_mode"
     } as const;
 
     for (const key of Object.keys(updates) as Array<keyof typeof updatable>) {
@@ -212,7 +436,7 @@ export class SessionStore {
       if (!column) continue;
       fields.push(`${column} = ?`);
       const value = updates[key];
-      values.push(value === undefined ? null : (value as string));
+      values.push(value === undefined ? null : typeof value === "boolean" ? Number(value) : (value as string));
     }
 
     if (fields.length === 0) return;
@@ -241,6 +465,362 @@ export class SessionStore {
     return true;
   }
 
+  /**
+   * 添加工作目录范围的权限授权
+   * @param grant 授权（scope 为 cwd，且必须包含 cwd）
+   */
+  addCwdGrant(grant: PermissionGrant): void {
+    if (!grant.cwd) return;
+    this.db
+      .prepare(
+        `insert or replace into permission_grants (id, cwd, tool, pattern, created_at) values (?, ?, ?, ?, ?)`
+      )
+      .run(grant.id, grant.cwd, grant.tool, grant.pattern ?? null, grant.createdAt);
+  }
+
+  /**
+   * 列出工作目录范围的权限授权
+   * @param cwd 可选：只返回指定工作目录的授权
+   */
+  listCwdGrants(cwd?: string): PermissionGrant[] {
+    const rows = (cwd
+      ? this.db
+        .prepare(`select id, cwd, tool, pattern, created_at from permission_grants where cwd = ? order by created_at desc`)
+        .all(cwd)
+      : this.db
+        .prepare(`select id, cwd, tool, pattern, created_at from permission_grants order by created_at desc`)
+        .all()) as Array<Record<string, unknown>>;
+    return rows.map((row) => ({
+      id: String(row.id),
+      scope: "cwd" as const,
+      tool: String(row.tool),
+      pattern: row.pattern ? String(row.pattern) : undefined,
+      cwd: String(row.cwd),
+      createdAt: Number(row.created_at)
+    }));
+  }
+
+  /**
+   * 列出所有内存中会话的会话范围授权
+   */
+  listSessionGrants(): PermissionGrant[] {
+    return Array.from(this.sessions.values()).flatMap((session) => session.permissionGrants);
+  }
+
+  /**
+   * 撤销会话或工作目录范围的权限授权
+   * @param id 授权 ID
+   * @returns 是否找到并删除
+   */
+  revokeGrant(id: string): boolean {
+    for (const session of this.sessions.values()) {
+      const index = session.permissionGrants.findIndex((grant) => grant.id === id);
+      if (index >= 0) {
+        session.permissionGrants.splice(index, 1);
+        return true;
+      }
+    }
+    const result = this.db.prepare(`delete from permission_grants where id = ?`).run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * 记录等待用户响应的权限请求，应用异常退出后据此标记为已作废
+   */
+  recordPendingPermission(sessionId: string, toolUseId: string, toolName: string, input: unknown): void {
+    this.db
+      .prepare(
+        `insert or replace into pending_permissions (tool_use_id, session_id, tool_name, input, created_at)
+         values (?, ?, ?, ?, ?)`
+      )
+      .run(toolUseId, sessionId, toolName, JSON.stringify(input ?? null), Date.now());
+  }
+
+  /**
+   * 移除已响应的权限请求
+   */
+  resolvePendingPermission(toolUseId: string): void {
+    this.db.prepare(`delete from pending_permissions where tool_use_id = ? and abandoned_at is null`).run(toolUseId);
+  }
+
+  /**
+   * 移除会话所有未作废的权限请求（运行结束后超时或中止的请求）
+   */
+  clearPendingPermissions(sessionId: string): void {
+    this.db.prepare(`delete from pending_permissions where session_id = ? and abandoned_at is null`).run(sessionId);
+  }
+
+  /**
+   * 启动时恢复上次异常退出遗留的会话
+   * 没有查询进程却仍为 running 的会话标记为 interrupted，其待处理的权限请求标记为已作废
+   * @returns 被标记为中断的会话 ID
+   */
+  recoverInterruptedSessions(): string[] {
+    const orphaned = Array.from(this.sessions.values()).filter((session) => session.status === "running");
+    const now = Date.now();
+    const recover = this.db.transaction(() => {
+      for (const session of orphaned) {
+        this.db
+          .prepare(`update pending_permissions set abandoned_at = ? where session_id = ? and abandoned_at is null`)
+          .run(now, session.id);
+        this.updateSession(session.id, { status: "interrupted" });
+      }
+      // 其他会话遗留的请求已不可能得到响应
+      this.db.exec(`delete from pending_permissions where abandoned_at is null`);
+    });
+    recover();
+    return orphaned.map((session) => session.id);
+  }
+
+  /**
+   * 移除会话中断时被作废的权限请求，用户恢复或结束中断的会话后调用
+   */
+  clearAbandonedPermissions(sessionId: string): void {
+    this.db.prepare(`delete from pending_permissions where session_id = ? and abandoned_at is not null`).run(sessionId);
+  }
+
+  /**
+   * 列出会话中断时被作废的权限请求
+   */
+  listAbandonedPermissions(sessionId?: string): AbandonedPermission[] {
+    const query = `select tool_use_id, session_id, tool_name, input, created_at, abandoned_at
+       from pending_permissions where abandoned_at is not null`;
+    const rows = (sessionId
+      ? this.db.prepare(`${query} and session_id = ? order by created_at`).all(sessionId)
+      : this.db.prepare(`${query} order by created_at`).all()) as Array<Record<string, unknown>>;
+    return rows.map((row) => {
+      let input: unknown = null;
+      try {
+        input = JSON.parse(String(row.input));
+      } catch {
+        // 保留无法解析的输入为 null
+      }
+      return {
+        toolUseId: String(row.tool_use_id),
+        sessionId: String(row.session_id),
+        toolName: String(row.tool_name),
+        input,
+        createdAt: Number(row.created_at),
+        abandonedAt: Number(row.abandoned_at)
+      };
+    });
+  }
+
+  /**
+   * 记录文件修改前的内容，归入会话最近一条用户提示词所在的轮次
+   * 同一轮次中每个文件只保留第一次修改前的内容
+   *
+   * @param content 修改前的内容；文件原本不存在时为 null
+   */
+  recordFileCheckpoint(sessionId: string, filePath: string, content: Buffer | null): void {
+    const turn = this.db
+      .prepare(
+        `select id from messages where session_id = ? and json_extract(data, '$.type') = 'user_prompt'
+         order by created_at desc, rowid desc limit 1`
+      )
+      .get(sessionId) as { id: string } | undefined;
+    this.db
+      .prepare(
+        `insert or ignore into file_checkpoints (session_id, turn_id, file_path, content, created_at)
+         values (?, ?, ?, ?, ?)`
+      )
+      .run(sessionId, turn?.id ?? "", filePath, content, Date.now());
+  }
+
+  /**
+   * 列出从指定用户提示词开始（含）各轮次保存的文件检查点，按保存时间升序
+   *
+   * @param messageIndex 用户提示词在会话历史中的位置
+   * @returns 该位置不是用户提示词时返回 null
+   */
+  listFileCheckpoints(sessionId: string, messageIndex: number): FileCheckpoint[] | null {
+    const turnIds = this.turnIdsFrom(sessionId, messageIndex);
+    if (!turnIds) return null;
+    if (turnIds.length === 0) return [];
+    const rows = this.db
+      .prepare(
+        `select file_path, content, created_at from file_checkpoints
+         where session_id = ? and turn_id in (${turnIds.map(() => "?").join(", ")})
+         order by created_at asc, rowid asc`
+      )
+      .all(sessionId, ...turnIds) as Array<Record<string, unknown>>;
+    return rows.map((row) => ({
+      filePath: String(row.file_path),
+      content: row.content == null ? null : Buffer.from(row.content as Buffer),
+      createdAt: Number(row.created_at)
+    }));
+  }
+
+  /**
+   * 删除从指定用户提示词开始（含）各轮次的文件检查点，回退完成后调用
+   */
+  deleteFileCheckpoints(sessionId: string, messageIndex: number): void {
+    const turnIds = this.turnIdsFrom(sessionId, messageIndex);
+    if (!turnIds || turnIds.length === 0) return;
+    this.db
+      .prepare(
+        `delete from file_checkpoints where session_id = ? and turn_id in (${turnIds.map(() => "?").join(", ")})`
+      )
+      .run(sessionId, ...turnIds);
+  }
+
+  /**
+   * 获取从指定位置开始（含）的用户提示词消息 ID，位置顺序与 forkSession 一致
+   * 该位置不是用户提示词时返回 null
+   */
+  private turnIdsFrom(sessionId: string, messageIndex: number): string[] | null {
+    const rows = this.db
+      .prepare(
+        `select id, json_extract(data, '$.type') as type from messages
+         where session_id = ? order by created_at asc, rowid asc`
+      )
+      .all(sessionId) as Array<{ id: string; type: string | null }>;
+    if (rows[messageIndex]?.type !== "user_prompt") return null;
+    return rows
+      .slice(messageIndex)
+      .filter((row) => row.type === "user_prompt")
+      .map((row) => String(row.id));
+  }
+
+  /**
+   * 写入用量台账
+   */
+  recordUsage(entries: UsageEntry[]): void {
+    const insert = this.db.prepare(
+      `insert into usage_ledger
+        (session_id, api_config_id, api_config_name, model, date,
+         input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens, cost_usd, created_at)
+       values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    const insertAll = this.db.transaction(() => {
+      for (const entry of entries) {
+        insert.run(
+          entry.sessionId,
+          entry.apiConfigId,
+          entry.apiConfigName ?? null,
+          entry.model,
+          entry.date,
+          entry.inputTokens,
+          entry.outputTokens,
+          entry.cacheReadTokens,
+          entry.cacheCreationTokens,
+          entry.costUsd,
+          entry.createdAt
+        );
+      }
+    });
+    insertAll();
+  }
+
+  /**
+   * 汇总指定日期（含）之后的用量
+   * @param since 起始日期 YYYY-MM-DD
+   */
+  getUsageSummary(since: string): UsageSummary {
+    const daily = (this.db
+      .prepare(
+        `select date, api_config_id, max(api_config_name) as api_config_name, model,
+                sum(input_tokens) as input_tokens, sum(output_tokens) as output_tokens,
+                sum(cache_read_tokens) as cache_read_tokens, sum(cache_creation_tokens) as cache_creation_tokens,
+                sum(cost_usd) as cost_usd, count(*) as runs
+         from usage_ledger
+         where date >= ?
+         group by date, api_config_id, model
+         order by date asc`
+      )
+      .all(since) as Array<Record<string, unknown>>)
+      .map((row): UsageDailyRow => ({
+        date: String(row.date),
+        apiConfigId: String(row.api_config_id),
+        apiConfigName: row.api_config_name ? String(row.api_config_name) : undefined,
+        model: String(row.model),
+        inputTokens: Number(row.input_tokens),
+        outputTokens: Number(row.output_tokens),
+        cacheReadTokens: Number(row.cache_read_tokens),
+        cacheCreationTokens: Number(row.cache_creation_tokens),
+        costUsd: Number(row.cost_usd),
+        runs: Number(row.runs)
+      }));
+
+    const sessions = (this.db
+      .prepare(
+        `select u.session_id, s.title,
+                sum(u.input_tokens) as input_tokens, sum(u.output_tokens) as output_tokens,
+                sum(u.cost_usd) as cost_usd, count(*) as runs
+         from usage_ledger u
+         left join sessions s on s.id = u.session_id
+         where u.date >= ?
+         group by u.session_id
+         order by cost_usd desc
+         limit 20`
+      )
+      .all(since) as Array<Record<string, unknown>>)
+      .map((row): UsageSessionRow => ({
+        sessionId: String(row.session_id),
+        sessionTitle: row.title ? String(row.title) : undefined,
+        inputTokens: Number(row.input_tokens),
+        outputTokens: Number(row.output_tokens),
+        costUsd: Number(row.cost_usd),
+        runs: Number(row.runs)
+      }));
+
+    return { since, daily, sessions };
+  }
+
+  /**
+   * 查询预算检查所需的已用量：会话累计、当天累计、当天该 API 配置累计
+   * tokens 按输入 + 输出 token 计算
+   */
+  getBudgetUsage(sessionId: string, apiConfigId: string, date: string): Record<"session" | "daily" | "apiConfig", { costUsd: number; tokens: number }> {
+    const row = this.db
+      .prepare(
+        `select
+           coalesce(sum(case when session_id = @sessionId then cost_usd end), 0) as session_cost,
+           coalesce(sum(case when session_id = @sessionId then input_tokens + output_tokens end), 0) as session_tokens,
+           coalesce(sum(case when date = @date then cost_usd end), 0) as daily_cost,
+           coalesce(sum(case when date = @date then input_tokens + output_tokens end), 0) as daily_tokens,
+           coalesce(sum(case when date = @date and api_config_id = @apiConfigId then cost_usd end), 0) as config_cost,
+           coalesce(sum(case when date = @date and api_config_id = @apiConfigId then input_tokens + output_tokens end), 0) as config_tokens
+         from usage_ledger
+         where session_id = @sessionId or date = @date`
+      )
+      .get({ sessionId, apiConfigId, date }) as Record<string, number>;
+    return {
+      session: { costUsd: row.session_cost, tokens: row.session_tokens },
+      daily: { costUsd: row.daily_cost, tokens: row.daily_tokens },
+      apiConfig: { costUsd: row.config_cost, tokens: row.config_tokens }
+    };
+  }
+
+  /**
+   * 列出指定日期（含）之后的全部台账记录，用于导出
+   * @param since 起始日期 YYYY-MM-DD，缺省时返回全部
+   */
+  listUsageEntries(since?: string): UsageEntry[] {
+    const rows = this.db
+      .prepare(
+        `select session_id, api_config_id, api_config_name, model, date,
+                input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens, cost_usd, created_at
+         from usage_ledger
+         where date >= ?
+         order by created_at asc, id asc`
+      )
+      .all(since ?? "") as Array<Record<string, unknown>>;
+    return rows.map((row) => ({
+      sessionId: String(row.session_id),
+      apiConfigId: String(row.api_config_id),
+      apiConfigName: row.api_config_name ? String(row.api_config_name) : undefined,
+      model: String(row.model),
+      date: String(row.date),
+      inputTokens: Number(row.input_tokens),
+      outputTokens: Number(row.output_tokens),
+      cacheReadTokens: Number(row.cache_read_tokens),
+      cacheCreationTokens: Number(row.cache_creation_tokens),
+      costUsd: Number(row.cost_usd),
+      createdAt: Number(row.created_at)
+    }));
+  }
+
   private initialize(): void {
     this.db.exec(`pragma journal_mode = WAL;`);
     this.db.exec(
@@ -266,12 +846,131 @@ export class SessionStore {
       )`
     );
     this.db.exec(`create index if not exists messages_session_id on messages(session_id)`);
+
+    // 会话分支字段（旧数据库需要补充列）
+    const sessionColumns = new Set(
+      (this.db.prepare(`pragma table_info(sessions)`).all() as Array<Record<string, unknown>>).map((col) => String(col.name))
+    );
+    for (const column of ["parent_session_id", "forked_at_message_id", "fork_resume_at", "permission_mode"]) {
+      if (!sessionColumns.has(column)) {
+        this.db.exec(`alter table sessions add column ${column} text`);
+      }
+    }
+    // 会话导入字段
+    for (const column of ["imported_at", "read_only"]) {
+      if (!sessionColumns.has(column)) {
+        this.db.exec(`alter table sessions add column ${column} integer`);
+      }
+    }
+    this.db.exec(
+      `create table if not exists permission_grants (
+        id text primary key,
+        cwd text not null,
+        tool text not null,
+        pattern text,
+        created_at integer not null
+      )`
+    );
+    this.db.exec(`create index if not exists permission_grants_cwd on permission_grants(cwd)`);
+
+    // 等待用户响应的权限请求：应用异常退出后标记为已作废（abandoned_at）
+    this.db.exec(
+      `create table if not exists pending_permissions (
+        tool_use_id text primary key,
+        session_id text not null,
+        tool_name text not null,
+        input text,
+        created_at integer not null,
+        abandoned_at integer
+      )`
+    );
+    this.db.exec(`create index if not exists pending_permissions_session on pending_permissions(session_id)`);
+
+    // 文件检查点：每轮（以触发该轮的用户提示词 ID 标识）每个文件第一次修改前的内容
+    this.db.exec(
+      `create table if not exists file_checkpoints (
+        session_id text not null,
+        turn_id text not null,
+        file_path text not null,
+        content blob,
+        created_at integer not null,
+        unique (session_id, turn_id, file_path)
+      )`
+    );
+
+    // 用量台账：删除会话时保留，用于历史统计
+    this.db.exec(
+      `create table if not exists usage_ledger (
+        id integer primary key autoincrement,
+        session_id text not null,
+        api_config_id text not null,
+        api_config_name text,
+        model text not null,
+        date text not null,
+        input_tokens integer not null default 0,
+        output_tokens integer not null default 0,
+        cache_read_tokens integer not null default 0,
+        cache_creation_tokens integer not null default 0,
+        cost_usd real not null default 0,
+        created_at integer not null
+      )`
+    );
+    this.db.exec(`create index if not exists usage_ledger_date on usage_ledger(date)`);
+    this.db.exec(`create index if not exists usage_ledger_session on usage_ledger(session_id)`);
+
+    // 全文搜索索引：首次创建时为已有消息补建索引
+    const hasSearchIndex = this.db
+      .prepare(`select 1 from sqlite_master where type = 'table' and name = 'messages_fts'`)
+      .get();
+    this.db.exec(
+      `create virtual table if not exists messages_fts using fts5(
+        content,
+        message_id unindexed,
+        session_id unindexed,
+        tokenize = 'trigram'
+      )`
+    );
+    if (!hasSearchIndex) {
+      this.rebuildSearchIndex();
+    }
+  }
+
+  /**
+   * 将单条消息写入全文搜索索引
+   */
+  private indexMessage(id: string, sessionId: string, message: StreamMessage): void {
+    const content = extractSearchableText(message);
+    if (!content) return;
+    this.db
+      .prepare(`insert into messages_fts (content, message_id, session_id) values (?, ?, ?)`)
+      .run(content, id, sessionId);
+  }
+
+  /**
+   * 为所有已存储的消息重建全文搜索索引
+   */
+  private rebuildSearchIndex(): void {
+    const rows = this.db
+      .prepare(`select id, session_id, data from messages`)
+      .all() as Array<Record<string, unknown>>;
+    const rebuild = this.db.transaction(() => {
+      this.db.exec(`delete from messages_fts`);
+      for (const row of rows) {
+        try {
+          this.indexMessage(String(row.id), String(row.session_id), JSON.parse(String(row.data)) as StreamMessage);
+        } catch {
+          // 跳过无法解析的历史消息
+        }
+      }
+    });
+    rebuild();
   }
 
   private loadSessions(): void {
     const rows = this.db
       .prepare(
-        `select id, title, claude_session_id, status, cwd, allowed_tools, last_prompt
+        `select id, title, claude_session_id, status, cwd, allowed_tools, last_prompt,
+                parent_session_id, forked_at_message_id, fork_resume_at, imported_at, read_only, permission_mode
          from sessions`
       )
       .all();
@@ -284,7 +983,14 @@ export class SessionStore {
         cwd: row.cwd ? String(row.cwd) : undefined,
         allowedTools: row.allowed_tools ? String(row.allowed_tools) : undefined,
         lastPrompt: row.last_prompt ? String(row.last_prompt) : undefined,
-        pendingPermissions: new Map()
+        permissionMode: row.permission_mode ? (String(row.permission_mode) as SessionPermissionMode) : undefined,
+        parentSessionId: row.parent_session_id ? String(row.parent_session_id) : undefined,
+        forkedAtMessageId: row.forked_at_message_id ? String(row.forked_at_message_id) : undefined,
+        forkResumeAt: row.fork_resume_at ? String(row.fork_resume_at) : undefined,
+        importedAt: row.imported_at ? Number(row.imported_at) : undefined,
+        readOnly: Boolean(row.read_only),
+        pendingPermissions: new Map(),
+        permissionGrants: []
       };
       this.sessions.set(session.id, session);
     }
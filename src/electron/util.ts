@@ -1,5 +1,6 @@
 import { ipcMain, WebContents, WebFrameMain } from "electron";
 import { log } from "./logger.js";
+import type { ArchivedMemory, BudgetConfig, KnowledgeFolder, KnowledgeFolderStatus, MemoryAnswer, MemoryBackend, MemoryDuplicateCluster, MemoryDuplicateHit, MemoryImportProgress, MemoryListItem, MemoryScopeInfo, MemoryTransferResult, PendingMemory, RewindFilePreview, RunnerConfig, SimilarMemory, UsageSummary } from "./types.js";
 
 export const DEV_PORT = 5173;
 
@@ -66,21 +67,36 @@ export interface EventPayloadMapping {
     // Plugins 操作
     "open-plugins-directory": { success: boolean; error?: string };
     // Hooks 操作
-    "get-hooks-config": { preToolUse: Array<{ hook: string; command: string; description?: string }>; postToolUse: Array<{ hook: string; command: string; description?: string }> };
+    "get-hooks-config": { preToolUse: Array<{ hook: string; matcher?: string; command: string; description?: string }>; postToolUse: Array<{ hook: string; matcher?: string; command: string; description?: string }> };
     "save-hook": { success: boolean; error?: string };
     "delete-hook": { success: boolean; error?: string };
     // Permissions 操作
-    "get-permissions-config": { allowedTools: string[]; customRules: Array<{ tool: string; allowed: boolean; description?: string }> };
+    "get-permissions-config": { allowedTools: string[]; customRules: Array<{ tool: string; allowed: boolean; action?: "allow" | "deny" | "ask"; pattern?: string; description?: string }> };
     "save-permission-rule": { success: boolean; error?: string };
     "delete-permission-rule": { success: boolean; error?: string };
+    "get-permission-grants": Array<{ id: string; scope: "session" | "cwd" | "forever"; tool: string; pattern?: string; cwd?: string; sessionId?: string; createdAt: number }>;
+    "revoke-permission-grant": { success: boolean; error?: string };
     // Output 操作
     "get-output-config": { format: 'markdown' | 'plain'; theme: 'default' | 'dark' | 'light'; codeHighlight: boolean; showLineNumbers: boolean; fontSize: 'small' | 'medium' | 'large'; wrapCode: boolean };
     "save-output-config": { success: boolean; error?: string };
+    // 预算配置
+    "get-budget-config": BudgetConfig;
+    "save-budget-config": { success: boolean; error?: string };
     // Session Recovery 操作
     "get-sessions-list": Array<{ sessionId: string; title: string; cwd: string; updatedAt: number; createdAt: number; messageCount?: number }>;
+    "get-runner-config": RunnerConfig;
+    "save-runner-config": { success: boolean; error?: string };
     "get-session-history": any;
     "recover-session": { success: boolean; error?: string; sessionId?: string };
     "delete-session": { success: boolean; error?: string };
+    "save-session-export": { success: boolean; canceled?: boolean; filePath?: string; error?: string };
+    "import-session-bundle": { success: boolean; canceled?: boolean; sessionId?: string; skipped?: number; error?: string };
+    // 文件回退
+    "get-rewind-preview": { success: boolean; files: RewindFilePreview[]; error?: string };
+    "rewind-session-files": { success: boolean; restored: string[]; error?: string };
+    // 用量统计
+    "get-usage-summary": UsageSummary;
+    "export-usage-csv": { success: boolean; canceled?: boolean; filePath?: string; error?: string };
     // MCP 服务器操作
     "get-mcp-servers": Record<string, {
         name: string;
@@ -180,19 +196,51 @@ export interface EventPayloadMapping {
     // Output 渲染器选项
     "get-renderer-options": Array<{ value: string; label: string; description: string }>;
     // Memory/Memvid 操作
-    "memory-put-document": { success: boolean; error?: string; id?: string };
+    "memory-put-document": { success: boolean; error?: string; id?: string; duplicates?: MemoryDuplicateHit[] };
     "memory-put-documents": { success: boolean; error?: string; count?: number };
     "memory-find-documents": { success: boolean; error?: string; results?: { hits: Array<{ id: string; score: number; doc: any }>; query: string; mode: string } };
-    "memory-ask-question": { success: boolean; error?: string; answer?: string; context?: string };
+    "memory-ask-question": { success: boolean; error?: string } & Partial<MemoryAnswer>;
     "memory-get-stats": { success: boolean; error?: string; stats?: { frame_count: number; size_bytes: number; has_lex_index: boolean; has_vec_index: boolean } };
     "memory-get-timeline": { success: boolean; error?: string; entries?: any[] };
     "memory-get-document": { success: boolean; error?: string; document?: any };
     "memory-update-document": { success: boolean; error?: string };
     "memory-delete-document": { success: boolean; error?: string };
     "memory-clear": { success: boolean; error?: string };
-    "memory-get-config": { success: boolean; error?: string; config?: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number } };
+    "memory-get-config": { success: boolean; error?: string; config?: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number; importanceThreshold?: number; reviewBypassLabels?: string[]; labelTtlDays?: Record<string, number>; strictAnswers?: boolean } };
     "memory-set-config": { success: boolean; error?: string };
-    "memory-import-file": { success: boolean; error?: string; count?: number };
+    "memory-import-file": { success: boolean; error?: string; canceled?: boolean; count?: number; replaced?: number };
+    "memory-import-progress": MemoryImportProgress;
+    "memory-list-documents": { success: boolean; error?: string; documents?: MemoryListItem[] };
+    "memory-get-scopes": { success: boolean; error?: string; scopes?: MemoryScopeInfo[] };
+    "memory-move-document": { success: boolean; error?: string; id?: string };
+    "memory-find-duplicates": { success: boolean; error?: string; clusters?: MemoryDuplicateCluster[] };
+    "memory-merge-documents": { success: boolean; error?: string; id?: string };
+    // 记忆生命周期
+    "memory-set-pinned": { success: boolean; error?: string; id?: string };
+    "memory-archive-document": { success: boolean; error?: string; archiveId?: string };
+    "memory-archive-list": ArchivedMemory[];
+    "memory-archive-restore": { success: boolean; error?: string; id?: string };
+    "memory-archive-delete": { success: boolean; error?: string };
+    "memory-sweep-expired": { success: boolean; error?: string; count?: number };
+    // 记忆导出、导入和后端迁移
+    "memory-get-backend": { success: boolean; error?: string; backend?: MemoryBackend };
+    "memory-export-jsonl": { success: boolean; error?: string; canceled?: boolean; filePath?: string; count?: number };
+    "memory-import-jsonl": MemoryTransferResult & { canceled?: boolean };
+    "memory-migrate-backend": MemoryTransferResult;
+    // 记忆收件箱
+    "memory-inbox-list": PendingMemory[];
+    "memory-inbox-update": { success: boolean; error?: string; item?: PendingMemory };
+    "memory-inbox-approve": { success: boolean; error?: string; id?: string };
+    "memory-inbox-merge": { success: boolean; error?: string; id?: string };
+    "memory-inbox-discard": { success: boolean; error?: string };
+    "memory-inbox-similar": { success: boolean; error?: string; similar?: SimilarMemory[] };
+    // 知识文件夹
+    "knowledge-folders-list": { folders: KnowledgeFolder[]; statuses: KnowledgeFolderStatus[] };
+    "knowledge-folder-add": { success: boolean; error?: string; canceled?: boolean; folder?: KnowledgeFolder };
+    "knowledge-folder-update": { success: boolean; error?: string; folder?: KnowledgeFolder };
+    "knowledge-folder-remove": { success: boolean; error?: string };
+    "knowledge-folder-sync": { success: boolean; error?: string };
+    "knowledge-folder-status": KnowledgeFolderStatus;
     // Rules 操作
     "get-rules-list": { success: boolean; error?: string; rules: Array<{ name: string; path: string; content: string; language: string; modified: number }> };
     "save-rule": { success: boolean; error?: string };
@@ -0,0 +1,349 @@
+/**
+ * 知识文件夹同步
+ *
+ * 主进程监听已登记的文件夹，将其中的文档同步到记忆存储：
+ * - 新增 / 修改的文件重新导入（按文件 uri 替换旧块）
+ * - 删除的文件从记忆中移除
+ * - 以相对路径和内容哈希为键，大小和修改时间未变的文件不重新读取，内容未变的文件不重新导入
+ * 文件变化经防抖后触发整个文件夹的增量同步，所有同步串行执行，避免并发写入记忆存储。
+ */
+
+import { watch, promises as fs, type FSWatcher } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { log } from '../logger.js';
+import { globToRegExp } from '../libs/runner/permission-rules.js';
+import {
+  getKnowledgeFolders,
+  getKnowledgeManifest,
+  saveKnowledgeManifest,
+  type KnowledgeManifest,
+} from '../storage/knowledge-folders-store.js';
+import { detectImportFormat, getSourceUri } from './memory-import.js';
+import { deleteMemoryBySource, importMemoryFile } from './memory-tools.js';
+import type { KnowledgeFolder, KnowledgeFolderStatus } from '../types.js';
+
+/** 文件变化后等待的时间，合并连续的变化 */
+const SYNC_DEBOUNCE_MS = 1500;
+
+/**
+ * 文件夹内文件的过滤器
+ */
+export type FolderFilter = {
+  /** 文件是否需要同步（支持的格式、匹配 include、不匹配 exclude） */
+  matchesFile: (relPath: string) => boolean;
+  /** 目录是否整体跳过 */
+  skipsDirectory: (relPath: string) => boolean;
+};
+
+/**
+ * 创建文件夹过滤器
+ * 模式不含 / 时匹配文件名 / 目录名，否则匹配相对路径
+ */
+export function createFolderFilter(include: string[], exclude: string[]): FolderFilter {
+  const toMatcher = (pattern: string) => {
+    const normalized = pattern.trim().replace(/\\/g, '/');
+    const regex = globToRegExp(normalized, { pathMode: true });
+    return normalized.includes('/')
+      ? (relPath: string) => regex.test(relPath)
+      : (relPath: string) => regex.test(relPath.slice(relPath.lastIndexOf('/') + 1));
+  };
+  const includeMatchers = include.filter(pattern => pattern.trim()).map(toMatcher);
+  const excludeMatchers = exclude.filter(pattern => pattern.trim()).map(toMatcher);
+
+  return {
+    matchesFile: (relPath) =>
+      detectImportFormat(relPath) !== null
+      && !excludeMatchers.some(matches => matches(relPath))
+      && (includeMatchers.length === 0 || includeMatchers.some(matches => matches(relPath))),
+    // 目录同时以 "dir" 和 "dir/" 检查，使 "**/node_modules/**" 和 "drafts" 都能排除整个目录
+    skipsDirectory: (relPath) => excludeMatchers.some(matches => matches(relPath) || matches(`${relPath}/`)),
+  };
+}
+
+/**
+ * 文件的大小和修改时间
+ */
+export type FileStamp = {
+  size: number;
+  mtimeMs: number;
+};
+
+/**
+ * 同步计划
+ */
+export type FolderSyncPlan = {
+  /** 大小或修改时间变化（或新增）、需要计算哈希的文件 */
+  candidates: string[];
+  /** 大小和修改时间都未变的文件 */
+  unchanged: string[];
+  /** 已从文件夹中删除（或不再匹配过滤规则）的文件 */
+  removed: string[];
+};
+
+/**
+ * 对比当前文件和同步清单，生成同步计划
+ */
+export function planFolderSync(files: Record<string, FileStamp>, manifest: KnowledgeManifest): FolderSyncPlan {
+  const plan: FolderSyncPlan = { candidates: [], unchanged: [], removed: [] };
+  for (const [relPath, stamp] of Object.entries(files)) {
+    const entry = manifest[relPath];
+    if (entry && entry.size === stamp.size && entry.mtimeMs === stamp.mtimeMs) {
+      plan.unchanged.push(relPath);
+    } else {
+      plan.candidates.push(relPath);
+    }
+  }
+  plan.removed = Object.keys(manifest).filter(relPath => !(relPath in files));
+  return plan;
+}
+
+/**
+ * 递归列出文件夹中需要同步的文件
+ */
+async function scanFolder(root: string, filter: FolderFilter): Promise<Record<string, FileStamp>> {
+  const files: Record<string, FileStamp> = {};
+
+  const walk = async (relDir: string) => {
+    const entries = await fs.readdir(relDir ? join(root, relDir) : root, { withFileTypes: true });
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!filter.skipsDirectory(relPath)) await walk(relPath);
+      } else if (entry.isFile() && filter.matchesFile(relPath)) {
+        const stat = await fs.stat(join(root, relPath));
+        files[relPath] = { size: stat.size, mtimeMs: stat.mtimeMs };
+      }
+    }
+  };
+
+  await walk('');
+  return files;
+}
+
+/**
+ * 计算文件内容的 sha256
+ */
+async function hashFile(filePath: string): Promise<string> {
+  return createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+// ========== 监听和同步状态 ==========
+
+const watchers = new Map<string, FSWatcher>();
+const debounceTimers = new Map<string, NodeJS.Timeout>();
+const statuses = new Map<string, KnowledgeFolderStatus>();
+/** 已排队等待同步的文件夹，排队期间的变化不再重复排队 */
+const queuedFolders = new Set<string>();
+let syncQueue: Promise<void> = Promise.resolve();
+let statusListener: ((status: KnowledgeFolderStatus) => void) | null = null;
+
+/**
+ * 注册同步状态变化的监听函数
+ */
+export function setKnowledgeStatusListener(listener: ((status: KnowledgeFolderStatus) => void) | null): void {
+  statusListener = listener;
+}
+
+function updateStatus(folderId: string, updates: Partial<KnowledgeFolderStatus>): void {
+  const status: KnowledgeFolderStatus = {
+    folderId,
+    state: 'idle',
+    fileCount: 0,
+    indexedCount: 0,
+    skippedCount: 0,
+    removedCount: 0,
+    ...statuses.get(folderId),
+    ...updates,
+  };
+  statuses.set(folderId, status);
+  statusListener?.(status);
+}
+
+/**
+ * 获取所有文件夹的同步状态
+ */
+export function getKnowledgeFolderStatuses(): KnowledgeFolderStatus[] {
+  return Array.from(statuses.values());
+}
+
+/**
+ * 同步一个文件夹
+ */
+async function runFolderSync(folderId: string): Promise<void> {
+  const folder = (await getKnowledgeFolders()).find(item => item.id === folderId);
+  if (!folder || !folder.enabled) return;
+
+  updateStatus(folderId, { state: 'syncing', error: undefined });
+  try {
+    // ========== 1. 扫描文件并生成同步计划 ==========
+    const files = await scanFolder(folder.path, createFolderFilter(folder.include, folder.exclude));
+    const manifest = await getKnowledgeManifest(folderId);
+    const plan = planFolderSync(files, manifest);
+
+    const next: KnowledgeManifest = {};
+    for (const relPath of plan.unchanged) {
+      next[relPath] = manifest[relPath];
+    }
+    const failures: Record<string, string> = {};
+    let indexedCount = 0;
+    let skippedCount = plan.unchanged.length;
+    let removedCount = 0;
+
+    // ========== 2. 导入新增 / 修改的文件，内容未变的只更新时间戳 ==========
+    for (const relPath of plan.candidates) {
+      const filePath = join(folder.path, relPath);
+      const previous = manifest[relPath];
+      try {
+        const hash = await hashFile(filePath);
+        if (previous?.hash === hash) {
+          next[relPath] = { ...previous, ...files[relPath] };
+          skippedCount++;
+          continue;
+        }
+
+        const result = await importMemoryFile(filePath);
+        if (result.success) {
+          next[relPath] = { hash, ...files[relPath], chunks: result.count ?? 0, syncedAt: Date.now() };
+          indexedCount++;
+        } else {
+          failures[relPath] = result.error || '导入失败';
+          // 保留旧记录：下次同步时重试，文件删除时仍能移除旧块
+          if (previous) next[relPath] = previous;
+        }
+      } catch (error) {
+        failures[relPath] = error instanceof Error ? error.message : String(error);
+        if (previous) next[relPath] = previous;
+      }
+    }
+
+    // ========== 3. 移除已删除的文件 ==========
+    for (const relPath of plan.removed) {
+      const result = await deleteMemoryBySource(getSourceUri(join(folder.path, relPath)));
+      if (result.success) {
+        removedCount++;
+      } else {
+        failures[relPath] = result.error || '删除失败';
+        next[relPath] = manifest[relPath];
+      }
+    }
+
+    await saveKnowledgeManifest(folderId, next);
+    updateStatus(folderId, {
+      state: watchers.has(folderId) ? 'watching' : 'idle',
+      fileCount: Object.keys(files).length,
+      indexedCount,
+      skippedCount,
+      removedCount,
+      lastSyncAt: Date.now(),
+      failures: Object.keys(failures).length > 0 ? failures : undefined,
+    });
+    log.info(`[knowledge-sync] Synced ${folder.path}: ${indexedCount} indexed, ${skippedCount} unchanged, ${removedCount} removed, ${Object.keys(failures).length} failed`);
+  } catch (error) {
+    log.error(`[knowledge-sync] Failed to sync ${folder.path}:`, error);
+    updateStatus(folderId, { state: 'error', error: error instanceof Error ? error.message : '同步失败' });
+  }
+}
+
+/**
+ * 将文件夹加入同步队列
+ */
+export function syncKnowledgeFolder(folderId: string): Promise<void> {
+  if (queuedFolders.has(folderId)) return syncQueue;
+  queuedFolders.add(folderId);
+  syncQueue = syncQueue.then(() => {
+    queuedFolders.delete(folderId);
+    return runFolderSync(folderId);
+  });
+  return syncQueue;
+}
+
+function scheduleSync(folderId: string): void {
+  clearTimeout(debounceTimers.get(folderId));
+  debounceTimers.set(folderId, setTimeout(() => {
+    debounceTimers.delete(folderId);
+    void syncKnowledgeFolder(folderId);
+  }, SYNC_DEBOUNCE_MS));
+}
+
+/**
+ * 停止监听文件夹
+ */
+export function unwatchKnowledgeFolder(folderId: string): void {
+  watchers.get(folderId)?.close();
+  watchers.delete(folderId);
+  clearTimeout(debounceTimers.get(folderId));
+  debounceTimers.delete(folderId);
+}
+
+/**
+ * 按文件夹配置开始（或停止）监听，启用时立即同步一次
+ */
+export function watchKnowledgeFolder(folder: KnowledgeFolder): void {
+  unwatchKnowledgeFolder(folder.id);
+  if (!folder.enabled) {
+    updateStatus(folder.id, { state: 'idle' });
+    return;
+  }
+
+  const filter = createFolderFilter(folder.include, folder.exclude);
+  try {
+    const watcher = watch(folder.path, { recursive: true }, (_event, filename) => {
+      const relPath = filename?.toString().replace(/\\/g, '/');
+      if (relPath) {
+        // 被排除目录中的变化、被过滤规则排除的文档变化不触发同步；目录改名 / 删除等其他变化仍触发
+        const parts = relPath.split('/');
+        const inSkippedDirectory = parts.slice(0, -1).some((_, i) => filter.skipsDirectory(parts.slice(0, i + 1).join('/')));
+        if (inSkippedDirectory || (detectImportFormat(relPath) !== null && !filter.matchesFile(relPath))) return;
+      }
+      scheduleSync(folder.id);
+    });
+    watcher.on('error', (error) => {
+      log.error(`[knowledge-sync] Watcher error for ${folder.path}:`, error);
+      unwatchKnowledgeFolder(folder.id);
+      updateStatus(folder.id, { state: 'error', error: error.message });
+    });
+    watchers.set(folder.id, watcher);
+  } catch (error) {
+    log.error(`[knowledge-sync] Failed to watch ${folder.path}:`, error);
+    updateStatus(folder.id, { state: 'error', error: error instanceof Error ? error.message : '无法监听文件夹' });
+    return;
+  }
+
+  void syncKnowledgeFolder(folder.id);
+}
+
+/**
+ * 从记忆中移除文件夹同步过的所有文件
+ * 在移除文件夹配置之前调用
+ */
+export async function purgeKnowledgeFolder(folder: KnowledgeFolder): Promise<void> {
+  unwatchKnowledgeFolder(folder.id);
+  // 等待进行中的同步结束，避免移除后又被写入
+  await syncQueue;
+  const manifest = await getKnowledgeManifest(folder.id);
+  for (const relPath of Object.keys(manifest)) {
+    await deleteMemoryBySource(getSourceUri(join(folder.path, relPath)));
+  }
+  statuses.delete(folder.id);
+}
+
+/**
+ * 启动所有已启用文件夹的监听
+ */
+export async function startKnowledgeFolderSync(): Promise<void> {
+  const folders = await getKnowledgeFolders();
+  for (const folder of folders) {
+    watchKnowledgeFolder(folder);
+  }
+  log.info(`[knowledge-sync] Watching ${folders.filter(folder => folder.enabled).length} knowledge folders`);
+}
+
+/**
+ * 停止所有监听
+ */
+export function stopKnowledgeFolderSync(): void {
+  for (const folderId of Array.from(watchers.keys())) {
+    unwatchKnowledgeFolder(folderId);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * 记忆问答
+ *
+ * 检索到的记忆按顺序编号后和问题一起发送给模型，模型用 [n] 标注引用；
+ * 回答中的编号映射回记忆 ID，作为引用返回。
+ * 检索置信度为问题关键词被检索结果覆盖的比例，严格模式下置信度过低时不生成回答。
+ */
+
+import { cjkUnigrams, tokenize } from '../storage/memory-search-index.js';
+import type { MemoryAnswerCitation, MemoryScope } from '../types.js';
+
+/** 严格模式下回答所需的最低检索置信度 */
+export const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+/** 每条记忆发送给模型的最大字符数 */
+const MAX_SOURCE_CHARS = 2000;
+
+/** 计算置信度时忽略的疑问词和虚词 */
+const QUESTION_WORDS = /什么|怎么|怎样|如何|哪些|哪个|哪里|为什么|是否|多少|请问|吗|呢|吧|的|\b(what|which|who|how|why|when|where|is|are|was|were|do|does|did|the|a|an|of|to|in|for|on|and|or|i|we|you|it)\b/gi;
+
+/**
+ * 参与回答的记忆
+ */
+export type MemoryAnswerSource = {
+  id: string;
+  title: string;
+  text: string;
+  scope: MemoryScope;
+};
+
+/**
+ * 检索置信度：问题关键词在检索到的记忆中出现的比例（0-1）
+ */
+export function retrievalConfidence(question: string, sources: MemoryAnswerSource[]): number {
+  const terms = new Set(tokenize(question.replace(QUESTION_WORDS, ' ')));
+  if (terms.size === 0 || sources.length === 0) return 0;
+
+  // 与搜索索引一致，单字的关键词也能匹配记忆中的多字词
+  const covered = new Set(sources.flatMap(source => {
+    const text = `${source.title} ${source.text}`;
+    return [...tokenize(text), ...cjkUnigrams(text)];
+  }));
+  let hits = 0;
+  for (const term of terms) {
+    if (covered.has(term)) hits++;
+  }
+  return hits / terms.size;
+}
+
+/**
+ * 构建发送给模型的提示词
+ */
+export function buildAnswerPrompt(question: string, sources: MemoryAnswerSource[]): { system: string; prompt: string } {
+  const system = [
+    '你是记忆问答助手，只能根据用户提供的编号记忆回答问题。',
+    '- 回答简洁，使用与问题相同的语言',
+    '- 每个结论后用 [n] 标注所依据的记忆编号，可以标注多个，如 [1][3]',
+    '- 记忆中没有答案时，直接说明记忆中没有相关信息，不要猜测或使用记忆以外的知识',
+  ].join('\n');
+
+  const memories = sources.map((source, i) => {
+    const text = source.text.length > MAX_SOURCE_CHARS ? `${source.text.slice(0, MAX_SOURCE_CHARS)}…` : source.text;
+    return `[${i + 1}] ${source.title}\n${text}`;
+  }).join('\n\n');
+
+  return { system, prompt: `记忆：\n\n${memories}\n\n问题：${question}` };
+}
+
+/**
+ * 从回答中提取引用：按首次出现的顺序，忽略不存在的编号
+ */
+export function extractCitations(answer: string, sources: MemoryAnswerSource[]): MemoryAnswerCitation[] {
+  const citations: MemoryAnswerCitation[] = [];
+  const seen = new Set<number>();
+  for (const [, num] of answer.matchAll(/\[(\d+)\]/g)) {
+    const index = Number(num);
+    const source = sources[index - 1];
+    if (!source || seen.has(index)) continue;
+    seen.add(index);
+    citations.push({ index, id: source.id, title: source.title, scope: source.scope });
+  }
+  return citations;
+}
+
+/**
+ * 把引用列表附加到回答后（供 memory_ask 工具返回纯文本）
+ */
+export function formatAnswerWithCitations(answer: string, citations: MemoryAnswerCitation[]): string {
+  if (citations.length === 0) return answer;
+  const lines = citations.map(c => `[${c.index}] ${c.title}（ID: ${c.id}）`);
+  return `${answer}\n\n引用：\n${lines.join('\n')}`;
+}
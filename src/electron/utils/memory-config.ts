@@ -7,6 +7,7 @@ import { promises as fs } from 'fs';
 import { join } from 'path';
 import { app } from 'electron';
 import { log } from '../logger.js';
+import type { MemoryBackend } from '../types.js';
 
 /**
  * 记忆配置接口
@@ -17,6 +18,16 @@ export interface MemoryConfig {
   autoStoreCategories: string[];
   searchMode: 'lex' | 'sem' | 'auto';
   defaultK: number;
+  /** 自动存储的重要性阈值（0-100），低于此分数的会话不存储 */
+  importanceThreshold?: number;
+  /** 无需审核、直接写入长期记忆的分类 */
+  reviewBypassLabels?: string[];
+  /** 各分类的保留天数，过期的记忆会被归档；未设置的分类永不过期 */
+  labelTtlDays?: Record<string, number>;
+  /** 严格问答：检索置信度过低时不生成回答 */
+  strictAnswers?: boolean;
+  /** 迁移后使用的存储后端；未设置时优先使用 Memvid，失败时回退到文件系统 */
+  backend?: MemoryBackend;
 }
 
 /**
@@ -28,6 +39,10 @@ const DEFAULT_CONFIG: MemoryConfig = {
   autoStoreCategories: ['project', 'technical'],
   searchMode: 'lex',
   defaultK: 6,
+  importanceThreshold: 30,
+  reviewBypassLabels: [],
+  labelTtlDays: {},
+  strictAnswers: false,
 };
 
 /**
@@ -64,6 +79,10 @@ export async function getMemoryConfig(): Promise<{ success: boolean; error?: str
  */
 export async function saveMemoryConfig(config: MemoryConfig): Promise<{ success: boolean; error?: string }> {
   try {
+    // 存储后端只由迁移修改，保留已保存的值，避免设置页用旧配置覆盖
+    const { config: current } = await getMemoryConfig();
+    config = { ...config, backend: current?.backend };
+
     const configPath = getConfigPath();
     const content = JSON.stringify(config, null, 2);
     await fs.writeFile(configPath, content, 'utf-8');
@@ -79,6 +98,14 @@ export async function saveMemoryConfig(config: MemoryConfig): Promise<{ success:
   }
 }
 
+/**
+ * 记住迁移后使用的存储后端
+ */
+export async function saveMemoryBackend(backend: MemoryBackend): Promise<void> {
+  const { config } = await getMemoryConfig();
+  await fs.writeFile(getConfigPath(), JSON.stringify({ ...DEFAULT_CONFIG, ...config, backend }, null, 2), 'utf-8');
+}
+
 /**
  * 重置记忆配置为默认值
  */
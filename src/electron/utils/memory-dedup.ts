@@ -0,0 +1,252 @@
+/**
+ * 记忆去重
+ *
+ * 检测近似重复的记忆并合并：
+ * - 文本相似度：字符 shingle（n-gram）集合的 Jaccard 系数，对中英文都适用
+ * - 向量相似度：Memvid 启用向量索引时使用语义搜索的得分（由存储层计算）
+ * 只有同一作用域内的记忆互相比较和合并，项目记忆不会被合并进全局或其他项目
+ * 合并后的记忆保留每条原始记忆的来源和时间
+ */
+
+import { scopeOf } from './memory-scope.js';
+
+/** shingle 长度（字符） */
+const SHINGLE_SIZE = 3;
+
+/** 文本相似度阈值（Jaccard） */
+export const DEFAULT_SHINGLE_THRESHOLD = 0.7;
+
+/** 向量相似度阈值（语义搜索得分） */
+export const DEFAULT_VECTOR_THRESHOLD = 0.9;
+
+/**
+ * 参与去重的文档
+ */
+export type DedupDocument = {
+  id: string;
+  title: string;
+  text: string;
+  label: string;
+  tags: string[];
+  /** 创建时间（毫秒时间戳） */
+  createdAt: number;
+  metadata: Record<string, unknown>;
+};
+
+/**
+ * 相似文档对
+ */
+export type SimilarityPair = [string, string, number];
+
+/**
+ * 合并记忆 metadata.mergedFrom 中的一条原始记忆
+ */
+export type MergedFromEntry = {
+  id: string;
+  title: string;
+  /** 创建时间（ISO 字符串） */
+  createdAt: string;
+  source?: unknown;
+  sessionId?: unknown;
+};
+
+/** 合并来源部分的标题 */
+const PROVENANCE_HEADING = '## 合并来源';
+
+/**
+ * 是否参与去重
+ * 文件导入的块由来源文件管理（重新导入时整体替换），不参与合并
+ */
+export function isDedupCandidate(metadata?: Record<string, unknown> | null): boolean {
+  return metadata?.source !== 'file_import';
+}
+
+/**
+ * 生成文本的字符 shingle 集合
+ * 忽略大小写、标点和空白差异
+ */
+export function shingleSet(text: string): Set<string> {
+  const normalized = text.toLowerCase().replace(/[\p{P}\p{S}\s]+/gu, ' ').trim();
+  const shingles = new Set<string>();
+  if (normalized.length <= SHINGLE_SIZE) {
+    if (normalized) shingles.add(normalized);
+    return shingles;
+  }
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    shingles.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  return shingles;
+}
+
+/**
+ * 两个 shingle 集合的 Jaccard 系数
+ */
+export function jaccard(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 && b.size === 0) return 1;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let intersection = 0;
+  for (const shingle of small) {
+    if (large.has(shingle)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * 两个文档是否属于同一作用域
+ */
+export function sameScope(
+  a: { metadata?: Record<string, unknown> | null },
+  b: { metadata?: Record<string, unknown> | null }
+): boolean {
+  return scopeOf(a.metadata) === scopeOf(b.metadata);
+}
+
+/**
+ * 两段文本的相似度（0-1）
+ */
+export function textSimilarity(a: string, b: string): number {
+  return jaccard(shingleSet(a), shingleSet(b));
+}
+
+/**
+ * 两两比较同一作用域内的文档，返回相似度不低于阈值的文档对
+ * Jaccard 不会超过两个集合大小之比，比例过小的文档对直接跳过
+ */
+export function findShingleDuplicatePairs(
+  docs: Array<{ id: string; text: string; metadata?: Record<string, unknown> | null }>,
+  threshold: number = DEFAULT_SHINGLE_THRESHOLD
+): SimilarityPair[] {
+  const sets = docs.map(doc => ({ id: doc.id, doc, shingles: shingleSet(doc.text) }));
+  const pairs: SimilarityPair[] = [];
+
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      if (!sameScope(sets[i].doc, sets[j].doc)) continue;
+      const a = sets[i].shingles;
+      const b = sets[j].shingles;
+      if (Math.min(a.size, b.size) / Math.max(a.size, b.size, 1) < threshold) continue;
+
+      const similarity = jaccard(a, b);
+      if (similarity >= threshold) {
+        pairs.push([sets[i].id, sets[j].id, similarity]);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * 将相似文档对合并为簇（并查集），返回每个簇的文档 ID 和簇内最高相似度
+ */
+export function clusterPairs(pairs: SimilarityPair[]): Array<{ ids: string[]; similarity: number }> {
+  const parent = new Map<string, string>();
+  const find = (id: string): string => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root)!;
+    parent.set(id, root);
+    return root;
+  };
+
+  for (const [a, b] of pairs) {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  }
+
+  const clusters = new Map<string, { ids: string[]; similarity: number }>();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    const cluster = clusters.get(root) ?? { ids: [], similarity: 0 };
+    cluster.ids.push(id);
+    clusters.set(root, cluster);
+  }
+  for (const [a, , similarity] of pairs) {
+    const cluster = clusters.get(find(a))!;
+    cluster.similarity = Math.max(cluster.similarity, similarity);
+  }
+
+  return Array.from(clusters.values());
+}
+
+// 来源说明：存储方式和来源会话
+function describeSource(metadata: Record<string, unknown>): string {
+  const parts: string[] = [];
+  if (metadata.source) parts.push(`来源: ${metadata.source}`);
+  if (metadata.sessionId) parts.push(`会话: ${metadata.sessionId}`);
+  return parts.length > 0 ? `（${parts.join('，')}）` : '';
+}
+
+// 拆分正文和上次合并留下的合并来源列表
+function splitProvenance(text: string): { body: string; provenance: string[] } {
+  const index = text.indexOf(`\n\n${PROVENANCE_HEADING}（`);
+  if (index < 0) return { body: text, provenance: [] };
+  return { body: text.slice(0, index), provenance: text.slice(index + 2).split('\n').slice(1) };
+}
+
+// 文档对应的原始记忆：已合并的记忆展开为其 mergedFrom
+function mergedEntriesOf(doc: DedupDocument): MergedFromEntry[] {
+  const nested = doc.metadata.mergedFrom;
+  if (Array.isArray(nested) && nested.length > 0) {
+    return nested as MergedFromEntry[];
+  }
+  return [{
+    id: doc.id,
+    title: doc.title,
+    createdAt: new Date(doc.createdAt).toISOString(),
+    source: doc.metadata.source,
+    sessionId: doc.metadata.sessionId,
+  }];
+}
+
+/**
+ * 合并一组重复记忆
+ *
+ * - 正文、标题和分类取最新的一条
+ * - 末尾的"合并来源"列出每条原始记忆的时间、标题和来源，表述不同的原文以引用保留
+ * - metadata.mergedFrom 记录原始记忆，firstSeenAt / lastSeenAt 为最早和最晚的时间
+ * - 再次合并已合并的记忆时，沿用其合并来源和 mergedFrom
+ *
+ * @throws 原始记忆不属于同一作用域时抛出错误
+ */
+export function buildMergedMemory(
+  docs: DedupDocument[],
+  now: Date = new Date()
+): { title: string; text: string; label: string; tags: string[]; metadata: Record<string, unknown> } {
+  const scopes = new Set(docs.map(doc => scopeOf(doc.metadata)));
+  if (scopes.size > 1) {
+    throw new Error('只能合并同一作用域的记忆');
+  }
+
+  const sorted = [...docs].sort((a, b) => a.createdAt - b.createdAt);
+  const primary = sorted[sorted.length - 1];
+  const parts = sorted.map(doc => ({ doc, ...splitProvenance(doc.text) }));
+  const primaryBody = parts[parts.length - 1].body;
+  const primaryShingles = shingleSet(primaryBody);
+
+  const provenance = parts.flatMap(({ doc, body, provenance: previous }) => {
+    const differs = doc !== primary && jaccard(shingleSet(body), primaryShingles) < 1;
+    const quote = differs ? body.split('\n').map(text => `  > ${text}`) : [];
+    if (previous.length > 0) return [...previous, ...quote];
+    return [`- ${new Date(doc.createdAt).toISOString()} 「${doc.title}」${describeSource(doc.metadata)}`, ...quote];
+  });
+
+  const mergedFrom = sorted
+    .flatMap(mergedEntriesOf)
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+  return {
+    title: primary.title,
+    text: [primaryBody, '', `${PROVENANCE_HEADING}（${mergedFrom.length} 条）`, ...provenance].join('\n'),
+    label: primary.label,
+    tags: [...new Set(sorted.flatMap(doc => doc.tags))],
+    metadata: {
+      ...primary.metadata,
+      scope: [...scopes][0],
+      mergedFrom,
+      firstSeenAt: mergedFrom[0].createdAt,
+      lastSeenAt: new Date(primary.createdAt).toISOString(),
+      consolidatedAt: now.toISOString(),
+    },
+  };
+}
@@ -0,0 +1,307 @@
+/**
+ * 记忆文件导入
+ *
+ * 将 Markdown / 文本 / HTML / JSON / PDF 文件解析并切分为记忆文档：
+ * - 按标题切分章节，章节内按段落合并，每块不超过 maxChars 个字符
+ * - PDF 按页提取文本，每块记录所在页码
+ * - 同一文件的所有块共用同一个 label，uri 为 `file://...#chunk-N`
+ * 再次导入同一文件时，按 uri 的文件部分找到旧块并替换。
+ */
+
+import { promises as fs } from 'fs';
+import { basename, extname } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * 支持导入的文件格式
+ */
+export type ImportFormat = 'markdown' | 'text' | 'html' | 'json' | 'pdf';
+
+/**
+ * 扩展名 -> 文件格式
+ */
+export const IMPORT_EXTENSIONS: Record<string, ImportFormat> = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.html': 'html',
+  '.htm': 'html',
+  '.json': 'json',
+  '.pdf': 'pdf',
+};
+
+/** 默认每块的最大字符数 */
+const DEFAULT_MAX_CHARS = 1500;
+
+/**
+ * 文件中提取出的一段文本（PDF 为一页）
+ */
+export type ImportSection = {
+  text: string;
+  page?: number;
+};
+
+/**
+ * 切分后的文本块
+ */
+export type ImportTextChunk = {
+  text: string;
+  /** 所在章节的标题路径，如 "安装 > Windows" */
+  heading?: string;
+  page?: number;
+};
+
+/**
+ * 导入生成的记忆文档
+ */
+export type ImportChunk = {
+  title: string;
+  label: string;
+  text: string;
+  uri: string;
+  tags: string[];
+  metadata: {
+    source: 'file_import';
+    sourceUri: string;
+    fileName: string;
+    format: ImportFormat;
+    chunkIndex: number;
+    chunkCount: number;
+    heading?: string;
+    page?: number;
+    importedAt: string;
+  };
+};
+
+/**
+ * 按扩展名判断文件格式，不支持时返回 null
+ */
+export function detectImportFormat(filePath: string): ImportFormat | null {
+  return IMPORT_EXTENSIONS[extname(filePath).toLowerCase()] ?? null;
+}
+
+/**
+ * 文件对应的 uri（不含块序号）
+ */
+export function getSourceUri(filePath: string): string {
+  return pathToFileURL(filePath).href;
+}
+
+/**
+ * 去掉块 uri 中的块序号，得到文件 uri
+ */
+export function sourceUriOf(uri: string): string {
+  const hashIndex = uri.indexOf('#');
+  return hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+}
+
+const HTML_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * 解码 HTML 实体
+ */
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * HTML 转为纯文本
+ * h1-h6 转为 Markdown 标题以便按章节切分，块级元素转为空行
+ */
+export function htmlToText(html: string): string {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level: string, inner: string) =>
+        `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|ul|ol|table|tr|blockquote|pre|figure|h[1-6])\b[^>]*>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * JSON 转为便于切分的文本
+ * 对象的每个顶层键作为一个章节，数组的每个元素作为一个段落
+ */
+export function jsonToText(content: string): string {
+  const data = JSON.parse(content);
+  const pretty = (value: unknown) => typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+  if (Array.isArray(data)) {
+    return data.map(pretty).join('\n\n');
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data)
+      .map(([key, value]) => `# ${key}\n\n${pretty(value)}`)
+      .join('\n\n');
+  }
+  return pretty(data);
+}
+
+/**
+ * 将超长段落按空白处切为不超过 maxChars 的片段
+ */
+function splitLongParagraph(paragraph: string, maxChars: number): string[] {
+  const pieces: string[] = [];
+  let rest = paragraph;
+  while (rest.length > maxChars) {
+    const breakAt = rest.lastIndexOf(' ', maxChars);
+    const cut = breakAt > maxChars / 2 ? breakAt : maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * 按标题和段落切分文本
+ * 以 Markdown 标题（代码块外的 `#` 行）划分章节，章节内的段落依次合并直到接近 maxChars
+ *
+ * @param options.headings 为 false 时不识别标题，只按段落切分
+ */
+export function chunkText(
+  text: string,
+  options: { maxChars?: number; page?: number; headings?: boolean } = {}
+): ImportTextChunk[] {
+  const maxChars = options.maxChars ?? DEFAULT_MAX_CHARS;
+  const chunks: ImportTextChunk[] = [];
+  const headingPath: string[] = [];
+  let paragraphs: string[] = [];
+  let current: string[] = [];
+  let inFence = false;
+
+  const heading = () => headingPath.filter(Boolean).join(' > ') || undefined;
+
+  // ========== 1. 结束当前段落 / 合并当前章节的段落 ==========
+  const flushParagraph = () => {
+    const paragraph = current.join('\n').trim();
+    current = [];
+    if (paragraph) paragraphs.push(...splitLongParagraph(paragraph, maxChars));
+  };
+
+  const flushSection = () => {
+    flushParagraph();
+
+    let buffer = '';
+    for (const paragraph of paragraphs) {
+      if (buffer && buffer.length + paragraph.length + 2 > maxChars) {
+        chunks.push({ text: buffer, heading: heading(), page: options.page });
+        buffer = '';
+      }
+      buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+    }
+    if (buffer) chunks.push({ text: buffer, heading: heading(), page: options.page });
+    paragraphs = [];
+  };
+
+  // ========== 2. 逐行识别标题、代码块和段落 ==========
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      current.push(line);
+      continue;
+    }
+
+    const headingMatch = inFence || options.headings === false ? null : /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (headingMatch) {
+      flushSection();
+      const level = headingMatch[1].length;
+      headingPath.length = level - 1;
+      headingPath[level - 1] = headingMatch[2];
+      continue;
+    }
+
+    if (!inFence && line.trim() === '') {
+      flushParagraph();
+      continue;
+    }
+    current.push(line);
+  }
+  flushSection();
+
+  return chunks;
+}
+
+/**
+ * 读取文件并提取文本
+ * PDF 按页返回，其他格式返回单个段
+ */
+export async function readImportFile(filePath: string, format: ImportFormat): Promise<ImportSection[]> {
+  if (format === 'pdf') {
+    const { extractText, getDocumentProxy } = await import('unpdf');
+    const pdf = await getDocumentProxy(new Uint8Array(await fs.readFile(filePath)));
+    const { text } = await extractText(pdf, { mergePages: false });
+    return text.map((pageText, index) => ({ text: pageText, page: index + 1 }));
+  }
+
+  const content = await fs.readFile(filePath, 'utf-8');
+  switch (format) {
+    case 'html':
+      return [{ text: htmlToText(content) }];
+    case 'json':
+      return [{ text: jsonToText(content) }];
+    default:
+      return [{ text: content }];
+  }
+}
+
+/**
+ * 将提取出的文本切分为记忆文档
+ */
+export function buildImportChunks(
+  filePath: string,
+  format: ImportFormat,
+  sections: ImportSection[],
+  options: { maxChars?: number; now?: Date } = {}
+): ImportChunk[] {
+  const fileName = basename(filePath);
+  const sourceUri = getSourceUri(filePath);
+  const importedAt = (options.now ?? new Date()).toISOString();
+  // 纯文本和 PDF 中以 # 开头的行不是标题
+  const headings = format !== 'text' && format !== 'pdf';
+  const textChunks = sections.flatMap((section) =>
+    chunkText(section.text, { maxChars: options.maxChars, page: section.page, headings }));
+
+  return textChunks.map((chunk, index) => {
+    const location = [chunk.heading, chunk.page ? `p.${chunk.page}` : undefined].filter(Boolean).join(', ');
+    return {
+      title: location ? `${fileName} - ${location}` : `${fileName} (${index + 1}/${textChunks.length})`,
+      label: fileName,
+      text: chunk.text,
+      uri: `${sourceUri}#chunk-${index}`,
+      tags: [],
+      metadata: {
+        source: 'file_import',
+        sourceUri,
+        fileName,
+        format,
+        chunkIndex: index,
+        chunkCount: textChunks.length,
+        heading: chunk.heading,
+        page: chunk.page,
+        importedAt,
+      },
+    };
+  });
+}
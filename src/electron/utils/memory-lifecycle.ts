@@ -0,0 +1,112 @@
+/**
+ * 记忆生命周期
+ *
+ * - 过期：按分类设置保留天数，超过期限的记忆由定期清理归档；置顶的记忆永不过期
+ * - 排序：置顶的记忆排在最前，其余按相关度、时间衰减和被检索次数综合排序
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 时间衰减的半衰期（天）：超过半衰期的记忆，时间权重降到一半以下 */
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+/** 时间权重下限，避免很旧但高度相关的记忆被完全压下去 */
+const MIN_RECENCY_WEIGHT = 0.5;
+
+/**
+ * 记忆被检索的统计
+ */
+export type MemoryUsage = {
+  count: number;
+  /** 最后一次被检索的时间（毫秒时间戳） */
+  lastRetrievedAt: number;
+};
+
+/**
+ * 参与排序的搜索命中
+ */
+export type RankInput = {
+  id: string;
+  /** 搜索后端给出的相关度 */
+  score: number;
+  pinned: boolean;
+  /** 记忆的创建或修改时间（毫秒时间戳） */
+  timestamp?: number;
+};
+
+/**
+ * 获取迁移或导入前的创建时间（毫秒时间戳）
+ * 存储写入时会重新生成创建时间，导入的记忆在 metadata.originalCreatedAt 保留原始时间
+ */
+export function originalCreatedAt(metadata?: Record<string, unknown> | null): number | undefined {
+  const iso = metadata?.originalCreatedAt;
+  const parsed = typeof iso === 'string' ? Date.parse(iso) : NaN;
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * 获取文档的时间（毫秒时间戳）
+ * 文件系统文档带 ISO 格式的 updated_at / created_at，Memvid 帧带 createdAt；
+ * 导入的记忆按原始创建时间计算，导入后修改过的文件系统文档按修改时间计算
+ */
+export function documentTimestamp(
+  doc: { updated_at?: string; created_at?: string; createdAt?: number; metadata?: Record<string, unknown> | null } | null | undefined
+): number | undefined {
+  const original = originalCreatedAt(doc?.metadata);
+  const modified = doc?.updated_at !== undefined && doc.updated_at !== doc.created_at;
+  if (original !== undefined && !modified) return original;
+
+  const iso = doc?.updated_at ?? doc?.created_at;
+  const parsed = iso ? Date.parse(iso) : NaN;
+  return Number.isNaN(parsed) ? doc?.createdAt : parsed;
+}
+
+/**
+ * 时间权重：从 1 按半衰期衰减到 MIN_RECENCY_WEIGHT
+ */
+export function recencyWeight(timestamp: number | undefined, now: number = Date.now()): number {
+  if (timestamp === undefined) return MIN_RECENCY_WEIGHT;
+  const ageDays = Math.max(0, now - timestamp) / DAY_MS;
+  return MIN_RECENCY_WEIGHT + (1 - MIN_RECENCY_WEIGHT) * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * 检索次数权重：随次数对数增长
+ */
+export function usageWeight(usage: MemoryUsage | undefined): number {
+  return 1 + Math.log1p(usage?.count ?? 0) / 4;
+}
+
+/**
+ * 按生命周期排序搜索命中：置顶在前，其余按相关度 × 时间权重 × 检索次数权重降序
+ */
+export function rankByLifecycle<T extends RankInput>(
+  items: T[],
+  usage: Record<string, MemoryUsage>,
+  now: number = Date.now()
+): Array<T & { rankScore: number }> {
+  return items
+    .map(item => ({
+      ...item,
+      rankScore: item.score * recencyWeight(item.timestamp, now) * usageWeight(usage[item.id]),
+    }))
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.rankScore - a.rankScore);
+}
+
+/**
+ * 记忆是否已过期
+ *
+ * @param doc - 记忆的分类、置顶状态和时间
+ * @param labelTtlDays - 各分类的保留天数，未设置的分类永不过期
+ */
+export function isMemoryExpired(
+  doc: { label: string; pinned?: boolean; timestamp?: number },
+  labelTtlDays: Record<string, number>,
+  now: number = Date.now()
+): boolean {
+  const ttlDays = labelTtlDays[doc.label];
+  if (!ttlDays || ttlDays <= 0 || doc.pinned || doc.timestamp === undefined) {
+    return false;
+  }
+  return now - doc.timestamp > ttlDays * DAY_MS;
+}
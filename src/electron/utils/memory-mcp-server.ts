@@ -6,15 +6,19 @@
 import { createSdkMcpServer, tool } from "@anthropic-ai/claude-agent-sdk";
 import { z } from "zod";
 import { memorySearch, memoryStore, memoryAsk, getMemoryToolConfig } from "./memory-tools.js";
+import { GLOBAL_MEMORY_SCOPE, getSessionScopes, resolveProjectScope } from "./memory-scope.js";
 import { log } from "../logger.js";
 
 /**
  * 创建记忆 MCP 服务器
  * 返回包含记忆工具的 MCP 服务器配置
+ * 工具默认作用于会话 cwd 所在项目和全局记忆，需要审核的记忆会记录来源会话
  */
-export async function createMemoryMcpServer(): Promise<any> {
+export async function createMemoryMcpServer(options: { cwd?: string; sessionId?: string } = {}): Promise<any> {
   try {
     const memConfig = getMemoryToolConfig();
+    const projectScope = resolveProjectScope(options.cwd);
+    const sessionScopes = getSessionScopes(options.cwd);
 
     // 创建记忆工具的 MCP 服务器
     // createSdkMcpServer 返回 McpSdkServerConfigWithInstance
@@ -25,7 +29,7 @@ export async function createMemoryMcpServer(): Promise<any> {
         // memory_search 工具
         tool(
           "memory_search",
-          "从长期记忆中搜索相关信息。用于查找之前存储的项目信息、技术决策、用户偏好等。",
+          "从长期记忆中搜索相关信息。用于查找之前存储的项目信息、技术决策、用户偏好等。只搜索当前项目和全局记忆。",
           {
             query: z.string().describe("搜索关键词或问题"),
             k: z.number().optional().default(6).describe("返回结果数量，默认6"),
@@ -35,7 +39,8 @@ export async function createMemoryMcpServer(): Promise<any> {
             try {
               const result = await memorySearch(
                 args.query,
-                args.k ?? memConfig.defaultK
+                args.k ?? memConfig.defaultK,
+                sessionScopes
               );
               return {
                 content: [{ type: "text", text: result }],
@@ -58,6 +63,7 @@ export async function createMemoryMcpServer(): Promise<any> {
             title: z.string().describe("信息标题（简短描述）"),
             text: z.string().describe("信息详细内容"),
             label: z.enum(["project", "preference", "technical", "context", "custom"]).optional().default("custom").describe("分类标签"),
+            scope: z.enum(["project", "global"]).optional().default("project").describe("作用域：project 仅当前项目可见，global 所有项目可见（如用户偏好）"),
           },
           async (args) => {
             log.info("[Memory MCP] memory_store called:", args);
@@ -65,7 +71,9 @@ export async function createMemoryMcpServer(): Promise<any> {
               const result = await memoryStore(
                 args.title,
                 args.text,
-                args.label ?? "custom"
+                args.label ?? "custom",
+                args.scope === "global" ? GLOBAL_MEMORY_SCOPE : projectScope,
+                { sessionId: options.sessionId }
               );
               return {
                 content: [{ type: "text", text: result }],
@@ -83,7 +91,7 @@ export async function createMemoryMcpServer(): Promise<any> {
         // memory_ask 工具
         tool(
           "memory_ask",
-          "基于记忆的问答。使用 RAG（检索增强生成）技术，根据记忆内容回答问题。",
+          "基于记忆的问答。检索相关记忆后生成简洁回答，并用 [n] 标注引用的记忆 ID。",
           {
             question: z.string().describe("要回答的问题"),
             k: z.number().optional().default(6).describe("检索相关记忆的数量，默认6"),
@@ -93,7 +101,8 @@ export async function createMemoryMcpServer(): Promise<any> {
             try {
               const result = await memoryAsk(
                 args.question,
-                args.k ?? memConfig.defaultK
+                args.k ?? memConfig.defaultK,
+                sessionScopes
               );
               return {
                 content: [{ type: "text", text: result }],
@@ -0,0 +1,55 @@
+/**
+ * 记忆作用域
+ *
+ * 每条记忆属于全局作用域或某个项目作用域：
+ * - 全局作用域为 "global"，保存跨项目的偏好等信息
+ * - 项目作用域为项目根目录的绝对路径，由会话 cwd 向上查找 .git 得到，找不到时使用 cwd 本身
+ * 作用域保存在文档的 metadata.scope 中，没有该字段的旧文档视为全局记忆。
+ */
+
+import { existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import type { MemoryScope } from '../types.js';
+
+/** 全局作用域 */
+export const GLOBAL_MEMORY_SCOPE: MemoryScope = 'global';
+
+/**
+ * 获取文档的作用域
+ */
+export function scopeOf(metadata?: Record<string, unknown> | null): MemoryScope {
+  const scope = metadata?.scope;
+  return typeof scope === 'string' && scope ? scope : GLOBAL_MEMORY_SCOPE;
+}
+
+/**
+ * 判断作用域是否在筛选列表中，未指定列表时不筛选
+ */
+export function matchesScopes(scope: MemoryScope, scopes?: MemoryScope[]): boolean {
+  return !scopes || scopes.length === 0 || scopes.includes(scope);
+}
+
+/**
+ * 由工作目录得到项目作用域
+ * 向上查找包含 .git 的目录作为项目根，找不到时使用 cwd；没有 cwd 时为全局作用域
+ */
+export function resolveProjectScope(cwd?: string | null, exists: (path: string) => boolean = existsSync): MemoryScope {
+  if (!cwd) return GLOBAL_MEMORY_SCOPE;
+
+  const start = resolve(cwd);
+  let dir = start;
+  while (true) {
+    if (exists(join(dir, '.git'))) return dir;
+    const parent = dirname(dir);
+    if (parent === dir) return start;
+    dir = parent;
+  }
+}
+
+/**
+ * 会话默认可见的作用域：当前项目 + 全局
+ */
+export function getSessionScopes(cwd?: string | null): MemoryScope[] {
+  const projectScope = resolveProjectScope(cwd);
+  return projectScope === GLOBAL_MEMORY_SCOPE ? [GLOBAL_MEMORY_SCOPE] : [projectScope, GLOBAL_MEMORY_SCOPE];
+}
@@ -0,0 +1,76 @@
+/**
+ * 记忆定期清理
+ *
+ * 主进程定期按记忆配置中各分类的保留天数归档过期记忆（不删除，可在归档中恢复）。
+ * 启动后稍作延迟再执行第一次清理，避免与启动时的其他初始化争用记忆存储。
+ */
+
+import { log } from '../logger.js';
+import { getMemoryConfig } from './memory-config.js';
+import { archiveExpiredMemories } from './memory-tools.js';
+
+/** 清理间隔 */
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/** 启动后第一次清理的延迟 */
+const INITIAL_SWEEP_DELAY_MS = 60 * 1000;
+
+let initialTimer: NodeJS.Timeout | null = null;
+let intervalTimer: NodeJS.Timeout | null = null;
+let runningSweep: Promise<{ success: boolean; error?: string; count?: number }> | null = null;
+
+/**
+ * 立即执行一次清理，返回归档的记忆数
+ * 已有清理在执行时复用其结果
+ */
+export function runMemorySweep(): Promise<{ success: boolean; error?: string; count?: number }> {
+  if (!runningSweep) {
+    runningSweep = (async () => {
+      try {
+        const result = await getMemoryConfig();
+        if (!result.success || !result.config?.enabled) {
+          return { success: true, count: 0 };
+        }
+        return await archiveExpiredMemories(result.config.labelTtlDays ?? {});
+      } catch (error) {
+        log.error('[memory-sweep] Sweep failed:', error);
+        return { success: false, error: error instanceof Error ? error.message : '清理过期记忆失败' };
+      } finally {
+        runningSweep = null;
+      }
+    })();
+  }
+  return runningSweep;
+}
+
+/**
+ * 启动定期清理
+ */
+export function startMemorySweep(): void {
+  stopMemorySweep();
+
+  initialTimer = setTimeout(() => {
+    initialTimer = null;
+    void runMemorySweep();
+  }, INITIAL_SWEEP_DELAY_MS);
+  intervalTimer = setInterval(() => void runMemorySweep(), SWEEP_INTERVAL_MS);
+
+  // 定时器不阻止进程退出
+  initialTimer.unref();
+  intervalTimer.unref();
+  log.info('[memory-sweep] Memory sweep scheduled');
+}
+
+/**
+ * 停止定期清理
+ */
+export function stopMemorySweep(): void {
+  if (initialTimer) {
+    clearTimeout(initialTimer);
+    initialTimer = null;
+  }
+  if (intervalTimer) {
+    clearInterval(intervalTimer);
+    intervalTimer = null;
+  }
+}
@@ -7,11 +7,43 @@
 import { getMemvidStore } from '../storage/memvid-store.js';
 import { getFsMemoryStore } from '../storage/fs-memory-store.js';
 import { log } from '../logger.js';
+import { buildImportChunks, detectImportFormat, getSourceUri, readImportFile } from './memory-import.js';
+import { GLOBAL_MEMORY_SCOPE, scopeOf } from './memory-scope.js';
+import { documentTimestamp, isMemoryExpired, rankByLifecycle } from './memory-lifecycle.js';
+import { addPendingMemory, getPendingMemory, removePendingMemory } from '../storage/memory-inbox-store.js';
+import { getMemoryUsage, recordMemoryRetrievals, removeMemoryUsage } from '../storage/memory-usage-store.js';
+import { addArchivedMemory, getArchivedMemory, removeArchivedMemory } from '../storage/memory-archive-store.js';
+import { dedupeByContentHash, memoryContentHash, parseMemoryExport, serializeMemoryExport, toDocumentInput, type MemoryExportRecord } from './memory-transfer.js';
+import { getMemoryConfig, saveMemoryBackend } from './memory-config.js';
+import {
+  DEFAULT_MIN_CONFIDENCE,
+  buildAnswerPrompt,
+  extractCitations,
+  formatAnswerWithCitations,
+  retrievalConfidence,
+  type MemoryAnswerSource,
+} from './memory-answer.js';
+import { completeWithActiveModel } from './model-completion.js';
+import { diffLines } from '../../shared/line-diff.js';
+import type {
+  ArchivedMemory,
+  MemoryAnswer,
+  MemoryBackend,
+  MemoryDuplicateCluster,
+  MemoryDuplicateHit,
+  MemoryImportProgress,
+  MemoryListItem,
+  MemoryScope,
+  MemoryScopeInfo,
+  MemoryTransferResult,
+  PendingMemory,
+  SimilarMemory,
+} from '../types.js';
 
 /**
  * 存储后端类型
  */
-type StorageBackend = 'memvid' | 'filesystem';
+type StorageBackend = MemoryBackend;
 
 /**
  * 当前使用的存储后端
@@ -26,6 +58,16 @@ let backendInitialized = false;
 async function ensureBackend(): Promise<void> {
   if (backendInitialized) return;
 
+  // 迁移到文件系统后不再尝试 Memvid
+  const { config } = await getMemoryConfig();
+  if (config?.backend === 'filesystem') {
+    await getFsMemoryStore().initialize();
+    currentBackend = 'filesystem';
+    backendInitialized = true;
+    log.info('[Memory Tool] Using filesystem backend (migrated)');
+    return;
+  }
+
   // 优先尝试 Memvid SDK
   try {
     const memvid = getMemvidStore();
@@ -58,6 +100,14 @@ export interface MemoryToolConfig {
   autoStoreCategories: string[];
   searchMode: 'lex' | 'sem' | 'auto';
   defaultK: number;
+  /** 自动存储的重要性阈值（0-100） */
+  importanceThreshold: number;
+  /** 无需审核、直接写入长期记忆的分类 */
+  reviewBypassLabels: string[];
+  /** 各分类的保留天数，过期的记忆会被归档；未设置的分类永不过期 */
+  labelTtlDays: Record<string, number>;
+  /** 严格问答：检索置信度过低时不生成回答 */
+  strictAnswers: boolean;
 }
 
 /**
@@ -69,6 +119,10 @@ const DEFAULT_MEMORY_CONFIG: MemoryToolConfig = {
   autoStoreCategories: ['project', 'technical'],
   searchMode: 'lex',
   defaultK: 6,
+  importanceThreshold: 30,
+  reviewBypassLabels: [],
+  labelTtlDays: {},
+  strictAnswers: false,
 };
 
 /**
@@ -91,10 +145,45 @@ export function getMemoryToolConfig(): MemoryToolConfig {
   return { ...memoryToolConfig };
 }
 
+/**
+ * 自动生成的记忆是否需要先进入收件箱等待审核
+ * 开启自动存储时，除免审核分类外的记忆都需要用户批准
+ */
+export function requiresReview(label: string): boolean {
+  return memoryToolConfig.autoStore && !(memoryToolConfig.reviewBypassLabels ?? []).includes(label);
+}
+
+/**
+ * 两种后端搜索命中的公共字段
+ */
+type SearchHit = {
+  id?: string;
+  frame_id?: number | string;
+  score?: number;
+  doc?: { metadata?: Record<string, unknown>; updated_at?: string; created_at?: string; createdAt?: number };
+};
+
+/**
+ * 按生命周期排序搜索命中，返回前 k 条
+ * 置顶的记忆排在最前，其余综合相关度、时间衰减和被检索次数
+ */
+async function rankHits<T extends SearchHit>(hits: T[], k: number): Promise<T[]> {
+  const usage = await getMemoryUsage();
+  const ranked = rankByLifecycle(hits.map(hit => ({
+    hit,
+    id: String(hit.id ?? hit.frame_id),
+    score: hit.score ?? 0,
+    pinned: hit.doc?.metadata?.pinned === true,
+    timestamp: documentTimestamp(hit.doc),
+  })), usage);
+  return ranked.slice(0, k).map(item => item.hit);
+}
+
 /**
  * 记忆搜索工具
+ * 指定 scopes 时只搜索这些作用域，命中的记忆计入检索次数
  */
-export async function memorySearch(query: string, k: number = 6): Promise<string> {
+export async function memorySearch(query: string, k: number = 6, scopes?: MemoryScope[]): Promise<string> {
   try {
     if (!memoryToolConfig.enabled) {
       return '记忆功能未启用';
@@ -102,22 +191,27 @@ export async function memorySearch(query: string, k: number = 6): Promise<string
 
     await ensureBackend();
 
+    // 多取一些候选再按生命周期排序
     let result: any;
     if (currentBackend === 'memvid') {
       const memvid = getMemvidStore();
       result = await memvid.findDocuments(query, {
         mode: memoryToolConfig.searchMode,
-        k,
+        k: k * 2,
+        scopes,
       });
     } else {
       const fsStore = getFsMemoryStore();
-      result = await fsStore.findDocuments(query, { k });
+      result = await fsStore.findDocuments(query, { k: k * 2, scopes });
     }
 
     if (!result.success || !result.results) {
       return `搜索失败：${result.error || '未知错误'}`;
     }
 
+    result.results.hits = await rankHits(result.results.hits, k);
+    await recordMemoryRetrievals(result.results.hits.map((hit: SearchHit) => String(hit.id ?? hit.frame_id)));
+
     if (result.results.hits.length === 0) {
       return '未找到相关记忆';
     }
@@ -142,13 +236,29 @@ export async function memorySearch(query: string, k: number = 6): Promise<string
 export async function memoryStore(
   title: string,
   text: string,
-  label: string = 'custom'
+  label: string = 'custom',
+  scope: MemoryScope = GLOBAL_MEMORY_SCOPE,
+  options: { sessionId?: string } = {}
 ): Promise<string> {
   try {
     if (!memoryToolConfig.enabled) {
       return '记忆功能未启用';
     }
 
+    // 需要审核的记忆先放入收件箱
+    if (requiresReview(label.trim())) {
+      await addPendingMemory({
+        title: title.trim(),
+        text: text.trim(),
+        label: label.trim(),
+        scope,
+        source: 'memory_store',
+        sessionId: options.sessionId,
+        metadata: { storedAt: new Date().toISOString() },
+      });
+      return `已提交记忆，等待用户审核：${title}`;
+    }
+
     await ensureBackend();
 
     let result: any;
@@ -161,6 +271,7 @@ export async function memoryStore(
         metadata: {
           storedAt: new Date().toISOString(),
           source: 'ai_tool',
+          scope,
         },
       });
     } else {
@@ -172,6 +283,7 @@ export async function memoryStore(
         metadata: {
           storedAt: new Date().toISOString(),
           source: 'ai_tool',
+          scope,
         },
       });
     }
@@ -180,7 +292,8 @@ export async function memoryStore(
       return `存储失败：${result.error || '未知错误'}`;
     }
 
-    return `已存储记忆：${title}`;
+    const stored = scope === GLOBAL_MEMORY_SCOPE ? `已存储记忆：${title}` : `已存储记忆：${title}（项目：${scope}）`;
+    return stored + formatDuplicateNotice(result.duplicates);
   } catch (error) {
     log.error('[Memory Tool] Store failed:', error);
     return `存储失败：${error instanceof Error ? error.message : '未知错误'}`;
@@ -188,70 +301,113 @@ export async function memoryStore(
 }
 
 /**
- * 记忆问答工具 (RAG)
+ * 近似重复提示：提醒在记忆设置中合并
+ */
+function formatDuplicateNotice(duplicates?: MemoryDuplicateHit[]): string {
+  if (!duplicates || duplicates.length === 0) return '';
+  const titles = duplicates.map(d => `「${d.title}」（相似度 ${Math.round(d.score * 100)}%）`).join('、');
+  return `\n注意：与已有记忆 ${titles} 近似重复，可在记忆设置中合并重复记忆`;
+}
+
+/**
+ * 记忆问答（RAG，IPC 调用）
+ * 检索相关记忆后交给当前 API 配置的模型生成简洁回答，回答中的 [n] 引用对应记忆 ID
+ * 严格模式下检索置信度低于阈值时拒绝回答；模型调用失败时返回检索到的记忆
  */
-export async function memoryAsk(question: string, k: number = 6): Promise<string> {
+export async function answerFromMemory(
+  question: string,
+  options: { k?: number; scopes?: MemoryScope[]; strict?: boolean } = {}
+): Promise<{ success: boolean; error?: string } & Partial<MemoryAnswer>> {
   try {
     if (!memoryToolConfig.enabled) {
-      return '记忆功能未启用';
+      return { success: false, error: '记忆功能未启用' };
     }
 
-    await ensureBackend();
-
-    let result: any;
-    if (currentBackend === 'memvid') {
-      const memvid = getMemvidStore();
-      result = await memvid.askQuestion(question, {
-        mode: memoryToolConfig.searchMode,
-        k,
-        contextOnly: false,
-      });
-    } else {
-      const fsStore = getFsMemoryStore();
-      result = await fsStore.askQuestion(question, { k });
+    const k = options.k || memoryToolConfig.defaultK;
+    const found = await findDocuments(question, { k, scopes: options.scopes });
+    if (!found.success) {
+      return { success: false, error: found.error };
     }
 
-    if (!result.success) {
-      return `查询失败：${result.error || '未知错误'}`;
+    const sources: MemoryAnswerSource[] = (found.results?.hits ?? []).map((hit: SearchHit & { doc?: { title?: string; text?: string } }) => ({
+      id: String(hit.id ?? hit.frame_id),
+      title: hit.doc?.title || '无标题',
+      text: hit.doc?.text || '',
+      scope: scopeOf(hit.doc?.metadata),
+    }));
+    const confidence = retrievalConfidence(question, sources);
+    if (sources.length === 0) {
+      return { success: true, answer: '没有找到相关的记忆。', citations: [], confidence };
     }
 
-    // 如果有直接回答，返回回答
-    if (result.answer) {
-      return result.answer;
+    const strict = options.strict ?? memoryToolConfig.strictAnswers;
+    if (strict && confidence < DEFAULT_MIN_CONFIDENCE) {
+      return {
+        success: true,
+        answer: `检索到的记忆与问题相关度过低（${Math.round(confidence * 100)}%），严格模式下不作回答。`,
+        citations: [],
+        confidence,
+        refused: true,
+      };
     }
 
-    // 否则返回检索到的上下文
-    if (result.context) {
-      return `根据记忆检索到的相关信息：\n\n${result.context}`;
-    }
+    await recordMemoryRetrievals(sources.map(source => source.id));
 
-    return '未找到相关记忆';
+    try {
+      const answer = await completeWithActiveModel({ ...buildAnswerPrompt(question, sources), maxTokens: 1024 });
+      return { success: true, answer, citations: extractCitations(answer, sources), confidence };
+    } catch (error) {
+      // 模型不可用时仍返回检索到的记忆，保证问答可用
+      log.warn('[Memory Tool] Answer generation failed, returning retrieved memories:', error);
+      const reason = error instanceof Error ? error.message : '未知错误';
+      const list = sources.map((source, i) => `[${i + 1}] ${source.title}\n${source.text}`).join('\n\n');
+      return {
+        success: true,
+        answer: `无法生成回答（${reason}），以下是检索到的相关记忆：\n\n${list}`,
+        citations: sources.map((source, i) => ({ index: i + 1, id: source.id, title: source.title, scope: source.scope })),
+        confidence,
+      };
+    }
   } catch (error) {
     log.error('[Memory Tool] Ask failed:', error);
-    return `查询失败：${error instanceof Error ? error.message : '未知错误'}`;
+    return { success: false, error: error instanceof Error ? error.message : '问答查询失败' };
   }
 }
 
+/**
+ * 记忆问答工具 (RAG)
+ * 指定 scopes 时只检索这些作用域，返回附带引用列表的回答
+ */
+export async function memoryAsk(question: string, k: number = 6, scopes?: MemoryScope[]): Promise<string> {
+  const result = await answerFromMemory(question, { k, scopes });
+  if (!result.success) {
+    return `查询失败：${result.error || '未知错误'}`;
+  }
+  return formatAnswerWithCitations(result.answer ?? '', result.citations ?? []);
+}
+
 /**
  * 自动存储记忆（用于会话结束时自动记录重要信息）
+ * 传入 sessionId 时记忆会链接回来源会话（metadata.sessionId 和 session:// uri）
  */
 export async function autoStoreMemory(
   sessionTitle: string,
   sessionSummary: string,
   keyPoints: string[],
-  category: string = 'project'
-): Promise<void> {
+  category: string = 'project',
+  options: { sessionId?: string; scope?: MemoryScope; details?: string; metadata?: Record<string, unknown> } = {}
+): Promise<{ success: boolean; error?: string; id?: string; pending?: boolean }> {
   try {
     if (!memoryToolConfig.enabled || !memoryToolConfig.autoStore) {
-      return;
+      return { success: false, error: '自动存储未启用' };
     }
 
     // 检查分类是否在自动存储列表中
     if (!memoryToolConfig.autoStoreCategories.includes(category)) {
-      return;
+      return { success: false, error: `分类 ${category} 不在自动存储范围内` };
     }
 
-    const memvid = getMemvidStore();
+    await ensureBackend();
 
     // 构建记忆内容
     const content = [
@@ -263,23 +419,50 @@ export async function autoStoreMemory(
       '## 关键点',
       ...keyPoints.map((point, index) => `${index + 1}. ${point}`),
       '',
+      ...(options.details ? [options.details, ''] : []),
       `## 会话时间`,
       new Date().toISOString(),
+      ...(options.sessionId ? ['', `会话 ID: ${options.sessionId}`] : []),
     ].join('\n');
 
-    await memvid.putDocument({
+    const input = {
       title: sessionTitle,
       text: content,
       label: category,
+      uri: options.sessionId ? `session://${options.sessionId}` : undefined,
       metadata: {
+        ...options.metadata,
         storedAt: new Date().toISOString(),
         source: 'auto_store',
+        scope: options.scope ?? GLOBAL_MEMORY_SCOPE,
+        ...(options.sessionId ? { sessionId: options.sessionId } : {}),
       },
-    });
+    };
+
+    // 需要审核的记忆先放入收件箱
+    if (requiresReview(category)) {
+      const { metadata, ...rest } = input;
+      const item = await addPendingMemory({
+        ...rest,
+        scope: metadata.scope,
+        source: 'auto_store',
+        sessionId: options.sessionId,
+        metadata,
+      });
+      return { success: true, id: item.id, pending: true };
+    }
 
-    log.info(`[Memory Tool] Auto-stored memory: ${sessionTitle}`);
+    const result = currentBackend === 'memvid'
+      ? await getMemvidStore().putDocument(input)
+      : await getFsMemoryStore().putDocument(input);
+
+    if (result.success) {
+      log.info(`[Memory Tool] Auto-stored memory: ${sessionTitle}`);
+    }
+    return result;
   } catch (error) {
     log.error('[Memory Tool] Auto-store failed:', error);
+    return { success: false, error: error instanceof Error ? error.message : '自动存储失败' };
   }
 }
 
@@ -500,7 +683,7 @@ export async function clearAllMemory(): Promise<{ success: boolean; error?: stri
 /**
  * 存储单个文档（双后端支持，IPC 调用）
  */
-export async function putDocument(input: any): Promise<{ success: boolean; error?: string; id?: string }> {
+export async function putDocument(input: any): Promise<{ success: boolean; error?: string; id?: string; duplicates?: MemoryDuplicateHit[] }> {
   try {
     if (!memoryToolConfig.enabled) {
       return { success: false, error: '记忆功能未启用' };
@@ -532,54 +715,25 @@ export async function findDocuments(query: string, options: any = {}): Promise<{
 
     await ensureBackend();
 
-    if (currentBackend === 'memvid') {
-      const memvid = getMemvidStore();
-      return await memvid.findDocuments(query, {
+    const k = options.k || memoryToolConfig.defaultK;
+    const result = currentBackend === 'memvid'
+      ? await getMemvidStore().findDocuments(query, {
         mode: options.mode || memoryToolConfig.searchMode,
-        k: options.k || memoryToolConfig.defaultK,
-      });
-    } else {
-      const fsStore = getFsMemoryStore();
-      return await fsStore.findDocuments(query, {
-        k: options.k || memoryToolConfig.defaultK,
-      });
+        k: k * 2,
+        scopes: options.scopes,
+      })
+      : await getFsMemoryStore().findDocuments(query, { k: k * 2, scopes: options.scopes });
+
+    if (result.success && result.results) {
+      result.results.hits = await rankHits(result.results.hits, k);
     }
+    return result;
   } catch (error) {
     log.error('[Memory Tool] Failed to find documents:', error);
     return { success: false, error: error instanceof Error ? error.message : '搜索文档失败' };
   }
 }
 
-/**
- * 问答查询（双后端支持，IPC 调用）
- */
-export async function askQuestion(question: string, options: any = {}): Promise<{ success: boolean; error?: string; answer?: string; context?: string }> {
-  try {
-    if (!memoryToolConfig.enabled) {
-      return { success: false, error: '记忆功能未启用' };
-    }
-
-    await ensureBackend();
-
-    if (currentBackend === 'memvid') {
-      const memvid = getMemvidStore();
-      return await memvid.askQuestion(question, {
-        mode: options.mode || memoryToolConfig.searchMode,
-        k: options.k || memoryToolConfig.defaultK,
-        contextOnly: options.contextOnly ?? false,
-      });
-    } else {
-      const fsStore = getFsMemoryStore();
-      return await fsStore.askQuestion(question, {
-        k: options.k || memoryToolConfig.defaultK,
-      });
-    }
-  } catch (error) {
-    log.error('[Memory Tool] Failed to ask question:', error);
-    return { success: false, error: error instanceof Error ? error.message : '问答查询失败' };
-  }
-}
-
 /**
  * 获取单个文档（双后端支持）
  */
@@ -652,6 +806,598 @@ export async function deleteDocument(id: string): Promise<{ success: boolean; er
   }
 }
 
+/**
+ * 删除来自同一来源（文件 uri）的所有文档（双后端支持）
+ */
+export async function deleteMemoryBySource(sourceUri: string): Promise<{ success: boolean; error?: string; count?: number }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      const memvid = getMemvidStore();
+      return await memvid.deleteDocumentsBySource(sourceUri);
+    } else {
+      const fsStore = getFsMemoryStore();
+      return await fsStore.deleteDocumentsBySource(sourceUri);
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to delete documents by source:', error);
+    return { success: false, error: error instanceof Error ? error.message : '删除文档失败' };
+  }
+}
+
+/**
+ * 按作用域列出文档（双后端支持，IPC 调用）
+ */
+export async function listMemoryDocuments(options: { scopes?: MemoryScope[]; limit?: number } = {}): Promise<{ success: boolean; error?: string; documents?: MemoryListItem[] }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      return await getMemvidStore().listDocuments(options);
+    } else {
+      return await getFsMemoryStore().listDocuments(options);
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to list documents:', error);
+    return { success: false, error: error instanceof Error ? error.message : '获取文档列表失败' };
+  }
+}
+
+/**
+ * 统计各作用域的文档数（双后端支持）
+ */
+export async function getMemoryScopes(): Promise<{ success: boolean; error?: string; scopes?: MemoryScopeInfo[] }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      return await getMemvidStore().getScopes();
+    } else {
+      return await getFsMemoryStore().getScopes();
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to get scopes:', error);
+    return { success: false, error: error instanceof Error ? error.message : '获取作用域失败' };
+  }
+}
+
+/**
+ * 将文档移动到另一个作用域（双后端支持）
+ * Memvid 后端会重写文档，返回新的文档 ID
+ */
+export async function moveMemoryDocument(id: string, scope: MemoryScope): Promise<{ success: boolean; error?: string; id?: string }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      return await getMemvidStore().setDocumentScope(id, scope);
+    } else {
+      return await getFsMemoryStore().setDocumentScope(id, scope);
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to move document:', error);
+    return { success: false, error: error instanceof Error ? error.message : '移动文档失败' };
+  }
+}
+
+/**
+ * 置顶或取消置顶记忆（双后端支持）
+ * Memvid 后端会重写文档，返回新的文档 ID
+ */
+export async function setMemoryPinned(id: string, pinned: boolean): Promise<{ success: boolean; error?: string; id?: string }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      return await getMemvidStore().setDocumentPinned(id, pinned);
+    } else {
+      return await getFsMemoryStore().setDocumentPinned(id, pinned);
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to pin document:', error);
+    return { success: false, error: error instanceof Error ? error.message : '置顶记忆失败' };
+  }
+}
+
+/**
+ * 归档记忆：保存到归档后从记忆存储删除（双后端支持）
+ */
+export async function archiveMemoryDocument(
+  id: string,
+  reason: ArchivedMemory['reason'] = 'manual'
+): Promise<{ success: boolean; error?: string; archiveId?: string }> {
+  try {
+    const result = await getDocument(id);
+    if (!result.success || !result.document) {
+      return { success: false, error: result.error || '文档不存在' };
+    }
+
+    const doc = result.document;
+    const item = await addArchivedMemory({
+      originalId: id,
+      title: doc.title || '无标题',
+      text: doc.text || '',
+      label: doc.label || 'custom',
+      tags: doc.tags || [],
+      scope: scopeOf(doc.metadata),
+      uri: doc.uri,
+      metadata: doc.metadata || {},
+      createdAt: doc.createdAt ?? (doc.created_at ? Date.parse(doc.created_at) : undefined),
+      reason,
+    });
+
+    // 删除失败时撤销归档，避免同一条记忆同时存在于两处
+    const deleted = await deleteDocument(id);
+    if (!deleted.success) {
+      await removeArchivedMemory(item.id);
+      return deleted;
+    }
+
+    await removeMemoryUsage([id]);
+    return { success: true, archiveId: item.id };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to archive document:', error);
+    return { success: false, error: error instanceof Error ? error.message : '归档记忆失败' };
+  }
+}
+
+/**
+ * 恢复归档记忆（双后端支持）
+ * 重新写入记忆存储，保留期限从恢复时重新计算，原始创建时间记录在 metadata.originalCreatedAt
+ */
+export async function restoreArchivedMemory(id: string): Promise<{ success: boolean; error?: string; id?: string }> {
+  try {
+    const item = await getArchivedMemory(id);
+    if (!item) {
+      return { success: false, error: '归档记忆不存在' };
+    }
+
+    const result = await putDocument({
+      title: item.title,
+      text: item.text,
+      label: item.label,
+      tags: item.tags,
+      uri: item.uri,
+      metadata: {
+        ...item.metadata,
+        scope: item.scope,
+        ...(item.createdAt ? { originalCreatedAt: new Date(item.createdAt).toISOString() } : {}),
+        restoredAt: new Date().toISOString(),
+      },
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    await removeArchivedMemory(id);
+    log.info(`[Memory Tool] Archived memory restored: ${item.title}`);
+    return { success: true, id: result.id };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to restore archived memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '恢复记忆失败' };
+  }
+}
+
+/**
+ * 归档所有过期的记忆（双后端支持）
+ * 置顶的记忆和文件导入的块（由来源文件管理）不会过期
+ */
+export async function archiveExpiredMemories(
+  labelTtlDays: Record<string, number>,
+  now: number = Date.now()
+): Promise<{ success: boolean; error?: string; count?: number }> {
+  if (!Object.values(labelTtlDays).some(days => days > 0)) {
+    return { success: true, count: 0 };
+  }
+
+  const list = await listMemoryDocuments({ limit: Number.MAX_SAFE_INTEGER });
+  if (!list.success || !list.documents) {
+    return { success: false, error: list.error };
+  }
+
+  const expired = list.documents.filter(doc => doc.source !== 'file_import' && isMemoryExpired(
+    { label: doc.label, pinned: doc.pinned, timestamp: doc.updatedAt ?? doc.createdAt },
+    labelTtlDays,
+    now
+  ));
+
+  let count = 0;
+  for (const doc of expired) {
+    const result = await archiveMemoryDocument(doc.id, 'expired');
+    if (result.success) count++;
+  }
+
+  if (count > 0) {
+    log.info(`[Memory Tool] Archived ${count} expired memories`);
+  }
+  return { success: true, count };
+}
+
+/**
+ * 查找近似重复的记忆簇（双后端支持）
+ * 文件系统使用 shingle 文本相似度；Memvid 启用向量索引时使用向量相似度
+ */
+export async function findDuplicateMemories(): Promise<{ success: boolean; error?: string; clusters?: MemoryDuplicateCluster[] }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      return await getMemvidStore().findDuplicateClusters();
+    } else {
+      return await getFsMemoryStore().findDuplicateClusters();
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to find duplicate memories:', error);
+    return { success: false, error: error instanceof Error ? error.message : '查找重复记忆失败' };
+  }
+}
+
+/**
+ * 合并重复记忆（双后端支持）
+ * 合并后的文档保留每条原始记忆的来源和时间，原始记忆被删除
+ */
+export async function mergeMemoryDocuments(ids: string[]): Promise<{ success: boolean; error?: string; id?: string }> {
+  try {
+    await ensureBackend();
+
+    if (currentBackend === 'memvid') {
+      return await getMemvidStore().mergeDocuments(ids);
+    } else {
+      return await getFsMemoryStore().mergeDocuments(ids);
+    }
+  } catch (error) {
+    log.error('[Memory Tool] Failed to merge memory documents:', error);
+    return { success: false, error: error instanceof Error ? error.message : '合并记忆失败' };
+  }
+}
+
+/**
+ * 批准待审核记忆，写入长期记忆后从收件箱移除（双后端支持）
+ * 可同时传入编辑后的内容
+ */
+export async function approvePendingMemory(
+  id: string,
+  edits: Partial<Pick<PendingMemory, 'title' | 'text' | 'label' | 'tags' | 'scope'>> = {}
+): Promise<{ success: boolean; error?: string; id?: string }> {
+  try {
+    const pending = await getPendingMemory(id);
+    if (!pending) {
+      return { success: false, error: '待审核记忆不存在' };
+    }
+    const item = { ...pending, ...edits };
+
+    await ensureBackend();
+
+    const input = {
+      title: item.title,
+      text: item.text,
+      label: item.label,
+      tags: item.tags,
+      uri: item.uri,
+      metadata: {
+        ...item.metadata,
+        source: item.source === 'auto_store' ? 'auto_store' : 'ai_tool',
+        scope: item.scope,
+        ...(item.sessionId ? { sessionId: item.sessionId } : {}),
+        reviewedAt: new Date().toISOString(),
+      },
+    };
+    const result = currentBackend === 'memvid'
+      ? await getMemvidStore().putDocument(input)
+      : await getFsMemoryStore().putDocument(input);
+    if (!result.success) {
+      return result;
+    }
+
+    await removePendingMemory(id);
+    log.info(`[Memory Tool] Pending memory approved: ${item.title}`);
+    return result;
+  } catch (error) {
+    log.error('[Memory Tool] Failed to approve pending memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '批准记忆失败' };
+  }
+}
+
+/**
+ * 将待审核记忆合并到已有记忆（双后端支持）
+ * 待审核内容追加到已有记忆末尾；Memvid 不支持更新，会重写已有记忆，返回新的文档 ID
+ */
+export async function mergePendingMemory(id: string, targetId: string): Promise<{ success: boolean; error?: string; id?: string }> {
+  try {
+    const pending = await getPendingMemory(id);
+    if (!pending) {
+      return { success: false, error: '待审核记忆不存在' };
+    }
+
+    await ensureBackend();
+
+    const target = await getDocument(targetId);
+    if (!target.success || !target.document) {
+      return { success: false, error: target.error || '要合并的记忆不存在' };
+    }
+
+    const doc = target.document;
+    const text = `${doc.text}\n\n${pending.text}`;
+    const tags = [...new Set([...(doc.tags || []), ...(pending.tags || [])])];
+
+    let result: { success: boolean; error?: string; id?: string };
+    if (currentBackend === 'memvid') {
+      const memvid = getMemvidStore();
+      result = await memvid.putDocument({
+        title: doc.title,
+        text,
+        label: doc.label,
+        tags,
+        uri: doc.uri,
+        metadata: doc.metadata,
+      });
+      if (result.success) {
+        await memvid.deleteDocument(targetId);
+      }
+    } else {
+      result = { ...await getFsMemoryStore().updateDocument(targetId, { text, tags }), id: targetId };
+    }
+    if (!result.success) {
+      return result;
+    }
+
+    await removePendingMemory(id);
+    log.info(`[Memory Tool] Pending memory merged into: ${doc.title}`);
+    return result;
+  } catch (error) {
+    log.error('[Memory Tool] Failed to merge pending memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '合并记忆失败' };
+  }
+}
+
+/**
+ * 查找与待审核记忆相似的已有记忆（同一作用域和全局），并计算差异
+ */
+export async function findSimilarMemories(id: string, k: number = 3): Promise<{ success: boolean; error?: string; similar?: SimilarMemory[] }> {
+  try {
+    const pending = await getPendingMemory(id);
+    if (!pending) {
+      return { success: false, error: '待审核记忆不存在' };
+    }
+
+    const query = `${pending.title}\n${pending.text.slice(0, 500)}`;
+    const result = await findDocuments(query, { k, scopes: [...new Set([pending.scope, GLOBAL_MEMORY_SCOPE])] });
+    if (!result.success || !result.results) {
+      return { success: false, error: result.error || '搜索相似记忆失败' };
+    }
+
+    const similar: SimilarMemory[] = [];
+    for (const hit of result.results.hits) {
+      // 文件系统后端的命中带完整文档，Memvid 只有片段，需要再取一次
+      const docId = String(hit.id ?? hit.frame_id);
+      const doc = hit.doc ?? (await getDocument(docId)).document;
+      if (!doc) continue;
+
+      similar.push({
+        id: docId,
+        title: doc.title || '无标题',
+        text: doc.text || '',
+        label: doc.label || 'custom',
+        score: hit.score ?? 0,
+        diff: diffLines(doc.text || '', pending.text),
+      });
+    }
+
+    return { success: true, similar };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to find similar memories:', error);
+    return { success: false, error: error instanceof Error ? error.message : '搜索相似记忆失败' };
+  }
+}
+
+/** 导入时每批写入的块数 */
+const IMPORT_BATCH_SIZE = 20;
+
+/**
+ * 撤销写入中途失败的导入：删除本次已写入的块，保留上次导入的块
+ */
+async function discardPartialImport(
+  store: ReturnType<typeof getMemvidStore> | ReturnType<typeof getFsMemoryStore>,
+  sourceUri: string,
+  staleIds: string[]
+): Promise<void> {
+  const current = await store.listDocumentIdsBySource(sourceUri);
+  if (!current.success) {
+    log.warn(`[Memory Tool] Failed to list partial import of ${sourceUri}: ${current.error}`);
+    return;
+  }
+  const stale = new Set(staleIds);
+  const written = (current.ids ?? []).filter(id => !stale.has(id));
+  const result = await store.deleteDocuments(written);
+  if (!result.success) {
+    log.warn(`[Memory Tool] Failed to discard partial import of ${sourceUri}: ${result.error}`);
+  }
+}
+
+/**
+ * 导入文件到记忆（双后端支持）
+ * 文件按标题和段落切分为多个文档，再次导入同一文件时替换上次导入的块：
+ * 新块全部写入后才删除旧块，写入中途失败时撤销本次已写入的块，保留上次导入的内容
+ */
+export async function importMemoryFile(
+  filePath: string,
+  onProgress?: (progress: MemoryImportProgress) => void
+): Promise<{ success: boolean; error?: string; count?: number; replaced?: number }> {
+  try {
+    if (!memoryToolConfig.enabled) {
+      return { success: false, error: '记忆功能未启用' };
+    }
+
+    const format = detectImportFormat(filePath);
+    if (!format) {
+      return { success: false, error: '不支持的文件类型，仅支持 .md、.txt、.html、.json 和 .pdf' };
+    }
+
+    await ensureBackend();
+    const store = currentBackend === 'memvid' ? getMemvidStore() : getFsMemoryStore();
+
+    // ========== 1. 读取并切分文件 ==========
+    onProgress?.({ filePath, stage: 'parsing', current: 0, total: 0 });
+    const chunks = buildImportChunks(filePath, format, await readImportFile(filePath, format));
+    if (chunks.length === 0) {
+      return { success: false, error: '文件中没有可导入的文本' };
+    }
+
+    // ========== 2. 记录上次导入的块 ==========
+    const sourceUri = getSourceUri(filePath);
+    const previous = await store.listDocumentIdsBySource(sourceUri);
+    if (!previous.success) {
+      return { success: false, error: previous.error };
+    }
+    const staleIds = previous.ids ?? [];
+
+    // ========== 3. 分批写入新块 ==========
+    for (let i = 0; i < chunks.length; i += IMPORT_BATCH_SIZE) {
+      onProgress?.({ filePath, stage: 'storing', current: i, total: chunks.length });
+      const result = await store.putDocuments(chunks.slice(i, i + IMPORT_BATCH_SIZE));
+      if (!result.success) {
+        await discardPartialImport(store, sourceUri, staleIds);
+        return { success: false, error: result.error };
+      }
+    }
+
+    // ========== 4. 删除上次导入的块 ==========
+    onProgress?.({ filePath, stage: 'replacing', current: chunks.length, total: chunks.length });
+    const removed = await store.deleteDocuments(staleIds);
+    if (!removed.success) {
+      return { success: false, error: removed.error };
+    }
+    onProgress?.({ filePath, stage: 'done', current: chunks.length, total: chunks.length });
+
+    log.info(`[Memory Tool] Imported ${chunks.length} chunks from ${filePath} (replaced ${removed.count ?? 0})`);
+    return { success: true, count: chunks.length, replaced: removed.count ?? 0 };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to import file:', error);
+    return { success: false, error: error instanceof Error ? error.message : '导入文件失败' };
+  }
+}
+
+// ========== 导出、导入和后端迁移 ==========
+
+/**
+ * 获取指定后端的存储实例
+ */
+function getBackendStore(backend: StorageBackend) {
+  return backend === 'memvid' ? getMemvidStore() : getFsMemoryStore();
+}
+
+/**
+ * 按内容哈希去重后分批写入存储
+ */
+async function writeExportRecords(
+  backend: StorageBackend,
+  records: MemoryExportRecord[]
+): Promise<MemoryTransferResult> {
+  const store = getBackendStore(backend);
+  const existing = await store.exportDocuments();
+  if (!existing.success) {
+    return { success: false, error: existing.error };
+  }
+
+  const { unique, skipped } = dedupeByContentHash(records, (existing.records ?? []).map(record => memoryContentHash(record.text)));
+  for (let i = 0; i < unique.length; i += IMPORT_BATCH_SIZE) {
+    const result = await store.putDocuments(unique.slice(i, i + IMPORT_BATCH_SIZE).map(toDocumentInput));
+    if (!result.success) {
+      return { success: false, error: result.error, imported: i, skipped };
+    }
+  }
+  return { success: true, imported: unique.length, skipped };
+}
+
+/**
+ * 获取当前使用的存储后端
+ */
+export async function getMemoryBackend(): Promise<{ success: boolean; error?: string; backend?: MemoryBackend }> {
+  try {
+    await ensureBackend();
+    return { success: true, backend: currentBackend };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to get backend:', error);
+    return { success: false, error: error instanceof Error ? error.message : '获取存储后端失败' };
+  }
+}
+
+/**
+ * 导出所有记忆为 JSONL（双后端支持）
+ */
+export async function exportMemoryDocuments(): Promise<{ success: boolean; error?: string; content?: string; count?: number }> {
+  try {
+    await ensureBackend();
+
+    const result = await getBackendStore(currentBackend).exportDocuments();
+    if (!result.success || !result.records) {
+      return { success: false, error: result.error };
+    }
+
+    return { success: true, content: serializeMemoryExport(result.records, currentBackend), count: result.records.length };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to export memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '导出记忆失败' };
+  }
+}
+
+/**
+ * 从 JSONL 导入记忆（双后端支持）
+ * 无效的行跳过并返回行号，与已有记忆内容相同的跳过
+ */
+export async function importMemoryDocuments(content: string): Promise<MemoryTransferResult> {
+  try {
+    if (!memoryToolConfig.enabled) {
+      return { success: false, error: '记忆功能未启用' };
+    }
+
+    const parsed = parseMemoryExport(content);
+    await ensureBackend();
+
+    const result = await writeExportRecords(currentBackend, parsed.records);
+    log.info(`[Memory Tool] Imported ${result.imported ?? 0} memories (skipped ${result.skipped ?? 0}, invalid ${parsed.errors.length})`);
+    return { ...result, errors: parsed.errors };
+  } catch (error) {
+    log.error('[Memory Tool] Failed to import memory:', error);
+    return { success: false, error: error instanceof Error ? error.message : '导入记忆失败' };
+  }
+}
+
+/**
+ * 把所有记忆迁移到另一个存储后端，之后使用目标后端
+ * 原后端的数据保留不删除，目标后端中内容相同的记忆不会重复写入
+ */
+export async function migrateMemoryBackend(target: MemoryBackend): Promise<MemoryTransferResult> {
+  try {
+    await ensureBackend();
+    if (target === currentBackend) {
+      return { success: false, error: '已在使用该存储后端' };
+    }
+
+    const source = await getBackendStore(currentBackend).exportDocuments();
+    if (!source.success || !source.records) {
+      return { success: false, error: source.error };
+    }
+
+    await getBackendStore(target).initialize();
+    const result = await writeExportRecords(target, source.records);
+    if (!result.success) {
+      return result;
+    }
+
+    // 记住迁移后的后端，重启后继续使用
+    await saveMemoryBackend(target);
+
+    log.info(`[Memory Tool] Migrated ${result.imported} memories from ${currentBackend} to ${target} (skipped ${result.skipped})`);
+    currentBackend = target;
+    return result;
+  } catch (error) {
+    log.error('[Memory Tool] Failed to migrate memory backend:', error);
+    return { success: false, error: error instanceof Error ? error.message : '迁移存储后端失败' };
+  }
+}
+
 /**
  * 自动存储记忆（用于会话结束时自动记录重要信息）
  */
@@ -700,7 +1446,7 @@ export const MEMORY_TOOLS = [
   },
   {
     name: 'memory_ask',
-    description: '基于记忆的问答。使用 RAG（检索增强生成）技术，根据记忆内容回答问题。',
+    description: '基于记忆的问答。检索相关记忆后生成简洁回答，并用 [n] 标注引用的记忆 ID。',
     input_schema: {
       type: 'object',
       properties: {
@@ -0,0 +1,213 @@
+/**
+ * 记忆导出与导入
+ *
+ * 导出格式为 JSONL：
+ * - 第一行是文件头 `{ format: "aicowork-memory", version, exportedAt, backend, count }`
+ * - 之后每行一条记忆，包含标题、正文、分类、标签、来源 uri、metadata 和时间
+ *
+ * 导入时逐行校验，无效的行跳过并记录行号；按正文的内容哈希去重，
+ * 文件内重复和目标存储中已有的记忆都不会重复写入
+ */
+
+import { createHash } from 'crypto';
+import { isNumber, isObject, isString } from './type-guards.js';
+
+export const MEMORY_EXPORT_FORMAT = 'aicowork-memory';
+export const MEMORY_EXPORT_VERSION = 1;
+
+/**
+ * 导出的一条记忆
+ */
+export type MemoryExportRecord = {
+  title: string;
+  text: string;
+  label: string;
+  tags: string[];
+  uri?: string;
+  metadata: Record<string, unknown>;
+  /** 创建时间（毫秒时间戳） */
+  createdAt?: number;
+  /** 最后修改时间（毫秒时间戳） */
+  updatedAt?: number;
+};
+
+/**
+ * 导出文件头
+ */
+export type MemoryExportHeader = {
+  format: typeof MEMORY_EXPORT_FORMAT;
+  version: number;
+  exportedAt: string;
+  /** 导出时使用的存储后端 */
+  backend: string;
+  count: number;
+};
+
+/**
+ * 解析结果：有效的记忆和无效行的说明
+ */
+export type ParsedMemoryExport = {
+  header: MemoryExportHeader;
+  records: MemoryExportRecord[];
+  errors: Array<{ line: number; error: string }>;
+};
+
+/**
+ * 计算记忆正文的内容哈希（忽略首尾空白和空白差异）
+ */
+export function memoryContentHash(text: string): string {
+  return createHash('sha256').update(text.replace(/\s+/g, ' ').trim()).digest('hex');
+}
+
+/**
+ * 生成 JSONL 导出内容
+ */
+export function serializeMemoryExport(
+  records: MemoryExportRecord[],
+  backend: string,
+  exportedAt: Date = new Date()
+): string {
+  const header: MemoryExportHeader = {
+    format: MEMORY_EXPORT_FORMAT,
+    version: MEMORY_EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    backend,
+    count: records.length,
+  };
+  const lines = [header, ...records.map(record => ({ ...record, hash: memoryContentHash(record.text) }))];
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+/**
+ * 校验一行记忆，返回错误说明或解析后的记忆
+ */
+function parseRecord(raw: unknown): MemoryExportRecord | string {
+  if (!isObject(raw)) return '不是 JSON 对象';
+  const { title, text, label, tags, uri, metadata, createdAt, updatedAt } = raw;
+  if (!isString(title) || !title.trim()) return '缺少 title';
+  if (!isString(text) || !text.trim()) return '缺少 text';
+  if (!isString(label) || !label.trim()) return '缺少 label';
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every(isString))) return 'tags 必须是字符串数组';
+  if (uri !== undefined && !isString(uri)) return 'uri 必须是字符串';
+  if (metadata !== undefined && !isObject(metadata)) return 'metadata 必须是对象';
+  if (createdAt !== undefined && !isNumber(createdAt)) return 'createdAt 必须是毫秒时间戳';
+  if (updatedAt !== undefined && !isNumber(updatedAt)) return 'updatedAt 必须是毫秒时间戳';
+
+  return {
+    title,
+    text,
+    label,
+    tags: (tags as string[] | undefined) ?? [],
+    uri: uri as string | undefined,
+    metadata: (metadata as Record<string, unknown> | undefined) ?? {},
+    createdAt: createdAt as number | undefined,
+    updatedAt: updatedAt as number | undefined,
+  };
+}
+
+/**
+ * 解析并校验 JSONL 导出内容
+ *
+ * @throws 文件头缺失、格式或版本不正确时抛出错误
+ */
+export function parseMemoryExport(content: string): ParsedMemoryExport {
+  const lines = content.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim());
+  if (headerIndex === -1) {
+    throw new Error('导出文件为空');
+  }
+
+  let header: unknown;
+  try {
+    header = JSON.parse(lines[headerIndex]);
+  } catch {
+    throw new Error('不是记忆导出文件');
+  }
+  if (!isObject(header) || header.format !== MEMORY_EXPORT_FORMAT) {
+    throw new Error('不是记忆导出文件');
+  }
+  if (header.version !== MEMORY_EXPORT_VERSION) {
+    throw new Error(`不支持的导出版本: ${String(header.version)}`);
+  }
+
+  const records: MemoryExportRecord[] = [];
+  const errors: ParsedMemoryExport['errors'] = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+
+    let raw: unknown;
+    try {
+      raw = JSON.parse(lines[i]);
+    } catch {
+      errors.push({ line: i + 1, error: 'JSON 格式错误' });
+      continue;
+    }
+
+    const record = parseRecord(raw);
+    if (typeof record === 'string') {
+      errors.push({ line: i + 1, error: record });
+    } else {
+      records.push(record);
+    }
+  }
+
+  return {
+    header: {
+      format: MEMORY_EXPORT_FORMAT,
+      version: MEMORY_EXPORT_VERSION,
+      exportedAt: isString(header.exportedAt) ? header.exportedAt : '',
+      backend: isString(header.backend) ? header.backend : '',
+      count: isNumber(header.count) ? header.count : records.length,
+    },
+    records,
+    errors,
+  };
+}
+
+/**
+ * 按内容哈希去重
+ *
+ * @param existingHashes - 目标存储中已有记忆的内容哈希
+ * @returns 需要写入的记忆和跳过的重复数
+ */
+export function dedupeByContentHash(
+  records: MemoryExportRecord[],
+  existingHashes: Iterable<string>
+): { unique: MemoryExportRecord[]; skipped: number } {
+  const seen = new Set(existingHashes);
+  const unique: MemoryExportRecord[] = [];
+  for (const record of records) {
+    const hash = memoryContentHash(record.text);
+    if (seen.has(hash)) continue;
+    seen.add(hash);
+    unique.push(record);
+  }
+  return { unique, skipped: records.length - unique.length };
+}
+
+/**
+ * 把导出的记忆转换为存储输入
+ * 存储会重新生成创建时间，原始时间记录在 metadata.originalCreatedAt，
+ * 搜索排序和过期清理按原始时间计算（见 documentTimestamp）
+ */
+export function toDocumentInput(record: MemoryExportRecord): {
+  title: string;
+  text: string;
+  label: string;
+  tags: string[];
+  uri?: string;
+  metadata: Record<string, unknown>;
+} {
+  const metadata = { ...record.metadata };
+  if (record.createdAt && !metadata.originalCreatedAt) {
+    metadata.originalCreatedAt = new Date(record.createdAt).toISOString();
+  }
+  return {
+    title: record.title,
+    text: record.text,
+    label: record.label,
+    tags: record.tags,
+    uri: record.uri,
+    metadata,
+  };
+}
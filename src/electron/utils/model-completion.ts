@@ -0,0 +1,77 @@
+/**
+ * 模型直接调用
+ * 使用当前激活的 API 配置发送单轮 Anthropic Messages 请求（不经过 Agent 会话），
+ * 用于记忆问答等只需要一次生成的场景
+ */
+
+import { getCurrentApiConfig } from '../services/claude-settings.js';
+import { buildApiEndpoint } from '../api-tester.js';
+import { log } from '../logger.js';
+
+/** 默认请求超时（毫秒） */
+const DEFAULT_TIMEOUT_MS = 60_000;
+
+/**
+ * 单轮生成请求
+ */
+export type CompletionRequest = {
+  system: string;
+  prompt: string;
+  maxTokens?: number;
+  timeoutMs?: number;
+};
+
+/**
+ * 使用当前 API 配置生成回复
+ *
+ * @returns 模型回复的文本
+ * @throws 未配置 API、请求失败或超时时抛出错误
+ */
+export async function completeWithActiveModel(request: CompletionRequest): Promise<string> {
+  const config = getCurrentApiConfig();
+  if (!config?.apiKey || !config.baseURL || !config.model) {
+    throw new Error('未配置 API，请先在设置中配置 API');
+  }
+
+  // 不超过模型的 max_tokens 上限
+  const limit = config.modelLimits?.max_tokens;
+  const maxTokens = Math.min(request.maxTokens ?? 1024, limit ?? Number.MAX_SAFE_INTEGER);
+
+  const response = await fetch(buildApiEndpoint(config), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01',
+      ...config.customHeaders,
+    },
+    body: JSON.stringify({
+      model: config.model,
+      max_tokens: maxTokens,
+      system: request.system,
+      messages: [{ role: 'user', content: request.prompt }],
+    }),
+    signal: AbortSignal.timeout(request.timeoutMs ?? DEFAULT_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 300);
+    log.warn('[model-completion] Request failed:', { status: response.status, detail });
+    throw new Error(`模型请求失败 (HTTP ${response.status})${detail ? `: ${detail}` : ''}`);
+  }
+
+  const data = await response.json() as { content?: Array<{ type: string; text?: string }>; error?: unknown };
+  if (data.error) {
+    throw new Error(`模型返回错误: ${JSON.stringify(data.error)}`);
+  }
+
+  const text = (data.content ?? [])
+    .filter(block => block.type === 'text' && block.text)
+    .map(block => block.text)
+    .join('')
+    .trim();
+  if (!text) {
+    throw new Error('模型没有返回内容');
+  }
+  return text;
+}
@@ -49,15 +49,51 @@ export function isValidServerEvent(event: unknown): event is { type: string; pay
   return validTypes.includes(event.type);
 }
 
-/** 检查是否为有效的 StreamMessage */
+/**
+ * 检查是否为有效的 StreamMessage
+ * 按消息类型检查渲染所需的关键字段，避免导入的数据在渲染时出错
+ */
 export function isValidStreamMessage(message: unknown): message is StreamMessage {
   if (!isObject(message)) return false;
   if (!isString(message.type)) return false;
 
-  const validTypes = ['text', 'image', 'tool_use', 'tool_result', 'user_prompt', 'error', 'stream_event'];
-  if (!validTypes.includes(message.type)) return false;
-
-  return true;
+  switch (message.type) {
+    case 'user_prompt':
+      return isString(message.prompt);
+    case 'text':
+      return isString(message.text);
+    case 'image':
+      return isObject(message.source);
+    case 'tool_use':
+      return isString(message.id) && isString(message.name);
+    case 'tool_result':
+      return isString(message.tool_use_id);
+    case 'error':
+      return isString(message.error) || isString(message.message);
+    case 'stream_event':
+      return isObject(message.event) && isString(message.event.type);
+    case 'assistant':
+      return isObject(message.message) && Array.isArray(message.message.content);
+    case 'user':
+      return isObject(message.message) && (isString(message.message.content) || Array.isArray(message.message.content));
+    case 'result':
+    case 'system':
+      return isString(message.subtype);
+    case 'tool_progress':
+    case 'tool_use_summary':
+    case 'auth_status':
+    case 'rate_limit_event':
+    case 'prompt_suggestion':
+      return true;
+    case 'agent_section':
+      return isString(message.uuid) && isString(message.agentName) && isString(message.status);
+    case 'orchestration_result':
+      return isString(message.uuid) && isString(message.text);
+    case 'hook_execution':
+      return isString(message.uuid) && isString(message.hook) && isString(message.toolName);
+    default:
+      return false;
+  }
 }
 
 /** 安全获取对象属性 */
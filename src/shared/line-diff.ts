@@ -0,0 +1,145 @@
+/**
+ * 按行比较文本
+ *
+ * 基于最长公共子序列（LCS）的行级差异，用于对比待审核记忆和已有记忆，
+ * 以及生成回退文件修改前预览的 unified diff
+ */
+
+import type { LineDiffEntry } from "./types/index.js";
+
+/** 去掉相同首尾后超过此规模（行数乘积）时不再计算 LCS，直接视为整体替换 */
+const MAX_LCS_CELLS = 250_000;
+
+/**
+ * 计算从 before 到 after 的行级差异
+ *
+ * @param before - 原文本
+ * @param after - 新文本
+ * @returns 按顺序排列的差异行：same 为两边相同，removed 只在原文本中，added 只在新文本中
+ */
+export function diffLines(before: string, after: string): LineDiffEntry[] {
+  return diffLineArrays(before.split(/\r?\n/), after.split(/\r?\n/));
+}
+
+/**
+ * 计算两组行之间的差异
+ * 先去掉相同的首尾，中间部分按最长公共子序列比较
+ */
+function diffLineArrays(a: string[], b: string[]): LineDiffEntry[] {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const result: LineDiffEntry[] = a.slice(0, prefix).map(text => ({ type: "same" as const, text }));
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    result.push(...midA.map(text => ({ type: "removed" as const, text })));
+    result.push(...midB.map(text => ({ type: "added" as const, text })));
+  } else {
+    // lcs[i][j] = midA[i..] 与 midB[j..] 的最长公共子序列长度
+    const lcs: number[][] = Array.from({ length: midA.length + 1 }, () => new Array<number>(midB.length + 1).fill(0));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        result.push({ type: "same", text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: "removed", text: midA[i++] });
+      } else {
+        result.push({ type: "added", text: midB[j++] });
+      }
+    }
+    while (i < midA.length) result.push({ type: "removed", text: midA[i++] });
+    while (j < midB.length) result.push({ type: "added", text: midB[j++] });
+  }
+
+  result.push(...a.slice(a.length - suffix).map(text => ({ type: "same" as const, text })));
+  return result;
+}
+
+/**
+ * 拆分文件内容为行，忽略末尾换行符产生的空行
+ */
+function splitFileLines(text: string): string[] {
+  if (text === "") return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * 生成 unified diff 格式的差异文本（不含文件头）
+ *
+ * @param context - 每处修改前后保留的上下文行数
+ * @returns 没有差异时返回空字符串
+ */
+export function formatUnifiedDiff(before: string, after: string, context = 3): string {
+  const lines = diffLineArrays(splitFileLines(before), splitFileLines(after));
+  const output: string[] = [];
+
+  // 每行之前的旧 / 新文件行数，用于计算 hunk 头
+  const oldBefore: number[] = [];
+  const newBefore: number[] = [];
+  let oldCount = 0;
+  let newCount = 0;
+  for (const line of lines) {
+    oldBefore.push(oldCount);
+    newBefore.push(newCount);
+    if (line.type !== "added") oldCount++;
+    if (line.type !== "removed") newCount++;
+  }
+
+  let index = 0;
+  while (index < lines.length) {
+    while (index < lines.length && lines[index].type === "same") index++;
+    if (index >= lines.length) break;
+
+    const start = Math.max(0, index - context);
+    let end = index;
+    // 相邻修改之间的上下文不超过 2 * context 行时合并为同一个 hunk
+    while (end < lines.length) {
+      if (lines[end].type !== "same") {
+        end++;
+        continue;
+      }
+      let next = end;
+      while (next < lines.length && lines[next].type === "same") next++;
+      if (next < lines.length && next - end <= context * 2) {
+        end = next;
+        continue;
+      }
+      end = Math.min(next, end + context);
+      break;
+    }
+
+    const hunk = lines.slice(start, end);
+    const oldLength = hunk.filter(line => line.type !== "added").length;
+    const newLength = hunk.filter(line => line.type !== "removed").length;
+    const oldStart = oldLength > 0 ? oldBefore[start] + 1 : oldBefore[start];
+    const newStart = newLength > 0 ? newBefore[start] + 1 : newBefore[start];
+    output.push(`@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`);
+    for (const line of hunk) {
+      output.push(`${line.type === "added" ? "+" : line.type === "removed" ? "-" : " "}${line.text}`);
+    }
+    index = end;
+  }
+
+  return output.join("\n");
+}
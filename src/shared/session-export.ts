@@ -0,0 +1,203 @@
+/**
+ * 会话导出模块
+ *
+ * 将会话记录（getSessionHistory 返回的 StreamMessage）转换为：
+ * - 自包含的 Markdown 文档
+ * - 可重新导入的 JSON 导出包
+ * HTML 导出需要 React 渲染器，由渲染进程基于本模块的数据完成
+ */
+
+import type { SessionExportBundle, SessionExportFormat, StreamMessage } from "./types/index.js";
+
+// ==================== 类型与常量 ====================
+
+/**
+ * 导出的会话元数据
+ */
+export type SessionExportMeta = SessionExportBundle["session"];
+
+/**
+ * 导出选项
+ */
+export type SessionExportOptions = {
+  /** 隐去工具调用的输入参数（命令、文件内容等） */
+  redactToolInputs: boolean;
+};
+
+/** 各导出格式对应的文件扩展名 */
+export const SESSION_EXPORT_EXTENSIONS: Record<SessionExportFormat, string> = {
+  markdown: "md",
+  html: "html",
+  json: "json",
+};
+
+/** 隐去输入后，工具调用在文档中的占位文本 */
+export const REDACTED_TOOL_INPUT_LABEL = "(input redacted)";
+
+// ==================== 数据处理 ====================
+
+/**
+ * 隐去工具调用输入
+ * 助手消息中 tool_use 的 input 替换为空对象，并丢弃流式的 input_json_delta 增量；
+ * 返回新数组，不修改原消息
+ */
+export function redactToolInputs(messages: StreamMessage[]): StreamMessage[] {
+  const result: StreamMessage[] = [];
+  for (const message of messages) {
+    if (message.type === "stream_event") {
+      const delta = (message.event as { delta?: { type?: string } }).delta;
+      if (delta?.type === "input_json_delta") continue;
+      result.push(message);
+      continue;
+    }
+    if (message.type !== "assistant") {
+      result.push(message);
+      continue;
+    }
+    result.push({
+      ...message,
+      message: {
+        ...message.message,
+        content: message.message.content.map((block) =>
+          block.type === "tool_use" ? { ...block, input: {} } : block
+        ),
+      },
+    });
+  }
+  return result;
+}
+
+/**
+ * 构建 JSON 导出包
+ */
+export function buildSessionBundle(
+  session: SessionExportMeta,
+  messages: StreamMessage[],
+  options: SessionExportOptions
+): SessionExportBundle {
+  return {
+    format: "aicowork-session",
+    version: 1,
+    exportedAt: Date.now(),
+    redactedToolInputs: options.redactToolInputs,
+    session,
+    messages: options.redactToolInputs ? redactToolInputs(messages) : messages,
+  };
+}
+
+/**
+ * 生成导出文件名
+ * 去掉文件系统不允许的字符，标题为空时使用会话 ID
+ */
+export function getExportFileName(session: SessionExportMeta, format: SessionExportFormat): string {
+  const base = session.title.replace(/[\\/:*?"<>|\r\n]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 80) || session.id;
+  return `${base}.${SESSION_EXPORT_EXTENSIONS[format]}`;
+}
+
+// ==================== Markdown ====================
+
+/**
+ * 用比内容中最长反引号序列更长的围栏包裹代码，避免内容提前闭合代码块
+ */
+function codeFence(text: string, language = ""): string {
+  const longest = Math.max(2, ...Array.from(text.matchAll(/`+/g), (match) => match[0].length));
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * 将工具结果内容转换为文本
+ */
+export function formatToolResultContent(content: unknown): string {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((item) => item && typeof item === "object" && "text" in item ? String(item.text) : JSON.stringify(item, null, 2))
+      .join("\n");
+  }
+  return JSON.stringify(content, null, 2) ?? "";
+}
+
+/**
+ * 格式化结果卡片中的统计信息
+ */
+export function formatResultStats(message: Extract<StreamMessage, { type: "result" }>): string[] {
+  const minutes = (ms: number | undefined) => typeof ms === "number" ? `${(ms / 60000).toFixed(2)} min` : "-";
+  const tokens = (value: number | undefined) => typeof value === "number" ? value.toLocaleString("en-US") : "-";
+  return [
+    `Duration: ${minutes(message.duration_ms)} (API ${minutes(message.duration_api_ms)})`,
+    `Cost: $${typeof message.total_cost_usd === "number" ? message.total_cost_usd.toFixed(4) : "-"}`,
+    `Input tokens: ${tokens(message.usage?.input_tokens)}`,
+    `Output tokens: ${tokens(message.usage?.output_tokens)}`,
+  ];
+}
+
+/**
+ * 将单条消息渲染为 Markdown 片段，无需导出的消息返回空数组
+ */
+function renderMessageMarkdown(message: StreamMessage, options: SessionExportOptions): string[] {
+  switch (message.type) {
+    case "user_prompt":
+      return [`## User\n\n${message.prompt}`];
+
+    case "assistant": {
+      const parts: string[] = [];
+      for (const block of message.message.content) {
+        if (block.type === "text" && block.text.trim()) {
+          parts.push(block.text);
+        } else if (block.type === "tool_use") {
+          const input = options.redactToolInputs
+            ? `_${REDACTED_TOOL_INPUT_LABEL}_`
+            : codeFence(JSON.stringify(block.input, null, 2), "json");
+          parts.push(`**Tool call: \`${block.name}\`**\n\n${input}`);
+        }
+      }
+      return parts.length > 0 ? [`## Assistant\n\n${parts.join("\n\n")}`] : [];
+    }
+
+    case "user": {
+      const content = message.message.content;
+      if (!Array.isArray(content)) return [];
+      return content.flatMap((block) => {
+        if (block.type !== "tool_result") return [];
+        const title = block.is_error ? "**Tool result (error)**" : "**Tool result**";
+        return [`${title}\n\n${codeFence(formatToolResultContent(block.content))}`];
+      });
+    }
+
+    case "result":
+      return [`### Result\n\n${formatResultStats(message).map((line) => `- ${line}`).join("\n")}`];
+
+    case "agent_section":
+      return message.status === "started" ? [`### Agent: ${message.agentName} (round ${message.round})`] : [];
+
+    case "orchestration_result":
+      return [`## Orchestration result (${message.mode}, ${message.strategy})\n\n${message.text}`];
+
+    case "hook_execution":
+      return [`> Hook \`${message.hook}\` (${message.event}, ${message.toolName}) exited with ${message.exitCode ?? "no code"}${message.blocked ? " — tool call blocked" : ""}`];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * 将会话渲染为 Markdown 文档
+ */
+export function renderSessionMarkdown(
+  session: SessionExportMeta,
+  messages: StreamMessage[],
+  options: SessionExportOptions
+): string {
+  const header = [
+    `# ${session.title || session.id}`,
+    "",
+    ...(session.cwd ? [`- Working directory: \`${session.cwd}\``] : []),
+    `- Created: ${new Date(session.createdAt).toISOString()}`,
+    `- Exported: ${new Date().toISOString()}`,
+  ].join("\n");
+
+  const body = messages.flatMap((message) => renderMessageMarkdown(message, options));
+  return [header, "---", ...body].join("\n\n") + "\n";
+}
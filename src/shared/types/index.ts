@@ -15,17 +15,85 @@ export type UserPromptMessage = {
   prompt: string;
 };
 
+/**
+ * Agent 编排分段消息
+ * 标记编排过程中某个 Agent 输出段落的开始与结束
+ */
+export type AgentSectionMessage = {
+  type: "agent_section";
+  uuid: string;
+  agentId: string;
+  agentName: string;
+  /** 轮次，从 1 开始（alternating / cyclic 模式下可能大于 1） */
+  round: number;
+  status: "started" | "completed" | "failed";
+  error?: string;
+};
+
+/**
+ * Agent 编排聚合结果消息
+ */
+export type OrchestrationResultMessage = {
+  type: "orchestration_result";
+  uuid: string;
+  mode: "parallel" | "sequential" | "alternating" | "cyclic";
+  strategy: "first" | "all" | "majority" | "concatenate";
+  /** 参与聚合的 Agent 数量 */
+  agentCount: number;
+  text: string;
+};
+
+/**
+ * 工具钩子执行记录消息
+ * hooks.json 中的 preToolUse / postToolUse 命令每执行一次产生一条
+ */
+export type HookExecutionMessage = {
+  type: "hook_execution";
+  uuid: string;
+  event: "preToolUse" | "postToolUse";
+  hook: string;
+  command: string;
+  toolName: string;
+  toolUseId?: string;
+  /** 退出码；超时或启动失败时为 null */
+  exitCode: number | null;
+  durationMs: number;
+  /** preToolUse 钩子以非零退出码阻止了本次工具调用 */
+  blocked: boolean;
+  stdout?: string;
+  stderr?: string;
+};
+
 /**
  * 流式消息类型
  */
-export type StreamMessage = SDKMessage | UserPromptMessage;
+export type StreamMessage = SDKMessage | UserPromptMessage | AgentSectionMessage | OrchestrationResultMessage | HookExecutionMessage;
 
 // ==================== 会话类型 ====================
 
 /**
  * 会话状态
+ * interrupted：应用崩溃或强制退出时仍在运行的会话，启动时由 running 转为此状态
+ */
+export type SessionStatus = "idle" | "running" | "completed" | "error" | "interrupted";
+
+/**
+ * 会话权限模式
+ * default 危险操作需要确认，acceptEdits 自动接受文件编辑，plan 只规划不执行，bypassPermissions 跳过所有权限检查
  */
-export type SessionStatus = "idle" | "running" | "completed" | "error";
+export type SessionPermissionMode = "default" | "acceptEdits" | "plan" | "bypassPermissions";
+
+/**
+ * 会话中断时未得到响应的权限请求
+ */
+export type AbandonedPermission = {
+  toolUseId: string;
+  sessionId: string;
+  toolName: string;
+  input: unknown;
+  createdAt: number;
+  abandonedAt: number;
+};
 
 /**
  * 会话信息
@@ -36,10 +104,441 @@ export type SessionInfo = {
   status: SessionStatus;
   claudeSessionId?: string;
   cwd?: string;
+  /** 分支来源会话 ID */
+  parentSessionId?: string;
+  /** 来源会话中被分支的用户提示词消息 ID */
+  forkedAtMessageId?: string;
+  /** 从导出包导入的时间 */
+  importedAt?: number;
+  /** 导入的会话在用户选择继续之前为只读 */
+  readOnly?: boolean;
+  /** 权限模式，未设置时为 default */
+  permissionMode?: SessionPermissionMode;
+  /** 会话中断时被作废的权限请求（仅 interrupted 状态的会话） */
+  abandonedPermissions?: AbandonedPermission[];
   createdAt: number;
   updatedAt: number;
 };
 
+/**
+ * 会话全文搜索命中结果
+ */
+export type SessionSearchHit = {
+  sessionId: string;
+  sessionTitle: string;
+  messageId: string;
+  /** 消息在会话历史（session.history 返回的 messages）中的位置 */
+  messageIndex: number;
+  /** 命中消息的类型，用于区分用户 / 助手消息 */
+  messageType: string;
+  snippet: string;
+  createdAt: number;
+};
+
+/**
+ * 回退文件修改的预览：回退到某一轮之前时每个文件的变化
+ */
+export type RewindFilePreview = {
+  filePath: string;
+  /** restore 恢复为修改前的内容，delete 删除这些轮次中新建的文件 */
+  action: "restore" | "delete";
+  /** 当前内容到回退后内容的 unified diff（二进制文件为空） */
+  diff?: string;
+  binary?: boolean;
+};
+
+/**
+ * 会话运行期间排队的后续提示词
+ */
+export type QueuedPrompt = {
+  id: string;
+  prompt: string;
+  createdAt: number;
+};
+
+/**
+ * 会话导出格式
+ */
+export type SessionExportFormat = "markdown" | "html" | "json";
+
+/**
+ * 会话 JSON 导出包
+ * 包含会话元数据和原始 StreamMessage，可重新导入
+ */
+export type SessionExportBundle = {
+  format: "aicowork-session";
+  version: 1;
+  exportedAt: number;
+  /** 导出时是否隐去了工具调用的输入参数 */
+  redactedToolInputs: boolean;
+  session: {
+    id: string;
+    title: string;
+    cwd?: string;
+    parentSessionId?: string;
+    createdAt: number;
+    updatedAt: number;
+  };
+  messages: StreamMessage[];
+};
+
+// ==================== 用量类型 ====================
+
+/**
+ * 用量台账中的一条记录
+ * 每条 result 消息按模型拆分为一条或多条
+ */
+export type UsageEntry = {
+  sessionId: string;
+  /** 运行时使用的 ApiConfig.id */
+  apiConfigId: string;
+  apiConfigName?: string;
+  model: string;
+  /** 本地日期 YYYY-MM-DD */
+  date: string;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheCreationTokens: number;
+  costUsd: number;
+  createdAt: number;
+};
+
+/**
+ * 按日期、API 配置和模型汇总的用量
+ */
+export type UsageDailyRow = {
+  date: string;
+  apiConfigId: string;
+  apiConfigName?: string;
+  model: string;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheCreationTokens: number;
+  costUsd: number;
+  /** 汇总的运行次数 */
+  runs: number;
+};
+
+/**
+ * 按会话汇总的用量
+ */
+export type UsageSessionRow = {
+  sessionId: string;
+  /** 会话已删除时为空 */
+  sessionTitle?: string;
+  inputTokens: number;
+  outputTokens: number;
+  costUsd: number;
+  runs: number;
+};
+
+/**
+ * 用量统计
+ */
+export type UsageSummary = {
+  /** 统计起始日期 YYYY-MM-DD（含） */
+  since: string;
+  daily: UsageDailyRow[];
+  sessions: UsageSessionRow[];
+};
+
+// ==================== 预算类型 ====================
+
+/**
+ * 预算限额，未设置或为 0 的项不限制
+ * tokens 按输入 + 输出 token 计算
+ */
+export type BudgetLimit = {
+  maxCostUsd?: number;
+  maxTokens?: number;
+};
+
+/**
+ * 预算范围
+ * - session: 单个会话累计
+ * - daily: 当天所有会话累计
+ * - apiConfig: 当天使用某个 API 配置的累计
+ */
+export type BudgetScope = "session" | "daily" | "apiConfig";
+
+/**
+ * 预算配置
+ */
+export type BudgetConfig = {
+  enabled: boolean;
+  /** 用量达到限额的此百分比时发出警告（1-100） */
+  warnAtPercent: number;
+  session: BudgetLimit;
+  daily: BudgetLimit;
+  /** 按 ApiConfig.id 设置的每日限额 */
+  apiConfigs: Record<string, BudgetLimit>;
+};
+
+/**
+ * 某个预算项的使用情况
+ */
+export type BudgetStatus = {
+  scope: BudgetScope;
+  metric: "cost" | "tokens";
+  used: number;
+  limit: number;
+  /** used / limit 的百分比 */
+  percent: number;
+};
+
+/**
+ * 会话运行配置
+ */
+export type RunnerConfig = {
+  /** 会话空闲多少分钟后关闭其查询进程（0 表示每轮结束后立即关闭） */
+  idleTimeoutMinutes: number;
+};
+
+/**
+ * 记忆作用域："global" 或项目根目录的绝对路径
+ */
+export type MemoryScope = string;
+
+/**
+ * 作用域及其中的记忆数
+ */
+export type MemoryScopeInfo = {
+  scope: MemoryScope;
+  count: number;
+};
+
+/**
+ * 记忆列表项
+ */
+export type MemoryListItem = {
+  id: string;
+  title: string;
+  text: string;
+  label: string;
+  tags: string[];
+  scope: MemoryScope;
+  /** 创建时间（毫秒时间戳） */
+  createdAt?: number;
+  /** 最后修改时间（毫秒时间戳），Memvid 帧不可修改，与创建时间相同 */
+  updatedAt?: number;
+  uri?: string;
+  /** 存储方式：ai_tool、auto_store、file_import 等 */
+  source?: string;
+  /** 置顶的记忆永不过期，搜索时排在最前 */
+  pinned?: boolean;
+};
+
+/**
+ * 归档的记忆：过期或手动归档后从记忆存储移除，可以恢复
+ * - expired: 超过分类的保留期限，由定期清理归档
+ * - manual: 用户手动归档
+ */
+export type ArchivedMemory = {
+  id: string;
+  /** 归档前在记忆存储中的 ID */
+  originalId: string;
+  title: string;
+  text: string;
+  label: string;
+  tags: string[];
+  scope: MemoryScope;
+  uri?: string;
+  metadata: Record<string, unknown>;
+  /** 原始创建时间（毫秒时间戳） */
+  createdAt?: number;
+  archivedAt: number;
+  reason: 'expired' | 'manual';
+};
+
+/**
+ * 待审核记忆：自动生成的记忆在用户批准前保存在收件箱中
+ * - memory_store: AI 在会话中调用 memory_store 工具
+ * - auto_store: 会话结束时的自动记忆分析
+ */
+export type PendingMemory = {
+  id: string;
+  title: string;
+  text: string;
+  label: string;
+  tags?: string[];
+  scope: MemoryScope;
+  source: "memory_store" | "auto_store";
+  /** 来源会话 ID */
+  sessionId?: string;
+  uri?: string;
+  metadata?: Record<string, unknown>;
+  createdAt: number;
+};
+
+/**
+ * 行级差异
+ */
+export type LineDiffEntry = {
+  type: "same" | "added" | "removed";
+  text: string;
+};
+
+/**
+ * 与待审核记忆相似的已有记忆，diff 为从已有记忆到待审核记忆的差异
+ */
+export type SimilarMemory = {
+  id: string;
+  title: string;
+  text: string;
+  label: string;
+  score: number;
+  diff: LineDiffEntry[];
+};
+
+/**
+ * 近似重复的记忆簇
+ * - shingle: 字符 shingle 的 Jaccard 文本相似度
+ * - vector: Memvid 向量索引的语义相似度
+ */
+export type MemoryDuplicateCluster = {
+  /** 簇内最高的两两相似度（0-1） */
+  similarity: number;
+  method: 'shingle' | 'vector';
+  documents: MemoryListItem[];
+};
+
+/**
+ * 与新写入内容相似的已有记忆
+ */
+export type MemoryDuplicateHit = {
+  id: string;
+  title: string;
+  score: number;
+};
+
+/**
+ * 记忆文件导入进度
+ * - parsing: 读取并切分文件
+ * - storing: 写入新块，current / total 为已写入 / 总块数
+ * - replacing: 新块写入完成后删除上次导入的旧块
+ */
+export type MemoryImportProgress = {
+  filePath: string;
+  stage: "parsing" | "replacing" | "storing" | "done";
+  current: number;
+  total: number;
+};
+
+/**
+ * 记忆问答引用的记忆，index 对应回答中的 [n]
+ */
+export type MemoryAnswerCitation = {
+  index: number;
+  id: string;
+  title: string;
+  scope: MemoryScope;
+};
+
+/**
+ * 记忆问答结果
+ * - confidence: 检索置信度（0-1），问题中的关键词被检索到的记忆覆盖的比例
+ * - refused: 严格模式下置信度过低，没有生成回答
+ */
+export type MemoryAnswer = {
+  answer: string;
+  citations: MemoryAnswerCitation[];
+  confidence: number;
+  refused?: boolean;
+};
+
+/**
+ * 记忆存储后端：Memvid（.mv2 文件）或文件系统（JSON 文件）
+ */
+export type MemoryBackend = "memvid" | "filesystem";
+
+/**
+ * JSONL 记忆导入或后端迁移的结果
+ * - imported: 写入的记忆数
+ * - skipped: 内容与已有记忆重复而跳过的数量
+ * - errors: 未通过校验的行（仅导入文件时）
+ */
+export type MemoryTransferResult = {
+  success: boolean;
+  error?: string;
+  imported?: number;
+  skipped?: number;
+  errors?: Array<{ line: number; error: string }>;
+};
+
+/**
+ * 知识文件夹
+ * 主进程监听文件夹变化，并将其中的文档同步到记忆存储
+ */
+export type KnowledgeFolder = {
+  id: string;
+  path: string;
+  /** 只同步匹配的文件（相对路径 glob，不含 / 时匹配文件名），为空时同步所有支持的文件 */
+  include: string[];
+  /** 跳过匹配的文件和目录 */
+  exclude: string[];
+  enabled: boolean;
+  createdAt: number;
+};
+
+/**
+ * 知识文件夹同步状态
+ */
+export type KnowledgeFolderStatus = {
+  folderId: string;
+  state: "idle" | "syncing" | "watching" | "error";
+  /** 匹配的文件数 */
+  fileCount: number;
+  /** 最近一次同步中导入或更新的文件数 */
+  indexedCount: number;
+  /** 最近一次同步中内容未变而跳过的文件数 */
+  skippedCount: number;
+  /** 最近一次同步中移除的文件数 */
+  removedCount: number;
+  lastSyncAt?: number;
+  error?: string;
+  /** 导入失败的文件（相对路径 -> 错误信息） */
+  failures?: Record<string, string>;
+};
+
+/**
+ * 命中的权限规则
+ * 随 permission.request 事件发送，说明为何需要用户确认
+ */
+export type PermissionRuleMatch = {
+  tool: string;
+  pattern?: string;
+  action: "allow" | "deny" | "ask";
+  description?: string;
+};
+
+/**
+ * 权限授权范围
+ * - once: 仅本次调用
+ * - session: 当前会话内有效
+ * - cwd: 同一工作目录下的所有会话有效
+ * - forever: 永久有效
+ */
+export type PermissionScope = "once" | "session" | "cwd" | "forever";
+
+/**
+ * 用户在权限对话框中授予的持久化授权
+ */
+export type PermissionGrant = {
+  id: string;
+  scope: Exclude<PermissionScope, "once">;
+  /** 工具名称 */
+  tool: string;
+  /** 输入模式（与权限规则相同的匹配语义），为空时匹配该工具的所有调用 */
+  pattern?: string;
+  /** cwd 范围授权的工作目录 */
+  cwd?: string;
+  /** session 范围授权所属会话 */
+  sessionId?: string;
+  createdAt: number;
+};
+
 // ==================== 事件类型 ====================
 
 /**
@@ -52,23 +551,39 @@ export type ServerEvent =
   | { type: "session.list"; payload: { sessions: SessionInfo[] } }
   | { type: "session.history"; payload: { sessionId: string; status: SessionStatus; messages: StreamMessage[] } }
   | { type: "session.deleted"; payload: { sessionId: string } }
-  | { type: "permission.request"; payload: { sessionId: string; toolUseId: string; toolName: string; input: unknown } }
+  | { type: "session.forked"; payload: { sessionId: string; parentSessionId: string; prompt: string } }
+  | { type: "session.searchResults"; payload: { query: string; hits: SessionSearchHit[]; error?: string } }
+  | { type: "permission.request"; payload: { sessionId: string; toolUseId: string; toolName: string; input: unknown; rule?: PermissionRuleMatch } }
   | { type: "runner.error"; payload: { sessionId?: string; message: string } }
   | { type: "api.modelList"; payload: { models: string[] | null; error?: string } }
   | { type: "api.modelLimits"; payload: { limits: { max_tokens?: number; min_tokens?: number } | null; error?: string } }
-  | { type: "memory.status"; payload: { sessionId: string; stored: boolean; title?: string; message?: string } };
+  | { type: "memory.status"; payload: { sessionId: string; stored: boolean; title?: string; message?: string } }
+  | { type: "budget.warning"; payload: { sessionId: string; status: BudgetStatus } }
+  | { type: "session.queue"; payload: { sessionId: string; queue: QueuedPrompt[] } }
+  | { type: "session.permissionMode"; payload: { sessionId: string; mode: SessionPermissionMode } };
 
 /**
  * 客户端 -> 服务端事件
  */
 export type ClientEvent =
-  | { type: "session.start"; payload: { title: string; prompt: string; cwd?: string; allowedTools?: string } }
+  | { type: "session.start"; payload: { title: string; prompt: string; cwd?: string; allowedTools?: string; permissionMode?: SessionPermissionMode } }
   | { type: "session.continue"; payload: { sessionId: string; prompt: string } }
+  | { type: "session.orchestrate"; payload: { sessionId?: string; title: string; prompt: string; cwd?: string } }
   | { type: "session.stop"; payload: { sessionId: string } }
   | { type: "session.delete"; payload: { sessionId: string } }
   | { type: "session.list" }
   | { type: "session.history"; payload: { sessionId: string } }
-  | { type: "permission.response"; payload: { sessionId: string; toolUseId: string; result: PermissionResult } }
+  | { type: "session.search"; payload: { query: string; limit?: number } }
+  | { type: "session.fork"; payload: { sessionId: string; messageIndex: number } }
+  | { type: "session.unlock"; payload: { sessionId: string } }
+  | { type: "session.permissionMode"; payload: { sessionId: string; mode: SessionPermissionMode } }
+  | { type: "session.recover"; payload: { sessionId: string; action: "resume" | "complete" } }
+  | { type: "session.queue.add"; payload: { sessionId: string; prompt: string } }
+  | { type: "session.queue.update"; payload: { sessionId: string; id: string; prompt: string } }
+  | { type: "session.queue.remove"; payload: { sessionId: string; id: string } }
+  | { type: "session.queue.move"; payload: { sessionId: string; id: string; toIndex: number } }
+  | { type: "session.queue.sendNow"; payload: { sessionId: string; id: string } }
+  | { type: "permission.response"; payload: { sessionId: string; toolUseId: string; result: PermissionResult; scope?: PermissionScope } }
   | { type: "api.fetchModelList"; payload: { apiKey: string; baseURL: string; apiType?: string } }
   | { type: "api.fetchModelLimits"; payload: { apiKey: string; baseURL: string; model: string; apiType?: string } };
 
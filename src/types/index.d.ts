@@ -148,22 +148,37 @@ type EventPayloadMapping = {
     "get-orchestration-mode-description": string;
     "get-aggregation-strategy-description": string;
     // Hooks 操作
-    "get-hooks-config": { preToolUse: Array<{ hook: string; command: string; description?: string }>; postToolUse: Array<{ hook: string; command: string; description?: string }> };
+    "get-hooks-config": { preToolUse: Array<{ hook: string; matcher?: string; command: string; description?: string }>; postToolUse: Array<{ hook: string; matcher?: string; command: string; description?: string }> };
     "save-hook": { success: boolean; error?: string };
     "delete-hook": { success: boolean; error?: string };
     // Permissions 操作
-    "get-permissions-config": { allowedTools: string[]; customRules: Array<{ tool: string; allowed: boolean; description?: string }> };
+    "get-permissions-config": { allowedTools: string[]; customRules: Array<{ tool: string; allowed: boolean; action?: "allow" | "deny" | "ask"; pattern?: string; description?: string }> };
     "save-permission-rule": { success: boolean; error?: string };
     "delete-permission-rule": { success: boolean; error?: string };
+    "get-permission-grants": Array<{ id: string; scope: "session" | "cwd" | "forever"; tool: string; pattern?: string; cwd?: string; sessionId?: string; createdAt: number }>;
+    "revoke-permission-grant": { success: boolean; error?: string };
     // Output 操作
     "get-output-config": { format: 'markdown' | 'plain'; theme: 'default' | 'dark' | 'light'; codeHighlight: boolean; showLineNumbers: boolean; fontSize: 'small' | 'medium' | 'large'; wrapCode: boolean; renderer: 'standard' | 'enhanced' };
     "save-output-config": { success: boolean; error?: string };
+    // 预算配置
+    "get-budget-config": import("../shared/types").BudgetConfig;
+    "save-budget-config": { success: boolean; error?: string };
     "get-renderer-options": Array<{ value: string; label: string; description: string }>;
     // Session Recovery 操作
     "get-sessions-list": Array<{ sessionId: string; title: string; cwd: string; updatedAt: number; createdAt: number; messageCount?: number }>;
+    "get-runner-config": import("../shared/types").RunnerConfig;
+    "save-runner-config": { success: boolean; error?: string };
     "get-session-history": any;
     "recover-session": { success: boolean; error?: string; sessionId?: string };
     "delete-session": { success: boolean; error?: string };
+    "save-session-export": { success: boolean; canceled?: boolean; filePath?: string; error?: string };
+    "import-session-bundle": { success: boolean; canceled?: boolean; sessionId?: string; skipped?: number; error?: string };
+    // 文件回退
+    "get-rewind-preview": { success: boolean; files: import("../shared/types").RewindFilePreview[]; error?: string };
+    "rewind-session-files": { success: boolean; restored: string[]; error?: string };
+    // 用量统计
+    "get-usage-summary": import("../shared/types").UsageSummary;
+    "export-usage-csv": { success: boolean; canceled?: boolean; filePath?: string; error?: string };
 }
 
 interface Window {
@@ -429,21 +444,36 @@ interface Window {
         getAggregationStrategyDescription: (strategy: 'first' | 'all' | 'majority' | 'concatenate') => Promise<string>;
         /** Hooks 操作 */
         getHooksConfig: () => Promise<{ preToolUse: Array<{ hook: string; command: string; description?: string }>; postToolUse: Array<{ hook: string; command: string; description?: string }> }>;
-        saveHook: (config: { type: string; hook: string; command: string; description?: string }) => Promise<{ success: boolean; error?: string }>;
+        saveHook: (config: { type: string; hook: string; matcher?: string; command: string; description?: string }) => Promise<{ success: boolean; error?: string }>;
         deleteHook: (hookType: string, hookName: string) => Promise<{ success: boolean; error?: string }>;
         /** Permissions 操作 */
-        getPermissionsConfig: () => Promise<{ allowedTools: string[]; customRules: Array<{ tool: string; allowed: boolean; description?: string }> }>;
-        savePermissionRule: (rule: { tool: string; allowed: boolean; description?: string }) => Promise<{ success: boolean; error?: string }>;
-        deletePermissionRule: (toolName: string) => Promise<{ success: boolean; error?: string }>;
+        getPermissionsConfig: () => Promise<{ allowedTools: string[]; customRules: Array<{ tool: string; allowed: boolean; action?: "allow" | "deny" | "ask"; pattern?: string; description?: string }> }>;
+        savePermissionRule: (rule: { tool: string; allowed: boolean; action?: "allow" | "deny" | "ask"; pattern?: string; description?: string }) => Promise<{ success: boolean; error?: string }>;
+        deletePermissionRule: (toolName: string, pattern?: string) => Promise<{ success: boolean; error?: string }>;
+        getPermissionGrants: () => Promise<Array<{ id: string; scope: "session" | "cwd" | "forever"; tool: string; pattern?: string; cwd?: string; sessionId?: string; createdAt: number }>>;
+        revokePermissionGrant: (grantId: string, scope: "session" | "cwd" | "forever") => Promise<{ success: boolean; error?: string }>;
         /** Output 操作 */
         getOutputConfig: () => Promise<{ format: 'markdown' | 'plain'; theme: 'default' | 'dark' | 'light'; codeHighlight: boolean; showLineNumbers: boolean; fontSize: 'small' | 'medium' | 'large'; wrapCode: boolean; renderer: 'standard' | 'enhanced' }>;
         saveOutputConfig: (config: any) => Promise<{ success: boolean; error?: string }>;
+        /** 预算配置 */
+        getBudgetConfig: () => Promise<import("../shared/types").BudgetConfig>;
+        saveBudgetConfig: (config: Partial<import("../shared/types").BudgetConfig>) => Promise<{ success: boolean; error?: string }>;
         getRendererOptions: () => Promise<Array<{ value: string; label: string; description: string }>>;
         /** Session Recovery 操作 */
         getSessionsList: () => Promise<Array<{ sessionId: string; title: string; cwd: string; updatedAt: number; createdAt: number; messageCount?: number }>>;
         getSessionHistory: (sessionId: string) => Promise<any>;
+        getRunnerConfig: () => Promise<import("../shared/types").RunnerConfig>;
+        saveRunnerConfig: (config: Partial<import("../shared/types").RunnerConfig>) => Promise<{ success: boolean; error?: string }>;
         recoverSession: (sessionId: string) => Promise<{ success: boolean; error?: string; sessionId?: string }>;
         deleteSession: (sessionId: string) => Promise<{ success: boolean; error?: string }>;
+        saveSessionExport: (fileName: string, content: string) => Promise<{ success: boolean; canceled?: boolean; filePath?: string; error?: string }>;
+        importSessionBundle: () => Promise<{ success: boolean; canceled?: boolean; sessionId?: string; skipped?: number; error?: string }>;
+        /** 文件回退 */
+        getRewindPreview: (sessionId: string, messageIndex: number) => Promise<{ success: boolean; files: import("../shared/types").RewindFilePreview[]; error?: string }>;
+        rewindSessionFiles: (sessionId: string, messageIndex: number) => Promise<{ success: boolean; restored: string[]; error?: string }>;
+        /** 用量统计 */
+        getUsageSummary: (days: number) => Promise<import("../shared/types").UsageSummary>;
+        exportUsageCsv: (days: number) => Promise<{ success: boolean; canceled?: boolean; filePath?: string; error?: string }>;
         /** Memvid Memory 操作 */
         memoryPutDocument: (input: {
             title: string;
@@ -452,7 +482,7 @@ interface Window {
             metadata?: Record<string, any>;
             uri?: string;
             tags?: string[];
-        }) => Promise<{ success: boolean; error?: string; id?: string }>;
+        }) => Promise<{ success: boolean; error?: string; id?: string; duplicates?: import("../shared/types").MemoryDuplicateHit[] }>;
         memoryPutDocuments: (inputs: Array<{
             title: string;
             label?: string;
@@ -464,6 +494,7 @@ interface Window {
         memoryFindDocuments: (query: string, options?: {
             mode?: 'lex' | 'sem' | 'auto';
             k?: number;
+            scopes?: string[];
         }) => Promise<{
             success: boolean;
             error?: string;
@@ -473,11 +504,11 @@ interface Window {
                 mode: string;
             };
         }>;
+        /** 记忆问答：模型根据检索到的记忆回答，strict 时检索置信度过低则拒绝回答 */
         memoryAskQuestion: (question: string, options?: {
             k?: number;
-            mode?: 'lex' | 'sem' | 'auto';
-            contextOnly?: boolean;
-        }) => Promise<{ success: boolean; error?: string; answer?: string; context?: string }>;
+            strict?: boolean;
+        }) => Promise<{ success: boolean; error?: string } & Partial<import("../shared/types").MemoryAnswer>>;
         memoryGetStats: () => Promise<{
             success: boolean;
             error?: string;
@@ -512,6 +543,10 @@ interface Window {
                 autoStoreCategories: string[];
                 searchMode: string;
                 defaultK: number;
+                importanceThreshold?: number;
+                reviewBypassLabels?: string[];
+                labelTtlDays?: Record<string, number>;
+                strictAnswers?: boolean;
                 availableTags?: string[];
             };
         }>;
@@ -521,9 +556,48 @@ interface Window {
             autoStoreCategories?: string[];
             searchMode?: string;
             defaultK?: number;
+            importanceThreshold?: number;
+            reviewBypassLabels?: string[];
+            labelTtlDays?: Record<string, number>;
+            strictAnswers?: boolean;
             availableTags?: string[];
         }) => Promise<{ success: boolean; error?: string }>;
-        memoryImportFile: (filePath: string) => Promise<{ success: boolean; error?: string; count?: number }>;
+        /** 导入文件到记忆，未传入路径时弹出文件选择框 */
+        memoryImportFile: (filePath?: string) => Promise<{ success: boolean; error?: string; canceled?: boolean; count?: number; replaced?: number }>;
+        onMemoryImportProgress: (callback: (progress: import("../shared/types").MemoryImportProgress) => void) => UnsubscribeFunction;
+        /** 记忆作用域：global 或项目根目录 */
+        memoryListDocuments: (options?: { scopes?: string[]; limit?: number }) => Promise<{ success: boolean; error?: string; documents?: import("../shared/types").MemoryListItem[] }>;
+        memoryGetScopes: () => Promise<{ success: boolean; error?: string; scopes?: import("../shared/types").MemoryScopeInfo[] }>;
+        memoryMoveDocument: (id: string, scope: string) => Promise<{ success: boolean; error?: string; id?: string }>;
+        /** 重复记忆：查找近似重复的记忆簇并合并 */
+        memoryFindDuplicates: () => Promise<{ success: boolean; error?: string; clusters?: import("../shared/types").MemoryDuplicateCluster[] }>;
+        memoryMergeDocuments: (ids: string[]) => Promise<{ success: boolean; error?: string; id?: string }>;
+        /** 记忆生命周期：置顶、归档和恢复 */
+        memorySetPinned: (id: string, pinned: boolean) => Promise<{ success: boolean; error?: string; id?: string }>;
+        memoryArchiveDocument: (id: string) => Promise<{ success: boolean; error?: string; archiveId?: string }>;
+        memoryArchiveList: () => Promise<import("../shared/types").ArchivedMemory[]>;
+        memoryArchiveRestore: (id: string) => Promise<{ success: boolean; error?: string; id?: string }>;
+        memoryArchiveDelete: (id: string) => Promise<{ success: boolean; error?: string }>;
+        memorySweepExpired: () => Promise<{ success: boolean; error?: string; count?: number }>;
+        /** 记忆导出、导入和存储后端迁移 */
+        memoryGetBackend: () => Promise<{ success: boolean; error?: string; backend?: import("../shared/types").MemoryBackend }>;
+        memoryExportJsonl: () => Promise<{ success: boolean; error?: string; canceled?: boolean; filePath?: string; count?: number }>;
+        memoryImportJsonl: () => Promise<import("../shared/types").MemoryTransferResult & { canceled?: boolean }>;
+        memoryMigrateBackend: (target: import("../shared/types").MemoryBackend) => Promise<import("../shared/types").MemoryTransferResult>;
+        /** 记忆收件箱：自动生成、等待审核的记忆 */
+        memoryInboxList: () => Promise<import("../shared/types").PendingMemory[]>;
+        memoryInboxUpdate: (id: string, updates: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) => Promise<{ success: boolean; error?: string; item?: import("../shared/types").PendingMemory }>;
+        memoryInboxApprove: (id: string, edits?: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) => Promise<{ success: boolean; error?: string; id?: string }>;
+        memoryInboxMerge: (id: string, targetId: string) => Promise<{ success: boolean; error?: string; id?: string }>;
+        memoryInboxDiscard: (id: string) => Promise<{ success: boolean; error?: string }>;
+        memoryInboxSimilar: (id: string) => Promise<{ success: boolean; error?: string; similar?: import("../shared/types").SimilarMemory[] }>;
+        /** 知识文件夹 */
+        getKnowledgeFolders: () => Promise<{ folders: import("../shared/types").KnowledgeFolder[]; statuses: import("../shared/types").KnowledgeFolderStatus[] }>;
+        addKnowledgeFolder: (input?: { path?: string; include?: string[]; exclude?: string[] }) => Promise<{ success: boolean; error?: string; canceled?: boolean; folder?: import("../shared/types").KnowledgeFolder }>;
+        updateKnowledgeFolder: (id: string, updates: { include?: string[]; exclude?: string[]; enabled?: boolean }) => Promise<{ success: boolean; error?: string; folder?: import("../shared/types").KnowledgeFolder }>;
+        removeKnowledgeFolder: (id: string) => Promise<{ success: boolean; error?: string }>;
+        syncKnowledgeFolder: (id: string) => Promise<{ success: boolean; error?: string }>;
+        onKnowledgeFolderStatus: (callback: (status: import("../shared/types").KnowledgeFolderStatus) => void) => UnsubscribeFunction;
         /** Rules 操作 */
         getRulesList: () => Promise<{
             success: boolean;
@@ -5,17 +5,21 @@ import { BrainIcon } from "./components/BrainIcon";
 import { useIPC } from "./hooks/useIPC";
 import { useMessageWindow } from "./hooks/useMessageWindow";
 import { useAppStore } from "./store/useAppStore";
-import type { ServerEvent } from "./types";
+import type { PermissionScope, ServerEvent, SessionExportFormat } from "./types";
 import { Sidebar } from "./components/Sidebar";
 import { StartSessionModal } from "./components/StartSessionModal";
+import { PermissionModeSelect } from "./components/PermissionModeSelect";
 import { PromptInput, usePromptActions } from "./components/PromptInput";
 import { SettingsPage } from "./pages/SettingsPage/SettingsPage";
 import { MessageCard } from "./components/EventCard";
 import { DeletionConfirmDialog } from "./components/DeletionConfirmDialog";
+import { DecisionPanel } from "./components/DecisionPanel";
+import { RewindPreviewDialog } from "./components/RewindPreviewDialog";
 import { SessionStatusIndicator, type SessionStatusType } from "./components/SessionStatusIndicator";
 import MDContent from "./render/markdown";
 import { isDeletionPermissionRequest } from "@/shared/deletion-detection";
 import { log } from "./utils/logger";
+import { exportSessionToFile } from "./utils/session-export";
 import {
   SCROLL_THRESHOLD,
   PARTIAL_MESSAGE_CLEAR_DELAY,
@@ -48,6 +52,7 @@ function App() {
 
   const sessions = useAppStore((s) => s.sessions);
   const activeSessionId = useAppStore((s) => s.activeSessionId);
+  const setActiveSessionId = useAppStore((s) => s.setActiveSessionId);
   const showStartModal = useAppStore((s) => s.showStartModal);
   const setShowStartModal = useAppStore((s) => s.setShowStartModal);
   const globalError = useAppStore((s) => s.globalError);
@@ -61,8 +66,17 @@ function App() {
   const cwd = useAppStore((s) => s.cwd);
   const setCwd = useAppStore((s) => s.setCwd);
   const pendingStart = useAppStore((s) => s.pendingStart);
+  const orchestrate = useAppStore((s) => s.orchestrate);
+  const setOrchestrate = useAppStore((s) => s.setOrchestrate);
+  const permissionMode = useAppStore((s) => s.permissionMode);
+  const setPermissionMode = useAppStore((s) => s.setPermissionMode);
   const apiConfigChecked = useAppStore((s) => s.apiConfigChecked);
   const setApiConfigChecked = useAppStore((s) => s.setApiConfigChecked);
+  const scrollTarget = useAppStore((s) => s.scrollTarget);
+  const setScrollTarget = useAppStore((s) => s.setScrollTarget);
+  const [highlightedIndex, setHighlightedIndex] = useState<number | null>(null);
+  // 正在预览文件回退的用户提示词位置
+  const [rewindIndex, setRewindIndex] = useState<number | null>(null);
   const currentPage = useAppStore((s) => s.currentPage);
   const setCurrentPage = useAppStore((s) => s.setCurrentPage);
 
@@ -212,6 +226,7 @@ function App() {
     isLoadingHistory,
     loadMoreMessages,
     resetToLatest,
+    revealMessage,
     totalMessages,
   } = useMessageWindow(messages, permissionRequests, activeSessionId);
 
@@ -303,12 +318,16 @@ function App() {
 
   // Reset scroll state on session change
   useEffect(() => {
-    setShouldAutoScroll(true);
+    // 从搜索结果跳转时由下方的跳转逻辑负责滚动
+    const jumping = useAppStore.getState().scrollTarget?.sessionId === activeSessionId;
+    setShouldAutoScroll(!jumping);
     setHasNewMessages(false);
     prevMessagesLengthRef.current = 0;
-    setTimeout(() => {
-      messagesEndRef.current?.scrollIntoView({ behavior: "auto" });
-    }, SCROLL_RESTORE_DELAY);
+    if (!jumping) {
+      setTimeout(() => {
+        messagesEndRef.current?.scrollIntoView({ behavior: "auto" });
+      }, SCROLL_RESTORE_DELAY);
+    }
 
     // 清理 animation frames
     return () => {
@@ -332,6 +351,71 @@ function App() {
     prevMessagesLengthRef.current = messages.length;
   }, [messages, partialMessage, shouldAutoScroll]);
 
+  // 跳转到搜索命中的消息：等待历史加载后展开可见窗口，再滚动并短暂高亮
+  useEffect(() => {
+    if (!scrollTarget || scrollTarget.sessionId !== activeSessionId) return;
+    if (!activeSession?.hydrated || messages.length <= scrollTarget.messageIndex) return;
+
+    const { messageIndex } = scrollTarget;
+    const timer = setTimeout(() => {
+      setShouldAutoScroll(false);
+      revealMessage(messageIndex);
+      setScrollTarget(null);
+      // 等待展开后的消息渲染完成再滚动
+      setTimeout(() => {
+        const element = scrollContainerRef.current?.querySelector(`[data-message-index="${messageIndex}"]`);
+        element?.scrollIntoView({ behavior: "smooth", block: "center" });
+        setHighlightedIndex(messageIndex);
+      }, SCROLL_RESTORE_DELAY);
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [scrollTarget, activeSessionId, activeSession?.hydrated, messages.length, revealMessage, setScrollTarget]);
+
+  // 高亮数秒后自动消失
+  useEffect(() => {
+    if (highlightedIndex === null) return;
+    const timer = setTimeout(() => setHighlightedIndex(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedIndex]);
+
+  const handleFork = useCallback((messageIndex: number) => {
+    if (!activeSessionId) return;
+    sendEvent({ type: "session.fork", payload: { sessionId: activeSessionId, messageIndex } });
+  }, [activeSessionId, sendEvent]);
+
+  const handleSearch = useCallback((query: string) => {
+    sendEvent({ type: "session.search", payload: { query } });
+  }, [sendEvent]);
+
+  const handleExportSession = useCallback(async (sessionId: string, format: SessionExportFormat, redactToolInputs: boolean) => {
+    try {
+      const result = await exportSessionToFile(sessionId, format, { redactToolInputs });
+      if (!result.success && !result.canceled) {
+        setGlobalError(t("sidebar.exportFailed", { error: result.error ?? "" }));
+      }
+    } catch (error) {
+      log.error("Failed to export session", error);
+      setGlobalError(t("sidebar.exportFailed", { error: error instanceof Error ? error.message : String(error) }));
+    }
+  }, [setGlobalError, t]);
+
+  const handleImportSession = useCallback(async () => {
+    try {
+      const result = await window.electron.importSessionBundle();
+      if (result.success && result.sessionId) {
+        setActiveSessionId(result.sessionId);
+        if (result.skipped) {
+          setGlobalError(t("sidebar.importSkipped", { count: result.skipped }));
+        }
+      } else if (!result.canceled) {
+        setGlobalError(t("sidebar.importFailed", { error: result.error ?? "" }));
+      }
+    } catch (error) {
+      log.error("Failed to import session", error);
+      setGlobalError(t("sidebar.importFailed", { error: error instanceof Error ? error.message : String(error) }));
+    }
+  }, [setActiveSessionId, setGlobalError, t]);
+
   const scrollToBottom = useCallback(() => {
     setShouldAutoScroll(true);
     setHasNewMessages(false);
@@ -359,9 +443,9 @@ function App() {
     }
   }, []);
 
-  const handlePermissionResult = useCallback((toolUseId: string, result: PermissionResult) => {
+  const handlePermissionResult = useCallback((toolUseId: string, result: PermissionResult, scope?: PermissionScope) => {
     if (!activeSessionId) return;
-    sendEvent({ type: "permission.response", payload: { sessionId: activeSessionId, toolUseId, result } });
+    sendEvent({ type: "permission.response", payload: { sessionId: activeSessionId, toolUseId, result, scope } });
     resolvePermissionRequest(activeSessionId, toolUseId);
   }, [activeSessionId, sendEvent, resolvePermissionRequest]);
 
@@ -387,6 +471,9 @@ function App() {
         onNewSession={handleNewSession}
         onDeleteSession={handleDeleteSession}
         onRenameSession={handleRenameSession}
+        onSearch={handleSearch}
+        onExportSession={handleExportSession}
+        onImportSession={handleImportSession}
       />
 
       <main className="flex flex-1 flex-col ml-[280px] bg-surface-cream">
@@ -404,6 +491,16 @@ function App() {
             </div>
           ) : null}
           <span className="text-sm font-medium text-ink-700">{activeSession?.title || "AICowork"}</span>
+          {/* 会话权限模式，可在对话中途切换 */}
+          {activeSessionId && activeSession && (
+            <div style={{ WebkitAppRegion: 'no-drag' } as React.CSSProperties}>
+              <PermissionModeSelect
+                className="px-2 py-0.5 text-xs"
+                value={activeSession.permissionMode ?? "default"}
+                onChange={(mode) => sendEvent({ type: "session.permissionMode", payload: { sessionId: activeSessionId, mode } })}
+              />
+            </div>
+          )}
         </div>
 
         {/* 固定的会话状态指示器栏 - 合并显示状态和超时提示 */}
@@ -460,17 +557,36 @@ function App() {
               </div>
             ) : (
               visibleMessages.map((item, idx) => (
-                <MessageCard
+                <div
                   key={`${activeSessionId}-msg-${item.originalIndex}`}
-                  message={item.message}
-                  isLast={idx === visibleMessages.length - 1}
-                  isRunning={isRunning}
-                  permissionRequest={permissionRequests[0]}
-                  onPermissionResult={handlePermissionResult}
-                />
+                  data-message-index={item.originalIndex}
+                  className={highlightedIndex === item.originalIndex ? "rounded-xl ring-2 ring-accent/40 transition-shadow" : undefined}
+                >
+                  <MessageCard
+                    message={item.message}
+                    isLast={idx === visibleMessages.length - 1}
+                    isRunning={isRunning}
+                    permissionRequest={permissionRequests[0]}
+                    onPermissionResult={handlePermissionResult}
+                    onFork={isRunning ? undefined : () => handleFork(item.originalIndex)}
+                    onRewind={isRunning ? undefined : () => setRewindIndex(item.originalIndex)}
+                  />
+                </div>
               ))
             )}
 
+            {/* 权限规则触发的确认请求（AskUserQuestion 在消息流中显示，删除操作用全局弹窗） */}
+            {permissionRequests[0] &&
+              permissionRequests[0].toolName !== "AskUserQuestion" &&
+              !isDeletionPermissionRequest(permissionRequests[0]) && (
+              <div className="mt-4">
+                <DecisionPanel
+                  request={permissionRequests[0]}
+                  onSubmit={(result, scope) => handlePermissionResult(permissionRequests[0].toolUseId, result, scope)}
+                />
+              </div>
+            )}
+
             {/* Partial message display with skeleton loading */}
             {showPartialMessage && (
               <div className="partial-message">
@@ -519,13 +635,25 @@ function App() {
           cwd={cwd}
           prompt={prompt}
           pendingStart={pendingStart}
+          orchestrate={orchestrate}
+          permissionMode={permissionMode}
           onCwdChange={setCwd}
+          onOrchestrateChange={setOrchestrate}
+          onPermissionModeChange={setPermissionMode}
           onPromptChange={setPrompt}
           onStart={handleStartFromModal}
           onClose={() => setShowStartModal(false)}
         />
       )}
 
+      {rewindIndex !== null && activeSessionId && (
+        <RewindPreviewDialog
+          sessionId={activeSessionId}
+          messageIndex={rewindIndex}
+          onClose={() => setRewindIndex(null)}
+        />
+      )}
+
       {globalError && (
         <div className="fixed bottom-24 left-1/2 z-50 -translate-x-1/2 rounded-xl border border-error/20 bg-error-light px-4 py-3 shadow-lg">
           <div className="flex items-center gap-3">
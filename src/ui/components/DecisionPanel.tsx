@@ -1,6 +1,8 @@
 import { useEffect, useState } from "react";
 import type { PermissionResult } from "@anthropic-ai/claude-agent-sdk";
 import type { PermissionRequest } from "../store/useAppStore";
+import type { PermissionScope } from "../types";
+import { PlanReviewCard } from "./PlanReviewCard";
 
 type AskUserQuestionInput = {
   questions?: Array<{
@@ -12,12 +14,19 @@ type AskUserQuestionInput = {
   answers?: Record<string, string>;
 };
 
+// "始终允许"的授权范围选项
+const GRANT_SCOPES: Array<{ scope: Exclude<PermissionScope, "once">; label: string }> = [
+  { scope: "session", label: "Allow for this session" },
+  { scope: "cwd", label: "Allow for this project" },
+  { scope: "forever", label: "Always allow" },
+];
+
 export function DecisionPanel({
   request,
   onSubmit
 }: {
   request: PermissionRequest;
-  onSubmit: (result: PermissionResult) => void;
+  onSubmit: (result: PermissionResult, scope?: PermissionScope) => void;
 }) {
   const input = request.input as AskUserQuestionInput | null;
   const questions = input?.questions ?? [];
@@ -66,6 +75,10 @@ export function DecisionPanel({
     return selected.length > 0 || otherText.length > 0;
   });
 
+  if (request.toolName === "ExitPlanMode") {
+    return <PlanReviewCard key={request.toolUseId} request={request} onSubmit={onSubmit} />;
+  }
+
   if (request.toolName === "AskUserQuestion" && questions.length > 0) {
     return (
       <div className="rounded-2xl border border-accent/20 bg-accent-subtle p-5">
@@ -149,6 +162,15 @@ export function DecisionPanel({
       <p className="mt-2 text-sm text-ink-700">
         Claude wants to use: <span className="font-medium">{request.toolName}</span>
       </p>
+      {request.rule && (
+        <p className="mt-1 text-xs text-muted">
+          Asked by rule:{" "}
+          <code className="rounded bg-surface px-1 py-0.5 font-mono">
+            {request.rule.pattern ? `${request.rule.tool}(${request.rule.pattern})` : request.rule.tool}
+          </code>
+          {request.rule.description && <span> - {request.rule.description}</span>}
+        </p>
+      )}
       <div className="mt-3 rounded-xl bg-surface-tertiary p-3">
         <pre className="text-xs text-ink-600 font-mono whitespace-pre-wrap break-words max-h-40 overflow-auto">
           {JSON.stringify(request.input, null, 2)}
@@ -161,6 +183,16 @@ export function DecisionPanel({
         >
           Allow
         </button>
+        {/* 授权只对 ask 规则生效，删除确认等其他请求不提供授权 */}
+        {request.rule?.action === "ask" && GRANT_SCOPES.map(({ scope, label }) => (
+          <button
+            key={scope}
+            className="rounded-full border border-accent/30 bg-surface px-4 py-2 text-sm font-medium text-accent hover:bg-accent/10 transition-colors"
+            onClick={() => onSubmit({ behavior: "allow", updatedInput: request.input as Record<string, unknown> }, scope)}
+          >
+            {label}
+          </button>
+        ))}
         <button
           className="rounded-full border border-ink-900/10 bg-surface px-5 py-2 text-sm font-medium text-ink-700 hover:bg-surface-tertiary transition-colors"
           onClick={() => onSubmit({ behavior: "deny", message: "User denied the request" })}
@@ -320,32 +320,118 @@ const SystemInfoCard = ({ message, showIndicator = false }: { message: SDKMessag
   );
 };
 
-const UserMessageCard = ({ message, showIndicator = false }: { message: { type: "user_prompt"; prompt: string }; showIndicator?: boolean }) => {
+const UserMessageCard = ({ message, showIndicator = false, onFork, onRewind }: { message: { type: "user_prompt"; prompt: string }; showIndicator?: boolean; onFork?: () => void; onRewind?: () => void }) => {
   const { t } = useTranslation();
 
   return (
-    <div className="flex flex-col mt-4">
+    <div className="group flex flex-col mt-4">
       <div className="header text-accent flex items-center gap-2">
         <StatusDot variant="success" isActive={showIndicator} isVisible={showIndicator} />
         {t('events.user')}
+        {(onRewind || onFork) && (
+          <div className="ml-auto flex items-center gap-1 opacity-0 transition-opacity group-hover:opacity-100 focus-within:opacity-100">
+            {onRewind && (
+              <button
+                className="rounded-md px-2 py-0.5 text-xs font-normal text-muted hover:bg-ink-900/5 hover:text-ink-700"
+                onClick={onRewind}
+                title={t('events.rewindHint')}
+              >
+                {t('events.rewind')}
+              </button>
+            )}
+            {onFork && (
+              <button
+                className="rounded-md px-2 py-0.5 text-xs font-normal text-muted hover:bg-ink-900/5 hover:text-ink-700"
+                onClick={onFork}
+                title={t('events.forkHint')}
+              >
+                {t('events.fork')}
+              </button>
+            )}
+          </div>
+        )}
       </div>
       <MDContent text={message.prompt} />
     </div>
   );
 };
 
+const AgentSectionCard = ({ message }: { message: Extract<StreamMessage, { type: "agent_section" }> }) => {
+  const { t } = useTranslation();
+  const variant = message.status === "failed" ? "error" : "success";
+
+  return (
+    <div className="flex flex-col gap-1 mt-6 border-t border-ink-900/10 pt-3">
+      <div className="header text-accent flex items-center gap-2">
+        <StatusDot variant={variant} isActive={message.status === "started"} isVisible={true} />
+        <span>{message.agentName}</span>
+        {message.round > 1 && <span className="text-xs text-muted font-normal">{t('events.round', { round: message.round })}</span>}
+        <span className="text-xs text-muted font-normal">{t(`events.agentStatus.${message.status}`)}</span>
+      </div>
+      {message.error && <div className="text-sm text-error">{message.error}</div>}
+    </div>
+  );
+};
+
+const OrchestrationResultCard = ({ message }: { message: Extract<StreamMessage, { type: "orchestration_result" }> }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="flex flex-col mt-6">
+      <div className="header text-accent flex items-center gap-2">
+        {t('events.orchestrationResult')}
+        <span className="text-xs text-muted font-normal">
+          {t('events.orchestrationSummary', { mode: message.mode, strategy: message.strategy, count: message.agentCount })}
+        </span>
+      </div>
+      <div className="mt-2 rounded-xl px-4 py-2 border border-ink-900/10 bg-surface-secondary">
+        <MDRenderer text={message.text} />
+      </div>
+    </div>
+  );
+};
+
+const HookExecutionCard = ({ message }: { message: Extract<StreamMessage, { type: "hook_execution" }> }) => {
+  const { t } = useTranslation();
+  const failed = message.exitCode !== 0;
+  const output = message.stderr || message.stdout;
+
+  return (
+    <div className="flex flex-col gap-1 mt-4">
+      <div className={`header flex items-center gap-2 ${failed ? "text-error" : "text-accent"}`}>
+        <StatusDot variant={failed ? "error" : "success"} isActive={false} isVisible={true} />
+        <span>{t(`events.hookEvent.${message.event}`)}</span>
+        <span className="text-xs text-muted font-normal">{message.hook} · {message.toolName}</span>
+        <span className="text-xs text-muted font-normal">
+          {t('events.hookSummary', { code: message.exitCode ?? "-", duration: message.durationMs })}
+        </span>
+      </div>
+      {message.blocked && <div className="text-sm text-error">{t('events.hookBlocked')}</div>}
+      {output && (
+        <pre className="text-xs text-muted whitespace-pre-wrap break-words rounded-lg bg-surface-secondary px-3 py-2">{output}</pre>
+      )}
+    </div>
+  );
+};
+
 export function MessageCard({
   message,
   isLast = false,
   isRunning = false,
   permissionRequest,
-  onPermissionResult
+  onPermissionResult,
+  onFork,
+  onRewind
 }: {
   message: StreamMessage;
   isLast?: boolean;
   isRunning?: boolean;
   permissionRequest?: PermissionRequest;
   onPermissionResult?: (toolUseId: string, result: PermissionResult) => void;
+  /** 从此用户提示词处分支会话 */
+  onFork?: () => void;
+  /** 回退此用户提示词及之后各轮对文件的修改 */
+  onRewind?: () => void;
 }) {
   const showIndicator = isLast && isRunning;
 
@@ -363,7 +449,19 @@ export function MessageCard({
   }
 
   if (message.type === "user_prompt") {
-    return <UserMessageCard message={message} showIndicator={showIndicator} />;
+    return <UserMessageCard message={message} showIndicator={showIndicator} onFork={onFork} onRewind={onRewind} />;
+  }
+
+  if (message.type === "agent_section") {
+    return <AgentSectionCard message={message} />;
+  }
+
+  if (message.type === "orchestration_result") {
+    return <OrchestrationResultCard message={message} />;
+  }
+
+  if (message.type === "hook_execution") {
+    return <HookExecutionCard message={message} />;
   }
 
   const sdkMessage = message as SDKMessage;
@@ -0,0 +1,42 @@
+/**
+ * PermissionModeSelect 组件
+ *
+ * 选择会话的权限模式，用于新建会话和对话顶栏
+ * 选择跳过权限检查前需要用户确认
+ */
+
+import { useTranslation } from "react-i18next";
+import type { SessionPermissionMode } from "../types";
+
+const PERMISSION_MODES: SessionPermissionMode[] = ["default", "acceptEdits", "plan", "bypassPermissions"];
+
+interface PermissionModeSelectProps {
+  value: SessionPermissionMode;
+  onChange: (mode: SessionPermissionMode) => void;
+  className?: string;
+}
+
+export function PermissionModeSelect({ value, onChange, className = "" }: PermissionModeSelectProps) {
+  const { t } = useTranslation();
+
+  const handleChange = (mode: SessionPermissionMode) => {
+    if (mode === "bypassPermissions" && !confirm(t("permissionModes.bypassConfirm"))) return;
+    onChange(mode);
+  };
+
+  return (
+    <select
+      className={`rounded-lg border border-ink-900/10 bg-surface-secondary text-ink-800 focus:border-accent focus:outline-none cursor-pointer ${className}`}
+      value={value}
+      onChange={(e) => handleChange(e.target.value as SessionPermissionMode)}
+      aria-label={t("permissionModes.label")}
+      title={t(`permissionModes.hints.${value}`)}
+    >
+      {PERMISSION_MODES.map((mode) => (
+        <option key={mode} value={mode}>
+          {t(`permissionModes.${mode}`)}
+        </option>
+      ))}
+    </select>
+  );
+}
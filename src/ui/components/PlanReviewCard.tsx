@@ -0,0 +1,104 @@
+/**
+ * PlanReviewCard 组件
+ *
+ * 计划模式下 Agent 提交的计划（ExitPlanMode）以卡片形式供用户审阅
+ * 批准后按所选权限模式继续执行；修改则附带意见拒绝，Agent 保持计划模式重新规划
+ */
+
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+import type { PermissionResult } from "@anthropic-ai/claude-agent-sdk";
+import type { PermissionRequest } from "../store/useAppStore";
+import MDContent from "../render/markdown";
+
+type ExitPlanModeInput = {
+  plan?: string;
+};
+
+export function PlanReviewCard({
+  request,
+  onSubmit
+}: {
+  request: PermissionRequest;
+  onSubmit: (result: PermissionResult) => void;
+}) {
+  const { t } = useTranslation();
+  const [revising, setRevising] = useState(false);
+  const [feedback, setFeedback] = useState("");
+  const input = request.input as ExitPlanModeInput | null;
+  const plan = typeof input?.plan === "string" ? input.plan : JSON.stringify(request.input, null, 2);
+
+  // SDK 按 setMode 更新退出计划模式
+  const approve = (mode: "acceptEdits" | "default") => {
+    onSubmit({
+      behavior: "allow",
+      updatedInput: request.input as Record<string, unknown>,
+      updatedPermissions: [{ type: "setMode", mode, destination: "session" }]
+    });
+  };
+
+  const sendRevision = () => {
+    const text = feedback.trim();
+    if (!text) return;
+    onSubmit({ behavior: "deny", message: `The user wants the plan revised before execution: ${text}` });
+  };
+
+  return (
+    <div className="rounded-2xl border border-accent/20 bg-accent-subtle p-5">
+      <div className="text-xs font-semibold text-accent">{t("planReview.title")}</div>
+      <div className="mt-3 max-h-96 overflow-auto rounded-xl bg-surface p-4 text-sm text-ink-700">
+        <MDContent text={plan} />
+      </div>
+      {revising ? (
+        <div className="mt-4 grid gap-3">
+          <textarea
+            autoFocus
+            rows={3}
+            className="w-full resize-none rounded-xl border border-ink-900/10 bg-surface px-3 py-2 text-sm text-ink-700 focus:border-accent focus:outline-none"
+            placeholder={t("planReview.revisePlaceholder")}
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+          />
+          <div className="flex flex-wrap gap-3">
+            <button
+              className="rounded-full bg-accent px-5 py-2 text-sm font-medium text-white shadow-soft hover:bg-accent-hover transition-colors disabled:cursor-not-allowed disabled:opacity-50"
+              onClick={sendRevision}
+              disabled={!feedback.trim()}
+            >
+              {t("planReview.sendRevision")}
+            </button>
+            <button
+              className="rounded-full border border-ink-900/10 bg-surface px-5 py-2 text-sm font-medium text-ink-700 hover:bg-surface-tertiary transition-colors"
+              onClick={() => setRevising(false)}
+            >
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="mt-4 flex flex-wrap gap-3">
+          <button
+            className="rounded-full bg-accent px-5 py-2 text-sm font-medium text-white shadow-soft hover:bg-accent-hover transition-colors"
+            onClick={() => approve("acceptEdits")}
+            title={t("permissionModes.hints.acceptEdits")}
+          >
+            {t("planReview.approveAcceptEdits")}
+          </button>
+          <button
+            className="rounded-full border border-accent/30 bg-surface px-4 py-2 text-sm font-medium text-accent hover:bg-accent/10 transition-colors"
+            onClick={() => approve("default")}
+            title={t("permissionModes.hints.default")}
+          >
+            {t("planReview.approveDefault")}
+          </button>
+          <button
+            className="rounded-full border border-ink-900/10 bg-surface px-5 py-2 text-sm font-medium text-ink-700 hover:bg-surface-tertiary transition-colors"
+            onClick={() => setRevising(true)}
+          >
+            {t("planReview.revise")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,20 +6,29 @@
  * @Email alan@example.com
  *
  * 会话输入框组件 - 支持基本输入、发送和停止功能
+ * 会话运行期间提交的提示词进入队列，运行完成后自动发送
  * 斜杠命令由 SDK 原生处理，无需前端补全
  */
 
 import { useCallback, useEffect, useRef } from "react";
 import { useTranslation } from "react-i18next";
-import type { ClientEvent } from "../types";
+import type { BudgetStatus, ClientEvent } from "../types";
 import { useAppStore } from "../store/useAppStore";
 import { log } from "../utils/logger";
+import { PromptQueue } from "./PromptQueue";
 
 const DEFAULT_ALLOWED_TOOLS = "Read,Edit,Bash";
 const MAX_ROWS = 12;
 const LINE_HEIGHT = 21;
 const MAX_HEIGHT = MAX_ROWS * LINE_HEIGHT;
 
+/**
+ * 格式化预算用量（费用为美元，token 为整数）
+ */
+function formatBudgetValue(status: BudgetStatus, value: number): string {
+  return status.metric === "cost" ? `$${value.toFixed(2)}` : Math.round(value).toLocaleString();
+}
+
 interface PromptInputProps {
   sendEvent: (event: ClientEvent) => void;
   onSendMessage?: () => void;
@@ -34,6 +43,8 @@ export function usePromptActions(sendEvent: (event: ClientEvent) => void) {
   const { t } = useTranslation();
   const prompt = useAppStore((state) => state.prompt);
   const cwd = useAppStore((state) => state.cwd);
+  const orchestrate = useAppStore((state) => state.orchestrate);
+  const permissionMode = useAppStore((state) => state.permissionMode);
   const activeSessionId = useAppStore((state) => state.activeSessionId);
   const sessions = useAppStore((state) => state.sessions);
   const setPrompt = useAppStore((state) => state.setPrompt);
@@ -60,19 +71,29 @@ export function usePromptActions(sendEvent: (event: ClientEvent) => void) {
         setGlobalError(t("errors.failedToGetSessionTitle"));
         return;
       }
-      sendEvent({
-        type: "session.start",
-        payload: { title, prompt, cwd: cwd.trim() || undefined, allowedTools: DEFAULT_ALLOWED_TOOLS }
-      });
+      if (orchestrate) {
+        sendEvent({ type: "session.orchestrate", payload: { title, prompt, cwd: cwd.trim() || undefined } });
+      } else {
+        sendEvent({
+          type: "session.start",
+          payload: { title, prompt, cwd: cwd.trim() || undefined, allowedTools: DEFAULT_ALLOWED_TOOLS, permissionMode }
+        });
+      }
     } else {
       if (activeSession?.status === "running") {
-        setGlobalError(t("errors.sessionStillRunning"));
-        return;
+        // 运行中提交的提示词加入队列，当前运行完成后自动发送
+        sendEvent({ type: "session.queue.add", payload: { sessionId: activeSessionId, prompt } });
+      } else if (orchestrate) {
+        sendEvent({
+          type: "session.orchestrate",
+          payload: { sessionId: activeSessionId, title: activeSession?.title ?? "", prompt }
+        });
+      } else {
+        sendEvent({ type: "session.continue", payload: { sessionId: activeSessionId, prompt } });
       }
-      sendEvent({ type: "session.continue", payload: { sessionId: activeSessionId, prompt } });
     }
     setPrompt("");
-  }, [activeSession, activeSessionId, cwd, prompt, sendEvent, setGlobalError, setPendingStart, setPrompt, t]);
+  }, [activeSession, activeSessionId, cwd, orchestrate, permissionMode, prompt, sendEvent, setGlobalError, setPendingStart, setPrompt, t]);
 
   /**
    * 停止会话
@@ -108,19 +129,37 @@ export function PromptInput({ sendEvent, onSendMessage, disabled = false }: Prom
 
   // 直接检查是否有活跃会话，更可靠的方式
   const hasActiveSession = useAppStore((state) => !!state.activeSessionId);
+  const orchestrate = useAppStore((state) => state.orchestrate);
+  const setOrchestrate = useAppStore((state) => state.setOrchestrate);
+  // 导入的会话在用户选择继续之前为只读
+  const readOnlySessionId = useAppStore((state) =>
+    state.activeSessionId && state.sessions[state.activeSessionId]?.readOnly ? state.activeSessionId : null
+  );
+  const budgetWarning = useAppStore((state) =>
+    state.activeSessionId ? state.sessions[state.activeSessionId]?.budgetWarning : undefined
+  );
+  const activeSessionId = useAppStore((state) => state.activeSessionId);
+  const queuedPrompts = useAppStore((state) =>
+    state.activeSessionId ? state.sessions[state.activeSessionId]?.queuedPrompts : undefined
+  );
+  // 应用异常退出时中断的会话：提供从上一轮恢复或标记为已完成
+  const isInterrupted = useAppStore((state) =>
+    state.activeSessionId ? state.sessions[state.activeSessionId]?.status === "interrupted" : false
+  );
+  const abandonedPermissions = useAppStore((state) =>
+    state.activeSessionId ? state.sessions[state.activeSessionId]?.abandonedPermissions : undefined
+  );
+  const hasPrompt = prompt.trim().length > 0;
 
   /**
    * 处理键盘事件
-   * Enter 发送消息，Shift+Enter 换行
+   * Enter 发送消息（运行中时加入队列），Shift+Enter 换行
    */
   const handleKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
     if (disabled && !isRunning) return;
     if (e.key !== "Enter" || e.shiftKey) return;
     e.preventDefault();
-    if (isRunning) {
-      handleStop();
-      return;
-    }
+    if (isRunning && !hasPrompt) return;
     onSendMessage?.();
     handleSend();
   };
@@ -178,9 +217,69 @@ export function PromptInput({ sendEvent, onSendMessage, disabled = false }: Prom
     }
   };
 
+  if (readOnlySessionId) {
+    return (
+      <section className="fixed bottom-0 left-0 right-0 bg-gradient-to-t from-surface via-surface to-transparent pb-6 px-2 lg:pb-8 pt-8 lg:ml-[280px]">
+        <div className="mx-auto flex w-full max-w-full items-center justify-between gap-3 rounded-2xl border border-ink-900/10 bg-surface-secondary px-4 py-3 shadow-card lg:max-w-3xl">
+          <span className="text-sm text-muted">{t("promptInput.readOnlyImported")}</span>
+          <button
+            type="button"
+            className="shrink-0 rounded-full bg-accent px-4 py-1.5 text-sm font-medium text-white hover:bg-accent-hover transition-colors cursor-pointer"
+            onClick={() => sendEvent({ type: "session.unlock", payload: { sessionId: readOnlySessionId } })}
+          >
+            {t("promptInput.continueImported")}
+          </button>
+        </div>
+      </section>
+    );
+  }
+
   return (
     <section className="fixed bottom-0 left-0 right-0 bg-gradient-to-t from-surface via-surface to-transparent pb-6 px-2 lg:pb-8 pt-8 lg:ml-[280px]">
       <div className="mx-auto relative w-full max-w-full lg:max-w-3xl">
+        {budgetWarning && (
+          <div className="mb-2 rounded-xl border border-warning/30 bg-warning-light/20 px-4 py-2 text-xs text-warning-dark">
+            {t("promptInput.budgetWarning", {
+              scope: t(`promptInput.budgetScope.${budgetWarning.scope}`),
+              percent: Math.floor(budgetWarning.percent),
+              used: formatBudgetValue(budgetWarning, budgetWarning.used),
+              limit: formatBudgetValue(budgetWarning, budgetWarning.limit),
+              metric: t(`promptInput.budgetMetric.${budgetWarning.metric}`)
+            })}
+          </div>
+        )}
+        {activeSessionId && isInterrupted && (
+          <div className="mb-2 rounded-xl border border-warning/30 bg-warning-light/20 px-4 py-2 text-xs text-warning-dark">
+            <p>{t("promptInput.interruptedSession")}</p>
+            {abandonedPermissions && abandonedPermissions.length > 0 && (
+              <p className="mt-1">
+                {t("promptInput.abandonedPermissions", {
+                  count: abandonedPermissions.length,
+                  tools: abandonedPermissions.map((item) => item.toolName).join(", ")
+                })}
+              </p>
+            )}
+            <div className="mt-2 flex gap-2">
+              <button
+                type="button"
+                className="rounded-full bg-accent px-3 py-1 text-xs font-medium text-white hover:bg-accent-hover transition-colors cursor-pointer"
+                onClick={() => sendEvent({ type: "session.recover", payload: { sessionId: activeSessionId, action: "resume" } })}
+              >
+                {t("promptInput.resumeInterrupted")}
+              </button>
+              <button
+                type="button"
+                className="rounded-full border border-ink-900/10 bg-surface px-3 py-1 text-xs text-ink-700 hover:bg-surface-tertiary transition-colors cursor-pointer"
+                onClick={() => sendEvent({ type: "session.recover", payload: { sessionId: activeSessionId, action: "complete" } })}
+              >
+                {t("promptInput.markCompleted")}
+              </button>
+            </div>
+          </div>
+        )}
+        {activeSessionId && queuedPrompts && (
+          <PromptQueue sessionId={activeSessionId} queue={queuedPrompts} sendEvent={sendEvent} />
+        )}
         <div 
           className="flex items-end gap-3 rounded-2xl border border-ink-900/10 bg-surface px-4 py-3 shadow-card"
           onClick={handleEmptySessionClick}
@@ -197,6 +296,39 @@ export function PromptInput({ sendEvent, onSendMessage, disabled = false }: Prom
             ref={promptRef}
           />
 
+          {/* Agent 编排开关 */}
+          <button
+            type="button"
+            className={`flex h-9 shrink-0 items-center rounded-full px-3 text-xs transition-colors cursor-pointer ${
+              orchestrate
+                ? "bg-accent/10 text-accent"
+                : "text-muted hover:bg-surface-tertiary hover:text-ink-700"
+            }`}
+            onClick={(e) => {
+              e.stopPropagation();
+              setOrchestrate(!orchestrate);
+            }}
+            aria-pressed={orchestrate}
+            title={t("promptInput.orchestrateHint")}
+          >
+            {t("promptInput.orchestrate")}
+          </button>
+
+          {/* 运行中：加入队列 */}
+          {isRunning && hasPrompt && (
+            <button
+              type="button"
+              className="flex h-9 shrink-0 items-center rounded-full bg-accent/10 px-3 text-xs text-accent hover:bg-accent/20 transition-colors cursor-pointer"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleSend();
+              }}
+              title={t("promptQueue.addHint")}
+            >
+              {t("promptQueue.add")}
+            </button>
+          )}
+
           {/* 发送/停止按钮 */}
           <button
             className={`flex h-9 w-9 shrink-0 items-center justify-center rounded-full transition-colors disabled:opacity-60 cursor-pointer ${
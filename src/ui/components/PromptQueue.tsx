@@ -0,0 +1,123 @@
+/**
+ * PromptQueue 组件
+ *
+ * 显示会话运行期间排队的后续提示词，当前运行完成后按顺序自动发送
+ * 支持编辑、调整顺序、移除，以及中断当前轮次立即发送
+ */
+
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+import type { ClientEvent, QueuedPrompt } from "../types";
+
+interface PromptQueueProps {
+  sessionId: string;
+  queue: QueuedPrompt[];
+  sendEvent: (event: ClientEvent) => void;
+}
+
+const ACTION_BASE =
+  "rounded-md px-1.5 py-0.5 text-xs hover:bg-surface-tertiary transition-colors cursor-pointer disabled:cursor-not-allowed disabled:opacity-40";
+const ACTION_CLASS = `${ACTION_BASE} text-muted hover:text-ink-700`;
+
+export function PromptQueue({ sessionId, queue, sendEvent }: PromptQueueProps) {
+  const { t } = useTranslation();
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState("");
+
+  if (queue.length === 0) return null;
+
+  const startEdit = (item: QueuedPrompt) => {
+    setEditingId(item.id);
+    setDraft(item.prompt);
+  };
+
+  // 清空内容保存时移除该项
+  const saveEdit = (id: string) => {
+    sendEvent({ type: "session.queue.update", payload: { sessionId, id, prompt: draft } });
+    setEditingId(null);
+  };
+
+  const move = (id: string, toIndex: number) => {
+    sendEvent({ type: "session.queue.move", payload: { sessionId, id, toIndex } });
+  };
+
+  return (
+    <div className="mb-2 rounded-xl border border-ink-900/10 bg-surface-secondary px-3 py-2 shadow-card">
+      <div className="mb-1.5 text-xs text-muted">{t("promptQueue.title", { count: queue.length })}</div>
+      <ul className="max-h-48 space-y-1 overflow-y-auto">
+        {queue.map((item, index) => (
+          <li key={item.id} className="flex items-start gap-2 rounded-lg bg-surface px-2 py-1.5">
+            <span className="pt-0.5 text-xs text-muted">{index + 1}.</span>
+            {editingId === item.id ? (
+              <textarea
+                autoFocus
+                rows={2}
+                className="flex-1 resize-none rounded-md border border-ink-900/10 bg-surface-secondary px-2 py-1 text-sm text-ink-800 focus:border-accent focus:outline-none"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter" && !e.shiftKey) {
+                    e.preventDefault();
+                    saveEdit(item.id);
+                  } else if (e.key === "Escape") {
+                    setEditingId(null);
+                  }
+                }}
+              />
+            ) : (
+              <p className="flex-1 whitespace-pre-wrap break-words text-sm text-ink-800 line-clamp-3">{item.prompt}</p>
+            )}
+            <div className="flex shrink-0 items-center gap-0.5">
+              <button
+                type="button"
+                className={ACTION_CLASS}
+                disabled={index === 0}
+                onClick={() => move(item.id, index - 1)}
+                aria-label={t("promptQueue.moveUp")}
+                title={t("promptQueue.moveUp")}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className={ACTION_CLASS}
+                disabled={index === queue.length - 1}
+                onClick={() => move(item.id, index + 1)}
+                aria-label={t("promptQueue.moveDown")}
+                title={t("promptQueue.moveDown")}
+              >
+                ↓
+              </button>
+              {editingId === item.id ? (
+                <button type="button" className={ACTION_CLASS} onClick={() => saveEdit(item.id)}>
+                  {t("common.save")}
+                </button>
+              ) : (
+                <button type="button" className={ACTION_CLASS} onClick={() => startEdit(item)}>
+                  {t("common.edit")}
+                </button>
+              )}
+              <button
+                type="button"
+                className={`${ACTION_BASE} text-accent`}
+                onClick={() => sendEvent({ type: "session.queue.sendNow", payload: { sessionId, id: item.id } })}
+                title={t("promptQueue.sendNowHint")}
+              >
+                {t("promptQueue.sendNow")}
+              </button>
+              <button
+                type="button"
+                className={`${ACTION_BASE} text-muted hover:text-error`}
+                onClick={() => sendEvent({ type: "session.queue.remove", payload: { sessionId, id: item.id } })}
+                aria-label={t("promptQueue.remove")}
+                title={t("promptQueue.remove")}
+              >
+                ×
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
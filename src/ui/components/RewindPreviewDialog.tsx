@@ -0,0 +1,124 @@
+/**
+ * RewindPreviewDialog 组件
+ *
+ * 回退文件修改前预览：列出从所选用户提示词开始各轮次修改过的文件及差异
+ * 确认后恢复为修改前的内容，新建的文件被删除
+ */
+
+import { useEffect, useState } from "react";
+import { useTranslation } from "react-i18next";
+import type { RewindFilePreview } from "../types";
+
+interface RewindPreviewDialogProps {
+  sessionId: string;
+  messageIndex: number;
+  onClose: () => void;
+}
+
+/** 按差异行的前缀着色 */
+function diffLineClass(line: string): string {
+  if (line.startsWith("@@")) return "text-info";
+  if (line.startsWith("+")) return "bg-success-light/40 text-success";
+  if (line.startsWith("-")) return "bg-error-light/40 text-error";
+  return "text-ink-600";
+}
+
+export function RewindPreviewDialog({ sessionId, messageIndex, onClose }: RewindPreviewDialogProps) {
+  const { t } = useTranslation();
+  const [files, setFiles] = useState<RewindFilePreview[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [rewinding, setRewinding] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electron.getRewindPreview(sessionId, messageIndex)
+      .then((result) => {
+        if (cancelled) return;
+        if (result.success) {
+          setFiles(result.files);
+        } else {
+          setError(result.error ?? t("rewind.loadFailed"));
+        }
+      })
+      .catch((err: unknown) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : t("rewind.loadFailed"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, messageIndex, t]);
+
+  const handleRewind = async () => {
+    setRewinding(true);
+    setError(null);
+    try {
+      const result = await window.electron.rewindSessionFiles(sessionId, messageIndex);
+      if (result.success) {
+        onClose();
+        return;
+      }
+      setError(result.error ?? t("rewind.failed"));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t("rewind.failed"));
+    }
+    setRewinding(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-ink-900/20 px-4 py-8 backdrop-blur-sm">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-2xl border border-ink-900/5 bg-surface shadow-elevated">
+        <div className="border-b border-ink-900/10 px-6 py-4">
+          <h3 className="text-base font-semibold text-ink-800">{t("rewind.title")}</h3>
+          <p className="mt-1 text-xs text-muted">{t("rewind.description")}</p>
+        </div>
+
+        <div className="min-h-0 flex-1 overflow-y-auto px-6 py-4">
+          {files === null && !error && (
+            <p className="text-sm text-muted">{t("rewind.loading")}</p>
+          )}
+          {files !== null && files.length === 0 && (
+            <p className="text-sm text-muted">{t("rewind.noChanges")}</p>
+          )}
+          {files?.map((file) => (
+            <div key={file.filePath} className="mb-4 overflow-hidden rounded-xl border border-ink-900/10">
+              <div className="flex items-center gap-2 bg-surface-secondary px-3 py-2">
+                <span className={`rounded-md px-1.5 py-0.5 text-[10px] font-medium ${file.action === "delete" ? "bg-error-light text-error" : "bg-accent/10 text-accent"}`}>
+                  {t(`rewind.actions.${file.action}`)}
+                </span>
+                <span className="truncate font-mono text-xs text-ink-700" title={file.filePath}>{file.filePath}</span>
+              </div>
+              {file.binary ? (
+                <p className="px-3 py-2 text-xs text-muted">{t("rewind.binary")}</p>
+              ) : (
+                <pre className="max-h-64 overflow-auto bg-surface py-1 font-mono text-xs leading-5">
+                  {file.diff?.split("\n").map((line, index) => (
+                    <div key={index} className={`px-3 whitespace-pre ${diffLineClass(line)}`}>{line || " "}</div>
+                  ))}
+                </pre>
+              )}
+            </div>
+          ))}
+          {error && (
+            <p className="mt-2 rounded-lg border border-error/20 bg-error-light px-3 py-2 text-xs text-error">{error}</p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end gap-3 border-t border-ink-900/10 bg-surface-secondary px-6 py-4 rounded-b-2xl">
+          <button
+            className="rounded-full border border-ink-900/10 bg-surface px-5 py-2 text-sm font-medium text-ink-700 hover:bg-surface-tertiary transition-colors"
+            onClick={onClose}
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            className="rounded-full bg-accent px-5 py-2 text-sm font-medium text-white shadow-soft hover:bg-accent-hover transition-colors disabled:cursor-not-allowed disabled:opacity-50"
+            onClick={handleRewind}
+            disabled={rewinding || !files || files.length === 0}
+          >
+            {rewinding ? t("rewind.rewinding") : t("rewind.confirm")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
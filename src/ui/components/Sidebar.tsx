@@ -10,19 +10,53 @@ import {
   TooltipTrigger,
 } from "@radix-ui/react-tooltip";
 import { BrainIcon } from "./BrainIcon";
-import { useAppStore } from "../store/useAppStore";
+import { useAppStore, type SessionView } from "../store/useAppStore";
+import type { SessionExportFormat, SessionSearchHit } from "../types";
+
+/** 搜索输入防抖时间（毫秒） */
+const SEARCH_DEBOUNCE_MS = 250;
+
+/** 分支最大嵌套显示层数，防止异常数据导致无限递归 */
+const MAX_FORK_DEPTH = 8;
 
 interface SidebarProps {
   connected: boolean;
   onNewSession: () => void;
   onDeleteSession: (sessionId: string) => void;
   onRenameSession: (sessionId: string, newTitle: string) => void;
+  onSearch: (query: string) => void;
+  onExportSession: (sessionId: string, format: SessionExportFormat, redactToolInputs: boolean) => void;
+  onImportSession: () => void;
+}
+
+/**
+ * 高亮摘要中的搜索词
+ */
+function HighlightedSnippet({ text, query }: { text: string; query: string }) {
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return <>{text}</>;
+
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const parts = text.split(new RegExp(`(${escaped.join("|")})`, "gi"));
+  const lowerTerms = terms.map((term) => term.toLowerCase());
+  return (
+    <>
+      {parts.map((part, idx) =>
+        lowerTerms.includes(part.toLowerCase())
+          ? <mark key={idx} className="rounded bg-accent/20 text-ink-900">{part}</mark>
+          : <span key={idx}>{part}</span>
+      )}
+    </>
+  );
 }
 
 export function Sidebar({
   onNewSession,
   onDeleteSession,
-  onRenameSession
+  onRenameSession,
+  onSearch,
+  onExportSession,
+  onImportSession
 }: SidebarProps) {
   const { t } = useTranslation();
 
@@ -38,10 +72,15 @@ export function Sidebar({
   const sessions = useAppStore((state) => state.sessions);
   const activeSessionId = useAppStore((state) => state.activeSessionId);
   const setActiveSessionId = useAppStore((state) => state.setActiveSessionId);
+  const searchResults = useAppStore((state) => state.searchResults);
+  const clearSearchResults = useAppStore((state) => state.clearSearchResults);
+  const setScrollTarget = useAppStore((state) => state.setScrollTarget);
+  const [searchQuery, setSearchQuery] = useState("");
   const [resumeSessionId, setResumeSessionId] = useState<string | null>(null);
   const [copied, setCopied] = useState(false);
   const [renamingSessionId, setRenamingSessionId] = useState<string | null>(null);
   const [renameTitle, setRenameTitle] = useState("");
+  const [redactToolInputs, setRedactToolInputs] = useState(false);
   const closeTimerRef = useRef<number | null>(null);
 
   const formatCwd = (cwd?: string) => {
@@ -57,6 +96,40 @@ export function Sidebar({
     return list;
   }, [sessions]);
 
+  // 分支会话挂在来源会话下；来源会话已删除的分支作为顶层会话显示
+  const { rootSessions, forksByParent } = useMemo(() => {
+    const roots: SessionView[] = [];
+    const forks = new Map<string, SessionView[]>();
+    for (const session of sessionList) {
+      const parentId = session.parentSessionId;
+      if (parentId && sessions[parentId]) {
+        forks.set(parentId, [...(forks.get(parentId) ?? []), session]);
+      } else {
+        roots.push(session);
+      }
+    }
+    return { rootSessions: roots, forksByParent: forks };
+  }, [sessionList, sessions]);
+
+  // 输入停止后再发送搜索请求；清空输入时清除结果
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      clearSearchResults();
+      return;
+    }
+    const timer = window.setTimeout(() => onSearch(query), SEARCH_DEBOUNCE_MS);
+    return () => window.clearTimeout(timer);
+  }, [searchQuery, onSearch, clearSearchResults]);
+
+  // 只展示与当前输入对应的结果，忽略过期的响应
+  const activeSearch = searchQuery.trim() && searchResults?.query === searchQuery.trim() ? searchResults : null;
+
+  const handleOpenSearchHit = (hit: SessionSearchHit) => {
+    setScrollTarget({ sessionId: hit.sessionId, messageIndex: hit.messageIndex });
+    setActiveSessionId(hit.sessionId);
+  };
+
   useEffect(() => {
     setCopied(false);
     if (closeTimerRef.current) {
@@ -110,6 +183,124 @@ export function Sidebar({
     setRenameTitle("");
   };
 
+  const renderSessionItem = (session: SessionView) => (
+      <div
+        className={`cursor-pointer rounded-xl border px-2 py-3 text-left transition ${activeSessionId === session.id ? "border-accent/30 bg-accent-subtle" : "border-ink-900/5 bg-surface hover:bg-surface-tertiary"}`}
+        onClick={() => setActiveSessionId(session.id)}
+        onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); setActiveSessionId(session.id); } }}
+        role="button"
+        tabIndex={0}
+      >
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex flex-col min-w-0 flex-1 overflow-hidden">
+            <div className="flex items-center gap-1.5">
+              {/* 记忆状态指示器 - 大脑图标，不同颜色表示不同状态 - 放在标题前面 */}
+              {session.memoryStatus ? (
+                <div className="flex items-center gap-1" title={session.memoryStatus.message || '记忆状态'}>
+                  <BrainIcon className="h-3.5 w-3.5" color={getBrainIconColor(session.memoryStatus)} />
+                </div>
+              ) : session.status === 'completed' ? (
+                <div className="flex items-center gap-1" title="记忆未存储">
+                  <BrainIcon className="h-3.5 w-3.5" color="muted" />
+                </div>
+              ) : null}
+              <div className={`text-[12px] font-semibold ${session.status === "running" ? "text-info" : session.status === "completed" ? "text-success" : session.status === "error" ? "text-error" : session.status === "interrupted" ? "text-warning-dark" : "text-ink-800"}`}>
+                {session.title}
+              </div>
+              {session.importedAt && (
+                <span className="shrink-0 rounded-full bg-ink-900/5 px-1.5 py-0.5 text-[10px] text-muted">{t("sidebar.imported")}</span>
+              )}
+              {session.status === "interrupted" && (
+                <span className="shrink-0 rounded-full bg-warning-light/20 px-1.5 py-0.5 text-[10px] text-warning-dark">{t("sidebar.interrupted")}</span>
+              )}
+            </div>
+            <div className="flex items-center justify-between mt-0.5 text-xs text-muted">
+              <span className="truncate">{formatCwd(session.cwd)}</span>
+            </div>
+          </div>
+          <DropdownMenu.Root>
+            <DropdownMenu.Trigger asChild>
+              <button className="flex-shrink-0 rounded-full p-1.5 text-ink-500 hover:bg-ink-900/10" aria-label="Open session menu" onClick={(e) => e.stopPropagation()} onPointerDown={(e) => e.stopPropagation()}>
+                <svg viewBox="0 0 24 24" className="h-4 w-4" fill="currentColor">
+                  <circle cx="5" cy="12" r="1.7" />
+                  <circle cx="12" cy="12" r="1.7" />
+                  <circle cx="19" cy="12" r="1.7" />
+                </svg>
+              </button>
+            </DropdownMenu.Trigger>
+            <DropdownMenu.Portal>
+              <DropdownMenu.Content className="z-50 min-w-[220px] rounded-xl border border-ink-900/10 bg-white p-1 shadow-lg" align="center" sideOffset={8}>
+                <DropdownMenu.Item className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5" onSelect={() => handleStartRename(session.id)}>
+                  <svg viewBox="0 0 24 24" className="h-4 w-4 text-ink-500" fill="none" stroke="currentColor" strokeWidth="1.8">
+                    <path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z" />
+                  </svg>
+                  重命名
+                </DropdownMenu.Item>
+                <DropdownMenu.Item className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5" onSelect={() => setResumeSessionId(session.id)}>
+                  <svg viewBox="0 0 24 24" className="h-4 w-4 text-ink-500" fill="none" stroke="currentColor" strokeWidth="1.8">
+                    <path d="M4 5h16v14H4z" /><path d="M7 9h10M7 12h6" /><path d="M13 15l3 2-3 2" />
+                  </svg>
+                  {t("sidebar.resumeInClaudeCode")}
+                </DropdownMenu.Item>
+                <DropdownMenu.Sub>
+                  <DropdownMenu.SubTrigger className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5 data-[state=open]:bg-ink-900/5">
+                    <svg viewBox="0 0 24 24" className="h-4 w-4 text-ink-500" fill="none" stroke="currentColor" strokeWidth="1.8">
+                      <path d="M12 3v12" /><path d="M7 10l5 5 5-5" /><path d="M5 21h14" />
+                    </svg>
+                    <span className="flex-1">{t("sidebar.export")}</span>
+                    <span className="text-ink-400">›</span>
+                  </DropdownMenu.SubTrigger>
+                  <DropdownMenu.Portal>
+                    <DropdownMenu.SubContent className="z-50 min-w-[200px] rounded-xl border border-ink-900/10 bg-white p-1 shadow-lg" sideOffset={6}>
+                      {([
+                        ["markdown", "sidebar.exportMarkdown"],
+                        ["html", "sidebar.exportHtml"],
+                        ["json", "sidebar.exportJson"],
+                      ] as const).map(([format, labelKey]) => (
+                        <DropdownMenu.Item key={format} className="cursor-pointer rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5" onSelect={() => onExportSession(session.id, format, redactToolInputs)}>
+                          {t(labelKey)}
+                        </DropdownMenu.Item>
+                      ))}
+                      <DropdownMenu.Separator className="my-1 h-px bg-ink-900/10" />
+                      <DropdownMenu.CheckboxItem
+                        className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5"
+                        checked={redactToolInputs}
+                        onCheckedChange={(checked) => setRedactToolInputs(checked === true)}
+                        onSelect={(e) => e.preventDefault()}
+                      >
+                        <span className={`flex h-4 w-4 items-center justify-center rounded border ${redactToolInputs ? "border-accent bg-accent text-white" : "border-ink-900/20"}`}>
+                          <DropdownMenu.ItemIndicator>✓</DropdownMenu.ItemIndicator>
+                        </span>
+                        {t("sidebar.redactToolInputs")}
+                      </DropdownMenu.CheckboxItem>
+                    </DropdownMenu.SubContent>
+                  </DropdownMenu.Portal>
+                </DropdownMenu.Sub>
+                <DropdownMenu.Item className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-error hover:bg-error/5" onSelect={() => onDeleteSession(session.id)}>
+                  <svg viewBox="0 0 24 24" className="h-4 w-4 text-error/80" fill="none" stroke="currentColor" strokeWidth="1.8">
+                    <path d="M4 7h16" /><path d="M9 7V5a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" /><path d="M7 7l1 12a1 1 0 0 0 1 .9h6a1 1 0 0 0 1-.9l1-12" />
+                  </svg>
+                  {t("sidebar.deleteSession")}
+                </DropdownMenu.Item>
+              </DropdownMenu.Content>
+            </DropdownMenu.Portal>
+          </DropdownMenu.Root>
+        </div>
+      </div>
+  );
+
+  // 递归渲染会话及其分支，分支缩进显示在来源会话下方
+  const renderSessionTree = (session: SessionView, depth: number): React.ReactNode => (
+    <div key={session.id} className="flex flex-col gap-2">
+      {renderSessionItem(session)}
+      {(forksByParent.get(session.id) ?? []).length > 0 && depth < MAX_FORK_DEPTH && (
+        <div className="ml-3 flex flex-col gap-2 border-l border-ink-900/10 pl-2">
+          {forksByParent.get(session.id)!.map((fork) => renderSessionTree(fork, depth + 1))}
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <aside className="fixed inset-y-0 left-0 flex h-full w-[280px] flex-col gap-4 border-r border-ink-900/5 bg-[#FAF9F6] px-4 pb-4 pt-12">
       <div
@@ -131,6 +322,22 @@ export function Sidebar({
               {t("sidebar.tooltips.newTask")}
             </TooltipContent>
           </Tooltip>
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <button
+                className="cursor-pointer rounded-xl border border-ink-900/10 bg-surface px-4 py-3 text-sm text-ink-700 hover:bg-surface-tertiary hover:border-ink-900/20 transition-colors"
+                onClick={onImportSession}
+                aria-label={t("sidebar.importSession")}
+              >
+                <svg viewBox="0 0 24 24" className="h-3 w-3" fill="none" stroke="currentColor" strokeWidth="1.8">
+                  <path d="M12 15V3" /><path d="M7 8l5-5 5 5" /><path d="M5 21h14" />
+                </svg>
+              </button>
+            </TooltipTrigger>
+            <TooltipContent className="bg-ink-900 text-white text-xs px-3 py-1.5 rounded-lg shadow-lg">
+              {t("sidebar.tooltips.importSession")}
+            </TooltipContent>
+          </Tooltip>
           <Tooltip>
             <TooltipTrigger asChild>
               <button
@@ -150,79 +357,67 @@ export function Sidebar({
           </Tooltip>
         </div>
       </TooltipProvider>
+      <div className="relative">
+        <input
+          type="text"
+          className="w-full rounded-xl border border-ink-900/10 bg-surface px-3 py-2 pr-8 text-sm text-ink-800 placeholder:text-muted-light focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20"
+          placeholder={t("sidebar.searchPlaceholder")}
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Escape") setSearchQuery(""); }}
+        />
+        {searchQuery && (
+          <button
+            className="absolute right-2 top-1/2 -translate-y-1/2 rounded-full p-1 text-ink-500 hover:bg-ink-900/10"
+            onClick={() => setSearchQuery("")}
+            aria-label={t("sidebar.clearSearch")}
+          >
+            <svg viewBox="0 0 24 24" className="h-3 w-3" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M6 6l12 12M18 6l-12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+      {searchQuery.trim() ? (
       <div className="flex flex-col gap-2 overflow-y-auto">
-        {sessionList.length === 0 && (
+        {activeSearch?.error && (
+          <div className="rounded-xl border border-error/20 bg-error-light px-4 py-3 text-xs text-error">
+            {t("sidebar.searchFailed", { error: activeSearch.error })}
+          </div>
+        )}
+        {activeSearch && !activeSearch.error && activeSearch.hits.length === 0 && (
           <div className="rounded-xl border border-ink-900/5 bg-surface px-4 py-5 text-center text-xs text-muted">
-            {t("sidebar.noSessions")}
+            {t("sidebar.noSearchResults")}
           </div>
         )}
-        {sessionList.map((session) => (
-          <div
-            key={session.id}
-            className={`cursor-pointer rounded-xl border px-2 py-3 text-left transition ${activeSessionId === session.id ? "border-accent/30 bg-accent-subtle" : "border-ink-900/5 bg-surface hover:bg-surface-tertiary"}`}
-            onClick={() => setActiveSessionId(session.id)}
-            onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); setActiveSessionId(session.id); } }}
-            role="button"
-            tabIndex={0}
+        {activeSearch?.hits.map((hit) => (
+          <button
+            key={hit.messageId}
+            className={`cursor-pointer rounded-xl border px-3 py-2.5 text-left transition ${activeSessionId === hit.sessionId ? "border-accent/30 bg-accent-subtle" : "border-ink-900/5 bg-surface hover:bg-surface-tertiary"}`}
+            onClick={() => handleOpenSearchHit(hit)}
           >
             <div className="flex items-center justify-between gap-2">
-              <div className="flex flex-col min-w-0 flex-1 overflow-hidden">
-                <div className="flex items-center gap-1.5">
-                  {/* 记忆状态指示器 - 大脑图标，不同颜色表示不同状态 - 放在标题前面 */}
-                  {session.memoryStatus ? (
-                    <div className="flex items-center gap-1" title={session.memoryStatus.message || '记忆状态'}>
-                      <BrainIcon className="h-3.5 w-3.5" color={getBrainIconColor(session.memoryStatus)} />
-                    </div>
-                  ) : session.status === 'completed' ? (
-                    <div className="flex items-center gap-1" title="记忆未存储">
-                      <BrainIcon className="h-3.5 w-3.5" color="muted" />
-                    </div>
-                  ) : null}
-                  <div className={`text-[12px] font-semibold ${session.status === "running" ? "text-info" : session.status === "completed" ? "text-success" : session.status === "error" ? "text-error" : "text-ink-800"}`}>
-                    {session.title}
-                  </div>
-                </div>
-                <div className="flex items-center justify-between mt-0.5 text-xs text-muted">
-                  <span className="truncate">{formatCwd(session.cwd)}</span>
-                </div>
-              </div>
-              <DropdownMenu.Root>
-                <DropdownMenu.Trigger asChild>
-                  <button className="flex-shrink-0 rounded-full p-1.5 text-ink-500 hover:bg-ink-900/10" aria-label="Open session menu" onClick={(e) => e.stopPropagation()} onPointerDown={(e) => e.stopPropagation()}>
-                    <svg viewBox="0 0 24 24" className="h-4 w-4" fill="currentColor">
-                      <circle cx="5" cy="12" r="1.7" />
-                      <circle cx="12" cy="12" r="1.7" />
-                      <circle cx="19" cy="12" r="1.7" />
-                    </svg>
-                  </button>
-                </DropdownMenu.Trigger>
-                <DropdownMenu.Portal>
-                  <DropdownMenu.Content className="z-50 min-w-[220px] rounded-xl border border-ink-900/10 bg-white p-1 shadow-lg" align="center" sideOffset={8}>
-                    <DropdownMenu.Item className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5" onSelect={() => handleStartRename(session.id)}>
-                      <svg viewBox="0 0 24 24" className="h-4 w-4 text-ink-500" fill="none" stroke="currentColor" strokeWidth="1.8">
-                        <path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z" />
-                      </svg>
-                      重命名
-                    </DropdownMenu.Item>
-                    <DropdownMenu.Item className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-ink-700 outline-none hover:bg-ink-900/5" onSelect={() => setResumeSessionId(session.id)}>
-                      <svg viewBox="0 0 24 24" className="h-4 w-4 text-ink-500" fill="none" stroke="currentColor" strokeWidth="1.8">
-                        <path d="M4 5h16v14H4z" /><path d="M7 9h10M7 12h6" /><path d="M13 15l3 2-3 2" />
-                      </svg>
-                      {t("sidebar.resumeInClaudeCode")}
-                    </DropdownMenu.Item>
-                    <DropdownMenu.Item className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm text-error hover:bg-error/5" onSelect={() => onDeleteSession(session.id)}>
-                      <svg viewBox="0 0 24 24" className="h-4 w-4 text-error/80" fill="none" stroke="currentColor" strokeWidth="1.8">
-                        <path d="M4 7h16" /><path d="M9 7V5a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" /><path d="M7 7l1 12a1 1 0 0 0 1 .9h6a1 1 0 0 0 1-.9l1-12" />
-                      </svg>
-                      {t("sidebar.deleteSession")}
-                    </DropdownMenu.Item>
-                  </DropdownMenu.Content>
-                </DropdownMenu.Portal>
-              </DropdownMenu.Root>
+              <span className="truncate text-[12px] font-semibold text-ink-800">{hit.sessionTitle}</span>
+              <span className="flex-shrink-0 text-[11px] text-muted">
+                {hit.messageType === "user_prompt" ? t("events.user") : t("events.assistant")}
+              </span>
             </div>
-          </div>
+            <div className="mt-1 line-clamp-3 break-words text-xs text-ink-700">
+              <HighlightedSnippet text={hit.snippet} query={activeSearch.query} />
+            </div>
+          </button>
         ))}
       </div>
+      ) : (
+      <div className="flex flex-col gap-2 overflow-y-auto">
+        {sessionList.length === 0 && (
+          <div className="rounded-xl border border-ink-900/5 bg-surface px-4 py-5 text-center text-xs text-muted">
+            {t("sidebar.noSessions")}
+          </div>
+        )}
+        {rootSessions.map((session) => renderSessionTree(session, 0))}
+      </div>
+      )}
       <Dialog.Root open={!!resumeSessionId} onOpenChange={(open) => !open && setResumeSessionId(null)}>
         <Dialog.Portal>
           <Dialog.Overlay className="fixed inset-0 bg-ink-900/40 backdrop-blur-sm" />
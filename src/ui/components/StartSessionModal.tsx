@@ -1,13 +1,19 @@
 import { useEffect, useState } from "react";
 import { useTranslation } from "react-i18next";
 import { log } from "../utils/logger";
+import type { SessionPermissionMode } from "../types";
+import { PermissionModeSelect } from "./PermissionModeSelect";
 
 interface StartSessionModalProps {
   cwd: string;
   prompt: string;
   pendingStart: boolean;
+  orchestrate: boolean;
+  permissionMode: SessionPermissionMode;
   onCwdChange: (value: string) => void;
   onPromptChange: (value: string) => void;
+  onOrchestrateChange: (value: boolean) => void;
+  onPermissionModeChange: (value: SessionPermissionMode) => void;
   onStart: () => void;
   onClose: () => void;
 }
@@ -16,8 +22,12 @@ export function StartSessionModal({
   cwd,
   prompt,
   pendingStart,
+  orchestrate,
+  permissionMode,
   onCwdChange,
   onPromptChange,
+  onOrchestrateChange,
+  onPermissionModeChange,
   onStart,
   onClose
 }: StartSessionModalProps) {
@@ -95,6 +105,27 @@ export function StartSessionModal({
               onChange={(e) => onPromptChange(e.target.value)}
             />
           </label>
+          <label className="grid gap-1.5">
+            <span className="text-xs font-medium text-muted">{t("permissionModes.label")}</span>
+            <PermissionModeSelect
+              className="px-4 py-2.5 text-sm"
+              value={permissionMode}
+              onChange={onPermissionModeChange}
+            />
+            <span className="text-xs text-muted">{t(`permissionModes.hints.${permissionMode}`)}</span>
+          </label>
+          <label className="flex items-start gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              className="mt-0.5 accent-accent"
+              checked={orchestrate}
+              onChange={(e) => onOrchestrateChange(e.target.checked)}
+            />
+            <span className="grid gap-0.5">
+              <span className="text-sm text-ink-800">{t("startSession.orchestrate")}</span>
+              <span className="text-xs text-muted">{t("startSession.orchestrateDescription")}</span>
+            </span>
+          </label>
           <button
             className="flex flex-col items-center rounded-full bg-accent px-5 py-3 text-sm font-medium text-white shadow-soft hover:bg-accent-hover transition-colors disabled:cursor-not-allowed disabled:opacity-50"
             onClick={onStart}
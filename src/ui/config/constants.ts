@@ -73,6 +73,7 @@ export const SESSION_STATUS = {
   RUNNING: "running",
   COMPLETED: "completed",
   ERROR: "error",
+  INTERRUPTED: "interrupted",
 } as const;
 
 /** 会话状态类型 */
@@ -1,3 +1,5 @@
+import type { ArchivedMemory, BudgetConfig, KnowledgeFolder, KnowledgeFolderStatus, MemoryAnswer, MemoryBackend, MemoryDuplicateCluster, MemoryDuplicateHit, MemoryImportProgress, MemoryListItem, MemoryScopeInfo, MemoryTransferResult, PendingMemory, PermissionGrant, RewindFilePreview, RunnerConfig, SimilarMemory, UsageSummary } from "./types";
+
 export interface ApiConfig {
   id: string;
   name: string;
@@ -132,25 +134,33 @@ export interface OrchestrationConfig {
 export interface HookConfig {
   type: 'preToolUse' | 'postToolUse';
   hook: string;
+  /** 工具名称匹配，支持 glob 及 "|" 分隔的多个模式；为空时匹配所有工具 */
+  matcher?: string;
   command: string;
   description?: string;
 }
 
 export interface HooksStore {
-  preToolUse: Array<{ hook: string; command: string; description?: string }>;
-  postToolUse: Array<{ hook: string; command: string; description?: string }>;
+  preToolUse: Array<{ hook: string; matcher?: string; command: string; description?: string }>;
+  postToolUse: Array<{ hook: string; matcher?: string; command: string; description?: string }>;
 }
 
 /** Permissions 配置 */
 export interface PermissionRule {
+  /** 工具名称，支持 glob（如 "mcp__*"） */
   tool: string;
   allowed: boolean;
+  /** 规则动作，优先于 allowed */
+  action?: 'allow' | 'deny' | 'ask';
+  /** 输入模式：Bash 命令前缀、文件路径 glob 等 */
+  pattern?: string;
   description?: string;
 }
 
 export interface PermissionsStore {
   allowedTools: string[];
   customRules: PermissionRule[];
+  grants?: PermissionGrant[];
 }
 
 /** Output 配置 */
@@ -250,24 +260,57 @@ export interface ElectronAPI {
   /** Permissions 操作 */
   getPermissionsConfig: () => Promise<PermissionsStore>;
   savePermissionRule: (rule: PermissionRule) => Promise<{ success: boolean; error?: string }>;
-  deletePermissionRule: (toolName: string) => Promise<{ success: boolean; error?: string }>;
+  deletePermissionRule: (toolName: string, pattern?: string) => Promise<{ success: boolean; error?: string }>;
+  getPermissionGrants: () => Promise<PermissionGrant[]>;
+  revokePermissionGrant: (grantId: string, scope: PermissionGrant['scope']) => Promise<{ success: boolean; error?: string }>;
   /** Output 操作 */
   getOutputConfig: () => Promise<OutputConfig>;
   saveOutputConfig: (config: Partial<OutputConfig>) => Promise<{ success: boolean; error?: string }>;
+  /** 预算配置 */
+  getBudgetConfig: () => Promise<BudgetConfig>;
+  saveBudgetConfig: (config: Partial<BudgetConfig>) => Promise<{ success: boolean; error?: string }>;
   /** Memory 配置操作 */
-  memoryGetConfig: () => Promise<{ success: boolean; config?: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number; availableTags?: string[] } }>;
-  memorySetConfig: (config: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number; availableTags?: string[] }) => Promise<{ success: boolean; error?: string }>;
+  memoryGetConfig: () => Promise<{ success: boolean; config?: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number; importanceThreshold?: number; reviewBypassLabels?: string[]; labelTtlDays?: Record<string, number>; strictAnswers?: boolean; availableTags?: string[] } }>;
+  memorySetConfig: (config: { enabled: boolean; autoStore: boolean; autoStoreCategories: string[]; searchMode: string; defaultK: number; importanceThreshold?: number; reviewBypassLabels?: string[]; labelTtlDays?: Record<string, number>; strictAnswers?: boolean; availableTags?: string[] }) => Promise<{ success: boolean; error?: string }>;
   /** Memory 数据操作 */
   memoryGetStats: () => Promise<{ success: boolean; error?: string; stats?: { frame_count: number; size_bytes: number; has_lex_index: boolean; has_vec_index: boolean } }>;
   memoryGetTimeline: (options?: { limit?: number; reverse?: boolean }) => Promise<{ success: boolean; error?: string; entries?: any[] }>;
-  memoryPutDocument: (input: any) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memoryPutDocument: (input: any) => Promise<{ success: boolean; error?: string; id?: string; duplicates?: MemoryDuplicateHit[] }>;
   memoryFindDocuments: (query: string, options?: any) => Promise<{ success: boolean; error?: string; results?: any }>;
-  memoryAskQuestion: (question: string, options?: any) => Promise<{ success: boolean; error?: string; answer?: string; context?: string }>;
+  memoryAskQuestion: (question: string, options?: { k?: number; strict?: boolean }) => Promise<{ success: boolean; error?: string } & Partial<MemoryAnswer>>;
   memoryGetDocument: (id: string) => Promise<{ success: boolean; error?: string; document?: any }>;
   memoryUpdateDocument: (id: string, updates: { title?: string; text?: string; label?: string; tags?: string[] }) => Promise<{ success: boolean; error?: string }>;
   memoryDeleteDocument: (id: string) => Promise<{ success: boolean; error?: string }>;
   memoryClear: () => Promise<{ success: boolean; error?: string }>;
-  memoryImportFile: (filePath: string) => Promise<{ success: boolean; error?: string; count?: number }>;
+  memoryImportFile: (filePath?: string) => Promise<{ success: boolean; error?: string; canceled?: boolean; count?: number; replaced?: number }>;
+  onMemoryImportProgress: (callback: (progress: MemoryImportProgress) => void) => () => void;
+  memoryListDocuments: (options?: { scopes?: string[]; limit?: number }) => Promise<{ success: boolean; error?: string; documents?: MemoryListItem[] }>;
+  memoryGetScopes: () => Promise<{ success: boolean; error?: string; scopes?: MemoryScopeInfo[] }>;
+  memoryMoveDocument: (id: string, scope: string) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memoryFindDuplicates: () => Promise<{ success: boolean; error?: string; clusters?: MemoryDuplicateCluster[] }>;
+  memoryMergeDocuments: (ids: string[]) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memorySetPinned: (id: string, pinned: boolean) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memoryArchiveDocument: (id: string) => Promise<{ success: boolean; error?: string; archiveId?: string }>;
+  memoryArchiveList: () => Promise<ArchivedMemory[]>;
+  memoryArchiveRestore: (id: string) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memoryArchiveDelete: (id: string) => Promise<{ success: boolean; error?: string }>;
+  memorySweepExpired: () => Promise<{ success: boolean; error?: string; count?: number }>;
+  memoryGetBackend: () => Promise<{ success: boolean; error?: string; backend?: MemoryBackend }>;
+  memoryExportJsonl: () => Promise<{ success: boolean; error?: string; canceled?: boolean; filePath?: string; count?: number }>;
+  memoryImportJsonl: () => Promise<MemoryTransferResult & { canceled?: boolean }>;
+  memoryMigrateBackend: (target: MemoryBackend) => Promise<MemoryTransferResult>;
+  memoryInboxList: () => Promise<PendingMemory[]>;
+  memoryInboxUpdate: (id: string, updates: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) => Promise<{ success: boolean; error?: string; item?: PendingMemory }>;
+  memoryInboxApprove: (id: string, edits?: { title?: string; text?: string; label?: string; tags?: string[]; scope?: string }) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memoryInboxMerge: (id: string, targetId: string) => Promise<{ success: boolean; error?: string; id?: string }>;
+  memoryInboxDiscard: (id: string) => Promise<{ success: boolean; error?: string }>;
+  memoryInboxSimilar: (id: string) => Promise<{ success: boolean; error?: string; similar?: SimilarMemory[] }>;
+  getKnowledgeFolders: () => Promise<{ folders: KnowledgeFolder[]; statuses: KnowledgeFolderStatus[] }>;
+  addKnowledgeFolder: (input?: { path?: string; include?: string[]; exclude?: string[] }) => Promise<{ success: boolean; error?: string; canceled?: boolean; folder?: KnowledgeFolder }>;
+  updateKnowledgeFolder: (id: string, updates: { include?: string[]; exclude?: string[]; enabled?: boolean }) => Promise<{ success: boolean; error?: string; folder?: KnowledgeFolder }>;
+  removeKnowledgeFolder: (id: string) => Promise<{ success: boolean; error?: string }>;
+  syncKnowledgeFolder: (id: string) => Promise<{ success: boolean; error?: string }>;
+  onKnowledgeFolderStatus: (callback: (status: KnowledgeFolderStatus) => void) => () => void;
   /** Rules 操作 */
   getRulesList: () => Promise<{ success: boolean; rules?: Array<{ path: string; content: string }> }>;
   saveRule: (rulePath: string, content: string) => Promise<{ success: boolean; error?: string }>;
@@ -281,8 +324,19 @@ export interface ElectronAPI {
   /** Session Recovery 操作 */
   getSessionsList: () => Promise<SessionInfo[]>;
   getSessionHistory: (sessionId: string) => Promise<any>;
+  /** 会话查询进程的保活配置 */
+  getRunnerConfig: () => Promise<RunnerConfig>;
+  saveRunnerConfig: (config: Partial<RunnerConfig>) => Promise<{ success: boolean; error?: string }>;
   recoverSession: (sessionId: string) => Promise<{ success: boolean; error?: string; sessionId?: string }>;
   deleteSession: (sessionId: string) => Promise<{ success: boolean; error?: string }>;
+  saveSessionExport: (fileName: string, content: string) => Promise<{ success: boolean; canceled?: boolean; filePath?: string; error?: string }>;
+  importSessionBundle: () => Promise<{ success: boolean; canceled?: boolean; sessionId?: string; skipped?: number; error?: string }>;
+  /** 文件回退 */
+  getRewindPreview: (sessionId: string, messageIndex: number) => Promise<{ success: boolean; files: RewindFilePreview[]; error?: string }>;
+  rewindSessionFiles: (sessionId: string, messageIndex: number) => Promise<{ success: boolean; restored: string[]; error?: string }>;
+  /** 用量统计 */
+  getUsageSummary: (days: number) => Promise<UsageSummary>;
+  exportUsageCsv: (days: number) => Promise<{ success: boolean; canceled?: boolean; filePath?: string; error?: string }>;
 }
 
 declare global {
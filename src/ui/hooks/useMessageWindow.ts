@@ -17,6 +17,7 @@ export interface MessageWindowState {
     isAtBeginning: boolean;
     loadMoreMessages: () => void;
     resetToLatest: () => void;
+    revealMessage: (index: number) => void;
     totalMessages: number;
     totalUserInputs: number;
     visibleUserInputs: number;
@@ -107,6 +108,16 @@ export function useMessageWindow(
         setVisibleUserInputCount(VISIBLE_WINDOW_SIZE);
     }, []);
 
+    // 扩大可见窗口，使指定位置的消息被渲染（用于搜索结果跳转）
+    const revealMessage = useCallback((index: number) => {
+        let position = 0;
+        while (position + 1 < userInputIndices.length && userInputIndices[position + 1] <= index) {
+            position++;
+        }
+        const required = totalUserInputs - position;
+        setVisibleUserInputCount((prev) => Math.max(prev, required));
+    }, [userInputIndices, totalUserInputs]);
+
     const visibleUserInputs = useMemo(() => {
         return visibleMessages.filter((item) => item.message.type === "user_prompt").length;
     }, [visibleMessages]);
@@ -118,6 +129,7 @@ export function useMessageWindow(
         isAtBeginning: !hasMoreHistory && safeMessages.length > 0,
         loadMoreMessages,
         resetToLatest,
+        revealMessage,
         totalMessages: safeMessages.length,
         totalUserInputs,
         visibleUserInputs,
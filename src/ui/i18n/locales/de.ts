@@ -340,8 +340,8 @@ export default {
 		},
 		addHook: "+ Hook hinzufügen",
 		hint: "Tipp: Hooks-Konfigurationen werden gespeichert in",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". Das SDK lädt und führt automatisch konfigurierte Hooks aus.",
+		hintPath: "hooks.json",
+		hintSuffix: " im App-Datenverzeichnis. Hooks laufen vor und nach jedem passenden Tool-Aufruf und erhalten die Tool-Eingabe als JSON über stdin.",
 	},
 
 	permissions: {
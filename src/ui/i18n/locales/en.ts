@@ -29,9 +29,25 @@ export default {
 		close: "Close",
 		copyResumeCommand: "Copy resume command",
 		workingDirUnavailable: "Working dir unavailable",
+		searchPlaceholder: "Search conversations",
+		clearSearch: "Clear search",
+		noSearchResults: "No matching messages",
+		searchFailed: "Search failed: {{error}}",
+		export: "Export",
+		exportMarkdown: "Markdown (.md)",
+		exportHtml: "HTML page (.html)",
+		exportJson: "JSON bundle (.json)",
+		redactToolInputs: "Redact tool inputs",
+		exportFailed: "Export failed: {{error}}",
+		importSession: "Import session",
+		importFailed: "Import failed: {{error}}",
+		importSkipped: "Session imported; {{count}} invalid messages were skipped",
+		imported: "Imported",
+		interrupted: "Interrupted",
 		tooltips: {
 			newTask: "Create a new task",
 			settings: "Open settings",
+			importSession: "Import a session from a JSON bundle",
 		},
 	},
 
@@ -60,6 +76,8 @@ export default {
 			permissions: "Permissions",
 			output: "Output Styles",
 			recovery: "Session Recovery",
+			usage: "Usage",
+			budgets: "Budgets",
 			rules: "Rules",
 			claudeMd: "Claude.md",
 		},
@@ -339,8 +357,8 @@ export default {
 		},
 		addHook: "+ Add Hook",
 		hint: "Tip: Hooks configuration is stored in",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". SDK will automatically load and execute configured hooks.",
+		hintPath: "hooks.json",
+		hintSuffix: " in the app data directory. Hooks run around every matching tool call and receive the tool input as JSON on stdin.",
 	},
 
 	permissions: {
@@ -386,6 +404,53 @@ export default {
 		hintWithCommand: "You can also use command line:",
 	},
 
+	usage: {
+		title: "Usage",
+		subtitle: "Token usage and cost per day, API configuration, model and session",
+		lastDays: "Last {{count}} days",
+		refresh: "Refresh",
+		loading: "Loading...",
+		exportCsv: "Export CSV",
+		exported: "Usage exported to {{path}}",
+		exportFailed: "Failed to export usage",
+		loadFailed: "Failed to load usage",
+		totalCost: "Total cost",
+		totalTokens: "Total tokens (input + output)",
+		dailyCost: "Daily cost",
+		byConfigModel: "By API configuration and model",
+		topSessions: "Top sessions",
+		apiConfig: "API configuration",
+		model: "Model",
+		session: "Session",
+		inputTokens: "Input",
+		outputTokens: "Output",
+		cacheReadTokens: "Cache read",
+		runs: "Runs",
+		cost: "Cost",
+		deletedSession: "Deleted session",
+		empty: "No usage recorded in this period",
+		hint: "Usage is recorded from each run's result. Costs are the estimates reported by the SDK; usage of deleted sessions is kept.",
+	},
+
+	budgets: {
+		title: "Budgets",
+		subtitle: "Stop runs when spending crosses a limit",
+		enabled: "Enable budget limits",
+		warnAtPercent: "Warn when usage reaches this percentage of a limit",
+		session: "Per session",
+		daily: "Per day (all sessions)",
+		apiConfigs: "Per API configuration (per day)",
+		noApiConfigs: "No API configurations yet",
+		maxCostUsd: "Cost limit (USD)",
+		maxTokens: "Token limit (input + output)",
+		unlimited: "Unlimited",
+		saving: "Saving...",
+		saved: "Budget settings saved",
+		saveFailed: "Failed to save budget settings",
+		loadFailed: "Failed to load budget settings",
+		hint: "Cost limits use the estimates reported by the SDK. Token limits are checked after each model response.",
+	},
+
 	rules: {
 		title: "Rules",
 		subtitle: "Manage project rule files (.claude/rules/)",
@@ -506,6 +571,8 @@ export default {
 		promptPlaceholder: "Describe the task you want agent to handle...",
 		startButton: "Start Session",
 		starting: "Starting...",
+		orchestrate: "Run with agent orchestration",
+		orchestrateDescription: "Execute the saved agent orchestration config instead of a single agent.",
 	},
 
 	// Prompt Input
@@ -514,6 +581,75 @@ export default {
 		placeholder: "Describe what you want agent to handle...",
 		stopSession: "Stop session",
 		sendPrompt: "Send prompt",
+		orchestrate: "Agents",
+		orchestrateHint: "Run the next prompt with the saved agent orchestration config",
+		readOnlyImported: "This session was imported and is read-only.",
+		continueImported: "Continue this session",
+		interruptedSession: "This session was interrupted when the app quit unexpectedly.",
+		abandonedPermissions: "{{count}} pending permission request(s) were abandoned: {{tools}}",
+		resumeInterrupted: "Resume from last turn",
+		markCompleted: "Mark completed",
+		budgetWarning: "{{scope}} {{metric}} budget is {{percent}}% used ({{used}} of {{limit}}). The run will stop when it is reached.",
+		budgetScope: {
+			session: "Session",
+			daily: "Daily",
+			apiConfig: "API configuration daily",
+		},
+		budgetMetric: {
+			cost: "cost",
+			tokens: "token",
+		},
+	},
+
+	promptQueue: {
+		title: "Queued follow-ups ({{count}}) · sent in order when the current run completes",
+		add: "Queue",
+		addHint: "Add to the queue. It is sent when the current run completes.",
+		sendNow: "Send now",
+		sendNowHint: "Interrupt the current turn and send this prompt immediately",
+		moveUp: "Move up",
+		moveDown: "Move down",
+		remove: "Remove from queue",
+	},
+
+	permissionModes: {
+		label: "Permission mode",
+		default: "Ask before risky actions",
+		acceptEdits: "Auto-accept edits",
+		plan: "Plan only",
+		bypassPermissions: "Bypass permissions",
+		hints: {
+			default: "Deletions and rule-matched tools ask for confirmation",
+			acceptEdits: "File edits are applied without asking",
+			plan: "The agent explores and proposes a plan for review without changing anything",
+			bypassPermissions: "Every tool runs without any permission check",
+		},
+		bypassConfirm: "Bypass permissions lets the agent run every tool, including deletions, without asking. Continue?",
+	},
+
+	planReview: {
+		title: "Plan ready for review",
+		approveAcceptEdits: "Approve and execute (auto-accept edits)",
+		approveDefault: "Approve and execute (ask before risky actions)",
+		revise: "Revise",
+		revisePlaceholder: "What should change in the plan?",
+		sendRevision: "Send revision",
+	},
+
+	rewind: {
+		title: "Rewind file changes",
+		description: "Files changed from this message onward will be restored to their earlier contents. Files created in these turns will be deleted. The conversation is not changed.",
+		loading: "Loading changes...",
+		noChanges: "No file changes to rewind",
+		binary: "Binary file, no preview",
+		actions: {
+			restore: "Restore",
+			delete: "Delete",
+		},
+		confirm: "Rewind files",
+		rewinding: "Rewinding...",
+		loadFailed: "Failed to load changes",
+		failed: "Rewind failed",
 	},
 
 	// Common
@@ -569,5 +705,23 @@ export default {
 		modelName: "Model Name",
 		permissionMode: "Permission Mode",
 		workingDirectory: "Working Directory",
+		round: "Round {{round}}",
+		agentStatus: {
+			started: "Running",
+			completed: "Done",
+			failed: "Failed",
+		},
+		orchestrationResult: "Orchestration Result",
+		orchestrationSummary: "{{mode}} · {{strategy}} · {{count}} agents",
+		hookEvent: {
+			preToolUse: "PreToolUse Hook",
+			postToolUse: "PostToolUse Hook",
+		},
+		hookSummary: "exit {{code}} · {{duration}}ms",
+		hookBlocked: "Tool call blocked by hook",
+		fork: "Fork from here",
+		forkHint: "Start a new session from the conversation before this message",
+		rewind: "Rewind files",
+		rewindHint: "Restore files changed from this message onward to their earlier contents",
 	},
 };
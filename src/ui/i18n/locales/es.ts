@@ -334,8 +334,8 @@ export default {
 		},
 		addHook: "+ Agregar Gancho",
 		hint: "Sugerencia: La configuracin de Hooks se almacena en",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". El SDK cargar y ejecutar automticamente los ganchos configurados.",
+		hintPath: "hooks.json",
+		hintSuffix: " en el directorio de datos de la aplicación. Los ganchos se ejecutan antes y después de cada llamada de herramienta coincidente y reciben la entrada de la herramienta como JSON por stdin.",
 	},
 
 	permissions: {
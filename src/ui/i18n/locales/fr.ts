@@ -330,8 +330,8 @@ export default {
 		},
 		addHook: "+ Ajouter un Hook",
 		hint: "Conseil : La configuration des Hooks est stocke dans",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". Le SDK chargera et excutera automatiquement les hooks configurs.",
+		hintPath: "hooks.json",
+		hintSuffix: " dans le répertoire de données de l'application. Les hooks s'exécutent avant et après chaque appel d'outil correspondant et reçoivent l'entrée de l'outil en JSON sur stdin.",
 	},
 
 	permissions: {
@@ -334,8 +334,8 @@ export default {
 		},
 		addHook: "+ フックを追加",
 		hint: "ヒント：フック設定は保存されています",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: "。SDK は自動的に設定されたフックをロードして実行します。",
+		hintPath: "hooks.json",
+		hintSuffix: "（アプリのデータディレクトリ）。フックは一致するツール呼び出しの前後に実行され、ツールの入力を JSON として stdin で受け取ります。",
 	},
 
 	permissions: {
@@ -334,8 +334,8 @@ export default {
 		},
 		addHook: "+ 후크 추가",
 		hint: "힌트: 후크 구성은 저장되어 있습니다",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". SDK는 자동으로 구성된 후크를 로드하고 실행합니다.",
+		hintPath: "hooks.json",
+		hintSuffix: " (앱 데이터 디렉터리). 후크는 일치하는 도구 호출 전후에 실행되며 도구 입력을 JSON으로 stdin을 통해 받습니다.",
 	},
 
 	permissions: {
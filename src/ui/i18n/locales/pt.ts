@@ -334,8 +334,8 @@ export default {
 		},
 		addHook: "+ Adicionar Gancho",
 		hint: "Dica: As configuraes de Hooks so armazenadas em",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". O SDK carregar e executar automaticamente os ganchos configurados.",
+		hintPath: "hooks.json",
+		hintSuffix: " no diretório de dados do aplicativo. Os ganchos são executados antes e depois de cada chamada de ferramenta correspondente e recebem a entrada da ferramenta como JSON via stdin.",
 	},
 
 	permissions: {
@@ -334,8 +334,8 @@ export default {
 		},
 		addHook: "+ Добавить хук",
 		hint: "Совет: Конфигурация хуков хранится в",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: ". SDK автоматически загрузит и выполнит настроенные хуки.",
+		hintPath: "hooks.json",
+		hintSuffix: " в каталоге данных приложения. Хуки выполняются до и после каждого подходящего вызова инструмента и получают входные данные инструмента в формате JSON через stdin.",
 	},
 
 	permissions: {
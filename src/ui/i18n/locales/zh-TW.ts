@@ -255,8 +255,8 @@ export default {
 		},
 		addHook: "+ 添加鉤子",
 		hint: "提示：Hooks 配置存儲在",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: "中。SDK 會自動加載並執行配置的鉤子。",
+		hintPath: "hooks.json",
+		hintSuffix: "（應用資料目錄）中。鉤子會在匹配的工具呼叫前後執行，工具輸入以 JSON 寫入 stdin。",
 	},
 
 	permissions: {
@@ -28,9 +28,25 @@ export default {
 		close: "关闭",
 		copyResumeCommand: "复制恢复命令",
 		workingDirUnavailable: "工作目录不可用",
+		searchPlaceholder: "搜索会话内容",
+		clearSearch: "清除搜索",
+		noSearchResults: "没有匹配的消息",
+		searchFailed: "搜索失败：{{error}}",
+		export: "导出",
+		exportMarkdown: "Markdown (.md)",
+		exportHtml: "HTML 页面 (.html)",
+		exportJson: "JSON 导出包 (.json)",
+		redactToolInputs: "隐去工具输入",
+		exportFailed: "导出失败：{{error}}",
+		importSession: "导入会话",
+		importFailed: "导入失败：{{error}}",
+		importSkipped: "会话已导入，跳过了 {{count}} 条无效消息",
+		imported: "已导入",
+		interrupted: "已中断",
 		tooltips: {
 			newTask: "创建一个新任务",
 			settings: "打开设置",
+			importSession: "从 JSON 导出包导入会话",
 		},
 	},
 
@@ -59,6 +75,8 @@ export default {
 			permissions: "权限",
 			output: "输出样式",
 			recovery: "会话恢复",
+			usage: "用量统计",
+			budgets: "预算",
 			rules: "规则",
 			claudeMd: "Claude.md",
 		},
@@ -338,8 +356,8 @@ export default {
 		},
 		addHook: "+ 添加钩子",
 		hint: "提示：Hooks 配置存储在",
-		hintPath: "~/.claude/settings.json",
-		hintSuffix: "中。SDK 会自动加载并执行配置的钩子。",
+		hintPath: "hooks.json",
+		hintSuffix: "（应用数据目录）中。钩子会在匹配的工具调用前后执行，工具输入以 JSON 写入 stdin。",
 	},
 
 	permissions: {
@@ -386,6 +404,53 @@ export default {
 		hintWithCommand: "也可以使用命令行：",
 	},
 
+	usage: {
+		title: "用量统计",
+		subtitle: "按日期、API 配置、模型和会话统计 token 用量与费用",
+		lastDays: "最近 {{count}} 天",
+		refresh: "刷新",
+		loading: "加载中...",
+		exportCsv: "导出 CSV",
+		exported: "用量已导出到 {{path}}",
+		exportFailed: "导出用量失败",
+		loadFailed: "加载用量失败",
+		totalCost: "总费用",
+		totalTokens: "总 token（输入 + 输出）",
+		dailyCost: "每日费用",
+		byConfigModel: "按 API 配置和模型",
+		topSessions: "费用最高的会话",
+		apiConfig: "API 配置",
+		model: "模型",
+		session: "会话",
+		inputTokens: "输入",
+		outputTokens: "输出",
+		cacheReadTokens: "缓存读取",
+		runs: "运行次数",
+		cost: "费用",
+		deletedSession: "已删除的会话",
+		empty: "该时间段内没有用量记录",
+		hint: "用量来自每次运行的 result 消息，费用为 SDK 报告的估算值；删除会话后其用量记录仍会保留。",
+	},
+
+	budgets: {
+		title: "预算",
+		subtitle: "费用超过限额时停止运行",
+		enabled: "启用预算限额",
+		warnAtPercent: "用量达到限额的此百分比时发出警告",
+		session: "每个会话",
+		daily: "每天（所有会话）",
+		apiConfigs: "每个 API 配置（每天）",
+		noApiConfigs: "暂无 API 配置",
+		maxCostUsd: "费用限额（美元）",
+		maxTokens: "token 限额（输入 + 输出）",
+		unlimited: "不限制",
+		saving: "保存中...",
+		saved: "预算设置已保存",
+		saveFailed: "保存预算设置失败",
+		loadFailed: "加载预算设置失败",
+		hint: "费用限额使用 SDK 报告的估算值；token 限额在每次模型响应后检查。",
+	},
+
 	rules: {
 		title: "规则",
 		subtitle: "管理项目规则文件 (.claude/rules/)",
@@ -506,6 +571,8 @@ export default {
 		promptPlaceholder: "描述您希望代理处理的任务...",
 		startButton: "启动会话",
 		starting: "启动中...",
+		orchestrate: "使用 Agent 编排执行",
+		orchestrateDescription: "按已保存的 Agent 编排配置执行，而不是单个 Agent。",
 	},
 
 	// Prompt Input
@@ -514,6 +581,75 @@ export default {
 		placeholder: "描述您希望代理处理的内容...",
 		stopSession: "停止会话",
 		sendPrompt: "发送提示词",
+		orchestrate: "多 Agent",
+		orchestrateHint: "下一条提示词将按已保存的 Agent 编排配置执行",
+		readOnlyImported: "此会话为导入的记录，当前为只读。",
+		continueImported: "继续此会话",
+		interruptedSession: "应用异常退出时此会话仍在运行，已被中断。",
+		abandonedPermissions: "{{count}} 个待确认的权限请求已作废：{{tools}}",
+		resumeInterrupted: "从上一轮恢复",
+		markCompleted: "标记为已完成",
+		budgetWarning: "{{scope}}{{metric}}预算已使用 {{percent}}%（{{used}} / {{limit}}），达到限额后运行将停止。",
+		budgetScope: {
+			session: "会话",
+			daily: "每日",
+			apiConfig: "API 配置每日",
+		},
+		budgetMetric: {
+			cost: "费用",
+			tokens: " token ",
+		},
+	},
+
+	promptQueue: {
+		title: "排队中的后续消息（{{count}}）· 当前运行完成后按顺序发送",
+		add: "排队",
+		addHint: "加入队列，当前运行完成后自动发送",
+		sendNow: "立即发送",
+		sendNowHint: "中断当前轮次并立即发送此消息",
+		moveUp: "上移",
+		moveDown: "下移",
+		remove: "移出队列",
+	},
+
+	permissionModes: {
+		label: "权限模式",
+		default: "危险操作前确认",
+		acceptEdits: "自动接受编辑",
+		plan: "仅规划",
+		bypassPermissions: "跳过权限检查",
+		hints: {
+			default: "删除操作和规则命中的工具需要确认",
+			acceptEdits: "文件编辑无需确认直接应用",
+			plan: "Agent 只探索并提交计划供审阅，不做任何修改",
+			bypassPermissions: "所有工具均不经权限检查直接运行",
+		},
+		bypassConfirm: "跳过权限检查后，Agent 运行任何工具（包括删除操作）都不会再询问。确定继续吗？",
+	},
+
+	planReview: {
+		title: "计划待审阅",
+		approveAcceptEdits: "批准并执行（自动接受编辑）",
+		approveDefault: "批准并执行（危险操作前确认）",
+		revise: "修改计划",
+		revisePlaceholder: "计划需要如何修改？",
+		sendRevision: "发送修改意见",
+	},
+
+	rewind: {
+		title: "回退文件修改",
+		description: "此消息及之后修改过的文件将恢复为修改前的内容，这些轮次中新建的文件将被删除。对话记录不受影响。",
+		loading: "正在加载修改...",
+		noChanges: "没有需要回退的文件修改",
+		binary: "二进制文件，无法预览",
+		actions: {
+			restore: "恢复",
+			delete: "删除",
+		},
+		confirm: "回退文件",
+		rewinding: "正在回退...",
+		loadFailed: "加载修改失败",
+		failed: "回退失败",
 	},
 
 	// Common
@@ -569,5 +705,23 @@ export default {
 		modelName: "模型名称",
 		permissionMode: "权限模式",
 		workingDirectory: "工作目录",
+		round: "第 {{round}} 轮",
+		agentStatus: {
+			started: "执行中",
+			completed: "已完成",
+			failed: "失败",
+		},
+		orchestrationResult: "编排结果",
+		orchestrationSummary: "{{mode}} · {{strategy}} · {{count}} 个 Agent",
+		hookEvent: {
+			preToolUse: "工具使用前钩子",
+			postToolUse: "工具使用后钩子",
+		},
+		hookSummary: "退出码 {{code}} · {{duration}}ms",
+		hookBlocked: "工具调用已被钩子阻止",
+		fork: "从此处分支",
+		forkHint: "以此消息之前的对话创建新会话",
+		rewind: "回退文件",
+		rewindHint: "将此消息及之后修改过的文件恢复为修改前的内容",
 	},
 };
@@ -18,6 +18,8 @@ import { HooksSection } from './sections/HooksSection';
 import { PermissionsSection } from './sections/PermissionsSection';
 import { OutputSection } from './sections/OutputSection';
 import { RecoverySection } from './sections/RecoverySection';
+import { UsageSection } from './sections/UsageSection';
+import { BudgetSection } from './sections/BudgetSection';
 import { RulesSection } from './sections/RulesSection';
 import { ClaudeMdSection } from './sections/ClaudeMdSection';
 
@@ -75,6 +77,10 @@ export function SettingsContent({ className }: SettingsContentProps) {
         return <OutputSection />;
       case 'recovery':
         return <RecoverySection />;
+      case 'usage':
+        return <UsageSection />;
+      case 'budgets':
+        return <BudgetSection />;
       case 'rules':
         return <RulesSection />;
       case 'claudeMd':
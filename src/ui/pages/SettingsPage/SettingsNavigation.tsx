@@ -19,7 +19,9 @@ import {
   History,
   Languages,
   FileText,
-  FileCode
+  FileCode,
+  BarChart3,
+  Wallet
 } from 'lucide-react';
 import type { SettingsSection } from '../../store/useAppStore';
 
@@ -60,6 +62,8 @@ const SETTINGS_SECTIONS: SectionDef[] = [
   { id: 'permissions', icon: Shield, group: 'system' },
   { id: 'output', icon: Palette, group: 'system' },
   { id: 'recovery', icon: History, group: 'system' },
+  { id: 'usage', icon: BarChart3, group: 'system' },
+  { id: 'budgets', icon: Wallet, group: 'system' },
 ];
 
 const GROUP_ORDER: Array<SectionDef['group']> = ['general', 'api', 'features', 'system'];
@@ -0,0 +1,225 @@
+/**
+ * 预算区域
+ * 设置按会话、按天和按 API 配置的费用 / token 限额
+ */
+
+import { useEffect, useState } from "react";
+import { useTranslation } from "react-i18next";
+import type { ApiConfig } from "../../../electron.d";
+import type { BudgetConfig, BudgetLimit } from "../../../types";
+
+const INPUT_CLASS =
+	"w-full rounded-xl border border-ink-900/10 bg-surface-secondary px-4 py-2.5 text-sm text-ink-800 focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors";
+
+const DEFAULT_CONFIG: BudgetConfig = {
+	enabled: false,
+	warnAtPercent: 80,
+	session: {},
+	daily: {},
+	apiConfigs: {}
+};
+
+/**
+ * 解析限额输入，空值或非正数表示不限制
+ */
+function parseLimit(value: string): number | undefined {
+	const parsed = parseFloat(value);
+	return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+export function BudgetSection() {
+	const { t } = useTranslation();
+	const [config, setConfig] = useState<BudgetConfig>(DEFAULT_CONFIG);
+	const [apiConfigs, setApiConfigs] = useState<ApiConfig[]>([]);
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [hasChanges, setHasChanges] = useState(false);
+	const [error, setError] = useState<string | null>(null);
+	const [success, setSuccess] = useState(false);
+
+	// 加载预算配置和 API 配置列表
+	useEffect(() => {
+		Promise.all([window.electron.getBudgetConfig(), window.electron.getAllApiConfigs()])
+			.then(([budgetConfig, allConfigs]) => {
+				setConfig({ ...DEFAULT_CONFIG, ...budgetConfig });
+				setApiConfigs(allConfigs.configs);
+			})
+			.catch((err) => {
+				console.error("Failed to load budget config:", err);
+				setError(t("budgets.loadFailed"));
+			})
+			.finally(() => setLoading(false));
+	}, [t]);
+
+	// 自动清除成功提示
+	useEffect(() => {
+		if (success) {
+			const timer = setTimeout(() => setSuccess(false), 3000);
+			return () => clearTimeout(timer);
+		}
+	}, [success]);
+
+	const updateConfig = (updates: Partial<BudgetConfig>) => {
+		setConfig((prev) => ({ ...prev, ...updates }));
+		setHasChanges(true);
+		setSuccess(false);
+	};
+
+	const updateApiConfigLimit = (configId: string, limit: BudgetLimit) => {
+		updateConfig({ apiConfigs: { ...config.apiConfigs, [configId]: limit } });
+	};
+
+	// 保存配置
+	const handleSave = async () => {
+		setError(null);
+		setSaving(true);
+		try {
+			const result = await window.electron.saveBudgetConfig(config);
+			if (result.success) {
+				setSuccess(true);
+				setHasChanges(false);
+			} else {
+				setError(result.error || t("budgets.saveFailed"));
+			}
+		} catch (err) {
+			console.error("Failed to save budget config:", err);
+			setError(t("budgets.saveFailed"));
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	/**
+	 * 渲染一组费用 / token 限额输入
+	 */
+	const renderLimitInputs = (limit: BudgetLimit, onChange: (limit: BudgetLimit) => void) => (
+		<div className="grid grid-cols-2 gap-3">
+			<div className="grid gap-1.5">
+				<label className="text-xs font-medium text-muted">{t("budgets.maxCostUsd")}</label>
+				<input
+					type="number"
+					min="0"
+					step="0.01"
+					placeholder={t("budgets.unlimited")}
+					value={limit.maxCostUsd ?? ""}
+					onChange={(e) => onChange({ ...limit, maxCostUsd: parseLimit(e.target.value) })}
+					className={INPUT_CLASS}
+					disabled={!config.enabled}
+				/>
+			</div>
+			<div className="grid gap-1.5">
+				<label className="text-xs font-medium text-muted">{t("budgets.maxTokens")}</label>
+				<input
+					type="number"
+					min="0"
+					step="1000"
+					placeholder={t("budgets.unlimited")}
+					value={limit.maxTokens ?? ""}
+					onChange={(e) => onChange({ ...limit, maxTokens: parseLimit(e.target.value) })}
+					className={INPUT_CLASS}
+					disabled={!config.enabled}
+				/>
+			</div>
+		</div>
+	);
+
+	if (loading) {
+		return (
+			<section className="space-y-6">
+				<header>
+					<h1 className="text-2xl font-semibold text-ink-900">{t("budgets.title")}</h1>
+					<p className="mt-2 text-sm text-muted">{t("budgets.subtitle")}</p>
+				</header>
+				<div className="py-12 text-center text-sm text-muted">{t("common.loading")}</div>
+			</section>
+		);
+	}
+
+	return (
+		<section className="space-y-6">
+			<header>
+				<h1 className="text-2xl font-semibold text-ink-900">{t("budgets.title")}</h1>
+				<p className="mt-2 text-sm text-muted">{t("budgets.subtitle")}</p>
+			</header>
+
+			{error && (
+				<div className="rounded-xl border border-error/20 bg-error-light px-4 py-2.5 text-sm text-error">{error}</div>
+			)}
+			{success && (
+				<div className="rounded-xl border border-success/20 bg-success-light px-4 py-2.5 text-sm text-success">{t("budgets.saved")}</div>
+			)}
+
+			<div className="space-y-4">
+				{/* 启用预算 */}
+				<label className="flex items-center gap-3 cursor-pointer">
+					<div className="relative">
+						<input
+							type="checkbox"
+							className="sr-only peer"
+							checked={config.enabled}
+							onChange={(e) => updateConfig({ enabled: e.target.checked })}
+						/>
+						<div className="w-9 h-5 bg-ink-900/20 rounded-full peer-checked:bg-accent transition-colors"></div>
+						<div className="absolute left-0.5 top-0.5 w-4 h-4 bg-white rounded-full shadow-sm transition-transform peer-checked:translate-x-4"></div>
+					</div>
+					<span className="text-sm text-ink-700">{t("budgets.enabled")}</span>
+				</label>
+
+				{/* 警告百分比 */}
+				<div className="grid gap-1.5">
+					<label className="text-xs font-medium text-muted">{t("budgets.warnAtPercent")}</label>
+					<input
+						type="number"
+						min="1"
+						max="100"
+						value={config.warnAtPercent}
+						onChange={(e) => updateConfig({ warnAtPercent: Math.min(Math.max(parseInt(e.target.value) || 80, 1), 100) })}
+						className={INPUT_CLASS}
+						disabled={!config.enabled}
+					/>
+				</div>
+
+				{/* 会话预算 */}
+				<div className="space-y-2">
+					<div className="text-sm font-medium text-ink-800">{t("budgets.session")}</div>
+					{renderLimitInputs(config.session, (session) => updateConfig({ session }))}
+				</div>
+
+				{/* 每日预算 */}
+				<div className="space-y-2">
+					<div className="text-sm font-medium text-ink-800">{t("budgets.daily")}</div>
+					{renderLimitInputs(config.daily, (daily) => updateConfig({ daily }))}
+				</div>
+
+				{/* 按 API 配置的每日预算 */}
+				<div className="space-y-2">
+					<div className="text-sm font-medium text-ink-800">{t("budgets.apiConfigs")}</div>
+					{apiConfigs.length === 0 ? (
+						<div className="text-sm text-muted">{t("budgets.noApiConfigs")}</div>
+					) : (
+						apiConfigs.map((apiConfig) => (
+							<div key={apiConfig.id} className="space-y-2 rounded-xl border border-ink-900/10 p-3">
+								<div className="text-xs text-ink-700">
+									{apiConfig.name || apiConfig.id}
+									<span className="ml-2 font-mono text-muted">{apiConfig.model}</span>
+								</div>
+								{renderLimitInputs(config.apiConfigs[apiConfig.id] ?? {}, (limit) => updateApiConfigLimit(apiConfig.id, limit))}
+							</div>
+						))
+					)}
+				</div>
+			</div>
+
+			<div className="flex items-center justify-between gap-3">
+				<p className="text-xs text-muted">{t("budgets.hint")}</p>
+				<button
+					className="shrink-0 rounded-xl bg-accent px-4 py-2 text-sm font-medium text-white hover:bg-accent-hover transition-colors disabled:opacity-50"
+					onClick={handleSave}
+					disabled={saving || !hasChanges}
+				>
+					{saving ? t("budgets.saving") : t("common.save")}
+				</button>
+			</div>
+		</section>
+	);
+}
@@ -18,6 +18,7 @@ export function HooksSection() {
   // 创建钩子表单状态
   const [hookType, setHookType] = useState<'preToolUse' | 'postToolUse'>('preToolUse');
   const [hookName, setHookName] = useState('');
+  const [hookMatcher, setHookMatcher] = useState('');
   const [hookCommand, setHookCommand] = useState('');
   const [hookDescription, setHookDescription] = useState('');
   const [saving, setSaving] = useState(false);
@@ -74,6 +75,7 @@ export function HooksSection() {
       const config: HookConfig = {
         type: hookType,
         hook: hookName.trim(),
+        matcher: hookMatcher.trim() || undefined,
         command: hookCommand.trim(),
         description: hookDescription.trim() || undefined,
       };
@@ -84,6 +86,7 @@ export function HooksSection() {
         setSuccess(true);
         // 重置表单
         setHookName('');
+        setHookMatcher('');
         setHookCommand('');
         setHookDescription('');
         // 重新加载列表
@@ -160,6 +163,18 @@ export function HooksSection() {
               <p className="text-xs text-muted-light">用于标识此钩子的唯一名称</p>
             </div>
 
+            <div className="grid gap-1.5">
+              <label className="text-xs font-medium text-muted">匹配工具（可选）</label>
+              <input
+                type="text"
+                className="rounded-xl border border-ink-900/10 bg-surface-secondary px-3 py-2 text-sm text-ink-800 placeholder:text-muted-light focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors"
+                placeholder="Bash|Write|mcp__*"
+                value={hookMatcher}
+                onChange={(e) => setHookMatcher(e.target.value)}
+              />
+              <p className="text-xs text-muted-light">工具名称，支持 * 通配符，多个用 | 分隔；留空匹配所有工具</p>
+            </div>
+
             <div className="grid gap-1.5">
               <label className="text-xs font-medium text-muted">执行命令</label>
               <input
@@ -237,6 +252,7 @@ export function HooksSection() {
                 {JSON.stringify({
                   type: hookType,
                   hook: hookName || 'hook-name',
+                  matcher: hookMatcher || undefined,
                   command: hookCommand || '/path/to/script.sh',
                   description: hookDescription || undefined,
                 }, null, 2)}
@@ -252,7 +268,11 @@ export function HooksSection() {
                   {hookType === 'preToolUse' ? ' 工具使用前' : ' 工具使用后'}
                 </div>
                 <div><strong className="text-ink-900">钩子名称：</strong>唯一标识符</div>
-                <div><strong className="text-ink-900">执行命令：</strong>要执行的脚本路径</div>
+                <div><strong className="text-ink-900">匹配工具：</strong>只在名称匹配的工具调用前后执行</div>
+                <div><strong className="text-ink-900">执行命令：</strong>要执行的脚本路径，工具输入以 JSON 写入 stdin</div>
+                {hookType === 'preToolUse' && (
+                  <div><strong className="text-ink-900">阻止调用：</strong>命令以非零退出码结束时阻止本次工具调用，stderr 作为原因</div>
+                )}
                 <div className="mt-3 pt-3 border-t border-ink-900/10">
                   <p className="text-muted text-xs">配置保存位置：<code className="px-1 py-0.5 rounded bg-ink-900/5">{t('hooks.hintPath')}</code></p>
                 </div>
@@ -294,6 +314,9 @@ export function HooksSection() {
                         <div className="flex-1 min-w-0">
                           <div className="flex items-center gap-2">
                             <h4 className="text-sm font-medium text-ink-900">{hook.hook}</h4>
+                            {hook.matcher && (
+                              <span className="inline-flex items-center px-1.5 py-0.5 rounded bg-surface-secondary text-xs text-muted font-mono">{hook.matcher}</span>
+                            )}
                             {hook.description && (
                               <span className="text-xs text-muted">{hook.description}</span>
                             )}
@@ -338,6 +361,9 @@ export function HooksSection() {
                         <div className="flex-1 min-w-0">
                           <div className="flex items-center gap-2">
                             <h4 className="text-sm font-medium text-ink-900">{hook.hook}</h4>
+                            {hook.matcher && (
+                              <span className="inline-flex items-center px-1.5 py-0.5 rounded bg-surface-secondary text-xs text-muted font-mono">{hook.matcher}</span>
+                            )}
                             {hook.description && (
                               <span className="text-xs text-muted">{hook.description}</span>
                             )}
@@ -5,6 +5,8 @@
 import { useState, useEffect } from "react";
 import { BrainIcon } from "../../../components/BrainIcon";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@radix-ui/react-tooltip";
+import type { MemoryAnswerCitation, MemoryImportProgress, MemoryScopeInfo } from "../../../types";
+import { DuplicateClusters, GLOBAL_SCOPE, KnowledgeFolders, MemoryArchive, MemoryInbox, MemoryTransfer, getScopeLabel } from "./memory";
 
 // 记忆文档接口
 interface MemoryDocument {
@@ -15,6 +17,8 @@ interface MemoryDocument {
   score?: number;
   created_at?: number;
   tags?: string[];
+  scope?: string;
+  pinned?: boolean;
 }
 
 // 记忆分类
@@ -27,6 +31,14 @@ const MEMORY_CATEGORIES = [
   { id: 'custom', name: '自定义', icon: '🏷️' },
 ];
 
+// 导入阶段说明
+const IMPORT_STAGE_LABELS: Record<MemoryImportProgress['stage'], string> = {
+  parsing: '正在解析文件',
+  replacing: '正在替换旧内容',
+  storing: '正在写入',
+  done: '导入完成',
+};
+
 // 统计信息接口
 interface MemoryStats {
   frame_count: number;
@@ -56,6 +68,8 @@ export function MemorySection() {
   const [isAsking, setIsAsking] = useState(false);
   const [question, setQuestion] = useState('');
   const [answer, setAnswer] = useState('');
+  const [answerCitations, setAnswerCitations] = useState<MemoryAnswerCitation[]>([]);
+  const [answerRefused, setAnswerRefused] = useState(false);
   const [askingQuestion, setAskingQuestion] = useState(false);
 
   // 标签状态
@@ -75,6 +89,10 @@ export function MemorySection() {
     autoStoreCategories: string[];
     searchMode: 'lex' | 'sem' | 'auto';
     defaultK: number;
+    importanceThreshold?: number;
+    reviewBypassLabels?: string[];
+    labelTtlDays?: Record<string, number>;
+    strictAnswers?: boolean;
     availableTags?: string[];
   }>({
     enabled: true,
@@ -82,6 +100,10 @@ export function MemorySection() {
     autoStoreCategories: ['project', 'technical'],
     searchMode: 'lex',
     defaultK: 6,
+    importanceThreshold: 30,
+    reviewBypassLabels: [],
+    labelTtlDays: {},
+    strictAnswers: false,
     availableTags: [],
   });
   const [showSettings, setShowSettings] = useState(false);
@@ -128,8 +150,21 @@ export function MemorySection() {
   const [showCategoryInput, setShowCategoryInput] = useState(false);
   const [newCategoryName, setNewCategoryName] = useState('');
 
-  // 加载统计信息和文档列表
-  const loadData = async () => {
+  // 文件导入状态
+  const [importing, setImporting] = useState(false);
+  const [importProgress, setImportProgress] = useState<MemoryImportProgress | null>(null);
+
+  // 作用域状态：筛选（空字符串表示全部）和移动文档
+  const [scopeFilter, setScopeFilter] = useState('');
+  const [scopes, setScopes] = useState<MemoryScopeInfo[]>([]);
+  const [movingDocId, setMovingDocId] = useState<string | null>(null);
+  const [moveTarget, setMoveTarget] = useState('');
+
+  // 归档版本号，手动归档后递增以刷新归档列表
+  const [archiveVersion, setArchiveVersion] = useState(0);
+
+  // 加载统计信息和指定作用域的文档列表
+  const loadScopedData = async (filter: string) => {
     setLoading(true);
     try {
       // 获取统计信息
@@ -138,21 +173,27 @@ export function MemorySection() {
         setStats(statsResult.stats);
       }
 
-      // 获取最近的文档（通过时间线）
-      const timelineResult = await window.electron.memoryGetTimeline({ limit: 20, reverse: true });
-      if (timelineResult.success && timelineResult.entries) {
-        const docs: MemoryDocument[] = timelineResult.entries.map((entry: any) => {
-          // 从 entry.doc 中获取实际文档数据
-          const doc = entry.doc || entry;
-          return {
-            id: entry.frame_id || doc.id,
-            title: doc.title || '无标题',
-            text: doc.text || '',
-            label: doc.label || 'custom',
-            created_at: entry.timestamp || doc.created_at,
-            tags: doc.tags || doc.metadata?.tags || [],
-          };
-        });
+      // 获取各作用域的文档数
+      const scopesResult = await window.electron.memoryGetScopes();
+      if (scopesResult.success && scopesResult.scopes) {
+        setScopes(scopesResult.scopes);
+      }
+
+      // 获取最近的文档（按作用域筛选）
+      const listResult = await window.electron.memoryListDocuments({ scopes: filter ? [filter] : undefined, limit: 20 });
+      if (listResult.success && listResult.documents) {
+        const docs: MemoryDocument[] = listResult.documents.map((doc) => ({
+          id: doc.id,
+          title: doc.title || '无标题',
+          text: doc.text || '',
+          label: doc.label || 'custom',
+          created_at: doc.createdAt,
+          tags: doc.tags,
+          scope: doc.scope,
+          pinned: doc.pinned,
+        }));
+        // 置顶的记忆排在最前
+        docs.sort((a, b) => Number(b.pinned ?? false) - Number(a.pinned ?? false));
         setDocuments(docs);
 
         // 提取所有使用过的自定义分类
@@ -172,11 +213,19 @@ export function MemorySection() {
     }
   };
 
+  // 重新加载统计信息和当前作用域的文档列表
+  const loadData = () => loadScopedData(scopeFilter);
+
   useEffect(() => {
-    loadData();
+    loadScopedData('');
     loadConfig();
   }, []);
 
+  // 订阅文件导入进度
+  useEffect(() => {
+    return window.electron.onMemoryImportProgress(setImportProgress);
+  }, []);
+
   // 加载配置
   const loadConfig = async () => {
     try {
@@ -352,6 +401,10 @@ export function MemorySection() {
         setIsCreating(false);
         // 重新加载数据
         loadData();
+        if (result.duplicates && result.duplicates.length > 0) {
+          const titles = result.duplicates.map(d => `「${d.title}」`).join('、');
+          alert(`已保存。与已有记忆 ${titles} 内容近似，可使用「重复记忆」中的查找重复进行合并。`);
+        }
       } else {
         alert(result.error || '保存失败');
       }
@@ -375,17 +428,24 @@ export function MemorySection() {
       const result = await window.electron.memoryFindDocuments(searchQuery, {
         mode: 'lex',
         k: 10,
+        scopes: scopeFilter ? [scopeFilter] : undefined,
       });
 
       if (result.success && result.results) {
-        const docs: MemoryDocument[] = result.results.hits.map((hit: any) => ({
-          id: hit.id,
-          title: hit.doc.title || '无标题',
-          text: hit.doc.text || '',
-          label: hit.doc.label || 'custom',
-          score: hit.score,
-          tags: hit.doc.tags || hit.doc.metadata?.tags || [],
-        }));
+        // 文件系统后端的命中带 doc，Memvid 后端的字段在命中本身上
+        const docs: MemoryDocument[] = result.results.hits.map((hit: any) => {
+          const doc = hit.doc || hit;
+          return {
+            id: String(hit.id ?? hit.frame_id),
+            title: doc.title || '无标题',
+            text: doc.text || doc.snippet || '',
+            label: doc.label || doc.labels?.[0] || 'custom',
+            score: hit.score,
+            tags: doc.tags || doc.metadata?.tags || [],
+            scope: doc.scope ?? hit.scope,
+            pinned: doc.metadata?.pinned === true,
+          };
+        });
         setSearchResults(docs);
       } else {
         alert(result.error || '搜索失败');
@@ -399,6 +459,30 @@ export function MemorySection() {
     }
   };
 
+  // 导入文件（Markdown / 文本 / HTML / JSON / PDF）
+  const handleImportFile = async () => {
+    setImporting(true);
+    setImportProgress(null);
+    try {
+      const result = await window.electron.memoryImportFile();
+      if (result.canceled) return;
+      if (result.success) {
+        await loadData();
+        alert(result.replaced
+          ? `已导入 ${result.count} 个片段（替换了 ${result.replaced} 个旧片段）`
+          : `已导入 ${result.count} 个片段`);
+      } else {
+        alert(result.error || '导入失败');
+      }
+    } catch (err) {
+      console.error('Failed to import file:', err);
+      alert('导入失败');
+    } finally {
+      setImporting(false);
+      setImportProgress(null);
+    }
+  };
+
   // 问答查询
   const handleAskQuestion = async () => {
     if (!question.trim()) {
@@ -407,15 +491,18 @@ export function MemorySection() {
 
     setAskingQuestion(true);
     setAnswer('');
+    setAnswerCitations([]);
+    setAnswerRefused(false);
     try {
       const result = await window.electron.memoryAskQuestion(question, {
-        mode: 'lex',
-        k: 6,
-        contextOnly: false,
+        k: config.defaultK,
+        strict: config.strictAnswers,
       });
 
       if (result.success) {
-        setAnswer(result.answer || result.context || '无相关记忆');
+        setAnswer(result.answer || '无相关记忆');
+        setAnswerCitations(result.citations ?? []);
+        setAnswerRefused(result.refused ?? false);
       } else {
         setAnswer(result.error || '查询失败');
       }
@@ -542,6 +629,79 @@ export function MemorySection() {
     }
   };
 
+  // 切换作用域筛选
+  const handleScopeFilterChange = (scope: string) => {
+    setScopeFilter(scope);
+    setSearchResults([]);
+    loadScopedData(scope);
+  };
+
+  // 移动文档到另一个作用域
+  const handleMoveDocument = async (id: string) => {
+    const target = moveTarget.trim();
+    if (!target) return;
+
+    try {
+      const result = await window.electron.memoryMoveDocument(id, target);
+      if (result.success) {
+        setMovingDocId(null);
+        setSearchResults([]);
+        loadData();
+      } else {
+        alert(result.error || '移动失败');
+      }
+    } catch (err) {
+      console.error('Failed to move document:', err);
+      alert('移动失败');
+    }
+  };
+
+  // 置顶或取消置顶文档
+  const handleTogglePinned = async (doc: MemoryDocument) => {
+    try {
+      const result = await window.electron.memorySetPinned(doc.id, !doc.pinned);
+      if (result.success) {
+        setSearchResults([]);
+        loadData();
+      } else {
+        alert(result.error || '置顶失败');
+      }
+    } catch (err) {
+      console.error('Failed to pin document:', err);
+      alert('置顶失败');
+    }
+  };
+
+  // 归档文档
+  const handleArchiveDocument = async (id: string) => {
+    try {
+      const result = await window.electron.memoryArchiveDocument(id);
+      if (result.success) {
+        setSearchResults([]);
+        setArchiveVersion(version => version + 1);
+        loadData();
+      } else {
+        alert(result.error || '归档失败');
+      }
+    } catch (err) {
+      console.error('Failed to archive document:', err);
+      alert('归档失败');
+    }
+  };
+
+  // 修改分类的保留天数，留空表示永不过期
+  const handleTtlChange = (label: string, value: string) => {
+    const days = Math.floor(Number(value));
+    const labelTtlDays = { ...(config.labelTtlDays ?? {}) };
+    if (value.trim() && days > 0) {
+      labelTtlDays[label] = days;
+    } else {
+      delete labelTtlDays[label];
+    }
+    if (labelTtlDays[label] === config.labelTtlDays?.[label]) return;
+    saveConfig({ ...config, labelTtlDays });
+  };
+
   // 格式化文件大小
   const formatBytes = (bytes: number) => {
     if (bytes < 1024) return bytes + ' B';
@@ -707,6 +867,24 @@ export function MemorySection() {
                   <div className={`w-4 h-4 rounded-full bg-white transition-transform ${config.autoStore ? 'translate-x-5' : 'translate-x-0.5'}`} />
                 </button>
               </div>
+
+              <div className="flex items-center justify-between py-2 border-t border-ink-900/10">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2">
+                    <label className="text-xs font-medium text-ink-900">严格问答</label>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${config.strictAnswers ? 'bg-success/10 text-success' : 'bg-muted-light text-muted-light'}`}>
+                      {config.strictAnswers ? '已启用' : '已禁用'}
+                    </span>
+                  </div>
+                  <p className="text-xs text-muted mt-1">检索到的记忆与问题相关度过低时不作回答，避免模型猜测</p>
+                </div>
+                <button
+                  className={`w-10 h-5 rounded-full transition-colors ${config.strictAnswers ? 'bg-accent' : 'bg-ink-900/20'}`}
+                  onClick={() => saveConfig({ ...config, strictAnswers: !config.strictAnswers })}
+                >
+                  <div className={`w-4 h-4 rounded-full bg-white transition-transform ${config.strictAnswers ? 'translate-x-5' : 'translate-x-0.5'}`} />
+                </button>
+              </div>
             </div>
 
             {/* 搜索模式 */}
@@ -736,6 +914,21 @@ export function MemorySection() {
               />
             </div>
 
+            {/* 自动存储阈值 */}
+            <div className="grid gap-1.5">
+              <label className="text-xs text-muted">自动存储重要性阈值: {config.importanceThreshold ?? 30}</label>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={config.importanceThreshold ?? 30}
+                onChange={(e) => saveConfig({ ...config, importanceThreshold: parseInt(e.target.value) })}
+                className="w-full"
+              />
+              <p className="text-[11px] text-muted">会话结束后按工具调用、关键词、话题和问题-解决方案评分，低于阈值的会话不会存储</p>
+            </div>
+
             {/* 自动存储分类 */}
             <div className="grid gap-1.5">
               <div className="flex items-center justify-between">
@@ -829,6 +1022,62 @@ export function MemorySection() {
               </div>
             </div>
 
+            {/* 免审核分类 */}
+            <div className="grid gap-1.5">
+              <label className="text-xs text-muted">免审核分类</label>
+              <p className="text-[11px] text-muted">开启自动存储时，其他分类的自动记忆会先进入记忆收件箱，批准后才写入长期记忆</p>
+              <div className="flex flex-wrap gap-2">
+                {[...MEMORY_CATEGORIES.map(cat => ({ id: cat.id, text: `${cat.icon} ${cat.name}` })),
+                  ...Array.from(customCategories).map(cat => ({ id: cat, text: `🏷️ ${cat}` }))].map(cat => {
+                  const bypass = config.reviewBypassLabels ?? [];
+                  return (
+                    <button
+                      key={cat.id}
+                      className={`px-3 py-1.5 rounded-lg text-xs border transition-colors ${
+                        bypass.includes(cat.id)
+                          ? 'bg-accent text-white border-accent'
+                          : 'bg-surface text-ink-700 border-ink-900/10 hover:border-accent/50'
+                      }`}
+                      onClick={() => {
+                        const reviewBypassLabels = bypass.includes(cat.id)
+                          ? bypass.filter(x => x !== cat.id)
+                          : [...bypass, cat.id];
+                        saveConfig({ ...config, reviewBypassLabels });
+                      }}
+                    >
+                      {cat.text}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* 保留期限 */}
+            <div className="grid gap-1.5">
+              <label className="text-xs text-muted">保留期限（天）</label>
+              <p className="text-[11px] text-muted">超过期限的记忆会被定期归档，可在记忆归档中恢复；留空表示永不过期，置顶的记忆不会过期</p>
+              <div className="grid grid-cols-2 gap-2">
+                {[...MEMORY_CATEGORIES.map(cat => ({ id: cat.id, text: `${cat.icon} ${cat.name}` })),
+                  ...Array.from(customCategories).map(cat => ({ id: cat, text: `🏷️ ${cat}` }))].map(cat => (
+                  <label
+                    key={cat.id}
+                    className="flex items-center justify-between gap-2 rounded-lg border border-ink-900/10 bg-surface px-3 py-1.5 text-xs text-ink-700"
+                  >
+                    <span>{cat.text}</span>
+                    <input
+                      key={`${cat.id}-${config.labelTtlDays?.[cat.id] ?? ''}`}
+                      type="number"
+                      min={1}
+                      className="w-16 rounded border border-ink-900/10 bg-surface-secondary px-1.5 py-0.5 text-right text-xs text-ink-800 focus:border-accent focus:outline-none"
+                      placeholder="永久"
+                      defaultValue={config.labelTtlDays?.[cat.id] ?? ''}
+                      onBlur={(e) => handleTtlChange(cat.id, e.target.value)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+
             {/* 标签管理 */}
             <div className="grid gap-1.5 pt-2 border-t border-ink-900/10">
               <label className="text-xs text-muted">标签管理</label>
@@ -926,6 +1175,21 @@ export function MemorySection() {
         )}
       </div>
 
+      {/* 记忆收件箱 */}
+      <MemoryInbox categories={MEMORY_CATEGORIES} onChanged={() => loadData()} />
+
+      {/* 重复记忆 */}
+      <DuplicateClusters categories={MEMORY_CATEGORIES} onChanged={() => loadData()} />
+
+      {/* 记忆归档 */}
+      <MemoryArchive categories={MEMORY_CATEGORIES} refreshKey={archiveVersion} onChanged={() => loadData()} />
+
+      {/* 备份与迁移 */}
+      <MemoryTransfer onChanged={() => loadData()} />
+
+      {/* 知识文件夹 */}
+      <KnowledgeFolders />
+
       <div className="space-y-4">
         {/* 搜索栏 */}
         <div className="flex gap-3">
@@ -981,6 +1245,20 @@ export function MemorySection() {
               {isAsking ? '取消AI问答' : '使用AI问答'}
             </TooltipContent>
           </Tooltip>
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <button
+                className="flex-1 py-3 rounded-xl border border-dashed border-ink-900/10 text-sm text-muted hover:border-accent/50 hover:text-accent transition-colors cursor-pointer disabled:opacity-50"
+                onClick={handleImportFile}
+                disabled={importing}
+              >
+                {importing ? '导入中...' : '📄 导入文件'}
+              </button>
+            </TooltipTrigger>
+            <TooltipContent className="bg-ink-900 text-white text-xs px-2 py-1 rounded-md">
+              导入 Markdown、文本、HTML、JSON 或 PDF 文件，重复导入会替换旧内容
+            </TooltipContent>
+          </Tooltip>
           <Tooltip>
             <TooltipTrigger asChild>
               <button
@@ -1014,6 +1292,24 @@ export function MemorySection() {
           </Tooltip>
         </div>
 
+        {/* 文件导入进度 */}
+        {importing && importProgress && (
+          <div className="rounded-xl border border-accent/20 bg-accent/5 px-4 py-3 space-y-2">
+            <div className="flex items-center justify-between text-xs text-ink-700">
+              <span className="truncate">{IMPORT_STAGE_LABELS[importProgress.stage]}: {importProgress.filePath}</span>
+              {importProgress.total > 0 && (
+                <span className="shrink-0 ml-3 text-muted">{importProgress.current} / {importProgress.total}</span>
+              )}
+            </div>
+            <div className="h-1.5 rounded-full bg-ink-900/10 overflow-hidden">
+              <div
+                className="h-full bg-accent transition-all"
+                style={{ width: `${importProgress.total > 0 ? (importProgress.current / importProgress.total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        )}
+
         {/* 批量操作栏 */}
         {isMultiSelectMode && selectedIds.size > 0 && (
           <div className="flex items-center justify-between rounded-xl bg-accent/5 border border-accent/20 px-4 py-3">
@@ -1417,8 +1713,17 @@ export function MemorySection() {
             </div>
             {answer && (
               <div className="rounded-xl bg-surface p-3 text-sm text-ink-700">
-                <strong className="text-accent">AI 回答：</strong>
+                <strong className={answerRefused ? 'text-muted' : 'text-accent'}>AI 回答：</strong>
                 <p className="mt-1 whitespace-pre-wrap">{answer}</p>
+                {answerCitations.length > 0 && (
+                  <div className="mt-2 pt-2 border-t border-ink-900/10 space-y-0.5">
+                    {answerCitations.map((citation) => (
+                      <div key={citation.index} className="text-[11px] text-muted truncate" title={citation.id}>
+                        [{citation.index}] {citation.title} · {getScopeLabel(citation.scope)}
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -1426,9 +1731,31 @@ export function MemorySection() {
 
         {/* 文档列表或搜索结果 */}
         <div className="space-y-3">
-          <h3 className="text-sm font-medium text-ink-900">
-            {searchResults.length > 0 ? `搜索结果 (${searchResults.length})` : `最近记忆 (${documents.length})`}
-          </h3>
+          <div className="flex items-center justify-between gap-2">
+            <h3 className="text-sm font-medium text-ink-900">
+              {searchResults.length > 0 ? `搜索结果 (${searchResults.length})` : `最近记忆 (${documents.length})`}
+            </h3>
+            {/* 作用域筛选 */}
+            <select
+              className="max-w-[50%] rounded-lg border border-ink-900/10 bg-surface px-2 py-1 text-xs text-ink-800 focus:border-accent focus:outline-none"
+              value={scopeFilter}
+              onChange={(e) => handleScopeFilterChange(e.target.value)}
+            >
+              <option value="">全部作用域</option>
+              <option value={GLOBAL_SCOPE}>全局</option>
+              {scopes.filter(item => item.scope !== GLOBAL_SCOPE).map(item => (
+                <option key={item.scope} value={item.scope} title={item.scope}>
+                  {getScopeLabel(item.scope)} ({item.count})
+                </option>
+              ))}
+            </select>
+          </div>
+          <datalist id="memory-scope-options">
+            <option value={GLOBAL_SCOPE}>全局</option>
+            {scopes.filter(item => item.scope !== GLOBAL_SCOPE).map(item => (
+              <option key={item.scope} value={item.scope} />
+            ))}
+          </datalist>
 
           {loading ? (
             <div className="flex items-center justify-center py-8">
@@ -1466,11 +1793,52 @@ export function MemorySection() {
                     <div className="flex items-center justify-between gap-2">
                       <div className="flex items-center gap-2">
                         <h3 className="text-sm font-medium text-ink-900">{doc.title}</h3>
+                        {doc.pinned && (
+                          <span className="px-1.5 py-0.5 rounded text-[10px] bg-accent/10 text-accent">📌 置顶</span>
+                        )}
+                        {doc.scope && (
+                          <span
+                            className="px-1.5 py-0.5 rounded text-[10px] bg-ink-900/5 text-muted"
+                            title={doc.scope}
+                          >
+                            {getScopeLabel(doc.scope)}
+                          </span>
+                        )}
                         {doc.score !== undefined && (
                           <span className="text-xs text-accent">相关度: {(doc.score * 100).toFixed(0)}%</span>
                         )}
                       </div>
                       <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button
+                          className={`p-1.5 rounded-lg hover:bg-accent/10 transition-colors ${doc.pinned ? 'text-accent' : 'text-muted hover:text-accent'}`}
+                          title={doc.pinned ? '取消置顶' : '置顶（永不过期，搜索时排在最前）'}
+                          onClick={() => handleTogglePinned(doc)}
+                        >
+                          <svg viewBox="0 0 24 24" className="h-3.5 w-3.5" fill={doc.pinned ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+                            <path d="M12 17v5M9 3h6l-1 7 4 3v2H6v-2l4-3-1-7z" />
+                          </svg>
+                        </button>
+                        <button
+                          className="p-1.5 rounded-lg text-muted hover:text-accent hover:bg-accent/10 transition-colors"
+                          title="归档"
+                          onClick={() => handleArchiveDocument(doc.id)}
+                        >
+                          <svg viewBox="0 0 24 24" className="h-3.5 w-3.5" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M3 4h18v4H3zM5 8v12h14V8M10 12h4" />
+                          </svg>
+                        </button>
+                        <button
+                          className="p-1.5 rounded-lg text-muted hover:text-accent hover:bg-accent/10 transition-colors"
+                          title="移动到…"
+                          onClick={() => {
+                            setMovingDocId(doc.id);
+                            setMoveTarget(doc.scope === GLOBAL_SCOPE ? '' : GLOBAL_SCOPE);
+                          }}
+                        >
+                          <svg viewBox="0 0 24 24" className="h-3.5 w-3.5" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M5 12h14M13 6l6 6-6 6" />
+                          </svg>
+                        </button>
                         <button
                           className="p-1.5 rounded-lg text-muted hover:text-accent hover:bg-accent/10 transition-colors"
                           title="编辑"
@@ -1493,6 +1861,31 @@ export function MemorySection() {
                       </div>
                     </div>
                     <p className="mt-1 text-xs text-ink-700 line-clamp-3">{doc.text}</p>
+                    {/* 移动到其他作用域 */}
+                    {movingDocId === doc.id && (
+                      <div className="mt-2 flex items-center gap-2">
+                        <input
+                          className="flex-1 rounded-lg border border-ink-900/10 bg-surface px-2 py-1 text-xs font-mono text-ink-800 focus:border-accent focus:outline-none"
+                          list="memory-scope-options"
+                          placeholder="global 或项目根目录路径"
+                          value={moveTarget}
+                          onChange={(e) => setMoveTarget(e.target.value)}
+                        />
+                        <button
+                          className="px-2 py-1 rounded-lg text-xs font-medium bg-accent text-white hover:bg-accent-hover disabled:opacity-50"
+                          disabled={!moveTarget.trim() || moveTarget.trim() === doc.scope}
+                          onClick={() => handleMoveDocument(doc.id)}
+                        >
+                          移动
+                        </button>
+                        <button
+                          className="px-2 py-1 rounded-lg text-xs text-muted hover:text-ink-700"
+                          onClick={() => setMovingDocId(null)}
+                        >
+                          取消
+                        </button>
+                      </div>
+                    )}
                     {/* 标签显示 */}
                     {doc.tags && doc.tags.length > 0 && (
                       <div className="mt-2 flex flex-wrap gap-1.5">
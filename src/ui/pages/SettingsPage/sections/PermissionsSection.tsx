@@ -4,10 +4,45 @@
 
 import { useState, useEffect } from "react";
 import { useTranslation } from "react-i18next";
-import type { PermissionsStore } from "../../../electron.d";
+import type { PermissionRule, PermissionsStore } from "../../../electron.d";
+import type { PermissionGrant } from "../../../types";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@radix-ui/react-tooltip";
 
 type ViewMode = 'list' | 'create';
+type RuleAction = NonNullable<PermissionRule['action']>;
+
+const ACTION_LABELS: Record<RuleAction, string> = {
+	allow: '允许',
+	deny: '拒绝',
+	ask: '询问',
+};
+
+const ACTION_BADGE_CLASSES: Record<RuleAction, string> = {
+	allow: 'bg-success/20 text-success',
+	deny: 'bg-error/20 text-error',
+	ask: 'bg-accent/20 text-accent',
+};
+
+// 文件类工具按路径 glob 匹配
+const PATH_TOOLS = ['Read', 'Write', 'Edit', 'MultiEdit', 'NotebookEdit', 'Glob', 'Grep', 'LS'];
+
+const SCOPE_LABELS: Record<PermissionGrant['scope'], string> = {
+	session: '本会话',
+	cwd: '本项目',
+	forever: '永久',
+};
+
+/** 兼容只有 allowed 字段的旧规则 */
+function getRuleAction(rule: PermissionRule): RuleAction {
+	return rule.action ?? (rule.allowed ? 'allow' : 'deny');
+}
+
+/** 输入模式的占位提示 */
+function getPatternPlaceholder(tool: string): string {
+	if (tool === 'Bash') return '命令前缀，如 git push 或 npm run *';
+	if (PATH_TOOLS.includes(tool)) return '路径 glob，如 src/**/*.ts 或 /etc/**';
+	return 'URL、查询等参数的 glob，如 https://github.com/*';
+}
 
 // 可用的工具列表
 const AVAILABLE_TOOLS = [
@@ -28,11 +63,13 @@ export function PermissionsSection() {
 	const { t } = useTranslation();
 	const [viewMode, setViewMode] = useState<ViewMode>('list');
 	const [permissions, setPermissions] = useState<PermissionsStore>({ allowedTools: [], customRules: [] });
+	const [grants, setGrants] = useState<PermissionGrant[]>([]);
 	const [loading, setLoading] = useState(false);
 
 	// 创建规则表单状态
 	const [selectedTool, setSelectedTool] = useState('');
-	const [isAllowed, setIsAllowed] = useState(true);
+	const [action, setAction] = useState<RuleAction>('allow');
+	const [pattern, setPattern] = useState('');
 	const [description, setDescription] = useState('');
 	const [saving, setSaving] = useState(false);
 	const [error, setError] = useState<string | null>(null);
@@ -42,8 +79,12 @@ export function PermissionsSection() {
 	const loadPermissions = async () => {
 		setLoading(true);
 		try {
-			const config = await window.electron.getPermissionsConfig();
+			const [config, grantList] = await Promise.all([
+				window.electron.getPermissionsConfig(),
+				window.electron.getPermissionGrants(),
+			]);
 			setPermissions(config);
+			setGrants(grantList);
 		} catch (err) {
 			console.error('Failed to load permissions:', err);
 		} finally {
@@ -65,12 +106,14 @@ export function PermissionsSection() {
 
 	// 创建权限规则
 	const handleCreateRule = async () => {
-		if (!selectedTool) {
+		const tool = selectedTool.trim();
+		if (!tool) {
 			setError('请选择工具');
 			return;
 		}
-		// 检查规则唯一性
-		const ruleExists = permissions.customRules.some(r => r.tool === selectedTool);
+		// 检查规则唯一性（工具 + 输入模式）
+		const trimmedPattern = pattern.trim();
+		const ruleExists = permissions.customRules.some(r => r.tool === tool && (r.pattern || '') === trimmedPattern);
 		if (ruleExists) {
 			setError('该工具的权限规则已存在');
 			return;
@@ -81,8 +124,10 @@ export function PermissionsSection() {
 
 		try {
 			const result = await window.electron.savePermissionRule({
-				tool: selectedTool,
-				allowed: isAllowed,
+				tool,
+				allowed: action === 'allow',
+				action,
+				pattern: trimmedPattern || undefined,
 				description: description || undefined,
 			});
 
@@ -90,7 +135,8 @@ export function PermissionsSection() {
 				setSuccess(true);
 				// 重置表单
 				setSelectedTool('');
-				setIsAllowed(true);
+				setAction('allow');
+				setPattern('');
 				setDescription('');
 				// 重新加载列表
 				await loadPermissions();
@@ -105,13 +151,14 @@ export function PermissionsSection() {
 	};
 
 	// 删除权限规则
-	const handleDeleteRule = async (toolName: string) => {
-		if (!confirm(`确定要删除工具 "${toolName}" 的权限规则吗？`)) {
+	const handleDeleteRule = async (toolName: string, rulePattern?: string) => {
+		const target = rulePattern ? `${toolName}(${rulePattern})` : toolName;
+		if (!confirm(`确定要删除 "${target}" 的权限规则吗？`)) {
 			return;
 		}
 
 		try {
-			const result = await window.electron.deletePermissionRule(toolName);
+			const result = await window.electron.deletePermissionRule(toolName, rulePattern);
 			if (result.success) {
 				await loadPermissions();
 			} else {
@@ -122,6 +169,20 @@ export function PermissionsSection() {
 		}
 	};
 
+	// 撤销权限授权
+	const handleRevokeGrant = async (grant: PermissionGrant) => {
+		try {
+			const result = await window.electron.revokePermissionGrant(grant.id, grant.scope);
+			if (result.success) {
+				setGrants(prev => prev.filter(g => g.id !== grant.id));
+			} else {
+				setError(result.error || '撤销授权失败');
+			}
+		} catch {
+			setError('撤销授权失败');
+		}
+	};
+
 	return (
 		<TooltipProvider>
 		<section className="space-y-6">
@@ -139,46 +200,53 @@ export function PermissionsSection() {
 					<div className="w-1/2 space-y-4">
 						<div className="grid gap-1.5">
 							<label className="text-xs font-medium text-muted">选择工具</label>
-							<select
-								className="rounded-xl border border-ink-900/10 bg-surface-secondary px-3 py-2 text-sm text-ink-800 focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors"
+							<input
+								type="text"
+								list="permission-tool-options"
+								className="rounded-xl border border-ink-900/10 bg-surface-secondary px-3 py-2 text-sm text-ink-800 placeholder:text-muted-light focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors"
+								placeholder="请选择或输入工具..."
 								value={selectedTool}
 								onChange={(e) => setSelectedTool(e.target.value)}
-							>
-								<option value="">请选择工具...</option>
+							/>
+							<datalist id="permission-tool-options">
 								{AVAILABLE_TOOLS.map((tool) => (
 									<option key={tool.name} value={tool.name}>
-										{tool.name} - {tool.description}
+										{tool.description}
 									</option>
 								))}
-							</select>
-							<p className="text-xs text-muted-light">选择要配置权限的工具</p>
+							</datalist>
+							<p className="text-xs text-muted-light">选择要配置权限的工具，支持通配符（如 mcp__*）</p>
+						</div>
+
+						<div className="grid gap-1.5">
+							<label className="text-xs font-medium text-muted">匹配模式（可选）</label>
+							<input
+								type="text"
+								className="rounded-xl border border-ink-900/10 bg-surface-secondary px-3 py-2 text-sm text-ink-800 font-mono placeholder:text-muted-light focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors"
+								placeholder={getPatternPlaceholder(selectedTool.trim())}
+								value={pattern}
+								onChange={(e) => setPattern(e.target.value)}
+							/>
+							<p className="text-xs text-muted-light">留空则匹配该工具的所有调用</p>
 						</div>
 
 						<div className="grid gap-1.5">
 							<label className="text-xs font-medium text-muted">权限设置</label>
 							<div className="flex gap-4">
-								<label className="flex items-center gap-2 cursor-pointer">
-									<input
-										type="radio"
-										name="permission"
-										checked={isAllowed}
-										onChange={() => setIsAllowed(true)}
-										className="w-4 h-4 text-accent focus:ring-accent/20"
-									/>
-									<span className="text-sm text-ink-700">允许</span>
-								</label>
-								<label className="flex items-center gap-2 cursor-pointer">
-									<input
-										type="radio"
-										name="permission"
-										checked={!isAllowed}
-										onChange={() => setIsAllowed(false)}
-										className="w-4 h-4 text-accent focus:ring-accent/20"
-									/>
-									<span className="text-sm text-ink-700">拒绝</span>
-								</label>
+								{(Object.keys(ACTION_LABELS) as RuleAction[]).map((value) => (
+									<label key={value} className="flex items-center gap-2 cursor-pointer">
+										<input
+											type="radio"
+											name="permission"
+											checked={action === value}
+											onChange={() => setAction(value)}
+											className="w-4 h-4 text-accent focus:ring-accent/20"
+										/>
+										<span className="text-sm text-ink-700">{ACTION_LABELS[value]}</span>
+									</label>
+								))}
 							</div>
-							<p className="text-xs text-muted-light">设置工具是否需要用户确认</p>
+							<p className="text-xs text-muted-light">多条规则同时命中时：拒绝 &gt; 询问 &gt; 允许</p>
 						</div>
 
 						<div className="grid gap-1.5">
@@ -244,8 +312,10 @@ export function PermissionsSection() {
 							<h4 className="text-xs font-medium text-muted mb-2">JSON 配置</h4>
 							<pre className="text-xs bg-surface rounded-lg p-3 overflow-x-auto text-muted font-mono leading-relaxed">
 								{JSON.stringify({
-									tool: selectedTool || 'tool-name',
-									allowed: isAllowed,
+									tool: selectedTool.trim() || 'tool-name',
+									allowed: action === 'allow',
+									action,
+									pattern: pattern.trim() || undefined,
 									description: description || undefined,
 								}, null, 2)}
 							</pre>
@@ -256,11 +326,14 @@ export function PermissionsSection() {
 							<h4 className="text-xs font-medium text-muted mb-2">权限说明</h4>
 							<div className="text-xs text-ink-700 space-y-2 leading-relaxed">
 								<div>
-									<strong className="text-ink-900">工具名称：</strong>要配置的工具
+									<strong className="text-ink-900">工具名称：</strong>要配置的工具，* 匹配任意字符
+								</div>
+								<div>
+									<strong className="text-ink-900">匹配模式：</strong>Bash 按命令前缀匹配，文件类工具按路径 glob 匹配（** 匹配多级目录）
 								</div>
 								<div>
 									<strong className="text-ink-900">权限设置：</strong>
-									{isAllowed ? ' 允许' : ' 拒绝'}使用该工具
+									{action === 'ask' ? ' 每次使用前询问用户' : ` ${ACTION_LABELS[action]}使用该工具`}
 								</div>
 								<div>
 									<strong className="text-ink-900">描述：</strong>规则用途说明
@@ -292,19 +365,18 @@ export function PermissionsSection() {
 					) : (
 						<div className="space-y-3">
 							{permissions.customRules.map((rule) => (
-								<div key={rule.tool} className="p-4 rounded-xl border border-ink-900/10 bg-surface">
+								<div key={`${rule.tool}:${rule.pattern ?? ''}`} className="p-4 rounded-xl border border-ink-900/10 bg-surface">
 									<div className="flex items-start justify-between gap-3">
 										<div className="flex-1 min-w-0">
 											<div className="flex items-center gap-2">
 												<h3 className="text-sm font-medium text-ink-900">{rule.tool}</h3>
-												<span className={`text-xs px-2 py-0.5 rounded ${
-													rule.allowed
-														? 'bg-success/20 text-success'
-														: 'bg-error/20 text-error'
-												}`}>
-													{rule.allowed ? '允许' : '拒绝'}
+												<span className={`text-xs px-2 py-0.5 rounded ${ACTION_BADGE_CLASSES[getRuleAction(rule)]}`}>
+													{ACTION_LABELS[getRuleAction(rule)]}
 												</span>
 											</div>
+											{rule.pattern && (
+												<code className="mt-1 inline-block text-xs px-1.5 py-0.5 rounded bg-ink-900/5 text-ink-700 font-mono">{rule.pattern}</code>
+											)}
 											{rule.description && (
 												<p className="mt-1 text-xs text-muted">{rule.description}</p>
 											)}
@@ -313,7 +385,7 @@ export function PermissionsSection() {
 											<TooltipTrigger asChild>
 												<button
 													className="text-xs text-muted hover:text-error p-1 cursor-pointer"
-													onClick={() => handleDeleteRule(rule.tool)}
+													onClick={() => handleDeleteRule(rule.tool, rule.pattern)}
 												>
 													<svg viewBox="0 0 24 24" className="w-4 h-4" fill="none" stroke="currentColor" strokeWidth="2">
 														<path d="M18 6L6 18M6 6l12 12" />
@@ -330,6 +402,39 @@ export function PermissionsSection() {
 						</div>
 					)}
 
+					{/* 权限对话框中"始终允许"产生的授权 */}
+					{grants.length > 0 && (
+						<div className="space-y-3">
+							<h3 className="text-sm font-medium text-ink-900">已授权</h3>
+							{grants.map((grant) => (
+								<div key={grant.id} className="p-3 rounded-xl border border-ink-900/10 bg-surface">
+									<div className="flex items-start justify-between gap-3">
+										<div className="flex-1 min-w-0">
+											<div className="flex items-center gap-2">
+												<span className="text-sm font-medium text-ink-900">{grant.tool}</span>
+												<span className="text-xs px-2 py-0.5 rounded bg-success/20 text-success">
+													{SCOPE_LABELS[grant.scope]}
+												</span>
+											</div>
+											{grant.pattern && (
+												<code className="mt-1 block truncate text-xs text-ink-700 font-mono" title={grant.pattern}>{grant.pattern}</code>
+											)}
+											{grant.cwd && (
+												<p className="mt-1 truncate text-xs text-muted" title={grant.cwd}>{grant.cwd}</p>
+											)}
+										</div>
+										<button
+											className="shrink-0 text-xs text-muted hover:text-error px-2 py-1 cursor-pointer"
+											onClick={() => handleRevokeGrant(grant)}
+										>
+											撤销
+										</button>
+									</div>
+								</div>
+							))}
+						</div>
+					)}
+
 					<div className="flex gap-3">
 						<Tooltip>
 							<TooltipTrigger asChild>
@@ -63,6 +63,133 @@ function truncateSessionId(sessionId: string | undefined | null): string {
 	return sessionId.length > 12 ? `${sessionId.slice(0, 12)}...` : sessionId;
 }
 
+/**
+ * 会话进程保活设置
+ * 会话的查询进程在轮次之间保持存活，后续消息无需重新启动；空闲超过设定时间后关闭
+ */
+function IdleTimeoutSetting() {
+	const [minutes, setMinutes] = useState<string>("");
+	const [saving, setSaving] = useState(false);
+	const [message, setMessage] = useState<string | null>(null);
+
+	useEffect(() => {
+		window.electron.getRunnerConfig()
+			.then((config) => setMinutes(String(config.idleTimeoutMinutes)))
+			.catch((err) => console.error("Failed to load runner config:", err));
+	}, []);
+
+	const handleSave = async () => {
+		const value = Number(minutes);
+		if (!Number.isFinite(value) || value < 0) {
+			setMessage("请输入不小于 0 的分钟数");
+			return;
+		}
+		setSaving(true);
+		setMessage(null);
+		try {
+			const result = await window.electron.saveRunnerConfig({ idleTimeoutMinutes: value });
+			setMessage(result.success ? "已保存，下一轮对话结束后生效" : result.error || "保存失败");
+		} catch (err) {
+			console.error("Failed to save runner config:", err);
+			setMessage("保存失败");
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<div className="p-4 rounded-xl border border-ink-900/10 bg-surface space-y-2">
+			<h3 className="text-sm font-medium text-ink-900">会话进程保活</h3>
+			<p className="text-xs text-muted">
+				会话的后台进程在对话之间保持运行，继续对话时无需重新启动。空闲超过设定时间后自动关闭，设为 0 表示每轮对话结束后立即关闭。
+			</p>
+			<div className="flex items-center gap-2">
+				<input
+					type="number"
+					min={0}
+					className="w-24 rounded-lg border border-ink-900/10 bg-surface-secondary px-3 py-1.5 text-sm text-ink-800 focus:border-accent focus:outline-none"
+					value={minutes}
+					onChange={(e) => setMinutes(e.target.value)}
+				/>
+				<span className="text-xs text-muted">分钟</span>
+				<button
+					className="px-3 py-1.5 rounded-lg bg-accent/10 text-accent text-xs font-medium hover:bg-accent/20 transition-colors cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+					onClick={handleSave}
+					disabled={saving || minutes === ""}
+				>
+					{saving ? "保存中..." : "保存"}
+				</button>
+				{message && <span className="text-xs text-muted">{message}</span>}
+			</div>
+		</div>
+	);
+}
+
+/**
+ * 已中断的会话
+ * 应用异常退出时仍在运行的会话，启动后被标记为中断，可从上一轮恢复或标记为已完成
+ */
+function InterruptedSessions() {
+	const sessions = useAppStore((state) => state.sessions);
+	const setActiveSessionId = useAppStore((state) => state.setActiveSessionId);
+	const setCurrentPage = useAppStore((state) => state.setCurrentPage);
+	const interrupted = Object.values(sessions)
+		.filter((session) => session.status === "interrupted")
+		.sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+
+	if (interrupted.length === 0) return null;
+
+	const recover = (sessionId: string, action: "resume" | "complete") => {
+		window.electron.sendClientEvent({ type: "session.recover", payload: { sessionId, action } });
+		if (action === "resume") {
+			setActiveSessionId(sessionId);
+			setCurrentPage('main');
+		}
+	};
+
+	return (
+		<div className="p-4 rounded-xl border border-warning/30 bg-warning-light/20 space-y-3">
+			<div>
+				<h3 className="text-sm font-medium text-ink-900">已中断的会话</h3>
+				<p className="mt-1 text-xs text-muted">
+					以下会话在应用异常退出时仍在运行。可以恢复 SDK 会话并继续上一轮，或直接标记为已完成。
+				</p>
+			</div>
+			{interrupted.map((session) => (
+				<div key={session.id} className="flex items-start justify-between gap-3 rounded-lg bg-surface px-3 py-2">
+					<div className="flex-1 min-w-0">
+						<p className="text-sm text-ink-900 truncate" title={session.title}>{session.title || "未命名会话"}</p>
+						{session.updatedAt && (
+							<p className="text-xs text-muted" title={formatFullDateTime(session.updatedAt)}>
+								中断于: {formatRelativeTime(session.updatedAt)}
+							</p>
+						)}
+						{session.abandonedPermissions && session.abandonedPermissions.length > 0 && (
+							<p className="text-xs text-warning-dark">
+								已作废的权限请求: {session.abandonedPermissions.map((item) => item.toolName).join(", ")}
+							</p>
+						)}
+					</div>
+					<div className="flex shrink-0 items-center gap-2">
+						<button
+							className="px-3 py-1.5 rounded-lg bg-accent/10 text-accent text-xs font-medium hover:bg-accent/20 transition-colors cursor-pointer"
+							onClick={() => recover(session.id, "resume")}
+						>
+							从上一轮恢复
+						</button>
+						<button
+							className="px-3 py-1.5 rounded-lg border border-ink-900/10 text-ink-700 text-xs hover:bg-surface-tertiary transition-colors cursor-pointer"
+							onClick={() => recover(session.id, "complete")}
+						>
+							标记为已完成
+						</button>
+					</div>
+				</div>
+			))}
+		</div>
+	);
+}
+
 export function RecoverySection() {
 	const { t } = useTranslation();
 	const [sessions, setSessions] = useState<SessionInfo[]>([]);
@@ -211,6 +338,8 @@ export function RecoverySection() {
 				</div>
 			)}
 
+			<InterruptedSessions />
+
 			{loading ? (
 				<div className="flex items-center justify-center py-8">
 					<svg aria-hidden="true" className="w-6 h-6 animate-spin text-accent" viewBox="0 0 24 24" fill="none">
@@ -360,6 +489,8 @@ export function RecoverySection() {
 				</div>
 			)}
 
+			<IdleTimeoutSetting />
+
 			<aside className="p-4 rounded-xl bg-surface-secondary border border-ink-900/5">
 				<p className="text-xs text-muted">
 					<strong>提示：</strong>{t("recovery.hint")}
@@ -0,0 +1,338 @@
+/**
+ * 用量统计区域
+ * 按日期、API 配置、模型和会话展示 token 用量与费用，并支持导出 CSV
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useTranslation } from "react-i18next";
+import type { UsageDailyRow, UsageSummary } from "../../../types";
+
+/** 可选的统计范围（天） */
+const RANGE_OPTIONS = [7, 30, 90] as const;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 柱状图尺寸 */
+const CHART_HEIGHT = 120;
+const CHART_BAR_GAP = 2;
+
+type DailyTotal = {
+	date: string;
+	costUsd: number;
+	tokens: number;
+};
+
+type ConfigModelTotal = {
+	key: string;
+	apiConfigName: string;
+	model: string;
+	inputTokens: number;
+	outputTokens: number;
+	cacheReadTokens: number;
+	costUsd: number;
+	runs: number;
+};
+
+/**
+ * 格式化为本地日期 YYYY-MM-DD（与台账的日期格式一致）
+ */
+function formatLocalDate(timestamp: number): string {
+	const date = new Date(timestamp);
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function formatCost(value: number): string {
+	return `$${value.toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+function formatTokens(value: number): string {
+	return value.toLocaleString();
+}
+
+/**
+ * 按日期汇总，范围内没有用量的日期补 0
+ */
+function buildDailyTotals(rows: UsageDailyRow[], days: number): DailyTotal[] {
+	const totals = new Map<string, DailyTotal>();
+	const now = Date.now();
+	for (let i = days - 1; i >= 0; i--) {
+		const date = formatLocalDate(now - i * DAY_MS);
+		totals.set(date, { date, costUsd: 0, tokens: 0 });
+	}
+	for (const row of rows) {
+		const total = totals.get(row.date);
+		if (!total) continue;
+		total.costUsd += row.costUsd;
+		total.tokens += row.inputTokens + row.outputTokens;
+	}
+	return Array.from(totals.values());
+}
+
+/**
+ * 按 API 配置和模型汇总，按费用降序
+ */
+function buildConfigModelTotals(rows: UsageDailyRow[]): ConfigModelTotal[] {
+	const totals = new Map<string, ConfigModelTotal>();
+	for (const row of rows) {
+		const key = `${row.apiConfigId}\u0000${row.model}`;
+		const total = totals.get(key) ?? {
+			key,
+			apiConfigName: row.apiConfigName || row.apiConfigId,
+			model: row.model,
+			inputTokens: 0,
+			outputTokens: 0,
+			cacheReadTokens: 0,
+			costUsd: 0,
+			runs: 0
+		};
+		total.inputTokens += row.inputTokens;
+		total.outputTokens += row.outputTokens;
+		total.cacheReadTokens += row.cacheReadTokens;
+		total.costUsd += row.costUsd;
+		total.runs += row.runs;
+		totals.set(key, total);
+	}
+	return Array.from(totals.values()).sort((a, b) => b.costUsd - a.costUsd);
+}
+
+export function UsageSection() {
+	const { t } = useTranslation();
+	const [days, setDays] = useState<number>(30);
+	const [summary, setSummary] = useState<UsageSummary | null>(null);
+	const [loading, setLoading] = useState(true);
+	const [reloadToken, setReloadToken] = useState(0);
+	const [exporting, setExporting] = useState(false);
+	const [error, setError] = useState<string | null>(null);
+	const [success, setSuccess] = useState<string | null>(null);
+
+	// 加载用量统计，切换范围或刷新时重新加载
+	useEffect(() => {
+		let cancelled = false;
+		window.electron.getUsageSummary(days)
+			.then((result) => {
+				if (cancelled) return;
+				setSummary(result);
+				setError(null);
+			})
+			.catch((err) => {
+				console.error("Failed to load usage summary:", err);
+				if (!cancelled) setError(t("usage.loadFailed"));
+			})
+			.finally(() => {
+				if (!cancelled) setLoading(false);
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [days, reloadToken, t]);
+
+	const reload = (nextDays = days) => {
+		setLoading(true);
+		setDays(nextDays);
+		setReloadToken((token) => token + 1);
+	};
+
+	// 自动清除成功提示
+	useEffect(() => {
+		if (success) {
+			const timer = setTimeout(() => setSuccess(null), 3000);
+			return () => clearTimeout(timer);
+		}
+	}, [success]);
+
+	const dailyTotals = useMemo(() => buildDailyTotals(summary?.daily ?? [], days), [summary, days]);
+	const configModelTotals = useMemo(() => buildConfigModelTotals(summary?.daily ?? []), [summary]);
+	const totalCost = dailyTotals.reduce((sum, day) => sum + day.costUsd, 0);
+	const totalTokens = dailyTotals.reduce((sum, day) => sum + day.tokens, 0);
+	const maxCost = Math.max(...dailyTotals.map((day) => day.costUsd), 0);
+
+	// 导出 CSV
+	const handleExport = async () => {
+		setExporting(true);
+		setError(null);
+		try {
+			const result = await window.electron.exportUsageCsv(days);
+			if (result.success) {
+				setSuccess(t("usage.exported", { path: result.filePath }));
+			} else if (!result.canceled) {
+				setError(result.error || t("usage.exportFailed"));
+			}
+		} catch (err) {
+			console.error("Failed to export usage:", err);
+			setError(t("usage.exportFailed"));
+		} finally {
+			setExporting(false);
+		}
+	};
+
+	const barWidth = 100 / dailyTotals.length;
+
+	return (
+		<section className="space-y-6">
+			<header>
+				<h1 className="text-2xl font-semibold text-ink-900">{t("usage.title")}</h1>
+				<p className="mt-2 text-sm text-muted">{t("usage.subtitle")}</p>
+			</header>
+
+			<div className="flex items-center justify-between gap-3">
+				<div className="flex items-center gap-1 rounded-xl border border-ink-900/10 bg-surface-secondary p-1">
+					{RANGE_OPTIONS.map((option) => (
+						<button
+							key={option}
+							className={`rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${
+								days === option ? "bg-accent text-white" : "text-ink-700 hover:bg-surface-tertiary"
+							}`}
+							onClick={() => reload(option)}
+						>
+							{t("usage.lastDays", { count: option })}
+						</button>
+					))}
+				</div>
+				<div className="flex items-center gap-2">
+					<button
+						className="rounded-xl border border-ink-900/10 bg-surface-secondary px-4 py-2 text-sm text-ink-700 hover:bg-surface-tertiary transition-colors disabled:opacity-50"
+						onClick={() => reload()}
+						disabled={loading}
+					>
+						{loading ? t("usage.loading") : t("usage.refresh")}
+					</button>
+					<button
+						className="rounded-xl bg-accent px-4 py-2 text-sm font-medium text-white hover:bg-accent-hover transition-colors disabled:opacity-50"
+						onClick={handleExport}
+						disabled={exporting}
+					>
+						{t("usage.exportCsv")}
+					</button>
+				</div>
+			</div>
+
+			{error && (
+				<div className="rounded-xl border border-error/20 bg-error-light px-4 py-2.5 text-sm text-error">{error}</div>
+			)}
+			{success && (
+				<div className="rounded-xl border border-success/20 bg-success-light px-4 py-2.5 text-sm text-success">{success}</div>
+			)}
+
+			{/* 汇总 */}
+			<div className="grid grid-cols-2 gap-3">
+				<div className="rounded-xl border border-ink-900/10 bg-surface-secondary px-4 py-3">
+					<div className="text-xs text-muted">{t("usage.totalCost")}</div>
+					<div className="mt-1 text-xl font-semibold text-ink-900">{formatCost(totalCost)}</div>
+				</div>
+				<div className="rounded-xl border border-ink-900/10 bg-surface-secondary px-4 py-3">
+					<div className="text-xs text-muted">{t("usage.totalTokens")}</div>
+					<div className="mt-1 text-xl font-semibold text-ink-900">{formatTokens(totalTokens)}</div>
+				</div>
+			</div>
+
+			{/* 每日费用 */}
+			<div className="rounded-xl border border-ink-900/10 bg-surface-secondary p-4">
+				<div className="mb-3 text-sm font-medium text-ink-800">{t("usage.dailyCost")}</div>
+				<svg
+					className="w-full text-accent"
+					viewBox={`0 0 100 ${CHART_HEIGHT}`}
+					preserveAspectRatio="none"
+					style={{ height: CHART_HEIGHT }}
+					role="img"
+					aria-label={t("usage.dailyCost")}
+				>
+					{dailyTotals.map((day, index) => {
+						const height = maxCost > 0 ? (day.costUsd / maxCost) * CHART_HEIGHT : 0;
+						return (
+							<rect
+								key={day.date}
+								x={index * barWidth + CHART_BAR_GAP / dailyTotals.length}
+								y={CHART_HEIGHT - height}
+								width={Math.max(barWidth - (CHART_BAR_GAP * 2) / dailyTotals.length, 0.1)}
+								height={height}
+								fill="currentColor"
+							>
+								<title>{`${day.date}: ${formatCost(day.costUsd)} · ${formatTokens(day.tokens)} tokens`}</title>
+							</rect>
+						);
+					})}
+				</svg>
+				<div className="mt-2 flex justify-between text-xs text-muted">
+					<span>{dailyTotals[0]?.date}</span>
+					<span>{dailyTotals[dailyTotals.length - 1]?.date}</span>
+				</div>
+			</div>
+
+			{/* 按 API 配置和模型 */}
+			<div className="space-y-2">
+				<div className="text-sm font-medium text-ink-800">{t("usage.byConfigModel")}</div>
+				{configModelTotals.length === 0 ? (
+					<div className="rounded-xl border border-ink-900/10 bg-surface-secondary px-4 py-6 text-center text-sm text-muted">
+						{t("usage.empty")}
+					</div>
+				) : (
+					<div className="overflow-x-auto rounded-xl border border-ink-900/10">
+						<table className="w-full text-sm">
+							<thead className="bg-surface-secondary text-xs text-muted">
+								<tr>
+									<th className="px-3 py-2 text-left font-medium">{t("usage.apiConfig")}</th>
+									<th className="px-3 py-2 text-left font-medium">{t("usage.model")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.inputTokens")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.outputTokens")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.cacheReadTokens")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.runs")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.cost")}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{configModelTotals.map((row) => (
+									<tr key={row.key} className="border-t border-ink-900/5 text-ink-700">
+										<td className="px-3 py-2">{row.apiConfigName}</td>
+										<td className="px-3 py-2 font-mono text-xs">{row.model}</td>
+										<td className="px-3 py-2 text-right">{formatTokens(row.inputTokens)}</td>
+										<td className="px-3 py-2 text-right">{formatTokens(row.outputTokens)}</td>
+										<td className="px-3 py-2 text-right">{formatTokens(row.cacheReadTokens)}</td>
+										<td className="px-3 py-2 text-right">{row.runs}</td>
+										<td className="px-3 py-2 text-right">{formatCost(row.costUsd)}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				)}
+			</div>
+
+			{/* 按会话 */}
+			{summary && summary.sessions.length > 0 && (
+				<div className="space-y-2">
+					<div className="text-sm font-medium text-ink-800">{t("usage.topSessions")}</div>
+					<div className="overflow-x-auto rounded-xl border border-ink-900/10">
+						<table className="w-full text-sm">
+							<thead className="bg-surface-secondary text-xs text-muted">
+								<tr>
+									<th className="px-3 py-2 text-left font-medium">{t("usage.session")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.inputTokens")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.outputTokens")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.runs")}</th>
+									<th className="px-3 py-2 text-right font-medium">{t("usage.cost")}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{summary.sessions.map((row) => (
+									<tr key={row.sessionId} className="border-t border-ink-900/5 text-ink-700">
+										<td className="px-3 py-2">
+											{row.sessionTitle ?? <span className="text-muted">{t("usage.deletedSession")}</span>}
+										</td>
+										<td className="px-3 py-2 text-right">{formatTokens(row.inputTokens)}</td>
+										<td className="px-3 py-2 text-right">{formatTokens(row.outputTokens)}</td>
+										<td className="px-3 py-2 text-right">{row.runs}</td>
+										<td className="px-3 py-2 text-right">{formatCost(row.costUsd)}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				</div>
+			)}
+
+			<p className="text-xs text-muted">{t("usage.hint")}</p>
+		</section>
+	);
+}
@@ -0,0 +1,137 @@
+/**
+ * DuplicateClusters - 重复记忆整理
+ * 查找近似重复的记忆簇，合并为一条保留来源和时间的记忆
+ */
+
+import { useState } from "react";
+import type { MemoryDuplicateCluster } from "../../../../types";
+import { getScopeLabel } from "./scope";
+
+// 相似度计算方式说明
+const METHOD_LABELS: Record<MemoryDuplicateCluster['method'], string> = {
+  shingle: '文本相似度',
+  vector: '向量相似度',
+};
+
+interface DuplicateClustersProps {
+  /** 分类定义，用于显示分类名称 */
+  categories: Array<{ id: string; name: string; icon: string }>;
+  /** 合并后回调（刷新文档列表） */
+  onChanged?: () => void;
+}
+
+// 簇的标识：簇内文档 ID
+const clusterKey = (cluster: MemoryDuplicateCluster) => cluster.documents.map(doc => doc.id).join(',');
+
+export function DuplicateClusters({ categories, onChanged }: DuplicateClustersProps) {
+  const [clusters, setClusters] = useState<MemoryDuplicateCluster[] | null>(null);
+  const [scanning, setScanning] = useState(false);
+  const [busyKey, setBusyKey] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const getCategoryName = (label: string) => {
+    const category = categories.find(c => c.id === label);
+    return category ? `${category.icon} ${category.name}` : label;
+  };
+
+  const handleScan = async () => {
+    setError(null);
+    setScanning(true);
+    try {
+      const result = await window.electron.memoryFindDuplicates();
+      if (!result.success) {
+        setError(result.error || '查找重复记忆失败');
+        return;
+      }
+      setClusters(result.clusters || []);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const removeCluster = (key: string) => {
+    setClusters(prev => prev?.filter(cluster => clusterKey(cluster) !== key) ?? null);
+  };
+
+  const handleMerge = async (cluster: MemoryDuplicateCluster) => {
+    const key = clusterKey(cluster);
+    setError(null);
+    setBusyKey(key);
+    try {
+      const result = await window.electron.memoryMergeDocuments(cluster.documents.map(doc => doc.id));
+      if (!result.success) {
+        setError(result.error || '合并记忆失败');
+        return;
+      }
+      removeCluster(key);
+      onChanged?.();
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-ink-900/10 bg-surface-secondary p-4 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-medium text-ink-900">重复记忆</h3>
+          <p className="text-xs text-muted mt-1">
+            查找内容近似的记忆并合并，合并后的记忆保留每条原始记忆的来源和时间。
+          </p>
+        </div>
+        <button
+          className="shrink-0 rounded-lg border border-ink-900/10 px-3 py-1.5 text-xs text-ink-700 hover:bg-ink-900/5 transition-colors cursor-pointer disabled:opacity-50"
+          disabled={scanning}
+          onClick={handleScan}
+        >
+          {scanning ? '查找中...' : '查找重复'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-error/20 bg-error-light px-3 py-2 text-xs text-error">{error}</div>
+      )}
+
+      {clusters && clusters.length === 0 && (
+        <div className="text-xs text-muted">没有发现重复记忆</div>
+      )}
+
+      {clusters && clusters.length > 0 && (
+        <div className="space-y-2">
+          {clusters.map((cluster) => {
+            const key = clusterKey(cluster);
+            return (
+              <div key={key} className="rounded-lg border border-ink-900/10 bg-surface p-3 space-y-2">
+                <div className="text-[11px] text-muted">
+                  {cluster.documents.length} 条记忆 · {METHOD_LABELS[cluster.method]} {Math.round(cluster.similarity * 100)}%
+                </div>
+                {cluster.documents.map((doc) => (
+                  <div key={doc.id} className="border-l-2 border-ink-900/10 pl-2">
+                    <div className="text-xs font-medium text-ink-900 truncate">{doc.title}</div>
+                    <div className="text-[11px] text-muted">
+                      {getCategoryName(doc.label)} · {getScopeLabel(doc.scope)}
+                      {doc.createdAt && ` · ${new Date(doc.createdAt).toLocaleString()}`}
+                    </div>
+                    <p className="text-xs text-ink-700 whitespace-pre-wrap line-clamp-2">{doc.text}</p>
+                  </div>
+                ))}
+                <div className="flex justify-end gap-3 text-xs">
+                  <button
+                    className="text-accent hover:text-accent-hover transition-colors cursor-pointer disabled:opacity-50"
+                    disabled={busyKey === key}
+                    onClick={() => handleMerge(cluster)}
+                  >
+                    合并为一条
+                  </button>
+                  <button className="text-muted hover:text-ink-700 transition-colors cursor-pointer" onClick={() => removeCluster(key)}>
+                    忽略
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
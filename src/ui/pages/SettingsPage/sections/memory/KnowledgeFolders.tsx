@@ -0,0 +1,218 @@
+/**
+ * KnowledgeFolders - 知识文件夹管理
+ * 登记由主进程监听的文件夹，显示每个文件夹的同步状态
+ */
+
+import { useEffect, useState } from "react";
+import type { KnowledgeFolder, KnowledgeFolderStatus } from "../../../../types";
+
+// 同步状态说明
+const STATE_LABELS: Record<KnowledgeFolderStatus['state'], { text: string; className: string }> = {
+  idle: { text: '未监听', className: 'bg-ink-900/5 text-muted' },
+  syncing: { text: '同步中', className: 'bg-accent/10 text-accent' },
+  watching: { text: '监听中', className: 'bg-success-light text-success' },
+  error: { text: '错误', className: 'bg-error-light text-error' },
+};
+
+// glob 列表 <-> 输入框文本（逗号或换行分隔）
+const parsePatterns = (value: string) => value.split(/[,\n]/).map(p => p.trim()).filter(Boolean);
+const formatPatterns = (patterns: string[]) => patterns.join(', ');
+
+const INPUT_CLASS =
+  "w-full rounded-lg border border-ink-900/10 bg-surface px-3 py-1.5 text-xs text-ink-800 font-mono focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors";
+
+export function KnowledgeFolders() {
+  const [folders, setFolders] = useState<KnowledgeFolder[]>([]);
+  const [statuses, setStatuses] = useState<Record<string, KnowledgeFolderStatus>>({});
+  const [error, setError] = useState<string | null>(null);
+  // 正在编辑过滤规则的文件夹
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [includeDraft, setIncludeDraft] = useState('');
+  const [excludeDraft, setExcludeDraft] = useState('');
+
+  const applyList = (result: { folders: KnowledgeFolder[]; statuses: KnowledgeFolderStatus[] }) => {
+    setFolders(result.folders);
+    setStatuses(Object.fromEntries(result.statuses.map(status => [status.folderId, status])));
+  };
+
+  // 加载文件夹列表并订阅同步状态
+  useEffect(() => {
+    let cancelled = false;
+    window.electron.getKnowledgeFolders()
+      .then((result) => {
+        if (!cancelled) applyList(result);
+      })
+      .catch((err) => console.error('Failed to load knowledge folders:', err));
+
+    const unsubscribe = window.electron.onKnowledgeFolderStatus((status) => {
+      setStatuses(prev => ({ ...prev, [status.folderId]: status }));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const reload = async () => {
+    applyList(await window.electron.getKnowledgeFolders());
+  };
+
+  const handleAdd = async () => {
+    setError(null);
+    const result = await window.electron.addKnowledgeFolder();
+    if (result.canceled) return;
+    if (!result.success) {
+      setError(result.error || '添加文件夹失败');
+      return;
+    }
+    await reload();
+  };
+
+  const handleUpdate = async (id: string, updates: { include?: string[]; exclude?: string[]; enabled?: boolean }) => {
+    setError(null);
+    const result = await window.electron.updateKnowledgeFolder(id, updates);
+    if (!result.success) {
+      setError(result.error || '更新文件夹失败');
+      return;
+    }
+    await reload();
+  };
+
+  const handleRemove = async (folder: KnowledgeFolder) => {
+    if (!confirm(`确定要移除「${folder.path}」吗？该文件夹同步到记忆中的内容也会被删除。`)) {
+      return;
+    }
+    setError(null);
+    const result = await window.electron.removeKnowledgeFolder(folder.id);
+    if (!result.success) {
+      setError(result.error || '移除文件夹失败');
+      return;
+    }
+    await reload();
+  };
+
+  const startEditing = (folder: KnowledgeFolder) => {
+    setEditingId(folder.id);
+    setIncludeDraft(formatPatterns(folder.include));
+    setExcludeDraft(formatPatterns(folder.exclude));
+  };
+
+  const saveEditing = async () => {
+    if (!editingId) return;
+    await handleUpdate(editingId, { include: parsePatterns(includeDraft), exclude: parsePatterns(excludeDraft) });
+    setEditingId(null);
+  };
+
+  return (
+    <div className="rounded-xl border border-ink-900/10 bg-surface-secondary p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-sm font-medium text-ink-900">知识文件夹</h3>
+          <p className="text-xs text-muted mt-1">
+            自动监听文件夹，新增、修改和删除的文档会同步到记忆；内容未变的文件会跳过。
+          </p>
+        </div>
+        <button
+          className="shrink-0 rounded-lg bg-accent px-3 py-1.5 text-xs font-medium text-white hover:bg-accent-hover transition-colors cursor-pointer"
+          onClick={handleAdd}
+        >
+          + 添加文件夹
+        </button>
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-error/20 bg-error-light px-3 py-2 text-xs text-error">{error}</div>
+      )}
+
+      {folders.length === 0 ? (
+        <div className="py-4 text-center text-xs text-muted">尚未添加知识文件夹</div>
+      ) : (
+        <div className="space-y-2">
+          {folders.map((folder) => {
+            const status = statuses[folder.id];
+            const state = STATE_LABELS[status?.state ?? (folder.enabled ? 'syncing' : 'idle')];
+            const failures = Object.entries(status?.failures ?? {});
+
+            return (
+              <div key={folder.id} className="rounded-lg border border-ink-900/10 bg-surface p-3 space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="flex-1 truncate font-mono text-xs text-ink-800" title={folder.path}>{folder.path}</span>
+                  <span className={`shrink-0 rounded-full px-2 py-0.5 text-[10px] font-medium ${state.className}`}>{state.text}</span>
+                </div>
+
+                {/* 同步状态 */}
+                {status && (
+                  <div className="text-xs text-muted">
+                    {status.error ? (
+                      <span className="text-error">{status.error}</span>
+                    ) : (
+                      <>
+                        文件 {status.fileCount} · 本次导入 {status.indexedCount} · 未变 {status.skippedCount} · 移除 {status.removedCount}
+                        {status.lastSyncAt && <> · 上次同步 {new Date(status.lastSyncAt).toLocaleString()}</>}
+                      </>
+                    )}
+                  </div>
+                )}
+                {failures.length > 0 && (
+                  <details className="text-xs text-error">
+                    <summary className="cursor-pointer">{failures.length} 个文件同步失败</summary>
+                    <ul className="mt-1 space-y-0.5">
+                      {failures.map(([relPath, message]) => (
+                        <li key={relPath} className="font-mono break-all">{relPath}: {message}</li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+
+                {/* 过滤规则 */}
+                {editingId === folder.id ? (
+                  <div className="space-y-2">
+                    <div className="grid gap-1">
+                      <label className="text-[11px] text-muted">包含（为空时同步所有 .md / .txt / .html / .json / .pdf）</label>
+                      <input className={INPUT_CLASS} value={includeDraft} placeholder="docs/**, *.md" onChange={(e) => setIncludeDraft(e.target.value)} />
+                    </div>
+                    <div className="grid gap-1">
+                      <label className="text-[11px] text-muted">排除</label>
+                      <input className={INPUT_CLASS} value={excludeDraft} placeholder="**/node_modules/**, drafts" onChange={(e) => setExcludeDraft(e.target.value)} />
+                    </div>
+                    <div className="flex justify-end gap-2">
+                      <button className="px-3 py-1 rounded-lg text-xs text-muted hover:text-ink-700 cursor-pointer" onClick={() => setEditingId(null)}>取消</button>
+                      <button className="px-3 py-1 rounded-lg text-xs font-medium bg-accent text-white hover:bg-accent-hover cursor-pointer" onClick={saveEditing}>保存并重新同步</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-[11px] text-muted font-mono">
+                    <div>包含: {folder.include.length > 0 ? formatPatterns(folder.include) : '全部支持的文件'}</div>
+                    <div>排除: {folder.exclude.length > 0 ? formatPatterns(folder.exclude) : '无'}</div>
+                  </div>
+                )}
+
+                <div className="flex justify-end gap-3 text-xs">
+                  <button
+                    className="text-accent hover:text-accent-hover transition-colors cursor-pointer disabled:opacity-50"
+                    onClick={() => window.electron.syncKnowledgeFolder(folder.id)}
+                    disabled={!folder.enabled || status?.state === 'syncing'}
+                  >
+                    立即同步
+                  </button>
+                  <button className="text-muted hover:text-ink-700 transition-colors cursor-pointer" onClick={() => startEditing(folder)}>
+                    过滤规则
+                  </button>
+                  <button
+                    className="text-muted hover:text-ink-700 transition-colors cursor-pointer"
+                    onClick={() => handleUpdate(folder.id, { enabled: !folder.enabled })}
+                  >
+                    {folder.enabled ? '暂停' : '启用'}
+                  </button>
+                  <button className="text-muted hover:text-error transition-colors cursor-pointer" onClick={() => handleRemove(folder)}>
+                    移除
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
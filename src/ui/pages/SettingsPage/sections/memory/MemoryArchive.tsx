@@ -0,0 +1,160 @@
+/**
+ * MemoryArchive - 记忆归档
+ * 显示过期或手动归档的记忆，可以恢复到记忆存储或永久删除
+ */
+
+import { useEffect, useState } from "react";
+import type { ArchivedMemory } from "../../../../types";
+import { getScopeLabel } from "./scope";
+
+// 归档原因说明
+const REASON_LABELS: Record<ArchivedMemory['reason'], string> = {
+  expired: '已过期',
+  manual: '手动归档',
+};
+
+interface MemoryArchiveProps {
+  /** 分类定义，用于显示分类名称 */
+  categories: Array<{ id: string; name: string; icon: string }>;
+  /** 变化时重新加载归档（在外部归档记忆后递增） */
+  refreshKey?: number;
+  /** 恢复或清理后回调（刷新文档列表） */
+  onChanged?: () => void;
+}
+
+export function MemoryArchive({ categories, refreshKey, onChanged }: MemoryArchiveProps) {
+  const [items, setItems] = useState<ArchivedMemory[]>([]);
+  const [expanded, setExpanded] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [sweeping, setSweeping] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electron.memoryArchiveList()
+      .then((result) => {
+        if (!cancelled) setItems(result);
+      })
+      .catch((err) => console.error('Failed to load memory archive:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const reload = async () => {
+    setItems(await window.electron.memoryArchiveList());
+  };
+
+  const getCategoryName = (label: string) => {
+    const category = categories.find(c => c.id === label);
+    return category ? `${category.icon} ${category.name}` : label;
+  };
+
+  // 执行操作后刷新归档
+  const runAction = async (id: string, action: () => Promise<{ success: boolean; error?: string }>, restored: boolean) => {
+    setError(null);
+    setMessage(null);
+    setBusyId(id);
+    try {
+      const result = await action();
+      if (!result.success) {
+        setError(result.error || '操作失败');
+        return;
+      }
+      await reload();
+      if (restored) onChanged?.();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (item: ArchivedMemory) => {
+    if (!confirm(`确定要永久删除归档记忆 "${item.title}" 吗？此操作不可恢复！`)) {
+      return;
+    }
+    await runAction(item.id, () => window.electron.memoryArchiveDelete(item.id), false);
+  };
+
+  // 立即归档过期记忆
+  const handleSweep = async () => {
+    setError(null);
+    setMessage(null);
+    setSweeping(true);
+    try {
+      const result = await window.electron.memorySweepExpired();
+      if (!result.success) {
+        setError(result.error || '清理过期记忆失败');
+        return;
+      }
+      setMessage(result.count ? `已归档 ${result.count} 条过期记忆` : '没有过期的记忆');
+      if (result.count) {
+        setExpanded(true);
+        await reload();
+        onChanged?.();
+      }
+    } finally {
+      setSweeping(false);
+    }
+  };
+
+  return (
+    <div className="rounded-xl border border-ink-900/10 bg-surface-secondary p-4 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <button className="text-left cursor-pointer" onClick={() => setExpanded(!expanded)}>
+          <h3 className="text-sm font-medium text-ink-900">
+            {expanded ? '▾' : '▸'} 记忆归档 ({items.length})
+          </h3>
+          <p className="text-xs text-muted mt-1">
+            超过保留期限的记忆会被定期归档，恢复后重新计算保留期限。
+          </p>
+        </button>
+        <button
+          className="shrink-0 rounded-lg border border-ink-900/10 px-3 py-1.5 text-xs text-ink-700 hover:bg-ink-900/5 transition-colors cursor-pointer disabled:opacity-50"
+          disabled={sweeping}
+          onClick={handleSweep}
+        >
+          {sweeping ? '清理中...' : '立即清理过期'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-error/20 bg-error-light px-3 py-2 text-xs text-error">{error}</div>
+      )}
+      {message && <div className="text-xs text-muted">{message}</div>}
+
+      {expanded && (items.length === 0 ? (
+        <div className="text-xs text-muted">暂无归档的记忆</div>
+      ) : (
+        <div className="space-y-2">
+          {items.map((item) => (
+            <div key={item.id} className="rounded-lg border border-ink-900/10 bg-surface p-3 space-y-1">
+              <div className="text-sm font-medium text-ink-900 truncate">{item.title}</div>
+              <div className="text-[11px] text-muted">
+                {getCategoryName(item.label)} · {getScopeLabel(item.scope)} · {REASON_LABELS[item.reason]}于 {new Date(item.archivedAt).toLocaleString()}
+                {item.createdAt && ` · 创建于 ${new Date(item.createdAt).toLocaleString()}`}
+              </div>
+              <p className="text-xs text-ink-700 whitespace-pre-wrap line-clamp-2">{item.text}</p>
+              <div className="flex justify-end gap-3 text-xs">
+                <button
+                  className="text-accent hover:text-accent-hover transition-colors cursor-pointer disabled:opacity-50"
+                  disabled={busyId === item.id}
+                  onClick={() => runAction(item.id, () => window.electron.memoryArchiveRestore(item.id), true)}
+                >
+                  恢复
+                </button>
+                <button
+                  className="text-muted hover:text-error transition-colors cursor-pointer disabled:opacity-50"
+                  disabled={busyId === item.id}
+                  onClick={() => handleDelete(item)}
+                >
+                  永久删除
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+/**
+ * MemoryInbox - 记忆收件箱
+ * 自动生成的记忆在这里等待审核：批准、编辑后批准、合并到相似记忆或丢弃
+ */
+
+import { useEffect, useState } from "react";
+import { useAppStore } from "../../../../store/useAppStore";
+import type { PendingMemory, SimilarMemory } from "../../../../types";
+import { getScopeLabel } from "./scope";
+
+// 来源说明
+const SOURCE_LABELS: Record<PendingMemory['source'], string> = {
+  memory_store: 'AI 调用 memory_store',
+  auto_store: '会话结束自动分析',
+};
+
+// 差异行样式
+const DIFF_LINE_CLASS = {
+  same: 'text-muted',
+  added: 'bg-success-light text-success',
+  removed: 'bg-error-light text-error line-through',
+} as const;
+
+const INPUT_CLASS =
+  "w-full rounded-lg border border-ink-900/10 bg-surface px-3 py-1.5 text-xs text-ink-800 focus:border-accent focus:outline-none focus:ring-1 focus:ring-accent/20 transition-colors";
+
+interface MemoryInboxProps {
+  /** 分类定义，用于显示分类名称和编辑时选择 */
+  categories: Array<{ id: string; name: string; icon: string }>;
+  /** 记忆写入长期记忆后回调（刷新文档列表） */
+  onChanged?: () => void;
+}
+
+export function MemoryInbox({ categories, onChanged }: MemoryInboxProps) {
+  const sessions = useAppStore((state) => state.sessions);
+  const [items, setItems] = useState<PendingMemory[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  // 展开的条目及其相似记忆
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [similar, setSimilar] = useState<SimilarMemory[]>([]);
+  const [similarLoading, setSimilarLoading] = useState(false);
+  const [compareId, setCompareId] = useState<string | null>(null);
+
+  // 编辑草稿
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState({ title: '', text: '', label: 'custom' });
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electron.memoryInboxList()
+      .then((result) => {
+        if (!cancelled) setItems(result);
+      })
+      .catch((err) => console.error('Failed to load memory inbox:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const reload = async () => {
+    setItems(await window.electron.memoryInboxList());
+  };
+
+  const getCategoryName = (label: string) => {
+    const category = categories.find(c => c.id === label);
+    return category ? `${category.icon} ${category.name}` : label;
+  };
+
+  const getSessionTitle = (sessionId?: string) => {
+    if (!sessionId) return '未知会话';
+    return sessions[sessionId]?.title || sessionId.slice(0, 8);
+  };
+
+  // 展开条目时加载相似记忆
+  const toggleExpand = async (item: PendingMemory) => {
+    if (expandedId === item.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(item.id);
+    setSimilar([]);
+    setCompareId(null);
+    setSimilarLoading(true);
+    try {
+      const result = await window.electron.memoryInboxSimilar(item.id);
+      if (result.success && result.similar) {
+        setSimilar(result.similar);
+        setCompareId(result.similar[0]?.id ?? null);
+      }
+    } finally {
+      setSimilarLoading(false);
+    }
+  };
+
+  // 执行操作后刷新收件箱
+  const runAction = async (id: string, action: () => Promise<{ success: boolean; error?: string }>, wroteMemory: boolean) => {
+    setError(null);
+    setBusyId(id);
+    try {
+      const result = await action();
+      if (!result.success) {
+        setError(result.error || '操作失败');
+        return;
+      }
+      if (expandedId === id) setExpandedId(null);
+      if (editingId === id) setEditingId(null);
+      await reload();
+      if (wroteMemory) onChanged?.();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const startEditing = (item: PendingMemory) => {
+    setEditingId(item.id);
+    setDraft({ title: item.title, text: item.text, label: item.label });
+  };
+
+  const saveDraft = async (id: string) => {
+    await runAction(id, async () => {
+      const result = await window.electron.memoryInboxUpdate(id, draft);
+      if (result.success) setEditingId(null);
+      return result;
+    }, false);
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="rounded-xl border border-accent/20 bg-accent/5 p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-ink-900">记忆收件箱 ({items.length})</h3>
+        <p className="text-xs text-muted mt-1">
+          自动生成的记忆需要审核后才会写入长期记忆。可在设置中指定免审核的分类。
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-error/20 bg-error-light px-3 py-2 text-xs text-error">{error}</div>
+      )}
+
+      <div className="space-y-2">
+        {items.map((item) => {
+          const compared = similar.find(s => s.id === compareId);
+          const busy = busyId === item.id;
+
+          return (
+            <div key={item.id} className="rounded-lg border border-ink-900/10 bg-surface p-3 space-y-2">
+              <div className="flex items-start gap-2">
+                <button className="flex-1 min-w-0 text-left cursor-pointer" onClick={() => toggleExpand(item)}>
+                  <div className="text-sm font-medium text-ink-900 truncate">{item.title}</div>
+                  <div className="mt-0.5 text-[11px] text-muted">
+                    {getCategoryName(item.label)} · {getScopeLabel(item.scope)} · {SOURCE_LABELS[item.source]} · 来自「{getSessionTitle(item.sessionId)}」 · {new Date(item.createdAt).toLocaleString()}
+                  </div>
+                </button>
+              </div>
+
+              {editingId === item.id ? (
+                <div className="space-y-2">
+                  <input className={INPUT_CLASS} value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
+                  <select className={INPUT_CLASS} value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })}>
+                    {categories.map(c => (
+                      <option key={c.id} value={c.id}>{c.icon} {c.name}</option>
+                    ))}
+                    {!categories.some(c => c.id === draft.label) && <option value={draft.label}>{draft.label}</option>}
+                  </select>
+                  <textarea className={`${INPUT_CLASS} min-h-[120px] font-mono`} value={draft.text} onChange={(e) => setDraft({ ...draft, text: e.target.value })} />
+                  <div className="flex justify-end gap-2">
+                    <button className="px-3 py-1 rounded-lg text-xs text-muted hover:text-ink-700 cursor-pointer" onClick={() => setEditingId(null)}>取消</button>
+                    <button className="px-3 py-1 rounded-lg text-xs text-accent hover:text-accent-hover cursor-pointer disabled:opacity-50" disabled={busy} onClick={() => saveDraft(item.id)}>保存</button>
+                    <button
+                      className="px-3 py-1 rounded-lg text-xs font-medium bg-accent text-white hover:bg-accent-hover cursor-pointer disabled:opacity-50"
+                      disabled={busy || !draft.title.trim() || !draft.text.trim()}
+                      onClick={() => runAction(item.id, () => window.electron.memoryInboxApprove(item.id, draft), true)}
+                    >
+                      保存并批准
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className={`text-xs text-ink-700 whitespace-pre-wrap ${expandedId === item.id ? '' : 'line-clamp-3'}`}>{item.text}</p>
+              )}
+
+              {/* 相似记忆及差异 */}
+              {expandedId === item.id && editingId !== item.id && (
+                <div className="space-y-2 border-t border-ink-900/5 pt-2">
+                  {similarLoading ? (
+                    <div className="text-xs text-muted">正在查找相似记忆...</div>
+                  ) : similar.length === 0 ? (
+                    <div className="text-xs text-muted">没有相似的已有记忆</div>
+                  ) : (
+                    <>
+                      <div className="flex flex-wrap items-center gap-1.5 text-xs">
+                        <span className="text-muted">相似记忆:</span>
+                        {similar.map(s => (
+                          <button
+                            key={s.id}
+                            className={`px-2 py-0.5 rounded cursor-pointer ${compareId === s.id ? 'bg-accent text-white' : 'bg-ink-900/5 text-ink-700 hover:bg-ink-900/10'}`}
+                            onClick={() => setCompareId(s.id)}
+                          >
+                            {s.title}
+                          </button>
+                        ))}
+                      </div>
+                      {compared && (
+                        <pre className="max-h-60 overflow-auto rounded-lg bg-surface-secondary p-2 text-[11px] leading-relaxed font-mono">
+                          {compared.diff.map((line, index) => (
+                            <div key={index} className={DIFF_LINE_CLASS[line.type]}>
+                              {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                            </div>
+                          ))}
+                        </pre>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+
+              {editingId !== item.id && (
+                <div className="flex justify-end gap-3 text-xs">
+                  <button
+                    className="text-accent hover:text-accent-hover transition-colors cursor-pointer disabled:opacity-50"
+                    disabled={busy}
+                    onClick={() => runAction(item.id, () => window.electron.memoryInboxApprove(item.id), true)}
+                  >
+                    批准
+                  </button>
+                  <button className="text-muted hover:text-ink-700 transition-colors cursor-pointer" onClick={() => startEditing(item)}>
+                    编辑
+                  </button>
+                  {expandedId === item.id && compareId && (
+                    <button
+                      className="text-muted hover:text-ink-700 transition-colors cursor-pointer disabled:opacity-50"
+                      disabled={busy}
+                      onClick={() => runAction(item.id, () => window.electron.memoryInboxMerge(item.id, compareId), true)}
+                    >
+                      合并到所选记忆
+                    </button>
+                  )}
+                  <button
+                    className="text-muted hover:text-error transition-colors cursor-pointer disabled:opacity-50"
+                    disabled={busy}
+                    onClick={() => runAction(item.id, () => window.electron.memoryInboxDiscard(item.id), false)}
+                  >
+                    丢弃
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+/**
+ * MemoryTransfer - 记忆备份与迁移
+ * 导出所有记忆为 JSONL、从 JSONL 导入，以及在 Memvid 和文件系统后端之间迁移
+ */
+
+import { useEffect, useState } from "react";
+import type { MemoryBackend, MemoryTransferResult } from "../../../../types";
+
+// 存储后端说明
+const BACKEND_LABELS: Record<MemoryBackend, string> = {
+  memvid: 'Memvid（.mv2 文件）',
+  filesystem: '文件系统（JSON 文件）',
+};
+
+interface MemoryTransferProps {
+  /** 导入或迁移后回调（刷新文档列表） */
+  onChanged?: () => void;
+}
+
+// 导入或迁移结果说明
+const describeResult = (action: string, result: MemoryTransferResult) => {
+  let text = `${action} ${result.imported ?? 0} 条记忆`;
+  if (result.skipped) text += `，跳过 ${result.skipped} 条重复`;
+  if (result.errors?.length) text += `，${result.errors.length} 行无效`;
+  return text;
+};
+
+export function MemoryTransfer({ onChanged }: MemoryTransferProps) {
+  const [backend, setBackend] = useState<MemoryBackend | null>(null);
+  const [busy, setBusy] = useState<'export' | 'import' | 'migrate' | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [invalidLines, setInvalidLines] = useState<Array<{ line: number; error: string }>>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electron.memoryGetBackend()
+      .then((result) => {
+        if (!cancelled && result.success && result.backend) setBackend(result.backend);
+      })
+      .catch((err) => console.error('Failed to load memory backend:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const otherBackend: MemoryBackend = backend === 'memvid' ? 'filesystem' : 'memvid';
+
+  // 执行操作，完成后显示结果
+  const run = async (kind: 'export' | 'import' | 'migrate', action: () => Promise<void>) => {
+    setError(null);
+    setMessage(null);
+    setInvalidLines([]);
+    setBusy(kind);
+    try {
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleExport = () => run('export', async () => {
+    const result = await window.electron.memoryExportJsonl();
+    if (result.canceled) return;
+    if (!result.success) {
+      setError(result.error || '导出记忆失败');
+      return;
+    }
+    setMessage(`已导出 ${result.count ?? 0} 条记忆到 ${result.filePath}`);
+  });
+
+  const handleImport = () => run('import', async () => {
+    const result = await window.electron.memoryImportJsonl();
+    if (result.canceled) return;
+    setInvalidLines(result.errors ?? []);
+    if (!result.success) {
+      setError(result.error || '导入记忆失败');
+      return;
+    }
+    setMessage(describeResult('已导入', result));
+    onChanged?.();
+  });
+
+  const handleMigrate = () => {
+    if (!backend) return;
+    if (!confirm(`确定要把所有记忆迁移到${BACKEND_LABELS[otherBackend]}吗？迁移后将使用新的存储后端，原后端的数据会保留。`)) {
+      return;
+    }
+    run('migrate', async () => {
+      const result = await window.electron.memoryMigrateBackend(otherBackend);
+      if (!result.success) {
+        setError(result.error || '迁移存储后端失败');
+        return;
+      }
+      setBackend(otherBackend);
+      setMessage(describeResult('已迁移', result));
+      onChanged?.();
+    });
+  };
+
+  return (
+    <div className="rounded-xl border border-ink-900/10 bg-surface-secondary p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-ink-900">备份与迁移</h3>
+        <p className="text-xs text-muted mt-1">
+          当前存储后端：{backend ? BACKEND_LABELS[backend] : '加载中...'}。导出的 JSONL 文件包含所有记忆的分类、标签和元数据，导入时会跳过内容相同的记忆。
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          className="rounded-lg border border-ink-900/10 px-3 py-1.5 text-xs text-ink-700 hover:bg-ink-900/5 transition-colors cursor-pointer disabled:opacity-50"
+          disabled={busy !== null}
+          onClick={handleExport}
+        >
+          {busy === 'export' ? '导出中...' : '导出 JSONL'}
+        </button>
+        <button
+          className="rounded-lg border border-ink-900/10 px-3 py-1.5 text-xs text-ink-700 hover:bg-ink-900/5 transition-colors cursor-pointer disabled:opacity-50"
+          disabled={busy !== null}
+          onClick={handleImport}
+        >
+          {busy === 'import' ? '导入中...' : '导入 JSONL'}
+        </button>
+        <button
+          className="rounded-lg border border-ink-900/10 px-3 py-1.5 text-xs text-ink-700 hover:bg-ink-900/5 transition-colors cursor-pointer disabled:opacity-50"
+          disabled={busy !== null || !backend}
+          onClick={handleMigrate}
+        >
+          {busy === 'migrate' ? '迁移中...' : `迁移到${BACKEND_LABELS[otherBackend]}`}
+        </button>
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-error/20 bg-error-light px-3 py-2 text-xs text-error">{error}</div>
+      )}
+      {message && <div className="text-xs text-muted">{message}</div>}
+      {invalidLines.length > 0 && (
+        <ul className="text-[11px] text-muted space-y-0.5">
+          {invalidLines.slice(0, 10).map((item) => (
+            <li key={item.line}>第 {item.line} 行：{item.error}</li>
+          ))}
+          {invalidLines.length > 10 && <li>……另有 {invalidLines.length - 10} 行无效</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
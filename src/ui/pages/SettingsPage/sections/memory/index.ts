@@ -0,0 +1,21 @@
+/**
+ * Memory 管理子组件入口
+ */
+
+// 知识文件夹
+export { KnowledgeFolders } from './KnowledgeFolders';
+
+// 记忆收件箱
+export { MemoryInbox } from './MemoryInbox';
+
+// 重复记忆整理
+export { DuplicateClusters } from './DuplicateClusters';
+
+// 记忆归档
+export { MemoryArchive } from './MemoryArchive';
+
+// 备份与迁移
+export { MemoryTransfer } from './MemoryTransfer';
+
+// 作用域显示
+export { GLOBAL_SCOPE, getScopeLabel } from './scope';
@@ -0,0 +1,10 @@
+/**
+ * 记忆作用域显示
+ */
+
+// 全局作用域，其余作用域为项目根目录
+export const GLOBAL_SCOPE = 'global';
+
+// 作用域显示名：全局或项目目录名
+export const getScopeLabel = (scope: string) =>
+  scope === GLOBAL_SCOPE ? '全局' : scope.split(/[\\/]/).filter(Boolean).pop() || scope;
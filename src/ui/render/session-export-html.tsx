@@ -0,0 +1,155 @@
+/**
+ * 会话 HTML 导出
+ * 使用与聊天视图相同的 markdown-enhanced 渲染器生成静态页面，
+ * 并内联当前页面的样式表，导出的文件无需依赖应用即可打开
+ */
+
+import { Fragment, type ReactNode } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import type { StreamMessage } from "../types";
+import {
+  formatResultStats,
+  formatToolResultContent,
+  REDACTED_TOOL_INPUT_LABEL,
+  type SessionExportMeta,
+  type SessionExportOptions,
+} from "@/shared/session-export";
+import MDContentEnhanced from "./markdown-enhanced";
+
+/** 导出页面的基础布局样式，补充应用样式表中没有的部分 */
+const BASE_STYLE = `
+body { margin: 0; background: #fff; }
+.export-page { max-width: 880px; margin: 0 auto; padding: 32px 24px 64px; font-family: system-ui, -apple-system, sans-serif; }
+.export-page pre { white-space: pre-wrap; word-break: break-word; }
+`;
+
+/**
+ * 收集当前页面已加载的样式规则
+ * 跨域样式表无法读取 cssRules，直接跳过
+ */
+function collectPageStyles(): string {
+  if (typeof document === "undefined") return "";
+  return Array.from(document.styleSheets).flatMap((sheet) => {
+    try {
+      return Array.from(sheet.cssRules, (rule) => rule.cssText);
+    } catch {
+      return [];
+    }
+  }).join("\n");
+}
+
+/**
+ * 渲染单条消息，无需导出的消息返回 null
+ */
+function renderExportedMessage(message: StreamMessage, options: SessionExportOptions): ReactNode {
+  switch (message.type) {
+    case "user_prompt":
+      return (
+        <section className="mt-6">
+          <div className="header text-accent">User</div>
+          <div className="mt-2 rounded-xl bg-surface-secondary px-4 py-3 text-ink-800 whitespace-pre-wrap">{message.prompt}</div>
+        </section>
+      );
+
+    case "assistant":
+      return (
+        <section className="mt-4">
+          {message.message.content.map((block, idx) => {
+            if (block.type === "text") {
+              return <MDContentEnhanced key={idx} text={block.text} />;
+            }
+            if (block.type === "tool_use") {
+              return (
+                <div key={idx} className="mt-3 rounded-xl border border-ink-900/10 bg-surface-tertiary px-3 py-2">
+                  <div className="text-sm font-semibold text-accent">{block.name}</div>
+                  {options.redactToolInputs
+                    ? <div className="mt-1 text-sm italic text-muted">{REDACTED_TOOL_INPUT_LABEL}</div>
+                    : <pre className="mt-1 text-sm font-mono text-ink-700">{JSON.stringify(block.input, null, 2)}</pre>}
+                </div>
+              );
+            }
+            return null;
+          })}
+        </section>
+      );
+
+    case "user": {
+      const content = message.message.content;
+      if (!Array.isArray(content)) return null;
+      return (
+        <>
+          {content.map((block, idx) => block.type === "tool_result" ? (
+            <div key={idx} className="mt-3 rounded-xl bg-surface-tertiary p-3">
+              <pre className={`text-sm font-mono ${block.is_error ? "text-red-500" : "text-ink-700"}`}>
+                {formatToolResultContent(block.content)}
+              </pre>
+            </div>
+          ) : null)}
+        </>
+      );
+    }
+
+    case "result":
+      return (
+        <section className="mt-4 rounded-xl border border-ink-900/10 bg-surface-secondary px-4 py-3 text-sm text-ink-700">
+          {formatResultStats(message).map((line) => <div key={line}>{line}</div>)}
+        </section>
+      );
+
+    case "orchestration_result":
+      return (
+        <section className="mt-4">
+          <div className="header text-accent">Orchestration result ({message.mode}, {message.strategy})</div>
+          <MDContentEnhanced text={message.text} />
+        </section>
+      );
+
+    case "agent_section":
+      return message.status === "started"
+        ? <div className="mt-4 text-sm font-semibold text-ink-800">Agent: {message.agentName} (round {message.round})</div>
+        : null;
+
+    case "hook_execution":
+      return (
+        <div className="mt-2 text-xs text-muted">
+          Hook {message.hook} ({message.event}, {message.toolName}) exited with {message.exitCode ?? "no code"}
+          {message.blocked ? " — tool call blocked" : ""}
+        </div>
+      );
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * 将会话渲染为独立的 HTML 页面
+ */
+export function renderSessionHtml(
+  session: SessionExportMeta,
+  messages: StreamMessage[],
+  options: SessionExportOptions
+): string {
+  const title = session.title || session.id;
+  const markup = renderToStaticMarkup(
+    <html lang="en">
+      <head>
+        <meta charSet="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>{title}</title>
+        <style dangerouslySetInnerHTML={{ __html: `${collectPageStyles()}\n${BASE_STYLE}` }} />
+      </head>
+      <body>
+        <main className="export-page text-ink-800">
+          <h1 className="text-2xl font-semibold text-ink-900">{title}</h1>
+          <div className="mt-2 text-sm text-muted">
+            {session.cwd && <div>{session.cwd}</div>}
+            <div>{new Date(session.createdAt).toLocaleString()}</div>
+          </div>
+          {messages.map((message, idx) => <Fragment key={idx}>{renderExportedMessage(message, options)}</Fragment>)}
+        </main>
+      </body>
+    </html>
+  );
+  return `<!DOCTYPE html>\n${markup}`;
+}
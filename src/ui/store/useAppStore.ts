@@ -1,10 +1,12 @@
 import { create } from 'zustand';
-import type { ServerEvent, SessionStatus, StreamMessage } from "../types";
+import type { AbandonedPermission, BudgetStatus, PermissionRuleMatch, QueuedPrompt, ServerEvent, SessionPermissionMode, SessionSearchHit, SessionStatus, StreamMessage } from "../types";
 
 export type PermissionRequest = {
   toolUseId: string;
   toolName: string;
   input: unknown;
+  /** 触发确认的权限规则（如有） */
+  rule?: PermissionRuleMatch;
 };
 
 export type MemoryStatus = {
@@ -26,6 +28,37 @@ export type SessionView = {
   updatedAt?: number;
   hydrated: boolean;
   memoryStatus?: MemoryStatus;
+  /** 分支来源会话 ID */
+  parentSessionId?: string;
+  /** 从导出包导入的时间 */
+  importedAt?: number;
+  /** 导入的会话在用户选择继续之前为只读 */
+  readOnly?: boolean;
+  /** 最近一次预算警告 */
+  budgetWarning?: BudgetStatus;
+  /** 运行期间排队的后续提示词 */
+  queuedPrompts?: QueuedPrompt[];
+  /** 会话中断时被作废的权限请求 */
+  abandonedPermissions?: AbandonedPermission[];
+  /** 权限模式，未设置时为 default */
+  permissionMode?: SessionPermissionMode;
+};
+
+/**
+ * 会话全文搜索结果
+ */
+export type SessionSearchResults = {
+  query: string;
+  hits: SessionSearchHit[];
+  error?: string;
+};
+
+/**
+ * 聊天视图待跳转的消息位置
+ */
+export type ScrollTarget = {
+  sessionId: string;
+  messageIndex: number;
 };
 
 /**
@@ -46,6 +79,8 @@ export type SettingsSection =
   | 'permissions'
   | 'output'
   | 'recovery'
+  | 'usage'
+  | 'budgets'
   | 'rules'
   | 'claudeMd';
 
@@ -54,6 +89,10 @@ interface AppState {
   activeSessionId: string | null;
   prompt: string;
   cwd: string;
+  /** 是否按 Agent 编排配置执行下一条提示词 */
+  orchestrate: boolean;
+  /** 新会话的权限模式 */
+  permissionMode: SessionPermissionMode;
   pendingStart: boolean;
   globalError: string | null;
   sessionsLoaded: boolean;
@@ -61,6 +100,8 @@ interface AppState {
   showSettingsModal: boolean;
   historyRequested: Set<string>;
   apiConfigChecked: boolean;
+  searchResults: SessionSearchResults | null;
+  scrollTarget: ScrollTarget | null;
 
   // 新增：页面状态
   currentPage: 'main' | 'settings';
@@ -68,12 +109,16 @@ interface AppState {
 
   setPrompt: (prompt: string) => void;
   setCwd: (cwd: string) => void;
+  setOrchestrate: (orchestrate: boolean) => void;
+  setPermissionMode: (mode: SessionPermissionMode) => void;
   setPendingStart: (pending: boolean) => void;
   setGlobalError: (error: string | null) => void;
   setShowStartModal: (show: boolean) => void;
   setShowSettingsModal: (show: boolean) => void;
   setActiveSessionId: (id: string | null) => void;
   setApiConfigChecked: (checked: boolean) => void;
+  clearSearchResults: () => void;
+  setScrollTarget: (target: ScrollTarget | null) => void;
   markHistoryRequested: (sessionId: string) => void;
   resolvePermissionRequest: (sessionId: string, toolUseId: string) => void;
   renameSession: (sessionId: string, newTitle: string) => void;
@@ -93,6 +138,8 @@ export const useAppStore = create<AppState>((set, get) => ({
   activeSessionId: null,
   prompt: "",
   cwd: "",
+  orchestrate: false,
+  permissionMode: "default",
   pendingStart: false,
   globalError: null,
   sessionsLoaded: false,
@@ -100,6 +147,8 @@ export const useAppStore = create<AppState>((set, get) => ({
   showSettingsModal: false,
   historyRequested: new Set(),
   apiConfigChecked: false,
+  searchResults: null,
+  scrollTarget: null,
 
   // 新增：页面状态
   currentPage: 'main',
@@ -107,12 +156,16 @@ export const useAppStore = create<AppState>((set, get) => ({
 
   setPrompt: (prompt) => set({ prompt }),
   setCwd: (cwd) => set({ cwd }),
+  setOrchestrate: (orchestrate) => set({ orchestrate }),
+  setPermissionMode: (permissionMode) => set({ permissionMode }),
   setPendingStart: (pendingStart) => set({ pendingStart }),
   setGlobalError: (globalError) => set({ globalError }),
   setShowStartModal: (showStartModal) => set({ showStartModal }),
   setShowSettingsModal: (showSettingsModal) => set({ showSettingsModal }),
   setActiveSessionId: (id) => set({ activeSessionId: id }),
   setApiConfigChecked: (apiConfigChecked) => set({ apiConfigChecked }),
+  clearSearchResults: () => set({ searchResults: null }),
+  setScrollTarget: (scrollTarget) => set({ scrollTarget }),
 
   // 新增：页面切换方法
   setCurrentPage: (currentPage) => set({ currentPage }),
@@ -172,6 +225,11 @@ export const useAppStore = create<AppState>((set, get) => ({
             status: session.status,
             title: session.title,
             cwd: session.cwd,
+            parentSessionId: session.parentSessionId,
+            importedAt: session.importedAt,
+            readOnly: session.readOnly,
+            abandonedPermissions: session.abandonedPermissions,
+            permissionMode: session.permissionMode,
             createdAt: session.createdAt,
             updatedAt: session.updatedAt
           };
@@ -222,7 +280,7 @@ export const useAppStore = create<AppState>((set, get) => ({
       }
 
       case "session.status": {
-        const { sessionId, status, title, cwd } = event.payload;
+        const { sessionId, status, title, cwd, error } = event.payload;
         set((state) => {
           const existing = state.sessions[sessionId] ?? createSession(sessionId);
           return {
@@ -243,6 +301,10 @@ export const useAppStore = create<AppState>((set, get) => ({
           get().setActiveSessionId(sessionId);
           set({ pendingStart: false, showStartModal: false });
         }
+        // 运行失败的原因（如预算用尽）
+        if (status === "error" && error) {
+          set({ globalError: error });
+        }
         break;
       }
 
@@ -273,6 +335,18 @@ export const useAppStore = create<AppState>((set, get) => ({
         break;
       }
 
+      case "session.forked": {
+        // 切换到分支会话，并把被分支的提示词回填到输入框
+        get().setActiveSessionId(event.payload.sessionId);
+        set({ prompt: event.payload.prompt, showStartModal: false });
+        break;
+      }
+
+      case "session.searchResults": {
+        set({ searchResults: event.payload });
+        break;
+      }
+
       case "stream.message": {
         const { sessionId, message } = event.payload;
         set((state) => {
@@ -305,7 +379,7 @@ export const useAppStore = create<AppState>((set, get) => ({
       }
 
       case "permission.request": {
-        const { sessionId, toolUseId, toolName, input } = event.payload;
+        const { sessionId, toolUseId, toolName, input, rule } = event.payload;
         set((state) => {
           const existing = state.sessions[sessionId] ?? createSession(sessionId);
           return {
@@ -313,7 +387,7 @@ export const useAppStore = create<AppState>((set, get) => ({
               ...state.sessions,
               [sessionId]: {
                 ...existing,
-                permissionRequests: [...existing.permissionRequests, { toolUseId, toolName, input }]
+                permissionRequests: [...existing.permissionRequests, { toolUseId, toolName, input, rule }]
               }
             }
           };
@@ -347,6 +421,48 @@ export const useAppStore = create<AppState>((set, get) => ({
         });
         break;
       }
+
+      case "session.queue": {
+        const { sessionId, queue } = event.payload;
+        set((state) => {
+          const existing = state.sessions[sessionId] ?? createSession(sessionId);
+          return {
+            sessions: {
+              ...state.sessions,
+              [sessionId]: { ...existing, queuedPrompts: queue }
+            }
+          };
+        });
+        break;
+      }
+
+      case "session.permissionMode": {
+        const { sessionId, mode } = event.payload;
+        set((state) => {
+          const existing = state.sessions[sessionId] ?? createSession(sessionId);
+          return {
+            sessions: {
+              ...state.sessions,
+              [sessionId]: { ...existing, permissionMode: mode }
+            }
+          };
+        });
+        break;
+      }
+
+      case "budget.warning": {
+        const { sessionId, status } = event.payload;
+        set((state) => {
+          const existing = state.sessions[sessionId] ?? createSession(sessionId);
+          return {
+            sessions: {
+              ...state.sessions,
+              [sessionId]: { ...existing, budgetWarning: status }
+            }
+          };
+        });
+        break;
+      }
     }
   }
 }));
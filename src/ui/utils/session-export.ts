@@ -0,0 +1,74 @@
+/**
+ * 会话导出流程
+ * 读取会话记录 -> 按格式生成文件内容 -> 交给主进程弹出保存对话框并写入
+ */
+
+import type { SessionExportFormat, StreamMessage } from "../types";
+import {
+  buildSessionBundle,
+  getExportFileName,
+  renderSessionMarkdown,
+  type SessionExportMeta,
+  type SessionExportOptions,
+} from "@/shared/session-export";
+import { renderSessionHtml } from "../render/session-export-html";
+
+/**
+ * 导出结果
+ * canceled 表示用户取消了保存对话框
+ */
+export type SessionExportResult = {
+  success: boolean;
+  canceled?: boolean;
+  filePath?: string;
+  error?: string;
+};
+
+/**
+ * 按格式生成导出文件内容
+ */
+export function buildSessionExportContent(
+  format: SessionExportFormat,
+  session: SessionExportMeta,
+  messages: StreamMessage[],
+  options: SessionExportOptions
+): string {
+  switch (format) {
+    case "json":
+      return JSON.stringify(buildSessionBundle(session, messages, options), null, 2);
+    case "html":
+      return renderSessionHtml(session, messages, options);
+    case "markdown":
+      return renderSessionMarkdown(session, messages, options);
+  }
+}
+
+/**
+ * 导出会话到文件
+ */
+export async function exportSessionToFile(
+  sessionId: string,
+  format: SessionExportFormat,
+  options: SessionExportOptions
+): Promise<SessionExportResult> {
+  const result = await window.electron.getSessionHistory(sessionId);
+  if (!result?.success || !result.history) {
+    return { success: false, error: result?.error ?? "Session not found" };
+  }
+
+  const { session: stored, messages } = result.history as {
+    session: SessionExportMeta;
+    messages: StreamMessage[];
+  };
+  const session: SessionExportMeta = {
+    id: stored.id,
+    title: stored.title,
+    cwd: stored.cwd,
+    parentSessionId: stored.parentSessionId,
+    createdAt: stored.createdAt,
+    updatedAt: stored.updatedAt,
+  };
+
+  const content = buildSessionExportContent(format, session, messages, options);
+  return await window.electron.saveSessionExport(getExportFileName(session, format), content);
+}
@@ -0,0 +1,123 @@
+/**
+ * 会话结束自动记忆分析单元测试
+ * 测试重要性阈值、自动存储分类和会话链接
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import type { Session } from '../../src/electron/storage/session-store';
+
+const { analyzeSessionContent, autoStoreMemory } = vi.hoisted(() => ({
+  analyzeSessionContent: vi.fn(),
+  autoStoreMemory: vi.fn(),
+}));
+
+vi.mock('../../src/electron/utils/memory-tools.js', () => ({
+  analyzeSessionContent,
+  autoStoreMemory,
+}));
+
+import { toAnalysisMessages, triggerAutoMemoryAnalysis } from '../../src/electron/libs/runner/memory-manager';
+
+const PROMPT = '如何修复 config 部署时的 error 问题？';
+
+// 编辑文件、执行命令并给出解决方案的一次运行
+const MESSAGES = [
+  { type: 'system', subtype: 'init', session_id: 'sdk-1' },
+  {
+    type: 'assistant',
+    message: {
+      content: [
+        { type: 'tool_use', name: 'Edit', input: { file_path: 'deploy.config.ts' } },
+        { type: 'tool_use', name: 'Bash', input: { command: 'npm run deploy' } },
+      ],
+    },
+  },
+  { type: 'user', message: { content: [{ type: 'tool_result', content: 'ok' }] } },
+  { type: 'assistant', message: { content: [{ type: 'text', text: '已通过修改环境变量配置修复了部署问题 (fixed)。' }] } },
+] as unknown as SDKMessage[];
+
+const memConfig = (overrides: Record<string, unknown> = {}) => ({
+  enabled: true,
+  autoStore: true,
+  autoStoreCategories: ['preference', 'project', 'technical'],
+  defaultK: 6,
+  importanceThreshold: 30,
+  ...overrides,
+});
+
+const session = { id: 'session-1', title: '修复部署配置', cwd: undefined } as unknown as Session;
+
+describe('toAnalysisMessages', () => {
+  it('应该把提示词放在最前，并只保留用户和助手消息', () => {
+    const messages = toAnalysisMessages(PROMPT, MESSAGES);
+    expect(messages.map(m => m.type)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(messages[0].content).toBe(PROMPT);
+  });
+});
+
+describe('triggerAutoMemoryAnalysis', () => {
+  beforeEach(() => {
+    analyzeSessionContent.mockReset().mockResolvedValue({
+      summary: '修复部署配置 | 包含代码修改',
+      keyPoints: ['⚠️ 问题: 部署 error'],
+      shouldStore: true,
+    });
+    autoStoreMemory.mockReset().mockResolvedValue({ success: true, id: 'doc-1' });
+  });
+
+  it('超过阈值时应该存储摘要并链接回会话', async () => {
+    const onEvent = vi.fn();
+    await triggerAutoMemoryAnalysis(session, PROMPT, memConfig(), onEvent, MESSAGES);
+
+    expect(autoStoreMemory).toHaveBeenCalledTimes(1);
+    const [title, summary, keyPoints, label, options] = autoStoreMemory.mock.calls[0];
+    expect(title).toBe('修复部署配置');
+    expect(summary).toBe('修复部署配置 | 包含代码修改');
+    expect(keyPoints).toEqual(['⚠️ 问题: 部署 error']);
+    expect(label).toBe('preference');
+    expect(options).toMatchObject({ sessionId: 'session-1', scope: 'global' });
+    expect(options.metadata.importance).toBeGreaterThanOrEqual(30);
+
+    expect(onEvent).toHaveBeenCalledWith({
+      type: 'memory.status',
+      payload: expect.objectContaining({ sessionId: 'session-1', stored: true, title: '修复部署配置' }),
+    });
+  });
+
+  it('需要审核时应该提示记忆已进入收件箱', async () => {
+    autoStoreMemory.mockResolvedValue({ success: true, id: 'pending-1', pending: true });
+    const onEvent = vi.fn();
+    await triggerAutoMemoryAnalysis(session, PROMPT, memConfig(), onEvent, MESSAGES);
+
+    const payload = onEvent.mock.calls[0][0].payload;
+    expect(payload).toMatchObject({ stored: false, title: '修复部署配置' });
+    expect(payload.message).toContain('收件箱');
+  });
+
+  it('低于重要性阈值时不应该存储', async () => {
+    const onEvent = vi.fn();
+    await triggerAutoMemoryAnalysis(session, PROMPT, memConfig({ importanceThreshold: 95 }), onEvent, MESSAGES);
+
+    expect(autoStoreMemory).not.toHaveBeenCalled();
+    expect(onEvent.mock.calls[0][0].payload).toMatchObject({ stored: false });
+    expect(onEvent.mock.calls[0][0].payload.message).toContain('低于阈值 95');
+  });
+
+  it('分类不在自动存储范围内时不应该存储', async () => {
+    const onEvent = vi.fn();
+    await triggerAutoMemoryAnalysis(session, PROMPT, memConfig({ autoStoreCategories: ['project'] }), onEvent, MESSAGES);
+
+    expect(autoStoreMemory).not.toHaveBeenCalled();
+    expect(onEvent.mock.calls[0][0].payload.message).toContain('preference');
+  });
+
+  it('没有价值的会话应该直接跳过', async () => {
+    analyzeSessionContent.mockResolvedValue({ summary: '', keyPoints: [], shouldStore: false });
+    const onEvent = vi.fn();
+    await triggerAutoMemoryAnalysis(session, '你好', memConfig(), onEvent, []);
+
+    expect(autoStoreMemory).not.toHaveBeenCalled();
+    expect(onEvent.mock.calls[0][0].payload).toMatchObject({ sessionId: 'session-1', stored: false });
+  });
+});
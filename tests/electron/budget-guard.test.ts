@@ -0,0 +1,92 @@
+/**
+ * 预算限额单元测试
+ * 测试预算计算、警告和 token 累计
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import type { SDKAssistantMessage } from '@anthropic-ai/claude-agent-sdk';
+import {
+  createBudgetGuard,
+  evaluateBudgets,
+  formatBudgetExceeded,
+  setBudgetUsageProvider,
+  type BudgetUsage,
+} from '../../src/electron/libs/runner/budget-guard';
+import type { BudgetConfig } from '../../src/shared/types';
+
+const config: BudgetConfig = {
+  enabled: true,
+  warnAtPercent: 80,
+  session: { maxCostUsd: 2 },
+  daily: { maxTokens: 1000 },
+  apiConfigs: { 'config-1': { maxCostUsd: 5 } },
+};
+
+const usage = (overrides: Partial<BudgetUsage> = {}): BudgetUsage => ({
+  session: { costUsd: 1, tokens: 100 },
+  daily: { costUsd: 3, tokens: 500 },
+  apiConfig: { costUsd: 3, tokens: 500 },
+  ...overrides,
+});
+
+const assistant = (id: string, inputTokens: number, outputTokens: number) => ({
+  type: 'assistant',
+  message: { id, content: [], usage: { input_tokens: inputTokens, output_tokens: outputTokens } },
+}) as unknown as SDKAssistantMessage;
+
+afterEach(() => {
+  setBudgetUsageProvider(null);
+});
+
+describe('evaluateBudgets', () => {
+  it('应该只返回设置了限额的预算项', () => {
+    const statuses = evaluateBudgets(config, 'config-1', usage());
+    expect(statuses.map((s) => `${s.scope}:${s.metric}`)).toEqual(['session:cost', 'daily:tokens', 'apiConfig:cost']);
+    expect(statuses[0].percent).toBe(50);
+  });
+
+  it('未启用或其他 API 配置时不检查对应限额', () => {
+    expect(evaluateBudgets({ ...config, enabled: false }, 'config-1', usage())).toEqual([]);
+    expect(evaluateBudgets(config, 'config-2', usage())).toHaveLength(2);
+  });
+
+  it('应该生成包含用量和限额的错误信息', () => {
+    const [status] = evaluateBudgets(config, 'config-1', usage({ session: { costUsd: 2.5, tokens: 0 } }));
+    expect(formatBudgetExceeded(status)).toContain('Session cost budget reached: $2.50 of $2.00');
+  });
+});
+
+describe('createBudgetGuard', () => {
+  it('没有注册已用量查询函数时不创建检查器', () => {
+    expect(createBudgetGuard(config, { sessionId: 's1', apiConfigId: 'config-1' }, vi.fn())).toBeNull();
+  });
+
+  it('应该按最少剩余额度计算 maxBudgetUsd，并在运行前报告已用尽的预算', () => {
+    setBudgetUsageProvider(() => usage());
+    const guard = createBudgetGuard(config, { sessionId: 's1', apiConfigId: 'config-1' }, vi.fn());
+    expect(guard?.exceeded).toBeUndefined();
+    expect(guard?.maxBudgetUsd).toBe(1);
+    expect(guard?.costLimit?.scope).toBe('session');
+
+    setBudgetUsageProvider(() => usage({ apiConfig: { costUsd: 5, tokens: 0 } }));
+    const blocked = createBudgetGuard(config, { sessionId: 's1', apiConfigId: 'config-1' }, vi.fn());
+    expect(blocked?.exceeded?.scope).toBe('apiConfig');
+  });
+
+  it('应该累计 token 用量，每个预算项只警告一次，超出时返回预算项', () => {
+    setBudgetUsageProvider(() => usage());
+    const onWarning = vi.fn();
+    const guard = createBudgetGuard(config, { sessionId: 's1', apiConfigId: 'config-1' }, onWarning)!;
+
+    expect(guard.trackAssistantMessage(assistant('m1', 250, 50))).toBeUndefined();
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(onWarning.mock.calls[0][0]).toMatchObject({ scope: 'daily', metric: 'tokens', used: 800 });
+
+    // 同一条消息的其他内容块不重复计数
+    expect(guard.trackAssistantMessage(assistant('m1', 250, 50))).toBeUndefined();
+    expect(guard.trackAssistantMessage(assistant('m2', 100, 50))).toBeUndefined();
+    expect(onWarning).toHaveBeenCalledTimes(1);
+
+    expect(guard.trackAssistantMessage(assistant('m3', 40, 20))).toMatchObject({ scope: 'daily', used: 1010 });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * 文件检查点单元测试
+ * 测试回退计划、预览和恢复
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  planRewind,
+  previewRewind,
+  resolveCheckpointPath,
+  restoreCheckpoints,
+  type FileCheckpoint
+} from '../../src/electron/libs/runner/file-checkpoints';
+
+// 预览和恢复需要读写真实的临时目录
+vi.unmock('fs');
+
+describe('file-checkpoints', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'checkpoints-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('应该只为文件修改工具解析路径，相对路径按工作目录解析', () => {
+    expect(resolveCheckpointPath('Edit', { file_path: 'src/a.ts' }, '/work')).toBe(join('/work', 'src/a.ts'));
+    expect(resolveCheckpointPath('Write', { file_path: '/abs/b.ts' }, '/work')).toBe('/abs/b.ts');
+    expect(resolveCheckpointPath('Bash', { file_path: '/abs/b.ts' }, '/work')).toBeNull();
+    expect(resolveCheckpointPath('Edit', {}, '/work')).toBeNull();
+  });
+
+  it('每个文件应该取最早的检查点', () => {
+    const checkpoints: FileCheckpoint[] = [
+      { filePath: '/a', content: Buffer.from('v1'), createdAt: 1 },
+      { filePath: '/b', content: null, createdAt: 2 },
+      { filePath: '/a', content: Buffer.from('v2'), createdAt: 3 }
+    ];
+    expect(planRewind(checkpoints).map((c) => [c.filePath, c.content?.toString() ?? null])).toEqual([
+      ['/a', 'v1'],
+      ['/b', null]
+    ]);
+  });
+
+  it('应该预览并恢复修改过的文件，删除新建的文件', async () => {
+    const edited = join(dir, 'edited.txt');
+    const created = join(dir, 'nested', 'created.txt');
+    const untouched = join(dir, 'untouched.txt');
+    await fs.writeFile(edited, 'after\n');
+    await fs.mkdir(join(dir, 'nested'));
+    await fs.writeFile(created, 'new\n');
+    await fs.writeFile(untouched, 'same\n');
+
+    const checkpoints: FileCheckpoint[] = [
+      { filePath: edited, content: Buffer.from('before\n'), createdAt: 1 },
+      { filePath: created, content: null, createdAt: 2 },
+      { filePath: untouched, content: Buffer.from('same\n'), createdAt: 3 }
+    ];
+
+    const preview = await previewRewind(checkpoints);
+    expect(preview).toEqual([
+      { filePath: edited, action: 'restore', diff: '@@ -1,1 +1,1 @@\n-after\n+before' },
+      { filePath: created, action: 'delete', diff: '@@ -1,1 +0,0 @@\n-new' }
+    ]);
+
+    expect(await restoreCheckpoints(checkpoints)).toEqual([edited, created]);
+    expect(await fs.readFile(edited, 'utf-8')).toBe('before\n');
+    await expect(fs.access(created)).rejects.toThrow();
+    expect(await previewRewind(checkpoints)).toEqual([]);
+  });
+
+  it('二进制文件不生成差异', async () => {
+    const file = join(dir, 'image.bin');
+    await fs.writeFile(file, Buffer.from([0, 1, 2]));
+    const preview = await previewRewind([{ filePath: file, content: Buffer.from([0, 1]), createdAt: 1 }]);
+    expect(preview).toEqual([{ filePath: file, action: 'restore', binary: true }]);
+  });
+});
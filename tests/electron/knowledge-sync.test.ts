@@ -0,0 +1,72 @@
+/**
+ * 知识文件夹同步单元测试
+ * 测试 include / exclude 过滤和基于时间戳的同步计划
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/electron/utils/memory-tools.js', () => ({
+  importMemoryFile: vi.fn(),
+  deleteMemoryBySource: vi.fn(),
+}));
+
+import { createFolderFilter, planFolderSync } from '../../src/electron/utils/knowledge-sync';
+
+describe('createFolderFilter', () => {
+  it('include 为空时应该同步所有支持的文件', () => {
+    const filter = createFolderFilter([], []);
+    expect(filter.matchesFile('README.md')).toBe(true);
+    expect(filter.matchesFile('docs/guide.pdf')).toBe(true);
+    expect(filter.matchesFile('src/index.ts')).toBe(false);
+  });
+
+  it('不含 / 的模式应该匹配任意层级的文件名', () => {
+    const filter = createFolderFilter(['*.md'], ['CHANGELOG.md']);
+    expect(filter.matchesFile('a/b/notes.md')).toBe(true);
+    expect(filter.matchesFile('a/notes.txt')).toBe(false);
+    expect(filter.matchesFile('a/CHANGELOG.md')).toBe(false);
+  });
+
+  it('含 / 的模式应该匹配相对路径', () => {
+    const filter = createFolderFilter(['docs/**'], []);
+    expect(filter.matchesFile('docs/api/auth.md')).toBe(true);
+    expect(filter.matchesFile('notes/auth.md')).toBe(false);
+  });
+
+  it('被排除的目录应该整体跳过', () => {
+    const filter = createFolderFilter([], ['**/node_modules/**', 'drafts']);
+    expect(filter.skipsDirectory('node_modules')).toBe(true);
+    expect(filter.skipsDirectory('packages/a/node_modules')).toBe(true);
+    expect(filter.skipsDirectory('docs/drafts')).toBe(true);
+    expect(filter.skipsDirectory('docs')).toBe(false);
+    expect(filter.matchesFile('packages/a/node_modules/x/README.md')).toBe(false);
+  });
+});
+
+describe('planFolderSync', () => {
+  const entry = (size: number, mtimeMs: number) => ({ hash: 'h', size, mtimeMs, chunks: 1, syncedAt: 0 });
+
+  it('应该区分新增 / 变化、未变和删除的文件', () => {
+    const plan = planFolderSync(
+      {
+        'same.md': { size: 10, mtimeMs: 100 },
+        'touched.md': { size: 10, mtimeMs: 200 },
+        'new.md': { size: 5, mtimeMs: 300 },
+      },
+      {
+        'same.md': entry(10, 100),
+        'touched.md': entry(10, 100),
+        'deleted.md': entry(1, 1),
+      }
+    );
+
+    expect(plan.unchanged).toEqual(['same.md']);
+    expect(plan.candidates).toEqual(['touched.md', 'new.md']);
+    expect(plan.removed).toEqual(['deleted.md']);
+  });
+
+  it('空清单时所有文件都需要检查', () => {
+    const plan = planFolderSync({ 'a.md': { size: 1, mtimeMs: 1 } }, {});
+    expect(plan).toEqual({ candidates: ['a.md'], unchanged: [], removed: [] });
+  });
+});
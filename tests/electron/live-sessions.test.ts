@@ -0,0 +1,107 @@
+/**
+ * 会话查询进程保活单元测试
+ * 测试用户消息输入流和存活进程池的空闲回收
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { UserMessageStream } from '../../src/electron/libs/runner/message-stream';
+import { LiveSessionPool, type PooledSession } from '../../src/electron/libs/runner/live-sessions';
+
+const fakeSession = (sessionId: string, busy = false) => {
+  const session = { sessionId, busy, close: vi.fn() };
+  return session satisfies PooledSession;
+};
+
+describe('UserMessageStream', () => {
+  it('应该按推送顺序产出消息，关闭后结束迭代', async () => {
+    const stream = new UserMessageStream();
+    stream.push('first');
+    const received: unknown[] = [];
+    const consuming = (async () => {
+      for await (const message of stream) {
+        received.push(message.message.content);
+      }
+    })();
+
+    await Promise.resolve();
+    stream.push('second');
+    stream.close();
+    await consuming;
+
+    expect(received).toEqual(['first', 'second']);
+  });
+
+  it('消息格式应该符合 SDK 用户消息', async () => {
+    const stream = new UserMessageStream();
+    stream.push('hello');
+    const { value } = await stream[Symbol.asyncIterator]().next();
+    expect(value).toEqual({ type: 'user', message: { role: 'user', content: 'hello' }, parent_tool_use_id: null });
+  });
+
+  it('关闭后推送应该抛出错误', () => {
+    const stream = new UserMessageStream();
+    stream.close();
+    expect(stream.isClosed).toBe(true);
+    expect(() => stream.push('late')).toThrow('closed');
+  });
+});
+
+describe('LiveSessionPool', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('空闲超时后应该关闭进程，新轮次取消计时', () => {
+    vi.useFakeTimers();
+    const pool = new LiveSessionPool();
+    const a = fakeSession('a');
+    const b = fakeSession('b');
+    pool.add(a);
+    pool.add(b);
+
+    pool.markIdle('a', 1000);
+    pool.markIdle('b', 1000);
+    vi.advanceTimersByTime(500);
+    pool.touch('b');
+    vi.advanceTimersByTime(600);
+
+    expect(a.close).toHaveBeenCalledOnce();
+    expect(pool.get('a')).toBeUndefined();
+    expect(b.close).not.toHaveBeenCalled();
+    expect(pool.get('b')).toBe(b);
+  });
+
+  it('超时为 0 时应该立即关闭', () => {
+    const pool = new LiveSessionPool();
+    const a = fakeSession('a');
+    pool.add(a);
+    pool.markIdle('a', 0);
+    expect(a.close).toHaveBeenCalledOnce();
+    expect(pool.size).toBe(0);
+  });
+
+  it('同一会话加入新进程时应该关闭旧进程，旧进程退出时不影响新进程', () => {
+    const pool = new LiveSessionPool();
+    const old = fakeSession('a');
+    const next = fakeSession('a');
+    pool.add(old);
+    pool.add(next);
+    pool.remove(old);
+
+    expect(old.close).toHaveBeenCalledOnce();
+    expect(pool.get('a')).toBe(next);
+  });
+
+  it('drain 应该关闭空闲进程，并把运行中的进程移出进程池', () => {
+    const pool = new LiveSessionPool();
+    const idle = fakeSession('idle');
+    const running = fakeSession('running', true);
+    pool.add(idle);
+    pool.add(running);
+    pool.drain();
+
+    expect(idle.close).toHaveBeenCalledOnce();
+    expect(running.close).not.toHaveBeenCalled();
+    expect(pool.size).toBe(0);
+  });
+});
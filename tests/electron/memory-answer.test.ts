@@ -0,0 +1,75 @@
+/**
+ * 记忆问答单元测试
+ * 测试检索置信度、提示词编号和回答引用提取
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildAnswerPrompt,
+  extractCitations,
+  formatAnswerWithCitations,
+  retrievalConfidence,
+  type MemoryAnswerSource,
+} from '../../src/electron/utils/memory-answer';
+
+const sources: MemoryAnswerSource[] = [
+  { id: 'mem_1', title: '包管理器偏好', text: '用户偏好使用 pnpm 安装依赖', scope: 'global' },
+  { id: 'mem_2', title: '部署流程', text: 'Deploy runs database migrations before starting the server', scope: '/repo' },
+];
+
+describe('retrievalConfidence', () => {
+  it('问题关键词被记忆覆盖时置信度高', () => {
+    expect(retrievalConfidence('用户偏好什么包管理器？', sources)).toBeGreaterThan(0.6);
+    expect(retrievalConfidence('What runs before deploy?', sources)).toBe(1);
+  });
+
+  it('单字关键词应该匹配记忆中的多字词', () => {
+    expect(retrievalConfidence('pnpm 装 依赖', sources)).toBe(1);
+  });
+
+  it('问题与记忆无关时置信度低', () => {
+    expect(retrievalConfidence('数据库连接池大小是多少', sources)).toBeLessThan(0.4);
+    expect(retrievalConfidence('how to configure kubernetes ingress', sources)).toBe(0);
+  });
+
+  it('没有检索结果时置信度为 0', () => {
+    expect(retrievalConfidence('用户偏好', [])).toBe(0);
+  });
+});
+
+describe('buildAnswerPrompt', () => {
+  it('应该按顺序为记忆编号并附上问题', () => {
+    const { system, prompt } = buildAnswerPrompt('用什么包管理器？', sources);
+    expect(system).toContain('[n]');
+    expect(prompt).toContain('[1] 包管理器偏好\n用户偏好使用 pnpm 安装依赖');
+    expect(prompt).toContain('[2] 部署流程');
+    expect(prompt.endsWith('问题：用什么包管理器？')).toBe(true);
+  });
+
+  it('应该截断过长的记忆', () => {
+    const { prompt } = buildAnswerPrompt('q', [{ ...sources[0], text: 'x'.repeat(5000) }]);
+    expect(prompt).toContain(`${'x'.repeat(2000)}…`);
+    expect(prompt).not.toContain('x'.repeat(2001));
+  });
+});
+
+describe('extractCitations', () => {
+  it('应该按首次出现顺序映射到记忆 ID，并忽略重复和不存在的编号', () => {
+    const citations = extractCitations('使用 pnpm [1]。部署前先迁移 [2][1]，另见 [5]。', sources);
+    expect(citations).toEqual([
+      { index: 1, id: 'mem_1', title: '包管理器偏好', scope: 'global' },
+      { index: 2, id: 'mem_2', title: '部署流程', scope: '/repo' },
+    ]);
+  });
+});
+
+describe('formatAnswerWithCitations', () => {
+  it('应该在回答后列出引用的记忆', () => {
+    const text = formatAnswerWithCitations('使用 pnpm [1]。', extractCitations('[1]', sources));
+    expect(text).toBe('使用 pnpm [1]。\n\n引用：\n[1] 包管理器偏好（ID: mem_1）');
+  });
+
+  it('没有引用时只返回回答', () => {
+    expect(formatAnswerWithCitations('记忆中没有相关信息。', [])).toBe('记忆中没有相关信息。');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * 记忆去重单元测试
+ * 测试 shingle 文本相似度、重复簇和合并后的来源记录
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildMergedMemory,
+  clusterPairs,
+  findShingleDuplicatePairs,
+  isDedupCandidate,
+  textSimilarity,
+  type DedupDocument,
+} from '../../src/electron/utils/memory-dedup';
+
+const doc = (overrides: Partial<DedupDocument> & { id: string; text: string }): DedupDocument => ({
+  title: overrides.id,
+  label: 'preference',
+  tags: [],
+  createdAt: Date.UTC(2026, 0, 1),
+  metadata: {},
+  ...overrides,
+});
+
+describe('textSimilarity', () => {
+  it('应该忽略大小写、标点和空白差异', () => {
+    expect(textSimilarity('User prefers pnpm.', 'user   prefers PNPM')).toBe(1);
+  });
+
+  it('近似表述的相似度应该高于无关文本', () => {
+    const near = textSimilarity('用户偏好使用 pnpm 安装依赖', '用户偏好使用 pnpm 来安装依赖');
+    const far = textSimilarity('用户偏好使用 pnpm 安装依赖', '部署前需要先运行数据库迁移');
+    expect(near).toBeGreaterThan(0.7);
+    expect(far).toBeLessThan(0.2);
+  });
+});
+
+describe('findShingleDuplicatePairs / clusterPairs', () => {
+  it('应该把传递相似的文档合并为一个簇', () => {
+    const docs = [
+      { id: 'a', text: 'user prefers pnpm for installing packages' },
+      { id: 'b', text: 'user prefers pnpm for installing packages!' },
+      { id: 'c', text: 'User prefers pnpm for installing packages.' },
+      { id: 'd', text: 'deploy runs database migrations first' },
+    ];
+    const clusters = clusterPairs(findShingleDuplicatePairs(docs));
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].ids.sort()).toEqual(['a', 'b', 'c']);
+    expect(clusters[0].similarity).toBe(1);
+  });
+
+  it('没有相似文档时不应该产生簇', () => {
+    const docs = [
+      { id: 'a', text: 'user prefers pnpm' },
+      { id: 'b', text: 'deploy runs database migrations first' },
+    ];
+    expect(clusterPairs(findShingleDuplicatePairs(docs))).toEqual([]);
+  });
+
+  it('不同作用域的文档不应该归为一簇', () => {
+    const docs = [
+      { id: 'a', text: 'user prefers pnpm', metadata: { scope: '/repo' } },
+      { id: 'b', text: 'user prefers pnpm', metadata: { scope: '/other' } },
+      { id: 'c', text: 'user prefers pnpm', metadata: {} },
+      { id: 'd', text: 'user prefers pnpm!', metadata: { scope: '/repo' } },
+    ];
+    const clusters = clusterPairs(findShingleDuplicatePairs(docs));
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].ids.sort()).toEqual(['a', 'd']);
+  });
+});
+
+describe('isDedupCandidate', () => {
+  it('文件导入的块不参与去重', () => {
+    expect(isDedupCandidate({ source: 'file_import' })).toBe(false);
+    expect(isDedupCandidate({ source: 'ai_tool' })).toBe(true);
+    expect(isDedupCandidate(undefined)).toBe(true);
+  });
+});
+
+describe('buildMergedMemory', () => {
+  const older = doc({
+    id: 'old',
+    title: '包管理器偏好',
+    text: '用户偏好 pnpm',
+    tags: ['tooling'],
+    createdAt: Date.UTC(2026, 0, 1),
+    metadata: { source: 'ai_tool', sessionId: 'session-1', scope: '/repo' },
+  });
+  const newer = doc({
+    id: 'new',
+    title: '使用 pnpm',
+    text: '用户偏好使用 pnpm 安装依赖',
+    tags: ['pnpm'],
+    createdAt: Date.UTC(2026, 1, 1),
+    metadata: { source: 'auto_store', sessionId: 'session-2', scope: '/repo' },
+  });
+
+  it('应该以最新的记忆为正文，并列出每条原始记忆的来源和时间', () => {
+    const merged = buildMergedMemory([newer, older], new Date(Date.UTC(2026, 2, 1)));
+
+    expect(merged.title).toBe('使用 pnpm');
+    expect(merged.text.startsWith('用户偏好使用 pnpm 安装依赖')).toBe(true);
+    expect(merged.text).toContain('## 合并来源（2 条）');
+    expect(merged.text).toContain('2026-01-01T00:00:00.000Z 「包管理器偏好」（来源: ai_tool，会话: session-1）');
+    expect(merged.text).toContain('  > 用户偏好 pnpm');
+    expect(merged.tags).toEqual(['tooling', 'pnpm']);
+  });
+
+  it('应该在 metadata 中记录原始记忆和首次出现时间', () => {
+    const merged = buildMergedMemory([newer, older], new Date(Date.UTC(2026, 2, 1)));
+
+    expect((merged.metadata.mergedFrom as Array<{ id: string }>).map(m => m.id)).toEqual(['old', 'new']);
+    expect(merged.metadata.firstSeenAt).toBe('2026-01-01T00:00:00.000Z');
+    expect(merged.metadata.lastSeenAt).toBe('2026-02-01T00:00:00.000Z');
+    expect(merged.metadata.consolidatedAt).toBe('2026-03-01T00:00:00.000Z');
+    expect(merged.metadata.scope).toBe('/repo');
+  });
+
+  it('作用域不一致时应该拒绝合并', () => {
+    expect(() => buildMergedMemory([older, { ...newer, metadata: { ...newer.metadata, scope: '/other' } }]))
+      .toThrow('只能合并同一作用域的记忆');
+  });
+
+  it('再次合并已合并的记忆时应该保留其原始记忆和合并来源', () => {
+    const first = buildMergedMemory([newer, older], new Date(Date.UTC(2026, 2, 1)));
+    const mergedDoc = doc({ id: 'merged', ...first, createdAt: Date.UTC(2026, 2, 1) });
+    const latest = doc({
+      id: 'latest',
+      title: 'pnpm',
+      text: '用户偏好使用 pnpm 安装依赖。',
+      createdAt: Date.UTC(2026, 3, 1),
+      metadata: { source: 'ai_tool', scope: '/repo' },
+    });
+    const merged = buildMergedMemory([latest, mergedDoc], new Date(Date.UTC(2026, 4, 1)));
+
+    expect((merged.metadata.mergedFrom as Array<{ id: string }>).map(m => m.id)).toEqual(['old', 'new', 'latest']);
+    expect(merged.metadata.firstSeenAt).toBe('2026-01-01T00:00:00.000Z');
+    expect(merged.text.match(/## 合并来源/g)).toHaveLength(1);
+    expect(merged.text).toContain('## 合并来源（3 条）');
+    expect(merged.text).toContain('2026-01-01T00:00:00.000Z 「包管理器偏好」（来源: ai_tool，会话: session-1）');
+    expect(merged.text).toContain('2026-04-01T00:00:00.000Z 「pnpm」（来源: ai_tool）');
+  });
+});
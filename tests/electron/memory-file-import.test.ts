@@ -0,0 +1,94 @@
+/**
+ * 记忆文件重新导入单元测试
+ * 测试新块写入完成后才删除旧块，写入失败时保留上次导入的内容
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+type StoredDoc = { id: string; uri: string; text: string };
+
+const { store, readImportFile } = vi.hoisted(() => {
+  const docs: StoredDoc[] = [];
+  let nextId = 0;
+  return {
+    readImportFile: vi.fn(),
+    store: {
+      docs,
+      failAfter: Infinity,
+      initialize: vi.fn(async () => {}),
+      listDocumentIdsBySource: vi.fn(async (sourceUri: string) => ({
+        success: true,
+        ids: docs.filter(d => d.uri === sourceUri || d.uri.startsWith(`${sourceUri}#`)).map(d => d.id),
+      })),
+      putDocuments: vi.fn(async (batch: Array<{ uri: string; text: string }>) => {
+        if (store.failAfter <= 0) {
+          return { success: false, error: 'disk full' };
+        }
+        store.failAfter--;
+        docs.push(...batch.map(d => ({ id: `doc-${nextId++}`, uri: d.uri, text: d.text })));
+        return { success: true, count: batch.length };
+      }),
+      deleteDocuments: vi.fn(async (ids: string[]) => {
+        const remaining = docs.filter(d => !ids.includes(d.id));
+        const count = docs.length - remaining.length;
+        docs.splice(0, docs.length, ...remaining);
+        return { success: true, count };
+      }),
+    },
+  };
+});
+
+vi.mock('../../src/electron/storage/memvid-store.js', () => ({ getMemvidStore: () => store }));
+vi.mock('../../src/electron/utils/memory-config.js', () => ({
+  getMemoryConfig: vi.fn(async () => ({ config: { backend: 'memvid' } })),
+  saveMemoryBackend: vi.fn(),
+}));
+vi.mock('../../src/electron/utils/memory-import.js', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../../src/electron/utils/memory-import')>()),
+  readImportFile,
+}));
+
+import { importMemoryFile } from '../../src/electron/utils/memory-tools';
+
+/** 生成 count 个段落，每段单独成块 */
+const paragraphs = (prefix: string, count: number) =>
+  Array.from({ length: count }, (_, i) => `${prefix} ${i} ${'x'.repeat(1000)}`).join('\n\n');
+
+describe('importMemoryFile', () => {
+  beforeEach(() => {
+    store.docs.splice(0);
+    store.failAfter = Infinity;
+    vi.clearAllMocks();
+  });
+
+  it('重新导入应该先写入新块，再删除上次导入的块', async () => {
+    readImportFile.mockResolvedValue([{ text: paragraphs('old', 2) }]);
+    expect(await importMemoryFile('/docs/guide.txt')).toMatchObject({ success: true, count: 2, replaced: 0 });
+    const oldIds = store.docs.map(d => d.id);
+
+    readImportFile.mockResolvedValue([{ text: paragraphs('new', 3) }]);
+    const stages: string[] = [];
+    const result = await importMemoryFile('/docs/guide.txt', p => stages.push(p.stage));
+
+    expect(result).toMatchObject({ success: true, count: 3, replaced: 2 });
+    expect(store.docs.every(d => d.text.startsWith('new'))).toBe(true);
+    expect(store.docs).toHaveLength(3);
+    expect(store.deleteDocuments).toHaveBeenLastCalledWith(oldIds);
+    expect(store.putDocuments.mock.invocationCallOrder[1])
+      .toBeLessThan(store.deleteDocuments.mock.invocationCallOrder[1]);
+    expect(stages).toEqual(['parsing', 'storing', 'replacing', 'done']);
+  });
+
+  it('写入中途失败应该撤销本次写入的块，保留上次导入的内容', async () => {
+    readImportFile.mockResolvedValue([{ text: paragraphs('old', 2) }]);
+    await importMemoryFile('/docs/guide.txt');
+
+    readImportFile.mockResolvedValue([{ text: paragraphs('new', 25) }]);
+    store.failAfter = 1;
+    const result = await importMemoryFile('/docs/guide.txt');
+
+    expect(result).toEqual({ success: false, error: 'disk full' });
+    expect(store.docs).toHaveLength(2);
+    expect(store.docs.every(d => d.text.startsWith('old'))).toBe(true);
+  });
+});
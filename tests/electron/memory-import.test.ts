@@ -0,0 +1,127 @@
+/**
+ * 记忆文件导入单元测试
+ * 测试格式识别、HTML / JSON 转换、按标题和段落切分，以及块的 uri 和元数据
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildImportChunks,
+  chunkText,
+  detectImportFormat,
+  getSourceUri,
+  htmlToText,
+  jsonToText,
+  sourceUriOf,
+} from '../../src/electron/utils/memory-import';
+
+describe('detectImportFormat', () => {
+  it('应该按扩展名识别格式，忽略大小写', () => {
+    expect(detectImportFormat('/docs/README.MD')).toBe('markdown');
+    expect(detectImportFormat('/docs/notes.txt')).toBe('text');
+    expect(detectImportFormat('/docs/page.htm')).toBe('html');
+    expect(detectImportFormat('/docs/data.json')).toBe('json');
+    expect(detectImportFormat('/docs/paper.pdf')).toBe('pdf');
+    expect(detectImportFormat('/docs/image.png')).toBeNull();
+  });
+});
+
+describe('htmlToText', () => {
+  it('应该去掉脚本和样式，标题转为 Markdown 标题', () => {
+    const html = '<html><head><title>x</title><style>p{}</style></head><body>'
+      + '<h1>Guide</h1><p>Hello&nbsp;<b>world</b> &amp; more</p><script>alert(1)</script>'
+      + '<h2>Setup</h2><ul><li>one</li><li>two</li></ul></body></html>';
+    expect(htmlToText(html)).toBe('# Guide\n\nHello world & more\n\n## Setup\n\n- one\n- two');
+  });
+});
+
+describe('jsonToText', () => {
+  it('对象的顶层键应该作为章节', () => {
+    expect(jsonToText('{"name":"demo","deps":{"a":1}}')).toBe('# name\n\ndemo\n\n# deps\n\n{\n  "a": 1\n}');
+  });
+
+  it('数组元素应该作为段落', () => {
+    expect(jsonToText('["a",{"b":2}]')).toBe('a\n\n{\n  "b": 2\n}');
+  });
+});
+
+describe('chunkText', () => {
+  it('应该按标题切分并记录标题路径', () => {
+    const chunks = chunkText('intro\n\n# Install\n\nstep one\n\n## Windows\n\nrun setup.exe\n\n# Usage\n\ncall it');
+    expect(chunks).toEqual([
+      { text: 'intro', heading: undefined, page: undefined },
+      { text: 'step one', heading: 'Install', page: undefined },
+      { text: 'run setup.exe', heading: 'Install > Windows', page: undefined },
+      { text: 'call it', heading: 'Usage', page: undefined },
+    ]);
+  });
+
+  it('章节内的段落应该合并到 maxChars 为止', () => {
+    const chunks = chunkText('aaaa\n\nbbbb\n\ncccc', { maxChars: 10 });
+    expect(chunks.map(c => c.text)).toEqual(['aaaa\n\nbbbb', 'cccc']);
+  });
+
+  it('超长段落应该在空白处切开', () => {
+    const chunks = chunkText('alpha beta gamma delta', { maxChars: 12 });
+    expect(chunks.map(c => c.text)).toEqual(['alpha beta', 'gamma delta']);
+  });
+
+  it('代码块中的 # 行和空行不应该切分', () => {
+    const chunks = chunkText('# Script\n\n```sh\n# comment\n\necho hi\n```');
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].heading).toBe('Script');
+    expect(chunks[0].text).toBe('```sh\n# comment\n\necho hi\n```');
+  });
+
+  it('headings 为 false 时应该把 # 行当作正文', () => {
+    const chunks = chunkText('# not a heading\n\nbody', { headings: false, page: 3 });
+    expect(chunks).toEqual([{ text: '# not a heading\n\nbody', heading: undefined, page: 3 }]);
+  });
+});
+
+describe('buildImportChunks', () => {
+  const now = new Date('2026-01-02T03:04:05.000Z');
+
+  it('每个块应该有独立 uri，并共用文件 label', () => {
+    const chunks = buildImportChunks('/docs/guide.md', 'markdown', [{ text: '# A\n\none\n\n# B\n\ntwo' }], { now });
+    const sourceUri = getSourceUri('/docs/guide.md');
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks.map(c => c.uri)).toEqual([`${sourceUri}#chunk-0`, `${sourceUri}#chunk-1`]);
+    expect(chunks.every(c => c.label === 'guide.md')).toBe(true);
+    expect(chunks.map(c => sourceUriOf(c.uri))).toEqual([sourceUri, sourceUri]);
+    expect(chunks[1]).toMatchObject({
+      title: 'guide.md - B',
+      text: 'two',
+      metadata: {
+        source: 'file_import',
+        sourceUri,
+        fileName: 'guide.md',
+        format: 'markdown',
+        chunkIndex: 1,
+        chunkCount: 2,
+        heading: 'B',
+        importedAt: '2026-01-02T03:04:05.000Z',
+      },
+    });
+  });
+
+  it('PDF 的块应该记录页码', () => {
+    const chunks = buildImportChunks('/docs/paper.pdf', 'pdf', [
+      { text: 'first page', page: 1 },
+      { text: '# 2 not heading', page: 2 },
+    ], { now });
+
+    expect(chunks.map(c => c.metadata.page)).toEqual([1, 2]);
+    expect(chunks[1].title).toBe('paper.pdf - p.2');
+    expect(chunks[1].metadata.heading).toBeUndefined();
+  });
+
+  it('没有标题和页码的块应该按序号命名', () => {
+    const chunks = buildImportChunks('/docs/notes.txt', 'text', [{ text: 'aaaa\n\nbbbb' }], { maxChars: 5, now });
+    expect(chunks.map(c => c.title)).toEqual(['notes.txt (1/2)', 'notes.txt (2/2)']);
+  });
+
+  it('空白文件不应该产生块', () => {
+    expect(buildImportChunks('/docs/empty.md', 'markdown', [{ text: '  \n\n ' }], { now })).toEqual([]);
+  });
+});
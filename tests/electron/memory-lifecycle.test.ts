@@ -0,0 +1,93 @@
+/**
+ * 记忆生命周期单元测试
+ * 测试过期判断、时间衰减、检索次数权重和置顶排序
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  documentTimestamp,
+  isMemoryExpired,
+  rankByLifecycle,
+  recencyWeight,
+  usageWeight,
+} from '../../src/electron/utils/memory-lifecycle';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1);
+
+describe('documentTimestamp', () => {
+  it('文件系统文档优先使用修改时间', () => {
+    expect(documentTimestamp({ created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-02-01T00:00:00.000Z' }))
+      .toBe(Date.UTC(2026, 1, 1));
+  });
+
+  it('Memvid 文档使用 createdAt', () => {
+    expect(documentTimestamp({ createdAt: 123 })).toBe(123);
+    expect(documentTimestamp(undefined)).toBeUndefined();
+  });
+
+  it('迁移的记忆应该使用原始创建时间，迁移后修改过的使用修改时间', () => {
+    const metadata = { originalCreatedAt: '2025-06-01T00:00:00.000Z' };
+    const imported = '2026-05-01T00:00:00.000Z';
+
+    expect(documentTimestamp({ created_at: imported, updated_at: imported, metadata })).toBe(Date.UTC(2025, 5, 1));
+    expect(documentTimestamp({ createdAt: Date.parse(imported), metadata })).toBe(Date.UTC(2025, 5, 1));
+    expect(documentTimestamp({ created_at: imported, updated_at: '2026-05-20T00:00:00.000Z', metadata }))
+      .toBe(Date.UTC(2026, 4, 20));
+  });
+});
+
+describe('isMemoryExpired', () => {
+  const ttl = { context: 30 };
+
+  it('超过分类保留天数的记忆应该过期', () => {
+    expect(isMemoryExpired({ label: 'context', timestamp: NOW - 31 * DAY }, ttl, NOW)).toBe(true);
+    expect(isMemoryExpired({ label: 'context', timestamp: NOW - 29 * DAY }, ttl, NOW)).toBe(false);
+  });
+
+  it('置顶的记忆永不过期', () => {
+    expect(isMemoryExpired({ label: 'context', pinned: true, timestamp: NOW - 365 * DAY }, ttl, NOW)).toBe(false);
+  });
+
+  it('未设置保留天数的分类永不过期', () => {
+    expect(isMemoryExpired({ label: 'project', timestamp: NOW - 365 * DAY }, ttl, NOW)).toBe(false);
+    expect(isMemoryExpired({ label: 'context', timestamp: NOW - 365 * DAY }, { context: 0 }, NOW)).toBe(false);
+  });
+});
+
+describe('recencyWeight / usageWeight', () => {
+  it('时间权重随时间衰减并有下限', () => {
+    expect(recencyWeight(NOW, NOW)).toBe(1);
+    expect(recencyWeight(NOW - 90 * DAY, NOW)).toBeCloseTo(0.75);
+    expect(recencyWeight(NOW - 10000 * DAY, NOW)).toBeCloseTo(0.5);
+  });
+
+  it('检索次数越多权重越高', () => {
+    expect(usageWeight(undefined)).toBe(1);
+    expect(usageWeight({ count: 10, lastRetrievedAt: NOW })).toBeGreaterThan(usageWeight({ count: 1, lastRetrievedAt: NOW }));
+  });
+});
+
+describe('rankByLifecycle', () => {
+  it('置顶的记忆总是排在最前', () => {
+    const ranked = rankByLifecycle([
+      { id: 'relevant', score: 10, pinned: false, timestamp: NOW },
+      { id: 'pinned', score: 1, pinned: true, timestamp: NOW - 400 * DAY },
+    ], {}, NOW);
+    expect(ranked.map(item => item.id)).toEqual(['pinned', 'relevant']);
+  });
+
+  it('相关度相同时较新和检索较多的记忆排在前面', () => {
+    const byAge = rankByLifecycle([
+      { id: 'old', score: 5, pinned: false, timestamp: NOW - 200 * DAY },
+      { id: 'new', score: 5, pinned: false, timestamp: NOW - DAY },
+    ], {}, NOW);
+    expect(byAge[0].id).toBe('new');
+
+    const byUsage = rankByLifecycle([
+      { id: 'rare', score: 5, pinned: false, timestamp: NOW },
+      { id: 'frequent', score: 5, pinned: false, timestamp: NOW },
+    ], { frequent: { count: 20, lastRetrievedAt: NOW } }, NOW);
+    expect(byUsage[0].id).toBe('frequent');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * 记忆作用域单元测试
+ * 测试项目根目录解析和作用域筛选
+ */
+
+import { describe, it, expect } from 'vitest';
+import { resolve } from 'path';
+import {
+  GLOBAL_MEMORY_SCOPE,
+  getSessionScopes,
+  matchesScopes,
+  resolveProjectScope,
+  scopeOf,
+} from '../../src/electron/utils/memory-scope';
+
+describe('resolveProjectScope', () => {
+  const repoRoot = resolve('/work/repo');
+  const exists = (path: string) => path === resolve(repoRoot, '.git');
+
+  it('应该向上查找包含 .git 的目录作为项目根', () => {
+    expect(resolveProjectScope(resolve(repoRoot, 'packages/app/src'), exists)).toBe(repoRoot);
+    expect(resolveProjectScope(repoRoot, exists)).toBe(repoRoot);
+  });
+
+  it('找不到 .git 时应该使用 cwd 本身', () => {
+    expect(resolveProjectScope('/tmp/scratch', () => false)).toBe(resolve('/tmp/scratch'));
+  });
+
+  it('没有 cwd 时应该为全局作用域', () => {
+    expect(resolveProjectScope(undefined, exists)).toBe(GLOBAL_MEMORY_SCOPE);
+    expect(resolveProjectScope('', exists)).toBe(GLOBAL_MEMORY_SCOPE);
+  });
+});
+
+describe('scopeOf / matchesScopes', () => {
+  it('没有 scope 的旧文档应该视为全局记忆', () => {
+    expect(scopeOf(undefined)).toBe(GLOBAL_MEMORY_SCOPE);
+    expect(scopeOf({ source: 'ai_tool' })).toBe(GLOBAL_MEMORY_SCOPE);
+    expect(scopeOf({ scope: '/work/repo' })).toBe('/work/repo');
+  });
+
+  it('未指定作用域列表时不筛选', () => {
+    expect(matchesScopes('/work/repo')).toBe(true);
+    expect(matchesScopes('/work/repo', [])).toBe(true);
+    expect(matchesScopes('/work/repo', ['/work/other', GLOBAL_MEMORY_SCOPE])).toBe(false);
+    expect(matchesScopes(GLOBAL_MEMORY_SCOPE, ['/work/other', GLOBAL_MEMORY_SCOPE])).toBe(true);
+  });
+});
+
+describe('getSessionScopes', () => {
+  it('没有 cwd 的会话只能看到全局记忆', () => {
+    expect(getSessionScopes(undefined)).toEqual([GLOBAL_MEMORY_SCOPE]);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * 记忆全文索引单元测试
+ * 测试中英文分词、BM25 排序和增量更新
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MemorySearchIndex, tokenize } from '../../src/electron/storage/memory-search-index';
+
+describe('tokenize', () => {
+  it('英文应该按单词切分并转小写', () => {
+    expect(tokenize('Deploy the API, v2.0!')).toEqual(['deploy', 'the', 'api', 'v2', '0']);
+  });
+
+  it('中文应该按 bi-gram 切分，并与英文分开', () => {
+    expect(tokenize('部署React应用')).toEqual(['部署', 'react', '应用']);
+    expect(tokenize('数据库')).toEqual(['数据', '据库']);
+    expect(tokenize('用 Go 写')).toEqual(['用', 'go', '写']);
+  });
+
+  it('正则元字符不应该影响切分', () => {
+    expect(tokenize('a.*(b')).toEqual(['a', 'b']);
+  });
+});
+
+describe('MemorySearchIndex', () => {
+  const createIndex = () => {
+    const index = new MemorySearchIndex();
+    index.add('deploy', { title: '部署流程', text: '使用 docker compose 部署服务到生产环境' });
+    index.add('db', { title: 'Database notes', text: 'PostgreSQL 数据库备份和恢复步骤', tags: ['postgres'] });
+    index.add('misc', { title: '周报', text: '本周完成了部署脚本的 review，以及数据库 schema 调整' });
+    return index;
+  };
+
+  it('多个词不需要连续出现也能匹配', () => {
+    const hits = createIndex().search('docker 生产');
+    expect(hits[0].id).toBe('deploy');
+  });
+
+  it('标题和标签中的词应该排名更靠前', () => {
+    const index = createIndex();
+    expect(index.search('部署')[0].id).toBe('deploy');
+    expect(index.search('数据库')[0].id).toBe('db');
+    expect(index.search('postgres')[0].id).toBe('db');
+  });
+
+  it('单个汉字的查询应该匹配包含该字的多字词', () => {
+    const index = createIndex();
+    index.add('lock', { title: '排查记录', text: '死锁问题的定位方法' });
+    expect(index.search('锁').map((hit) => hit.id)).toEqual(['lock']);
+  });
+
+  it('查询包含正则元字符时不应该抛出错误', () => {
+    expect(() => createIndex().search('docker (')).not.toThrow();
+    expect(createIndex().search('(((')).toEqual([]);
+  });
+
+  it('应该支持增量更新和删除', () => {
+    const index = createIndex();
+    index.add('db', { title: 'Redis notes', text: '缓存过期策略' });
+    expect(index.search('postgresql').map((hit) => hit.id)).toEqual([]);
+    expect(index.search('缓存')[0].id).toBe('db');
+
+    index.remove('deploy');
+    expect(index.size).toBe(2);
+    expect(index.search('docker')).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * 记忆导出与导入单元测试
+ * 测试 JSONL 往返、逐行校验和按内容哈希去重
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  dedupeByContentHash,
+  memoryContentHash,
+  parseMemoryExport,
+  serializeMemoryExport,
+  toDocumentInput,
+  type MemoryExportRecord,
+} from '../../src/electron/utils/memory-transfer';
+import { documentTimestamp, isMemoryExpired } from '../../src/electron/utils/memory-lifecycle';
+
+const record = (overrides: Partial<MemoryExportRecord> = {}): MemoryExportRecord => ({
+  title: '包管理器偏好',
+  text: '用户偏好使用 pnpm 安装依赖',
+  label: 'preference',
+  tags: ['tooling'],
+  metadata: { source: 'ai_tool', scope: '/repo' },
+  createdAt: Date.UTC(2026, 0, 1),
+  updatedAt: Date.UTC(2026, 0, 2),
+  ...overrides,
+});
+
+describe('serializeMemoryExport / parseMemoryExport', () => {
+  it('导出后应该能完整解析回来', () => {
+    const records = [record(), record({ title: '部署', text: '部署前先运行迁移', label: 'project', tags: [], uri: 'file:///repo/README.md#chunk-0' })];
+    const content = serializeMemoryExport(records, 'memvid', new Date(Date.UTC(2026, 2, 1)));
+    const parsed = parseMemoryExport(content);
+
+    expect(parsed.header).toMatchObject({ format: 'aicowork-memory', version: 1, backend: 'memvid', count: 2, exportedAt: '2026-03-01T00:00:00.000Z' });
+    expect(parsed.records).toEqual(records);
+    expect(parsed.errors).toEqual([]);
+  });
+
+  it('无效的行应该跳过并记录行号', () => {
+    const content = [
+      JSON.stringify({ format: 'aicowork-memory', version: 1 }),
+      JSON.stringify(record()),
+      '{not json',
+      JSON.stringify({ title: '缺少正文', label: 'custom' }),
+      '',
+      JSON.stringify({ ...record(), tags: 'tooling' }),
+    ].join('\n');
+    const parsed = parseMemoryExport(content);
+
+    expect(parsed.records).toHaveLength(1);
+    expect(parsed.errors).toEqual([
+      { line: 3, error: 'JSON 格式错误' },
+      { line: 4, error: '缺少 text' },
+      { line: 6, error: 'tags 必须是字符串数组' },
+    ]);
+  });
+
+  it('缺少文件头或版本不支持时应该报错', () => {
+    expect(() => parseMemoryExport('')).toThrow('导出文件为空');
+    expect(() => parseMemoryExport(JSON.stringify(record()))).toThrow('不是记忆导出文件');
+    expect(() => parseMemoryExport(JSON.stringify({ format: 'aicowork-memory', version: 2 }))).toThrow('不支持的导出版本: 2');
+  });
+});
+
+describe('dedupeByContentHash', () => {
+  it('应该跳过文件内和目标存储中内容相同的记忆', () => {
+    const existing = record({ text: '部署前先运行迁移' });
+    const { unique, skipped } = dedupeByContentHash(
+      [record(), record({ title: '重复', text: '  用户偏好使用   pnpm 安装依赖\n' }), existing],
+      [memoryContentHash(existing.text)]
+    );
+
+    expect(unique.map(r => r.title)).toEqual(['包管理器偏好']);
+    expect(skipped).toBe(2);
+  });
+});
+
+describe('toDocumentInput', () => {
+  it('应该在 metadata 中保留原始创建时间', () => {
+    const input = toDocumentInput(record());
+    expect(input.metadata).toEqual({ source: 'ai_tool', scope: '/repo', originalCreatedAt: '2026-01-01T00:00:00.000Z' });
+  });
+
+  it('已有原始创建时间时不应该覆盖', () => {
+    const input = toDocumentInput(record({ metadata: { originalCreatedAt: '2025-06-01T00:00:00.000Z' } }));
+    expect(input.metadata.originalCreatedAt).toBe('2025-06-01T00:00:00.000Z');
+  });
+
+  it('迁移后的记忆应该按原始创建时间排序和过期', () => {
+    const migratedAt = '2026-05-01T00:00:00.000Z';
+    const stored = { created_at: migratedAt, updated_at: migratedAt, metadata: toDocumentInput(record()).metadata };
+    const timestamp = documentTimestamp(stored);
+
+    expect(timestamp).toBe(Date.UTC(2026, 0, 1));
+    expect(isMemoryExpired({ label: 'preference', timestamp }, { preference: 30 }, Date.parse(migratedAt))).toBe(true);
+  });
+});
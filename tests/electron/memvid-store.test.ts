@@ -0,0 +1,104 @@
+/**
+ * Memvid 存储单元测试
+ * 测试按作用域筛选搜索结果时补足 k 条，以及改写帧时保留创建时间
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { promises as fs } from 'fs';
+
+type Frame = { frame_id: number; title: string; metadata: Record<string, unknown>; timestamp?: number };
+
+const { memory } = vi.hoisted(() => {
+  const frames: Frame[] = [];
+  return {
+    memory: {
+      frames,
+      find: vi.fn(async (_query: string, options: { k: number }) => ({
+        hits: frames.slice(0, options.k).map(f => ({ frame_id: f.frame_id, title: f.title, score: 1 })),
+      })),
+      getFrameInfo: vi.fn(async (frameId: number) => frames.find(f => f.frame_id === frameId) ?? null),
+      view: vi.fn(async (frameId: number) => `text ${frameId}`),
+      // 新帧的时间戳是写入时间（秒）
+      put: vi.fn(async (input: { title: string; metadata: Record<string, unknown> }) => {
+        const frameId = Math.max(-1, ...frames.map(f => f.frame_id)) + 1;
+        frames.push({ frame_id: frameId, title: input.title, metadata: input.metadata, timestamp: Date.now() / 1000 });
+        return frameId;
+      }),
+      remove: vi.fn(async (frameId: string) => {
+        frames.splice(frames.findIndex(f => f.frame_id === Number(frameId)), 1);
+      }),
+      seal: vi.fn(async () => {}),
+      timeline: vi.fn(async () => frames.map(f => ({ frame_id: f.frame_id })).reverse()),
+    },
+  };
+});
+
+vi.mock('@memvid/sdk', () => ({
+  create: vi.fn(async () => memory),
+  use: vi.fn(async () => memory),
+  MemvidError: class MemvidError extends Error {},
+}));
+
+import { getMemvidStore } from '../../src/electron/storage/memvid-store';
+
+const PROJECT = 'project:/work/app';
+
+/** 生成 count 个帧，序号从 projectFrom 起的帧属于项目作用域 */
+function seed(count: number, projectFrom: number) {
+  memory.frames.splice(0, memory.frames.length, ...Array.from({ length: count }, (_, i) => ({
+    frame_id: i,
+    title: `doc ${i}`,
+    metadata: i >= projectFrom ? { scope: PROJECT } : {},
+  })));
+}
+
+describe('MemvidStore.findDocuments', () => {
+  const store = getMemvidStore();
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.mocked(fs.access).mockResolvedValue(undefined);
+    await store.initialize();
+  });
+
+  it('筛选后不足 k 条时应该扩大搜索范围补足', async () => {
+    seed(40, 30);
+    const result = await store.findDocuments('doc', { k: 3, scopes: [PROJECT] });
+
+    expect(result.results?.hits.map((hit: { id: string }) => hit.id)).toEqual(['30', '31', '32']);
+    expect(memory.find.mock.calls.map(([, options]) => options.k)).toEqual([12, 24, 48]);
+    // 已检查过的帧不重复读取
+    expect(memory.getFrameInfo).toHaveBeenCalledTimes(33);
+  });
+
+  it('结果取尽时应该返回已找到的命中', async () => {
+    seed(10, 9);
+    const result = await store.findDocuments('doc', { k: 3, scopes: [PROJECT] });
+
+    expect(result.results?.hits.map((hit: { id: string }) => hit.id)).toEqual(['9']);
+    expect(memory.find).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MemvidStore.setDocumentPinned', () => {
+  const store = getMemvidStore();
+  const CREATED = Date.parse('2026-01-01T00:00:00.000Z');
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.mocked(fs.access).mockResolvedValue(undefined);
+    await store.initialize();
+    memory.frames.splice(0, memory.frames.length, { frame_id: 0, title: 'note', metadata: {}, timestamp: CREATED / 1000 });
+  });
+
+  it('置顶和取消置顶不应该改变文档的时间', async () => {
+    const pinned = await store.setDocumentPinned('0', true);
+    const unpinned = await store.setDocumentPinned(pinned.id!, false);
+
+    expect(unpinned.success).toBe(true);
+    const { documents } = await store.listDocuments();
+    expect(documents).toHaveLength(1);
+    expect(documents![0]).toMatchObject({ id: unpinned.id, pinned: false, createdAt: CREATED, updatedAt: CREATED });
+    expect(memory.frames[0].metadata.originalCreatedAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+});
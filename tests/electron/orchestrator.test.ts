@@ -0,0 +1,295 @@
+/**
+ * Agent 编排单元测试
+ * 测试 aggregateAgentOutputs 在各聚合策略下的合并结果，
+ * 以及 runOrchestration / AgentRunner 的调度、失败处理和后续对话的 SDK 会话
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import type { RunnerOptions } from '../../src/electron/libs/runner/types';
+import type { AgentConfig, AgentOrchestrationConfig } from '../../src/electron/storage/agents-store';
+import type { Session } from '../../src/electron/storage/session-store';
+import type { ServerEvent } from '../../src/electron/types';
+
+const { runClaude, getAgentDetail } = vi.hoisted(() => ({
+  runClaude: vi.fn(),
+  getAgentDetail: vi.fn(),
+}));
+
+vi.mock('../../src/electron/libs/runner/index.js', () => ({ runClaude }));
+vi.mock('../../src/electron/storage/agents-store.js', () => ({
+  getAgentDetail,
+  getOrchestrationConfig: vi.fn(),
+}));
+
+import {
+  AgentRunner,
+  aggregateAgentOutputs,
+  runOrchestration,
+  type AgentRunOutput
+} from '../../src/electron/libs/runner/orchestrator';
+
+function output(agentName: string, text: string, finishedAt: number, overrides: Partial<AgentRunOutput> = {}): AgentRunOutput {
+  return { agentId: agentName.toLowerCase(), agentName, round: 1, status: 'completed', text, finishedAt, ...overrides };
+}
+
+describe('aggregateAgentOutputs', () => {
+  const outputs = [
+    output('Explore', 'the bug is in the parser module', 30),
+    output('Code', 'fix the parser module bug', 10),
+    output('General', 'the bug is in the parser module loop', 20),
+  ];
+
+  it('first 策略应该返回最先完成的输出', () => {
+    expect(aggregateAgentOutputs(outputs, 'first')).toBe('fix the parser module bug');
+  });
+
+  it('all 策略应该按 Agent 分节列出', () => {
+    const result = aggregateAgentOutputs(outputs, 'all');
+    expect(result).toContain('## Explore\n\nthe bug is in the parser module');
+    expect(result).toContain('## Code\n\nfix the parser module bug');
+    expect(result.indexOf('## Explore')).toBeLessThan(result.indexOf('## Code'));
+  });
+
+  it('all 策略应该标注多轮输出的轮次', () => {
+    const result = aggregateAgentOutputs([output('Code', 'second pass', 10, { round: 2 })], 'all');
+    expect(result).toBe('## Code（第 2 轮）\n\nsecond pass');
+  });
+
+  it('majority 策略应该返回与其他输出最相似的一条', () => {
+    expect(aggregateAgentOutputs(outputs, 'majority')).toBe('the bug is in the parser module');
+  });
+
+  it('concatenate 策略应该直接拼接输出', () => {
+    expect(aggregateAgentOutputs(outputs.slice(0, 2), 'concatenate'))
+      .toBe('the bug is in the parser module\n\nfix the parser module bug');
+  });
+
+  it('应该忽略失败和空输出', () => {
+    const mixed = [
+      output('Explore', 'partial', 5, { status: 'failed', error: 'timeout' }),
+      output('Code', '', 6),
+      output('General', 'final answer', 7),
+    ];
+    expect(aggregateAgentOutputs(mixed, 'first')).toBe('final answer');
+    expect(aggregateAgentOutputs(mixed, 'concatenate')).toBe('final answer');
+  });
+
+  it('没有有效输出时应该返回空字符串', () => {
+    expect(aggregateAgentOutputs([], 'all')).toBe('');
+  });
+});
+
+function agent(id: string): AgentConfig {
+  return { id, name: id.toUpperCase(), description: '', type: 'custom', systemPrompt: `you are ${id}` };
+}
+
+function session(): Session {
+  return { id: 's1', title: 'task', status: 'running', pendingPermissions: new Map(), permissionGrants: [] };
+}
+
+/**
+ * 模拟单个 Agent 的运行：failing 中的 Agent 报错，其余 Agent 回显收到的提示词
+ * 按系统提示词区分 Agent
+ */
+function fakeRunClaude(failing: string[] = []) {
+  runClaude.mockImplementation(async (options: RunnerOptions) => {
+    const id = options.systemPrompt!.replace('you are ', '');
+    queueMicrotask(() => {
+      const sessionId = options.session.id;
+      if (failing.includes(id)) {
+        options.onEvent({ type: 'session.status', payload: { sessionId, status: 'error', error: `${id} crashed` } });
+        return;
+      }
+      options.onSessionUpdate?.({ claudeSessionId: `sdk-${id}` });
+      options.onEvent({
+        type: 'stream.message',
+        payload: {
+          sessionId,
+          message: { type: 'assistant', message: { content: [{ type: 'text', text: `${id} saw: ${options.prompt}` }] } } as never,
+        },
+      });
+      options.onEvent({ type: 'session.status', payload: { sessionId, status: 'completed' } });
+    });
+    return { abort: vi.fn() };
+  });
+}
+
+/** 运行编排直到最终状态 */
+function orchestrate(config: AgentOrchestrationConfig) {
+  const events: ServerEvent[] = [];
+  const onSessionUpdate = vi.fn();
+  const done = new Promise<ServerEvent>((resolve) => {
+    void runOrchestration({
+      prompt: 'fix it',
+      session: session(),
+      config,
+      onSessionUpdate,
+      onEvent: (event) => {
+        events.push(event);
+        if (event.type === 'session.status') resolve(event);
+      },
+    });
+  });
+  return { events, onSessionUpdate, done };
+}
+
+const messagesOf = (events: ServerEvent[], type: string) =>
+  events.flatMap((e) => (e.type === 'stream.message' && e.payload.message.type === type ? [e.payload.message as never as Record<string, unknown>] : []));
+
+describe('runOrchestration', () => {
+  beforeEach(() => {
+    runClaude.mockReset();
+    getAgentDetail.mockReset();
+    getAgentDetail.mockImplementation(async (id: string) => (id === 'missing' ? null : agent(id)));
+  });
+
+  it('串行模式应该把上一个 Agent 的输出传给下一个，并保存最后一个 Agent 的 SDK 会话', async () => {
+    fakeRunClaude();
+    const { events, onSessionUpdate, done } = orchestrate({
+      mode: 'sequential',
+      agentSequence: ['a', 'missing', 'b'],
+      aggregationStrategy: 'concatenate',
+    });
+
+    const status = await done;
+    expect(status.payload).toMatchObject({ status: 'completed' });
+    expect(runClaude).toHaveBeenCalledTimes(2);
+    expect(runClaude.mock.calls[1][0].prompt).toContain('a saw: fix it');
+    expect(onSessionUpdate).toHaveBeenCalledWith({ claudeSessionId: 'sdk-b', forkResumeAt: undefined });
+
+    const sections = messagesOf(events, 'agent_section').map((m) => `${m.agentId}:${m.status}`);
+    expect(sections).toEqual(['a:started', 'a:completed', 'b:started', 'b:completed']);
+    const [result] = messagesOf(events, 'orchestration_result');
+    expect(result).toMatchObject({ agentCount: 2, strategy: 'concatenate' });
+    expect(String(result.text)).toMatch(/^a saw: fix it\n\nb saw: fix it/);
+  });
+
+  it('Agent 失败且 stopOnFailure 时应该停止后续 Agent 并报告错误', async () => {
+    fakeRunClaude(['a']);
+    const { events, onSessionUpdate, done } = orchestrate({ mode: 'sequential', agentSequence: ['a', 'b'] });
+
+    const status = await done;
+    expect(status.payload).toMatchObject({ status: 'error', error: 'a crashed' });
+    expect(runClaude).toHaveBeenCalledTimes(1);
+    expect(messagesOf(events, 'agent_section').at(-1)).toMatchObject({ agentId: 'a', status: 'failed', error: 'a crashed' });
+    expect(messagesOf(events, 'orchestration_result')).toHaveLength(0);
+    expect(onSessionUpdate).not.toHaveBeenCalled();
+  });
+
+  it('关闭 stopOnFailure 时应该跳过失败的 Agent 继续执行', async () => {
+    fakeRunClaude(['b']);
+    const { events, onSessionUpdate, done } = orchestrate({
+      mode: 'parallel',
+      agentSequence: ['a', 'b', 'c'],
+      stopOnFailure: false,
+      aggregationStrategy: 'all',
+    });
+
+    const status = await done;
+    expect(status.payload).toMatchObject({ status: 'completed' });
+    expect(runClaude).toHaveBeenCalledTimes(3);
+    expect(messagesOf(events, 'orchestration_result')[0]).toMatchObject({ agentCount: 2 });
+    expect(onSessionUpdate).toHaveBeenCalledWith({ claudeSessionId: 'sdk-c', forkResumeAt: undefined });
+  });
+
+  it('并行模式下同时运行的 Agent 输出不应该交错', async () => {
+    const runs: RunnerOptions[] = [];
+    runClaude.mockImplementation(async (options: RunnerOptions) => {
+      runs.push(options);
+      return { abort: vi.fn() };
+    });
+    const { events, done } = orchestrate({ mode: 'parallel', agentSequence: ['a', 'b'] });
+    await vi.waitFor(() => expect(runs).toHaveLength(2));
+
+    const [a, b] = runs;
+    const say = (run: RunnerOptions, text: string) => run.onEvent({
+      type: 'stream.message',
+      payload: { sessionId: 's1', message: { type: 'assistant', message: { content: [{ type: 'text', text }] } } as never },
+    });
+    const partial = (run: RunnerOptions) => run.onEvent({
+      type: 'stream.message',
+      payload: { sessionId: 's1', message: { type: 'stream_event', event: { type: 'content_block_delta' } } as never },
+    });
+    partial(a);
+    say(a, 'a one');
+    partial(b);
+    say(b, 'b one');
+    say(a, 'a two');
+    say(b, 'b two');
+    b.onEvent({ type: 'session.status', payload: { sessionId: 's1', status: 'completed' } });
+    a.onEvent({ type: 'session.status', payload: { sessionId: 's1', status: 'completed' } });
+
+    expect((await done).payload).toMatchObject({ status: 'completed' });
+    const stream = events.flatMap((e) => {
+      if (e.type !== 'stream.message') return [];
+      const message = e.payload.message;
+      if (message.type === 'agent_section') return [`${message.agentId}:${message.status}`];
+      if (message.type === 'assistant') return [(message as never as { message: { content: Array<{ text: string }> } }).message.content[0].text];
+      return [message.type];
+    });
+    expect(stream).toEqual([
+      'b:started', 'b one', 'b two', 'b:completed',
+      'a:started', 'a one', 'a two', 'a:completed',
+      'orchestration_result',
+    ]);
+  });
+
+  it('没有可用的 Agent 时应该报告错误', async () => {
+    const { done } = orchestrate({ mode: 'sequential', agentSequence: ['missing'] });
+    expect((await done).payload).toMatchObject({ status: 'error' });
+    expect(runClaude).not.toHaveBeenCalled();
+  });
+});
+
+describe('AgentRunner', () => {
+  beforeEach(() => {
+    runClaude.mockReset();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('应该在多轮之间沿用同一 Agent 的 SDK 会话', async () => {
+    fakeRunClaude();
+    const runner = new AgentRunner(session(), vi.fn(), new AbortController().signal);
+
+    await runner.run(agent('a'), 'round one', 1);
+    const second = await runner.run(agent('a'), 'round two', 2);
+
+    expect(runClaude.mock.calls[0][0].resumeSessionId).toBeUndefined();
+    expect(runClaude.mock.calls[1][0].resumeSessionId).toBe('sdk-a');
+    expect(second).toMatchObject({ status: 'completed', round: 2, text: 'a saw: round two' });
+    expect(runner.claudeSessionIdOf('a')).toBe('sdk-a');
+  });
+
+  it('超时应该中止 Agent 并返回失败', async () => {
+    vi.useFakeTimers();
+    let agentSignal: AbortSignal | undefined;
+    runClaude.mockImplementation(async (options: RunnerOptions) => {
+      agentSignal = options.abortSignal;
+      return { abort: vi.fn() };
+    });
+    const runner = new AgentRunner(session(), vi.fn(), new AbortController().signal, 2);
+
+    const pending = runner.run(agent('a'), 'slow', 1);
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(await pending).toMatchObject({ status: 'failed', error: 'Agent timed out after 2 seconds.' });
+    expect(agentSignal?.aborted).toBe(true);
+  });
+
+  it('runClaude 抛出异常时应该返回失败', async () => {
+    runClaude.mockRejectedValue(new Error('spawn failed'));
+    const runner = new AgentRunner(session(), vi.fn(), new AbortController().signal);
+    expect(await runner.run(agent('a'), 'x', 1)).toMatchObject({ status: 'failed', error: 'Error: spawn failed' });
+  });
+
+  it('已中止时不应该启动 Agent', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const runner = new AgentRunner(session(), vi.fn(), controller.signal);
+    expect(await runner.run(agent('a'), 'x', 1)).toMatchObject({ status: 'failed', error: 'Aborted.' });
+    expect(runClaude).not.toHaveBeenCalled();
+  });
+});
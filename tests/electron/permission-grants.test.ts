@@ -0,0 +1,83 @@
+/**
+ * 权限授权单元测试
+ * 测试授权的生成范围以及匹配语义
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  createPermissionGrant,
+  findMatchingGrant,
+  getCwdGrants,
+  setCwdGrantProvider,
+} from '../../src/electron/libs/runner/permission-grants';
+
+const context = { sessionId: 'session-1', cwd: '/project' };
+
+describe('createPermissionGrant', () => {
+  it('Bash 授权应该记录完整命令', () => {
+    const grant = createPermissionGrant('session', 'Bash', { command: ' npm test ' }, context);
+    expect(grant.pattern).toBe('npm test');
+    expect(grant.sessionId).toBe('session-1');
+    expect(grant.cwd).toBeUndefined();
+  });
+
+  it('其他工具授权应该限定为触发确认的规则模式', () => {
+    const rule = { tool: 'Write', pattern: 'src/**', action: 'ask' as const };
+    const grant = createPermissionGrant('cwd', 'Write', { file_path: '/project/src/a.ts' }, context, rule);
+    expect(grant.pattern).toBe('src/**');
+    expect(grant.cwd).toBe('/project');
+    expect(grant.sessionId).toBeUndefined();
+  });
+
+  it('规则没有模式时应该限定为本次调用的文件路径', () => {
+    const rule = { tool: 'Write', action: 'ask' as const };
+    const grant = createPermissionGrant('session', 'Write', { file_path: '/project/a.ts' }, context, rule);
+    expect(grant.pattern).toBe('/project/a.ts');
+  });
+});
+
+describe('findMatchingGrant', () => {
+  const bashGrant = createPermissionGrant('forever', 'Bash', { command: 'git status' }, context);
+  const writeGrant = createPermissionGrant('session', 'Write', {}, context);
+
+  it('Bash 授权应该只匹配完全相同的命令', () => {
+    expect(findMatchingGrant([bashGrant], 'Bash', { command: 'git status' })).toBe(bashGrant);
+    expect(findMatchingGrant([bashGrant], 'Bash', { command: 'git status && rm -rf .' })).toBeUndefined();
+  });
+
+  it('规则模式授权不应该匹配其他路径', () => {
+    const grant = createPermissionGrant('session', 'Write', { file_path: '/project/src/a.ts' }, context, {
+      tool: 'Write',
+      pattern: 'src/**',
+      action: 'ask',
+    });
+    expect(findMatchingGrant([grant], 'Write', { file_path: '/project/src/b/c.ts' })).toBe(grant);
+    expect(findMatchingGrant([grant], 'Write', { file_path: '/etc/hosts' })).toBeUndefined();
+
+    const exact = createPermissionGrant('session', 'Write', { file_path: '/project/a.ts' }, context);
+    expect(findMatchingGrant([exact], 'Write', { file_path: '/project/a.ts' })).toBe(exact);
+    expect(findMatchingGrant([exact], 'Write', { file_path: '/project/b.ts' })).toBeUndefined();
+  });
+
+  it('没有模式的授权应该匹配该工具的任意调用', () => {
+    expect(findMatchingGrant([writeGrant], 'Write', { file_path: '/any/file' })).toBe(writeGrant);
+    expect(findMatchingGrant([writeGrant], 'Edit', { file_path: '/any/file' })).toBeUndefined();
+  });
+});
+
+describe('getCwdGrants', () => {
+  afterEach(() => setCwdGrantProvider(null));
+
+  it('未注册查询函数或没有 cwd 时应该返回空数组', () => {
+    expect(getCwdGrants('/project')).toEqual([]);
+    setCwdGrantProvider(() => [createPermissionGrant('cwd', 'Write', {}, context)]);
+    expect(getCwdGrants(undefined)).toEqual([]);
+  });
+
+  it('应该通过注册的查询函数获取授权', () => {
+    const grant = createPermissionGrant('cwd', 'Write', {}, context);
+    setCwdGrantProvider((cwd) => (cwd === '/project' ? [grant] : []));
+    expect(getCwdGrants('/project')).toEqual([grant]);
+    expect(getCwdGrants('/other')).toEqual([]);
+  });
+});
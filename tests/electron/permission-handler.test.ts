@@ -0,0 +1,138 @@
+/**
+ * 权限处理单元测试
+ * 测试 PreToolUse 权限规则钩子的 deny / ask / 授权 / 删除确认，以及 canUseTool 的用户作答工具
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { HookJSONOutput } from '@anthropic-ai/claude-agent-sdk';
+import type { PermissionRule } from '../../src/electron/storage/permissions-store';
+import type { Session } from '../../src/electron/storage/session-store';
+import type { PermissionGrant } from '../../src/electron/types';
+
+const { getPermissionsConfig } = vi.hoisted(() => ({ getPermissionsConfig: vi.fn() }));
+
+vi.mock('../../src/electron/storage/permissions-store.js', () => ({ getPermissionsConfig }));
+
+import { createPermissionHandler, createPermissionRuleHook } from '../../src/electron/libs/runner/permission-handler';
+
+function session(permissionGrants: PermissionGrant[] = []): Session {
+  return { id: 's1', title: 'task', status: 'running', pendingPermissions: new Map(), permissionGrants };
+}
+
+function rules(...customRules: PermissionRule[]) {
+  getPermissionsConfig.mockResolvedValue({ allowedTools: [], customRules });
+}
+
+function runHook(target: Session, toolName: string, toolInput: unknown, send = vi.fn()): Promise<HookJSONOutput> {
+  const [hook] = createPermissionRuleHook(target, send).hooks;
+  return hook(
+    {
+      hook_event_name: 'PreToolUse',
+      session_id: 'sdk-session',
+      transcript_path: '',
+      cwd: '/work',
+      tool_name: toolName,
+      tool_input: toolInput,
+      tool_use_id: 'tool-1',
+    },
+    'tool-1',
+    { signal: new AbortController().signal }
+  );
+}
+
+/** 等待权限请求发出后按 behavior 响应 */
+async function respond(target: Session, behavior: 'allow' | 'deny') {
+  await vi.waitFor(() => expect(target.pendingPermissions.size).toBe(1));
+  const [pending] = target.pendingPermissions.values();
+  pending.resolve(behavior === 'allow' ? { behavior, updatedInput: pending.input } : { behavior, message: 'no' });
+}
+
+const decisionOf = (output: HookJSONOutput) =>
+  'hookSpecificOutput' in output && output.hookSpecificOutput?.hookEventName === 'PreToolUse'
+    ? output.hookSpecificOutput.permissionDecision
+    : undefined;
+
+describe('createPermissionRuleHook', () => {
+  beforeEach(() => {
+    getPermissionsConfig.mockReset();
+    rules();
+  });
+
+  it('deny 规则应该拒绝只读工具的调用', async () => {
+    rules({ tool: 'Read', pattern: '/etc/**', action: 'deny', allowed: false });
+    const output = await runHook(session(), 'Read', { file_path: '/etc/passwd' });
+    expect(decisionOf(output)).toBe('deny');
+    expect(output).toMatchObject({ decision: 'block', reason: 'Denied by permission rule: Read(/etc/**)' });
+  });
+
+  it('未命中规则的调用不做决定', async () => {
+    rules({ tool: 'Bash', pattern: 'git push', action: 'ask', allowed: false });
+    const send = vi.fn();
+    expect(await runHook(session(), 'Bash', { command: 'git status' }, send)).toEqual({});
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('ask 规则应该等待用户确认并放行', async () => {
+    rules({ tool: 'Bash', pattern: 'git push', action: 'ask', allowed: false });
+    const target = session();
+    const send = vi.fn();
+    const pending = runHook(target, 'Bash', { command: 'git push origin' }, send);
+    await respond(target, 'allow');
+
+    const output = await pending;
+    expect(decisionOf(output)).toBe('allow');
+    expect(output).toMatchObject({ hookSpecificOutput: { updatedInput: { command: 'git push origin' } } });
+    expect(send).toHaveBeenCalledWith(expect.any(String), 'Bash', { command: 'git push origin' }, {
+      tool: 'Bash',
+      pattern: 'git push',
+      action: 'ask',
+      description: undefined,
+    });
+  });
+
+  it('已授权的 ask 规则调用应该直接放行', async () => {
+    rules({ tool: 'Bash', pattern: 'git push', action: 'ask', allowed: false });
+    const grant: PermissionGrant = { id: 'g1', scope: 'session', tool: 'Bash', pattern: 'git push', createdAt: 0 };
+    const send = vi.fn();
+    expect(decisionOf(await runHook(session([grant]), 'Bash', { command: 'git push' }, send))).toBe('allow');
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('删除操作没有规则时也需要确认，授权不能跳过', async () => {
+    const grant: PermissionGrant = { id: 'g1', scope: 'session', tool: 'Bash', createdAt: 0 };
+    const target = session([grant]);
+    const pending = runHook(target, 'Bash', { command: 'rm -rf build' });
+    await respond(target, 'deny');
+    expect(decisionOf(await pending)).toBe('deny');
+  });
+
+  it('acceptEdits 和 bypassPermissions 模式下 deny 规则和删除确认仍然生效', async () => {
+    rules({ tool: 'Write', pattern: '/etc/**', action: 'deny', allowed: false });
+    for (const permissionMode of ['acceptEdits', 'bypassPermissions'] as const) {
+      const target = { ...session(), permissionMode };
+      expect(decisionOf(await runHook(target, 'Write', { file_path: '/etc/hosts' }))).toBe('deny');
+
+      const pending = runHook(target, 'Bash', { command: 'rm -rf build' });
+      await respond(target, 'deny');
+      expect(decisionOf(await pending)).toBe('deny');
+    }
+  });
+
+  it('AskUserQuestion 交由 canUseTool 处理', async () => {
+    expect(await runHook(session(), 'AskUserQuestion', { questions: [] })).toEqual({});
+  });
+});
+
+describe('createPermissionHandler', () => {
+  it('AskUserQuestion 和 ExitPlanMode 需要用户作答，其他调用自动批准', async () => {
+    const target = session();
+    const canUseTool = createPermissionHandler(target, vi.fn());
+    const signal = new AbortController().signal;
+
+    expect(await canUseTool('Bash', { command: 'rm -rf build' }, { signal })).toMatchObject({ behavior: 'allow' });
+
+    const pending = canUseTool('ExitPlanMode', { plan: 'do it' }, { signal });
+    await respond(target, 'allow');
+    expect(await pending).toEqual({ behavior: 'allow', updatedInput: { plan: 'do it' } });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * 权限模式切换单元测试
+ * 测试运行中的查询进程切换权限模式，以及跳过权限检查需要重新启动进程
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Query } from '@anthropic-ai/claude-agent-sdk';
+import type { Session } from '../../src/electron/storage/session-store';
+import type { ApiConfig } from '../../src/electron/storage/config-store';
+import type { SessionPermissionMode } from '../../src/electron/types';
+import type { PerformanceMonitor } from '../../src/electron/libs/runner/performance-monitor';
+
+vi.mock('../../src/electron/storage/runner-store.js', () => ({
+  getRunnerConfig: vi.fn(async () => ({ idleTimeoutMinutes: 10 })),
+}));
+
+import { SessionQuery, liveSessions } from '../../src/electron/libs/runner/session-query';
+import { setLiveSessionPermissionMode } from '../../src/electron/libs/runner/index';
+
+const session: Session = { id: 's1', title: 'task', status: 'running', pendingPermissions: new Map() };
+
+function createQuery(permissionMode: SessionPermissionMode) {
+  return new SessionQuery({
+    session,
+    config: { id: 'config-1', name: 'Work', model: 'claude-sonnet' } as ApiConfig,
+    memConfig: { enabled: false, autoStore: false } as never,
+    abortController: new AbortController(),
+    perfMonitor: { startTurn: vi.fn(), endTurn: vi.fn(), recordFirstToken: vi.fn() } as unknown as PerformanceMonitor,
+    keepAlive: true,
+    permissionMode,
+  });
+}
+
+/** 启动查询但不产出消息，直到 finish 被调用 */
+function startQuery(live: SessionQuery) {
+  let finish = () => {};
+  const q = {
+    setPermissionMode: vi.fn(async () => {}),
+    [Symbol.asyncIterator]: () => ({
+      next: () => new Promise<IteratorResult<never>>((resolve) => {
+        finish = () => resolve({ done: true, value: undefined });
+      }),
+    }),
+  };
+  const consuming = live.consume(q as unknown as Query);
+  return { q, stop: () => { finish(); return consuming; } };
+}
+
+describe('SessionQuery.setPermissionMode', () => {
+  it('应该切换运行中查询的权限模式', async () => {
+    const live = createQuery('default');
+    const { q, stop } = startQuery(live);
+
+    await live.setPermissionMode('acceptEdits');
+    expect(q.setPermissionMode).toHaveBeenCalledWith('acceptEdits');
+    expect(live.permissionMode).toBe('acceptEdits');
+
+    // 相同模式不重复切换
+    await live.setPermissionMode('acceptEdits');
+    expect(q.setPermissionMode).toHaveBeenCalledTimes(1);
+    await stop();
+  });
+
+  it('查询尚未启动时应该忽略', async () => {
+    const live = createQuery('default');
+    await live.setPermissionMode('plan');
+    expect(live.permissionMode).toBe('default');
+  });
+});
+
+describe('setLiveSessionPermissionMode', () => {
+  beforeEach(() => {
+    liveSessions.closeAll();
+  });
+
+  const register = (permissionMode: SessionPermissionMode) => {
+    const live = createQuery(permissionMode);
+    const started = startQuery(live);
+    liveSessions.add(live);
+    return { live, ...started };
+  };
+
+  it('应该把新模式应用到存活的查询进程', async () => {
+    const { live, q, stop } = register('default');
+    await setLiveSessionPermissionMode('s1', 'plan');
+
+    expect(q.setPermissionMode).toHaveBeenCalledWith('plan');
+    expect(live.permissionMode).toBe('plan');
+    await stop();
+  });
+
+  it('未允许跳过权限检查的空闲进程切换到 bypassPermissions 时应该关闭，下一轮重新启动', async () => {
+    const { live, q, stop } = register('default');
+    const close = vi.spyOn(live, 'close');
+    await setLiveSessionPermissionMode('s1', 'bypassPermissions');
+
+    expect(q.setPermissionMode).not.toHaveBeenCalled();
+    expect(close).toHaveBeenCalled();
+    await stop();
+  });
+
+  it('忙碌的进程切换到 bypassPermissions 时应该保持原模式运行', async () => {
+    const { live, q, stop } = register('default');
+    live.enqueue({ prompt: 'work', onEvent: vi.fn(), budget: null, requestedAt: 0 });
+    const close = vi.spyOn(live, 'close');
+    await setLiveSessionPermissionMode('s1', 'bypassPermissions');
+
+    expect(q.setPermissionMode).not.toHaveBeenCalled();
+    expect(close).not.toHaveBeenCalled();
+    expect(live.permissionMode).toBe('default');
+    await stop();
+  });
+
+  it('以 bypassPermissions 启动的进程可以直接切换回其他模式', async () => {
+    const { live, q, stop } = register('bypassPermissions');
+    await setLiveSessionPermissionMode('s1', 'default');
+
+    expect(q.setPermissionMode).toHaveBeenCalledWith('default');
+    expect(live.permissionMode).toBe('default');
+    await stop();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * 权限规则匹配单元测试
+ * 测试工具名称 glob、输入模式匹配以及多规则优先级
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  evaluatePermissionRules,
+  globToRegExp,
+  ruleMatches,
+} from '../../src/electron/libs/runner/permission-rules';
+import type { PermissionRule } from '../../src/electron/storage/permissions-store';
+
+function rule(tool: string, action: PermissionRule['action'], pattern?: string): PermissionRule {
+  return { tool, allowed: action === 'allow', action, pattern };
+}
+
+describe('globToRegExp', () => {
+  it('路径模式下 * 不应跨越目录', () => {
+    const re = globToRegExp('src/*.ts', { pathMode: true });
+    expect(re.test('src/index.ts')).toBe(true);
+    expect(re.test('src/lib/index.ts')).toBe(false);
+  });
+
+  it('路径模式下 **/ 应匹配零层或多层目录', () => {
+    const re = globToRegExp('src/**/*.ts', { pathMode: true });
+    expect(re.test('src/index.ts')).toBe(true);
+    expect(re.test('src/a/b/index.ts')).toBe(true);
+  });
+
+  it('应该转义正则特殊字符', () => {
+    expect(globToRegExp('a.b(c)').test('a.b(c)')).toBe(true);
+    expect(globToRegExp('a.b(c)').test('axb(c)')).toBe(false);
+  });
+});
+
+describe('ruleMatches', () => {
+  it('应该按工具名称 glob 匹配', () => {
+    expect(ruleMatches(rule('mcp__*', 'deny'), 'mcp__web_reader__webReader', {})).toBe(true);
+    expect(ruleMatches(rule('mcp__*', 'deny'), 'Bash', {})).toBe(false);
+    expect(ruleMatches(rule('*', 'ask'), 'Write', {})).toBe(true);
+  });
+
+  it('Bash 规则应该按命令前缀匹配', () => {
+    const r = rule('Bash', 'ask', 'git push');
+    expect(ruleMatches(r, 'Bash', { command: 'git push origin main' })).toBe(true);
+    expect(ruleMatches(r, 'Bash', { command: '  git push' })).toBe(true);
+    expect(ruleMatches(r, 'Bash', { command: 'git status' })).toBe(false);
+  });
+
+  it('Bash 前缀之后应该是空白或命令结尾', () => {
+    const r = rule('Bash', 'deny', 'rm');
+    expect(ruleMatches(r, 'Bash', { command: 'rm -rf build' })).toBe(true);
+    expect(ruleMatches(r, 'Bash', { command: 'rm' })).toBe(true);
+    expect(ruleMatches(r, 'Bash', { command: 'rmdir build' })).toBe(false);
+    expect(ruleMatches(r, 'Bash', { command: 'rmx' })).toBe(false);
+  });
+
+  it('Bash 前缀模式应该支持通配符', () => {
+    const r = rule('Bash', 'allow', 'npm run *');
+    expect(ruleMatches(r, 'Bash', { command: 'npm run test -- --watch' })).toBe(true);
+    expect(ruleMatches(r, 'Bash', { command: 'npm install' })).toBe(false);
+  });
+
+  it('文件类工具应该按路径 glob 匹配', () => {
+    const r = rule('Write', 'deny', '/etc/**');
+    expect(ruleMatches(r, 'Write', { file_path: '/etc/hosts' })).toBe(true);
+    expect(ruleMatches(r, 'Write', { file_path: '/home/user/etc/hosts' })).toBe(false);
+  });
+
+  it('相对路径模式应该匹配任意层级', () => {
+    const r = rule('Edit', 'ask', '*.env');
+    expect(ruleMatches(r, 'Edit', { file_path: '/project/prod.env' })).toBe(true);
+    expect(ruleMatches(r, 'Edit', { file_path: '/project/config/.env' })).toBe(true);
+    expect(ruleMatches(r, 'Edit', { file_path: '/project/env.ts' })).toBe(false);
+  });
+
+  it('应该兼容 Windows 路径分隔符', () => {
+    const r = rule('Read', 'deny', 'secrets/**');
+    expect(ruleMatches(r, 'Read', { file_path: 'C:\\repo\\secrets\\key.pem' })).toBe(true);
+  });
+
+  it('其他工具应该匹配 url 等主要参数', () => {
+    const r = rule('WebFetch', 'allow', 'https://github.com/*');
+    expect(ruleMatches(r, 'WebFetch', { url: 'https://github.com/org/repo' })).toBe(true);
+    expect(ruleMatches(r, 'WebFetch', { url: 'https://example.com' })).toBe(false);
+  });
+
+  it('有输入模式但输入缺少对应参数时不应匹配', () => {
+    expect(ruleMatches(rule('Bash', 'deny', 'rm'), 'Bash', {})).toBe(false);
+  });
+});
+
+describe('evaluatePermissionRules', () => {
+  it('未命中任何规则时应该返回 null', () => {
+    expect(evaluatePermissionRules([rule('Write', 'deny')], 'Read', { file_path: '/a' })).toBeNull();
+  });
+
+  it('多条规则命中时应该按 deny > ask > allow 取优先级', () => {
+    const rules = [
+      rule('Bash', 'allow'),
+      rule('Bash', 'ask', 'git'),
+      rule('Bash', 'deny', 'git push --force'),
+    ];
+    expect(evaluatePermissionRules(rules, 'Bash', { command: 'ls' })?.action).toBe('allow');
+    expect(evaluatePermissionRules(rules, 'Bash', { command: 'git commit' })?.action).toBe('ask');
+    expect(evaluatePermissionRules(rules, 'Bash', { command: 'git push --force' })).toEqual({
+      tool: 'Bash',
+      pattern: 'git push --force',
+      action: 'deny',
+      description: undefined,
+    });
+  });
+
+  it('没有 action 的旧规则应该按 allowed 字段处理', () => {
+    const legacy: PermissionRule[] = [{ tool: 'Task', allowed: false }];
+    expect(evaluatePermissionRules(legacy, 'Task', {})?.action).toBe('deny');
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * 提示词队列单元测试
+ * 测试排队、编辑、排序、移除和按顺序取出
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PromptQueueStore } from '../../src/electron/libs/runner/prompt-queue';
+
+const prompts = (store: PromptQueueStore, sessionId: string) => store.list(sessionId).map((item) => item.prompt);
+
+describe('PromptQueueStore', () => {
+  it('应该按提交顺序取出，不同会话互不影响', () => {
+    const store = new PromptQueueStore();
+    store.add('s1', 'first');
+    store.add('s1', 'second');
+    store.add('s2', 'other');
+
+    expect(store.shift('s1')?.prompt).toBe('first');
+    expect(prompts(store, 's1')).toEqual(['second']);
+    expect(prompts(store, 's2')).toEqual(['other']);
+    store.shift('s1');
+    expect(store.shift('s1')).toBeUndefined();
+  });
+
+  it('应该支持编辑和移除', () => {
+    const store = new PromptQueueStore();
+    const a = store.add('s1', 'a');
+    const b = store.add('s1', 'b');
+
+    expect(store.update('s1', a.id, 'a2')).toBe(true);
+    expect(store.remove('s1', b.id)?.prompt).toBe('b');
+    expect(store.update('s1', 'missing', 'x')).toBe(false);
+    expect(prompts(store, 's1')).toEqual(['a2']);
+  });
+
+  it('移动时应该把超出范围的位置限制在队首或队尾', () => {
+    const store = new PromptQueueStore();
+    const a = store.add('s1', 'a');
+    store.add('s1', 'b');
+    const c = store.add('s1', 'c');
+
+    store.move('s1', c.id, 0);
+    expect(prompts(store, 's1')).toEqual(['c', 'a', 'b']);
+    store.move('s1', a.id, 10);
+    expect(prompts(store, 's1')).toEqual(['c', 'b', 'a']);
+    store.move('s1', a.id, -1);
+    expect(prompts(store, 's1')).toEqual(['a', 'c', 'b']);
+  });
+
+  it('list 返回副本，修改不影响队列', () => {
+    const store = new PromptQueueStore();
+    store.add('s1', 'a');
+    store.list('s1').pop();
+    expect(prompts(store, 's1')).toEqual(['a']);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * 会话分支辅助函数单元测试
+ * 测试 SDK 分支点查找和回放上下文生成
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildReplayContext, findForkResumePoint } from '../../src/electron/storage/session-fork';
+import type { StreamMessage } from '../../src/electron/types';
+
+function assistant(uuid: string, text: string): StreamMessage {
+  return {
+    type: 'assistant',
+    uuid,
+    message: { content: [{ type: 'text', text }, { type: 'tool_use', id: 't1', name: 'Read', input: {} }] },
+  } as unknown as StreamMessage;
+}
+
+describe('findForkResumePoint', () => {
+  it('应该返回最后一条助手消息的 uuid', () => {
+    const messages: StreamMessage[] = [
+      { type: 'user_prompt', prompt: '第一个问题' },
+      assistant('a-1', '回答一'),
+      { type: 'user_prompt', prompt: '第二个问题' },
+      assistant('a-2', '回答二'),
+      { type: 'result', subtype: 'success' } as unknown as StreamMessage,
+    ];
+    expect(findForkResumePoint(messages)).toBe('a-2');
+  });
+
+  it('没有助手消息时应该返回 undefined', () => {
+    expect(findForkResumePoint([{ type: 'user_prompt', prompt: 'hi' }])).toBeUndefined();
+    expect(findForkResumePoint([])).toBeUndefined();
+  });
+});
+
+describe('buildReplayContext', () => {
+  it('应该只保留用户提示词和助手文本', () => {
+    const context = buildReplayContext([
+      { type: 'user_prompt', prompt: '列出文件' },
+      { type: 'stream_event', event: {} } as unknown as StreamMessage,
+      assistant('a-1', '共有三个文件'),
+    ]);
+    expect(context).toContain('<previous_conversation>');
+    expect(context).toContain('User: 列出文件\n\nAssistant: 共有三个文件');
+    expect(context).not.toContain('Read');
+  });
+
+  it('没有可回放的内容时应该返回空字符串', () => {
+    expect(buildReplayContext([])).toBe('');
+  });
+
+  it('过长的记录应该只保留最近的部分', () => {
+    const context = buildReplayContext([
+      { type: 'user_prompt', prompt: 'old'.repeat(5000) },
+      { type: 'user_prompt', prompt: 'latest question' },
+      assistant('a-1', 'x'.repeat(20000)),
+    ]);
+    expect(context).toContain('…');
+    expect(context).not.toContain('oldold');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * 会话事件处理器单元测试
+ * 测试中断会话的恢复和结束、权限模式切换、退出计划模式后的模式更新和会话删除
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Session, SessionStore } from '../../src/electron/storage/session-store';
+import type { ServerEvent } from '../../src/electron/types';
+
+const { runClaude, closeLiveSession, setLiveSessionPermissionMode, evictCachedMemoryMcpServer } = vi.hoisted(() => ({
+  runClaude: vi.fn(),
+  closeLiveSession: vi.fn(),
+  setLiveSessionPermissionMode: vi.fn(async () => {}),
+  evictCachedMemoryMcpServer: vi.fn(),
+}));
+
+vi.mock('../../src/electron/libs/runner.js', () => ({
+  runClaude,
+  closeLiveSession,
+  runOrchestration: vi.fn(),
+  setLiveSessionPermissionMode,
+}));
+vi.mock('../../src/electron/managers/sdk-config-cache.js', () => ({ evictCachedMemoryMcpServer }));
+vi.mock('../../src/electron/storage/permissions-store.js', () => ({ addPermissionGrant: vi.fn(async () => {}) }));
+// 处理器还会写会话日志，全局的 logger mock 没有这些方法
+vi.mock('../../src/electron/logger.js', () => ({
+  log: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn(), session: vi.fn(), sessionCwd: vi.fn(), performance: vi.fn() },
+}));
+
+import {
+  handlePermissionResponse,
+  handleSessionDelete,
+  handleSessionPermissionMode,
+  handleSessionRecover,
+} from '../../src/electron/handlers/session-handlers';
+
+function session(overrides: Partial<Session> = {}): Session {
+  return {
+    id: 's1',
+    title: 'task',
+    status: 'interrupted',
+    lastPrompt: 'build it',
+    pendingPermissions: new Map(),
+    permissionGrants: [],
+    ...overrides,
+  };
+}
+
+/** 只实现处理器用到的方法的会话存储 */
+function createStore(target: Session) {
+  return {
+    getSession: vi.fn((id: string) => (id === target.id ? target : undefined)),
+    updateSession: vi.fn((_id: string, updates: Partial<Session>) => Object.assign(target, updates)),
+    clearAbandonedPermissions: vi.fn(),
+    resolvePendingPermission: vi.fn(),
+    getSessionHistory: vi.fn(() => ({ messages: [] })),
+    deleteSession: vi.fn(),
+  };
+}
+
+describe('handleSessionRecover', () => {
+  let emit: ReturnType<typeof vi.fn<(event: ServerEvent) => void>>;
+
+  beforeEach(() => {
+    emit = vi.fn();
+    runClaude.mockReset();
+    runClaude.mockResolvedValue({ abort: vi.fn() });
+  });
+
+  const recover = (store: ReturnType<typeof createStore>, action: 'resume' | 'complete') =>
+    handleSessionRecover(store as unknown as SessionStore, new Map(), emit, 's1', action);
+
+  it('标记完成时应该清除作废的权限请求并更新状态', () => {
+    const store = createStore(session());
+    recover(store, 'complete');
+
+    expect(store.clearAbandonedPermissions).toHaveBeenCalledWith('s1');
+    expect(emit).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'session.status',
+      payload: expect.objectContaining({ sessionId: 's1', status: 'completed' }),
+    }));
+    expect(runClaude).not.toHaveBeenCalled();
+  });
+
+  it('已有 SDK 会话时应该恢复该会话并让模型继续上一轮', () => {
+    const store = createStore(session({ claudeSessionId: 'sdk-1' }));
+    recover(store, 'resume');
+
+    expect(store.clearAbandonedPermissions).toHaveBeenCalledWith('s1');
+    expect(store.updateSession).toHaveBeenCalledWith('s1', expect.objectContaining({ status: 'running' }));
+    expect(runClaude).toHaveBeenCalledWith(expect.objectContaining({
+      resumeSessionId: 'sdk-1',
+      prompt: expect.stringContaining('Continue the task from where you left off'),
+    }));
+  });
+
+  it('没有 SDK 会话时应该重新发送上一轮的提示词', () => {
+    const store = createStore(session());
+    recover(store, 'resume');
+
+    expect(store.clearAbandonedPermissions).toHaveBeenCalledWith('s1');
+    expect(runClaude).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'build it' }));
+  });
+
+  it('没有可恢复的轮次时应该报错并保留作废的请求', () => {
+    const store = createStore(session({ lastPrompt: undefined }));
+    recover(store, 'resume');
+
+    expect(store.clearAbandonedPermissions).not.toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledWith(expect.objectContaining({ type: 'runner.error' }));
+    expect(runClaude).not.toHaveBeenCalled();
+  });
+
+  it('不是中断状态的会话不做处理', () => {
+    const store = createStore(session({ status: 'completed' }));
+    recover(store, 'complete');
+
+    expect(store.clearAbandonedPermissions).not.toHaveBeenCalled();
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleSessionPermissionMode', () => {
+  beforeEach(() => {
+    setLiveSessionPermissionMode.mockClear();
+  });
+
+  it('应该保存新模式、通知界面并切换存活的查询进程', () => {
+    const target = session({ status: 'running', permissionMode: 'default' });
+    const store = createStore(target);
+    const emit = vi.fn();
+    handleSessionPermissionMode(store as unknown as SessionStore, emit, 's1', 'acceptEdits');
+
+    expect(target.permissionMode).toBe('acceptEdits');
+    expect(emit).toHaveBeenCalledWith({ type: 'session.permissionMode', payload: { sessionId: 's1', mode: 'acceptEdits' } });
+    expect(setLiveSessionPermissionMode).toHaveBeenCalledWith('s1', 'acceptEdits');
+  });
+
+  it('未知的模式应该报错且不修改会话', () => {
+    const target = session({ permissionMode: 'default' });
+    const store = createStore(target);
+    const emit = vi.fn();
+    handleSessionPermissionMode(store as unknown as SessionStore, emit, 's1', 'yolo' as never);
+
+    expect(target.permissionMode).toBe('default');
+    expect(emit).toHaveBeenCalledWith(expect.objectContaining({ type: 'runner.error' }));
+    expect(setLiveSessionPermissionMode).not.toHaveBeenCalled();
+  });
+});
+
+describe('handlePermissionResponse', () => {
+  beforeEach(() => {
+    setLiveSessionPermissionMode.mockClear();
+  });
+
+  function pendingSession(toolName: string) {
+    const resolve = vi.fn();
+    const target = session({ status: 'running', permissionMode: 'plan' });
+    target.pendingPermissions.set('tool-1', { toolUseId: 'tool-1', toolName, input: { plan: 'do it' }, resolve });
+    return { target, resolve, store: createStore(target) };
+  }
+
+  it('批准退出计划模式时应该按 setMode 切换会话的权限模式', () => {
+    const { target, resolve, store } = pendingSession('ExitPlanMode');
+    const result = {
+      behavior: 'allow' as const,
+      updatedInput: { plan: 'do it' },
+      updatedPermissions: [{ type: 'setMode' as const, mode: 'acceptEdits' as const, destination: 'session' as const }],
+    };
+    handlePermissionResponse(store as unknown as SessionStore, vi.fn(), 's1', 'tool-1', result);
+
+    expect(resolve).toHaveBeenCalledWith(result);
+    expect(store.resolvePendingPermission).toHaveBeenCalledWith('tool-1');
+    expect(target.permissionMode).toBe('acceptEdits');
+    expect(setLiveSessionPermissionMode).toHaveBeenCalledWith('s1', 'acceptEdits');
+  });
+
+  it('拒绝退出计划模式时应该保持计划模式', () => {
+    const { target, store } = pendingSession('ExitPlanMode');
+    handlePermissionResponse(store as unknown as SessionStore, vi.fn(), 's1', 'tool-1', { behavior: 'deny', message: 'keep planning' });
+
+    expect(target.permissionMode).toBe('plan');
+    expect(setLiveSessionPermissionMode).not.toHaveBeenCalled();
+  });
+
+  it('其他工具的 setMode 更新不应该切换模式', () => {
+    const { target, store } = pendingSession('Bash');
+    handlePermissionResponse(store as unknown as SessionStore, vi.fn(), 's1', 'tool-1', {
+      behavior: 'allow',
+      updatedInput: {},
+      updatedPermissions: [{ type: 'setMode', mode: 'bypassPermissions', destination: 'session' }],
+    });
+
+    expect(target.permissionMode).toBe('plan');
+    expect(setLiveSessionPermissionMode).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleSessionDelete', () => {
+  it('应该中止运行、关闭查询进程并释放缓存的 Memory MCP 服务器', () => {
+    const store = createStore(session({ status: 'running' }));
+    const abort = vi.fn();
+    const emit = vi.fn();
+    handleSessionDelete(store as unknown as SessionStore, new Map([['s1', { abort }]]), emit, 's1');
+
+    expect(abort).toHaveBeenCalled();
+    expect(closeLiveSession).toHaveBeenCalledWith('s1');
+    expect(evictCachedMemoryMcpServer).toHaveBeenCalledWith('s1');
+    expect(store.deleteSession).toHaveBeenCalledWith('s1');
+    expect(emit).toHaveBeenCalledWith({ type: 'session.deleted', payload: { sessionId: 's1' } });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * 会话导入辅助函数单元测试
+ * 测试导出包校验和消息 ID 重新分配
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseSessionBundle, remapMessageIds } from '../../src/electron/storage/session-import';
+import type { StreamMessage } from '../../src/electron/types';
+
+function bundle(overrides: Record<string, unknown> = {}) {
+  return {
+    format: 'aicowork-session',
+    version: 1,
+    exportedAt: 1,
+    redactedToolInputs: false,
+    session: { id: 'old-session', title: '排查登录问题', cwd: '/work/app', createdAt: 100, updatedAt: 200 },
+    messages: [
+      { type: 'user_prompt', prompt: '为什么登录失败？' },
+      { type: 'assistant', uuid: 'a-1', message: { content: [{ type: 'text', text: '看看日志' }] } },
+      { type: 'assistant', uuid: 'a-2' },
+      'not a message',
+    ],
+    ...overrides,
+  };
+}
+
+describe('parseSessionBundle', () => {
+  it('应该保留有效消息并统计跳过的消息', () => {
+    const parsed = parseSessionBundle(bundle());
+    expect(parsed.session).toEqual({ id: 'old-session', title: '排查登录问题', cwd: '/work/app', createdAt: 100, updatedAt: 200 });
+    expect(parsed.messages).toHaveLength(2);
+    expect(parsed.skipped).toBe(2);
+  });
+
+  it('应该跳过字段不完整的消息，避免渲染时出错', () => {
+    const parsed = parseSessionBundle(bundle({
+      messages: [
+        { type: 'user_prompt' },
+        { type: 'user_prompt', prompt: { text: 'hi' } },
+        { type: 'stream_event', event: null },
+        { type: 'user_prompt', prompt: 'ok' },
+      ],
+    }));
+    expect(parsed.messages).toEqual([{ type: 'user_prompt', prompt: 'ok' }]);
+    expect(parsed.skipped).toBe(3);
+  });
+
+  it('应该拒绝格式不正确的导出包', () => {
+    expect(() => parseSessionBundle(null)).toThrow('Not a session export bundle');
+    expect(() => parseSessionBundle(bundle({ version: 2 }))).toThrow('Unsupported bundle version');
+    expect(() => parseSessionBundle(bundle({ session: { id: 'x' } }))).toThrow('missing session metadata');
+    expect(() => parseSessionBundle(bundle({ messages: 'nope' }))).toThrow('missing messages');
+  });
+});
+
+describe('remapMessageIds', () => {
+  it('应该为带 uuid 的消息分配新 uuid，且不修改原消息', () => {
+    const messages = [
+      { type: 'user_prompt', prompt: 'hi' },
+      { type: 'assistant', uuid: 'a-1', message: { content: [] } },
+    ] as unknown as StreamMessage[];
+    let next = 0;
+    const remapped = remapMessageIds(messages, () => `new-${++next}`);
+    expect(remapped[0]).toBe(messages[0]);
+    expect((remapped[1] as { uuid: string }).uuid).toBe('new-1');
+    expect((messages[1] as { uuid: string }).uuid).toBe('a-1');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * 会话查询进程单元测试
+ * 测试保活进程多轮对话时按轮次记录用量差额、进程提前退出时报告错误，以及关闭进程时释放缓存
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Query, SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import type { Session } from '../../src/electron/storage/session-store';
+import type { ApiConfig } from '../../src/electron/storage/config-store';
+import type { UsageEntry } from '../../src/electron/types';
+
+vi.mock('../../src/electron/storage/runner-store.js', () => ({
+  getRunnerConfig: vi.fn(async () => ({ idleTimeoutMinutes: 10 })),
+}));
+vi.mock('../../src/electron/libs/runner/permission-handler.js', () => ({ handleToolUseEvent: vi.fn() }));
+vi.mock('../../src/electron/libs/runner/memory-manager.js', () => ({ triggerAutoMemoryAnalysis: vi.fn() }));
+vi.mock('../../src/electron/managers/sdk-config-cache.js', () => ({ evictCachedMemoryMcpServer: vi.fn() }));
+
+import { SessionQuery } from '../../src/electron/libs/runner/session-query';
+import { setUsageRecorder } from '../../src/electron/libs/runner/usage-ledger';
+import { evictCachedMemoryMcpServer } from '../../src/electron/managers/sdk-config-cache';
+import type { PerformanceMonitor } from '../../src/electron/libs/runner/performance-monitor';
+
+const session: Session = { id: 's1', title: 'task', status: 'running', pendingPermissions: new Map() };
+const config = { id: 'config-1', name: 'Work', model: 'claude-sonnet', apiType: 'anthropic' } as ApiConfig;
+
+/** 进程启动以来的累计用量 */
+const result = (sonnet: [number, number, number], haiku?: [number, number, number]) => ({
+  type: 'result',
+  subtype: 'success',
+  total_cost_usd: sonnet[2] + (haiku?.[2] ?? 0),
+  modelUsage: {
+    'claude-sonnet': { inputTokens: sonnet[0], outputTokens: sonnet[1], cacheReadInputTokens: 0, cacheCreationInputTokens: 0, costUSD: sonnet[2] },
+    ...(haiku ? { 'claude-haiku': { inputTokens: haiku[0], outputTokens: haiku[1], cacheReadInputTokens: 0, cacheCreationInputTokens: 0, costUSD: haiku[2] } } : {}),
+  },
+}) as unknown as SDKMessage;
+
+function createQuery() {
+  return new SessionQuery({
+    session,
+    config,
+    memConfig: { enabled: false, autoStore: false } as never,
+    abortController: new AbortController(),
+    perfMonitor: { startTurn: vi.fn(), endTurn: vi.fn(), recordFirstToken: vi.fn() } as unknown as PerformanceMonitor,
+    keepAlive: true,
+    permissionMode: 'default',
+  });
+}
+
+const turn = (prompt: string) => ({ prompt, onEvent: vi.fn(), budget: null, requestedAt: 0 });
+
+async function* stream(...messages: SDKMessage[]) {
+  yield* messages;
+}
+
+describe('SessionQuery 用量记录', () => {
+  const recorded: UsageEntry[][] = [];
+
+  beforeEach(() => {
+    recorded.length = 0;
+    setUsageRecorder((entries) => recorded.push(entries));
+  });
+
+  it('同一进程的多轮对话应该只记录每轮新增的用量', async () => {
+    const query = createQuery();
+    query.enqueue(turn('first'));
+    query.enqueue(turn('second'));
+    query.enqueue(turn('third'));
+
+    await query.consume(stream(
+      result([100, 10, 0.1]),
+      result([250, 30, 0.25], [40, 4, 0.01]),
+      result([250, 30, 0.25], [90, 9, 0.03]),
+    ) as unknown as Query);
+
+    const amounts = recorded.map((entries) => entries.map(({ model, inputTokens, outputTokens, costUsd }) =>
+      [model, inputTokens, outputTokens, Number(costUsd.toFixed(4))]));
+    expect(amounts).toEqual([
+      [['claude-sonnet', 100, 10, 0.1]],
+      [['claude-sonnet', 150, 20, 0.15], ['claude-haiku', 40, 4, 0.01]],
+      [['claude-haiku', 50, 5, 0.02]],
+    ]);
+  });
+
+  it('新的查询进程应该从头计算用量', async () => {
+    for (const prompt of ['first', 'second']) {
+      const query = createQuery();
+      query.enqueue(turn(prompt));
+      await query.consume(stream(result([100, 10, 0.1])) as unknown as Query);
+    }
+
+    expect(recorded.map((entries) => entries[0].inputTokens)).toEqual([100, 100]);
+  });
+});
+
+describe('SessionQuery 进程退出', () => {
+  it('仍有未结束的轮次时应该报告错误并丢弃剩余轮次', async () => {
+    const query = createQuery();
+    const first = turn('first');
+    const second = turn('second');
+    query.enqueue(first);
+    query.enqueue(second);
+
+    await query.consume(stream() as unknown as Query);
+
+    expect(second.onEvent).toHaveBeenCalledTimes(1);
+    expect(second.onEvent).toHaveBeenCalledWith({
+      type: 'session.status',
+      payload: expect.objectContaining({ sessionId: 's1', status: 'error', error: expect.stringContaining('exited') }),
+    });
+    expect(first.onEvent).not.toHaveBeenCalled();
+    expect(query.busy).toBe(false);
+  });
+
+  it('所有轮次都已结束时只发送轮次完成的状态', async () => {
+    const query = createQuery();
+    const only = turn('only');
+    query.enqueue(only);
+
+    await query.consume(stream(result([100, 10, 0.1])) as unknown as Query);
+
+    const statuses = only.onEvent.mock.calls
+      .map(([event]) => event)
+      .filter((event) => event.type === 'session.status')
+      .map((event) => event.payload.status);
+    expect(statuses).toEqual(['completed']);
+  });
+});
+
+describe('SessionQuery.close', () => {
+  it('应该中止进程并释放会话缓存的 Memory MCP 服务器', () => {
+    const query = createQuery();
+    query.close();
+
+    expect(query.accepting).toBe(false);
+    expect(evictCachedMemoryMcpServer).toHaveBeenCalledWith('s1');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * 会话全文搜索辅助函数单元测试
+ * 测试可索引文本提取、FTS5 查询构建以及摘要生成
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildMatchExpression,
+  buildSnippet,
+  escapeLikePattern,
+  extractSearchableText,
+  splitSearchTerms,
+} from '../../src/electron/storage/session-search';
+import type { StreamMessage } from '../../src/electron/types';
+
+describe('extractSearchableText', () => {
+  it('应该提取用户提示词', () => {
+    expect(extractSearchableText({ type: 'user_prompt', prompt: '重构登录模块' })).toBe('重构登录模块');
+  });
+
+  it('应该提取助手文本和工具名称', () => {
+    const message = {
+      type: 'assistant',
+      message: {
+        content: [
+          { type: 'thinking', thinking: '内部思考' },
+          { type: 'text', text: '先看看目录结构' },
+          { type: 'tool_use', id: 't1', name: 'Glob', input: { pattern: '**/*.ts' } },
+        ],
+      },
+    } as unknown as StreamMessage;
+    expect(extractSearchableText(message)).toBe('先看看目录结构\nGlob');
+  });
+
+  it('其他消息类型不应该被索引', () => {
+    const message = { type: 'stream_event', event: {} } as unknown as StreamMessage;
+    expect(extractSearchableText(message)).toBe('');
+  });
+});
+
+describe('buildMatchExpression', () => {
+  it('应该把每个词转为带引号的短语并以 AND 连接', () => {
+    expect(buildMatchExpression(['login', '数据库'])).toBe('"login" AND "数据库"');
+  });
+
+  it('应该转义引号，避免注入 FTS5 语法', () => {
+    expect(buildMatchExpression(['say"hi OR'])).toBe('"say""hi OR"');
+  });
+
+  it('没有可索引的词时应该返回 null', () => {
+    expect(buildMatchExpression(['ab', '中文'])).toBeNull();
+    expect(buildMatchExpression(['ab', 'abc'])).toBe('"abc"');
+  });
+});
+
+describe('splitSearchTerms / escapeLikePattern', () => {
+  it('应该按空白拆分并去重', () => {
+    expect(splitSearchTerms('  foo bar\tfoo ')).toEqual(['foo', 'bar']);
+    expect(splitSearchTerms('   ')).toEqual([]);
+  });
+
+  it('应该转义 LIKE 通配符', () => {
+    expect(escapeLikePattern('50%_a\\b')).toBe('50\\%\\_a\\\\b');
+  });
+});
+
+describe('buildSnippet', () => {
+  it('应该截取命中词附近的文本', () => {
+    const text = `${'a'.repeat(100)} target ${'b'.repeat(200)}`;
+    const snippet = buildSnippet(text, ['TARGET']);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('target');
+  });
+
+  it('短文本应该完整返回并压缩换行', () => {
+    expect(buildSnippet('第一行\n第二行', ['第二'])).toBe('第一行 第二行');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * 会话存储单元测试
+ * 测试启动时恢复异常退出遗留的会话和作废的权限请求
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+type Statement = { sql: string; args: unknown[] };
+
+const { db } = vi.hoisted(() => {
+  const db = {
+    statements: [] as Statement[],
+    sessionRows: [] as Array<Record<string, unknown>>,
+    prepare: (sql: string) => ({
+      run: (...args: unknown[]) => {
+        db.statements.push({ sql, args });
+        return { changes: 1 };
+      },
+      get: () => ({}),
+      all: () => (/from sessions$/.test(sql.trim()) ? db.sessionRows : []),
+    }),
+    exec: (sql: string) => {
+      db.statements.push({ sql, args: [] });
+    },
+    transaction: (fn: () => void) => fn,
+    close: () => {},
+  };
+  return { db };
+});
+
+vi.mock('better-sqlite3', () => ({ default: vi.fn(function () { return db; }) }));
+
+import { SessionStore } from '../../src/electron/storage/session-store';
+
+const row = (id: string, status: string) => ({ id, title: id, status });
+
+/** 指定 SQL 片段的语句参数 */
+const argsOf = (fragment: string) =>
+  db.statements.filter(statement => statement.sql.includes(fragment)).map(statement => statement.args);
+
+describe('SessionStore.recoverInterruptedSessions', () => {
+  beforeEach(() => {
+    db.sessionRows = [row('running-1', 'running'), row('running-2', 'running'), row('done', 'completed')];
+  });
+
+  it('应该把仍为 running 的会话标记为 interrupted，并作废其权限请求', () => {
+    const store = new SessionStore(':memory:');
+    db.statements = [];
+
+    expect(store.recoverInterruptedSessions()).toEqual(['running-1', 'running-2']);
+    expect(store.getSession('running-1')?.status).toBe('interrupted');
+    expect(store.getSession('done')?.status).toBe('completed');
+
+    const abandoned = argsOf('update pending_permissions set abandoned_at = ?');
+    expect(abandoned.map(([, sessionId]) => sessionId)).toEqual(['running-1', 'running-2']);
+    expect(argsOf('update sessions set status = ?').map(([status, , id]) => [id, status])).toEqual([
+      ['running-1', 'interrupted'],
+      ['running-2', 'interrupted'],
+    ]);
+    // 其他会话遗留的请求直接删除
+    expect(db.statements.at(-1)?.sql).toBe('delete from pending_permissions where abandoned_at is null');
+  });
+
+  it('没有遗留会话时只清理未作废的请求', () => {
+    db.sessionRows = [row('done', 'completed')];
+    const store = new SessionStore(':memory:');
+    db.statements = [];
+
+    expect(store.recoverInterruptedSessions()).toEqual([]);
+    expect(db.statements.map(statement => statement.sql)).toEqual(['delete from pending_permissions where abandoned_at is null']);
+  });
+
+  it('clearAbandonedPermissions 应该只删除该会话已作废的请求', () => {
+    const store = new SessionStore(':memory:');
+    db.statements = [];
+
+    store.clearAbandonedPermissions('running-1');
+    expect(db.statements).toEqual([{
+      sql: 'delete from pending_permissions where session_id = ? and abandoned_at is not null',
+      args: ['running-1'],
+    }]);
+  });
+});
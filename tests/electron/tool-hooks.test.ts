@@ -0,0 +1,101 @@
+/**
+ * 工具钩子单元测试
+ * 测试 matcher 匹配、命令执行以及 preToolUse 阻止语义
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createToolHooks, hookMatches, runHookCommand } from '../../src/electron/libs/runner/tool-hooks';
+import type { Session } from '../../src/electron/storage/session-store';
+
+const session = { id: 'session-1', cwd: process.cwd() } as Session;
+const signal = new AbortController().signal;
+
+/** 通过 node 执行脚本，避免依赖平台 shell 语法 */
+function nodeCommand(script: string): string {
+  return `node -e ${JSON.stringify(script)}`;
+}
+
+function preToolUseInput(toolName: string, toolInput: unknown) {
+  return {
+    hook_event_name: 'PreToolUse' as const,
+    session_id: 'sdk-session',
+    transcript_path: '',
+    cwd: process.cwd(),
+    tool_name: toolName,
+    tool_input: toolInput,
+    tool_use_id: 'tool-1',
+  };
+}
+
+describe('hookMatches', () => {
+  it('空 matcher 应该匹配所有工具', () => {
+    expect(hookMatches(undefined, 'Bash')).toBe(true);
+    expect(hookMatches('', 'Write')).toBe(true);
+  });
+
+  it('应该支持 glob 和 | 分隔的多个模式', () => {
+    expect(hookMatches('Bash|Write', 'Write')).toBe(true);
+    expect(hookMatches('mcp__*', 'mcp__web_reader__webReader')).toBe(true);
+    expect(hookMatches('Bash|Write', 'Read')).toBe(false);
+  });
+});
+
+describe('runHookCommand', () => {
+  it('应该把输入 JSON 写入 stdin', async () => {
+    const result = await runHookCommand(
+      nodeCommand('process.stdin.pipe(process.stdout)'),
+      { tool_name: 'Bash', tool_input: { command: 'ls' } }
+    );
+    expect(result.exitCode).toBe(0);
+    expect(JSON.parse(result.stdout)).toEqual({ tool_name: 'Bash', tool_input: { command: 'ls' } });
+  });
+
+  it('超时时应该结束命令并返回 null 退出码', async () => {
+    const result = await runHookCommand(nodeCommand('setTimeout(() => {}, 10000)'), {}, { timeoutMs: 200 });
+    expect(result.exitCode).toBeNull();
+    expect(result.stderr).toContain('timed out');
+  });
+});
+
+describe('createToolHooks', () => {
+  it('没有配置钩子时应该返回 undefined', () => {
+    expect(createToolHooks({ preToolUse: [], postToolUse: [] }, session, vi.fn())).toBeUndefined();
+  });
+
+  it('preToolUse 非零退出时应该阻止调用并记录执行', async () => {
+    const onEvent = vi.fn();
+    const hooks = createToolHooks({
+      preToolUse: [{ hook: 'guard', matcher: 'Bash', command: nodeCommand('console.error("not allowed"); process.exit(2)') }],
+      postToolUse: [],
+    }, session, onEvent);
+
+    const callback = hooks!.PreToolUse![0].hooks[0];
+    const output = await callback(preToolUseInput('Bash', { command: 'rm -rf /' }), 'tool-1', { signal });
+
+    expect(output).toMatchObject({
+      decision: 'block',
+      reason: 'not allowed',
+      hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'deny' },
+    });
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent.mock.calls[0][0]).toMatchObject({
+      type: 'stream.message',
+      payload: {
+        sessionId: 'session-1',
+        message: { type: 'hook_execution', event: 'preToolUse', hook: 'guard', toolName: 'Bash', exitCode: 2, blocked: true },
+      },
+    });
+  });
+
+  it('matcher 未命中时不应该执行命令', async () => {
+    const onEvent = vi.fn();
+    const hooks = createToolHooks({
+      preToolUse: [{ hook: 'guard', matcher: 'Write', command: nodeCommand('process.exit(1)') }],
+      postToolUse: [],
+    }, session, onEvent);
+
+    const output = await hooks!.PreToolUse![0].hooks[0](preToolUseInput('Bash', {}), 'tool-1', { signal });
+    expect(output).toEqual({});
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+});
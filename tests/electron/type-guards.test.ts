@@ -147,19 +147,27 @@ describe('事件类型守卫', () => {
 
   describe('isValidStreamMessage', () => {
     it('应该识别有效的消息类型', () => {
-      const validTypes = [
-        'text',
-        'image',
-        'tool_use',
-        'tool_result',
-        'user_prompt',
-        'error',
-        'stream_event',
+      const validMessages = [
+        { type: 'text', text: 'hi' },
+        { type: 'image', source: { type: 'base64', data: '' } },
+        { type: 'tool_use', id: 't1', name: 'Bash' },
+        { type: 'tool_result', tool_use_id: 't1' },
+        { type: 'user_prompt', prompt: 'hi' },
+        { type: 'error', error: 'boom' },
+        { type: 'stream_event', event: { type: 'content_block_delta' } },
       ];
 
-      validTypes.forEach(type => {
-        expect(isValidStreamMessage({ type })).toBe(true);
+      validMessages.forEach(message => {
+        expect(isValidStreamMessage(message)).toBe(true);
+      });
+    });
+
+    it('应该拒绝缺少关键字段的消息', () => {
+      ['text', 'image', 'tool_use', 'tool_result', 'user_prompt', 'error', 'stream_event'].forEach(type => {
+        expect(isValidStreamMessage({ type })).toBe(false);
       });
+      expect(isValidStreamMessage({ type: 'user_prompt', prompt: 42 })).toBe(false);
+      expect(isValidStreamMessage({ type: 'stream_event', event: {} })).toBe(false);
     });
 
     it('应该拒绝无效的消息类型', () => {
@@ -171,6 +179,20 @@ describe('事件类型守卫', () => {
       expect(isValidStreamMessage(null)).toBe(false);
       expect(isValidStreamMessage('string')).toBe(false);
     });
+
+    it('应该识别 SDK 消息并检查关键字段', () => {
+      expect(isValidStreamMessage({ type: 'assistant', message: { content: [] } })).toBe(true);
+      expect(isValidStreamMessage({ type: 'assistant', message: {} })).toBe(false);
+      expect(isValidStreamMessage({ type: 'user', message: { content: 'hi' } })).toBe(true);
+      expect(isValidStreamMessage({ type: 'result', subtype: 'success' })).toBe(true);
+      expect(isValidStreamMessage({ type: 'system' })).toBe(false);
+    });
+
+    it('应该识别应用自定义消息并检查关键字段', () => {
+      expect(isValidStreamMessage({ type: 'orchestration_result', uuid: 'u1', text: 'done' })).toBe(true);
+      expect(isValidStreamMessage({ type: 'hook_execution', uuid: 'u2', hook: 'lint', toolName: 'Bash' })).toBe(true);
+      expect(isValidStreamMessage({ type: 'agent_section', uuid: 'u3' })).toBe(false);
+    });
   });
 });
 
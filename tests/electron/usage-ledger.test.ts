@@ -0,0 +1,84 @@
+/**
+ * 用量台账单元测试
+ * 测试 result 消息用量提取和 CSV 导出
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { SDKResultMessage } from '@anthropic-ai/claude-agent-sdk';
+import {
+  buildUsageCsv,
+  extractUsageEntries,
+  formatUsageDate,
+  type UsageContext,
+} from '../../src/electron/libs/runner/usage-ledger';
+
+const context: UsageContext = {
+  sessionId: 'session-1',
+  apiConfigId: 'config-1',
+  apiConfigName: 'Work, primary',
+  model: 'claude-sonnet',
+};
+
+const now = new Date(2026, 2, 5, 10, 30).getTime();
+
+describe('extractUsageEntries', () => {
+  it('应该按 modelUsage 拆分为多条记录', () => {
+    const message = {
+      type: 'result',
+      subtype: 'success',
+      total_cost_usd: 0.5,
+      usage: { input_tokens: 300, output_tokens: 60 },
+      modelUsage: {
+        'claude-sonnet': { inputTokens: 200, outputTokens: 50, cacheReadInputTokens: 1000, cacheCreationInputTokens: 10, costUSD: 0.4 },
+        'claude-haiku': { inputTokens: 100, outputTokens: 10, cacheReadInputTokens: 0, cacheCreationInputTokens: 0, costUSD: 0.1 },
+      },
+    } as unknown as SDKResultMessage;
+
+    const entries = extractUsageEntries(message, context, now);
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toEqual({
+      sessionId: 'session-1',
+      apiConfigId: 'config-1',
+      apiConfigName: 'Work, primary',
+      model: 'claude-sonnet',
+      date: '2026-03-05',
+      inputTokens: 200,
+      outputTokens: 50,
+      cacheReadTokens: 1000,
+      cacheCreationTokens: 10,
+      costUsd: 0.4,
+      createdAt: now,
+    });
+    expect(entries[1].model).toBe('claude-haiku');
+  });
+
+  it('没有 modelUsage 时应该使用整体用量和配置的模型', () => {
+    const message = {
+      type: 'result',
+      subtype: 'error_during_execution',
+      total_cost_usd: 0.02,
+      usage: { input_tokens: 40, output_tokens: 8, cache_read_input_tokens: 5 },
+    } as unknown as SDKResultMessage;
+
+    const [entry] = extractUsageEntries(message, context, now);
+    expect(entry.model).toBe('claude-sonnet');
+    expect(entry.inputTokens).toBe(40);
+    expect(entry.cacheReadTokens).toBe(5);
+    expect(entry.cacheCreationTokens).toBe(0);
+    expect(entry.costUsd).toBe(0.02);
+  });
+});
+
+describe('formatUsageDate / buildUsageCsv', () => {
+  it('应该格式化为本地日期', () => {
+    expect(formatUsageDate(new Date(2026, 11, 31, 23, 59).getTime())).toBe('2026-12-31');
+  });
+
+  it('应该输出表头并转义包含逗号和引号的字段', () => {
+    const message = { type: 'result', total_cost_usd: 0.01, usage: { input_tokens: 1, output_tokens: 2 } } as unknown as SDKResultMessage;
+    const entries = extractUsageEntries(message, { ...context, model: 'model "x"' }, now);
+    const lines = buildUsageCsv(entries).trimEnd().split('\n');
+    expect(lines[0]).toBe('date,sessionId,apiConfigId,apiConfigName,model,inputTokens,outputTokens,cacheReadTokens,cacheCreationTokens,costUsd,createdAt');
+    expect(lines[1]).toBe(`2026-03-05,session-1,config-1,"Work, primary","model ""x""",1,2,0,0,0.01,${now}`);
+  });
+});
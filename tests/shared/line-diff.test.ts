@@ -0,0 +1,45 @@
+/**
+ * 行级差异单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, formatUnifiedDiff } from '../../src/shared/line-diff';
+
+describe('diffLines', () => {
+  it('相同文本应该全部为 same', () => {
+    expect(diffLines('a\nb', 'a\nb')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'same', text: 'b' },
+    ]);
+  });
+
+  it('应该标出新增、删除和保留的行', () => {
+    const diff = diffLines('使用 npm\n端口 3000\n启用缓存', '使用 pnpm\n端口 3000\n启用缓存\n关闭遥测');
+    expect(diff).toEqual([
+      { type: 'removed', text: '使用 npm' },
+      { type: 'added', text: '使用 pnpm' },
+      { type: 'same', text: '端口 3000' },
+      { type: 'same', text: '启用缓存' },
+      { type: 'added', text: '关闭遥测' },
+    ]);
+  });
+
+  it('应该兼容 CRLF 换行', () => {
+    expect(diffLines('a\r\nb', 'a\nb').every(line => line.type === 'same')).toBe(true);
+  });
+});
+
+describe('formatUnifiedDiff', () => {
+  it('应该生成带 hunk 头的 unified diff，相同内容返回空字符串', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+    const after = before.replace('5', 'five');
+    expect(formatUnifiedDiff(before, after, 1)).toBe('@@ -4,3 +4,3 @@\n 4\n-5\n+five\n 6');
+    expect(formatUnifiedDiff(before, before)).toBe('');
+    expect(formatUnifiedDiff('', 'new\n')).toBe('@@ -0,0 +1,1 @@\n+new');
+  });
+
+  it('间隔较近的修改应该合并为同一个 hunk', () => {
+    const before = 'a\nb\nc\nd\ne\n';
+    expect(formatUnifiedDiff(before, 'A\nb\nc\nd\nE\n', 2)).toBe('@@ -1,5 +1,5 @@\n-a\n+A\n b\n c\n d\n-e\n+E');
+  });
+});
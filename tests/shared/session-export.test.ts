@@ -0,0 +1,97 @@
+/**
+ * 会话导出模块单元测试
+ * 测试 Markdown 渲染、JSON 导出包以及工具输入隐去
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildSessionBundle,
+  getExportFileName,
+  redactToolInputs,
+  renderSessionMarkdown,
+  type SessionExportMeta,
+} from '../../src/shared/session-export';
+import type { StreamMessage } from '../../src/shared/types';
+
+const session: SessionExportMeta = {
+  id: 'session-1',
+  title: 'Fix login: part 1/2',
+  cwd: '/work/app',
+  createdAt: Date.UTC(2026, 0, 1),
+  updatedAt: Date.UTC(2026, 0, 2),
+};
+
+const messages = [
+  { type: 'user_prompt', prompt: '运行测试' },
+  {
+    type: 'assistant',
+    uuid: 'a-1',
+    message: {
+      content: [
+        { type: 'text', text: '好的，先运行测试。' },
+        { type: 'tool_use', id: 'tool-1', name: 'Bash', input: { command: 'npm test -- --token=secret' } },
+      ],
+    },
+  },
+  { type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{"command"' } } },
+  {
+    type: 'user',
+    message: { content: [{ type: 'tool_result', tool_use_id: 'tool-1', content: 'has ```fence``` inside', is_error: true }] },
+  },
+  {
+    type: 'result',
+    subtype: 'success',
+    duration_ms: 120000,
+    duration_api_ms: 60000,
+    total_cost_usd: 0.1234,
+    usage: { input_tokens: 1500, output_tokens: 300 },
+  },
+] as unknown as StreamMessage[];
+
+describe('renderSessionMarkdown', () => {
+  it('应该包含提示词、工具调用、工具结果和统计信息', () => {
+    const markdown = renderSessionMarkdown(session, messages, { redactToolInputs: false });
+    expect(markdown).toContain('# Fix login: part 1/2');
+    expect(markdown).toContain('## User\n\n运行测试');
+    expect(markdown).toContain('**Tool call: `Bash`**');
+    expect(markdown).toContain('npm test -- --token=secret');
+    expect(markdown).toContain('**Tool result (error)**\n\n````\nhas ```fence``` inside\n````');
+    expect(markdown).toContain('- Cost: $0.1234');
+    expect(markdown).toContain('- Input tokens: 1,500');
+  });
+
+  it('隐去工具输入时不应该包含输入内容', () => {
+    const markdown = renderSessionMarkdown(session, messages, { redactToolInputs: true });
+    expect(markdown).toContain('**Tool call: `Bash`**');
+    expect(markdown).not.toContain('secret');
+  });
+});
+
+describe('buildSessionBundle', () => {
+  it('应该保留原始消息和会话元数据', () => {
+    const bundle = buildSessionBundle(session, messages, { redactToolInputs: false });
+    expect(bundle.format).toBe('aicowork-session');
+    expect(bundle.version).toBe(1);
+    expect(bundle.session).toEqual(session);
+    expect(bundle.messages).toBe(messages);
+  });
+
+  it('隐去工具输入时应该清空 tool_use 输入并丢弃输入增量', () => {
+    const bundle = buildSessionBundle(session, messages, { redactToolInputs: true });
+    expect(bundle.redactedToolInputs).toBe(true);
+    expect(JSON.stringify(bundle.messages)).not.toContain('secret');
+    expect(bundle.messages).toHaveLength(messages.length - 1);
+  });
+});
+
+describe('redactToolInputs / getExportFileName', () => {
+  it('不应该修改原消息', () => {
+    redactToolInputs(messages);
+    expect(JSON.stringify(messages)).toContain('secret');
+  });
+
+  it('应该去掉文件名中的非法字符', () => {
+    expect(getExportFileName(session, 'markdown')).toBe('Fix login part 1 2.md');
+    expect(getExportFileName({ ...session, title: '  ' }, 'json')).toBe('session-1.json');
+  });
+});